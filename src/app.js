@@ -8,16 +8,21 @@ import limiter from './rate-limiter';
 import routes from './routes';
 import mongoose from 'mongoose';
 import './utils/subs.js'; // Ensure correct path
-import './utils/sub_cancel.js'; // Ensure correct path
 import './utils/news.js'; // Ensure correct path
+import './utils/account-purge.js';
+import './utils/search-index.js';
 import path from 'path';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 import { registerSocketHandlers } from './socketHandlers/index.js';
 import { registerAudioCallHandlers } from './socketHandlers/audioHandlers.js';
 import { user } from './utils/users';
+import { startMailWorker } from './helpers/mailer';
 
 const app = express();
+// The API sits behind a load balancer; only hops it appends to X-Forwarded-For
+// are trusted, so req.ip can't be set by the client (TRUST_PROXY_HOPS, default 1).
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS || 1));
 const httpServer = createServer(app);
 
 const io = new Server(httpServer, {
@@ -80,7 +85,12 @@ app.use(
 
 
 app.use(limiter);
-app.use(express.json());
+// Keep the raw bytes around for routes that verify signed payloads (Stripe webhook).
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static uploads
@@ -154,5 +164,8 @@ const connectWithRetry = () => {
 
 httpServer.listen(4000, () => console.log('Server is running on port 4000'));
 
+// Send queued email in the background
+startMailWorker();
+
 // Attempt initial MongoDB connection
 connectWithRetry();
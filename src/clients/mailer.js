@@ -0,0 +1,45 @@
+const nodemailer = require('nodemailer');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// MAIL_TRANSPORT=smtp sends through SMTP_*; MAIL_TRANSPORT=outbox writes each
+// message as JSON to MAIL_OUTBOX_DIR instead. Without SMTP_HOST we default to
+// the outbox so development never sends real mail.
+export const MAIL_FROM = process.env.MAIL_FROM || process.env.EMAIL_FROM || 'no-reply@openpreneurs.business';
+export const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'outbox');
+export const outboxDir = () => process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox');
+
+const createTransport = () => {
+  if (MAIL_TRANSPORT === 'smtp') {
+    const port = Number(process.env.SMTP_PORT) || 465;
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      },
+    });
+  }
+  return nodemailer.createTransport({ jsonTransport: true });
+};
+
+const transporter = createTransport();
+
+const writeOutbox = (info) => {
+  const dir = outboxDir();
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${Date.now()}-${uuidv4()}.json`);
+  fs.writeFileSync(file, info.message);
+  return file;
+};
+
+const deliver = async (message) => {
+  const info = await transporter.sendMail({ from: MAIL_FROM, ...message });
+  if (MAIL_TRANSPORT === 'outbox') info.outboxFile = writeOutbox(info);
+  return info;
+};
+
+export default { deliver, MAIL_FROM, MAIL_TRANSPORT, outboxDir };
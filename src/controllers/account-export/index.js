@@ -0,0 +1,173 @@
+import Boom from "@hapi/boom"; // Preferred
+import JWT from "jsonwebtoken";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { v4 as uuidv4 } from "uuid";
+import User from "../../models/user";
+import { actingUserId } from "../../middlewares/requireAuth";
+import { queueMail } from "../../helpers/mailer";
+import { notifyUser } from "../../helpers/notify";
+import {
+  EXPORT_TTL_MINUTES,
+  EXPORTS_DIR,
+  apiBaseUrl,
+  isLostJob,
+  collectAccountData,
+  buildArchive,
+} from "../../helpers/account-export";
+const redis = require("../../clients/redis").default;
+
+const JOB_TTL = EXPORT_TTL_MINUTES * 60;
+// One export per user at a time; asking again within this window returns
+// the same job.
+const REQUEST_COOLDOWN = 60 * 60;
+
+const jobKey = (jobId) => `export:job:${jobId}`;
+const userKey = (userId) => `export:user:${userId}`;
+
+// Download links carry their own expiry so they work from an email.
+const downloadSecret = () => `${process.env.JWT_SECRET}:export`;
+
+const loadJob = async (jobId) => {
+  const raw = await redis.get(jobKey(jobId));
+  if (!raw) return null;
+
+  // Reported as failed, so it neither spins forever nor blocks a new request.
+  const job = JSON.parse(raw);
+  if (isLostJob(job)) job.status = "failed";
+  return job;
+};
+
+const saveJob = (job) => redis.set(jobKey(job.id), JSON.stringify(job), "EX", JOB_TTL);
+
+const publicJob = (job) => ({
+  jobId: job.id,
+  status: job.status,
+  requestedAt: job.requestedAt,
+  completedAt: job.completedAt,
+  expiresAt: job.expiresAt,
+  downloadUrl: job.status === "ready" ? job.downloadUrl : undefined,
+});
+
+const runExportJob = async (job) => {
+  try {
+    const data = await collectAccountData(job.userId);
+    if (!data) throw new Error("User not found");
+
+    const archive = await buildArchive(data);
+    fs.mkdirSync(EXPORTS_DIR, { recursive: true });
+    const file = `${job.id}-${crypto.randomBytes(16).toString("hex")}.zip`;
+    fs.writeFileSync(path.join(EXPORTS_DIR, file), archive);
+
+    const token = JWT.sign({ jobId: job.id, user_id: job.userId }, downloadSecret(), {
+      expiresIn: JOB_TTL,
+      issuer: "ecommerce.app",
+    });
+
+    job.status = "ready";
+    job.file = file;
+    job.completedAt = new Date().toISOString();
+    job.expiresAt = new Date(Date.now() + JOB_TTL * 1000).toISOString();
+    job.downloadUrl = `${apiBaseUrl()}/auth/account/export/download/${token}`;
+    await saveJob(job);
+
+    await notifyUser(job.userId, "export", "Your data export is ready to download.");
+    if (data.profile.email) {
+      await queueMail("data-export", data.profile.email, {
+        username: data.profile.username,
+        link: job.downloadUrl,
+        expiresIn: "24 hours",
+      });
+    }
+  } catch (error) {
+    console.error(`Data export ${job.id} failed:`, error);
+    job.status = "failed";
+    await saveJob(job);
+    await redis.del(userKey(job.userId));
+  }
+};
+
+// POST /auth/account/export — start building an export in the background.
+export const requestExport = async (req, res, next) => {
+  try {
+    const userId = actingUserId(req);
+
+    const activeId = await redis.get(userKey(userId));
+    const active = activeId && (await loadJob(activeId));
+    if (active && active.status !== "failed") {
+      return res.status(202).json({
+        success: true,
+        message: "An export was requested recently.",
+        data: publicJob(active),
+      });
+    }
+
+    const user = await User.exists({ _id: userId });
+    if (!user) return next(Boom.notFound("User not found."));
+
+    const job = {
+      id: uuidv4(),
+      userId: String(userId),
+      status: "pending",
+      requestedAt: new Date().toISOString(),
+    };
+    await saveJob(job);
+    await redis.set(userKey(userId), job.id, "EX", REQUEST_COOLDOWN);
+
+    setImmediate(() => runExportJob(job));
+
+    res.status(202).json({
+      success: true,
+      message: "Your export is being prepared. We'll email you a download link.",
+      data: publicJob(job),
+    });
+  } catch (error) {
+    console.error("Error starting data export:", error);
+    next(Boom.internal("Error starting data export."));
+  }
+};
+
+// GET /auth/account/export/:jobId
+export const getExportStatus = async (req, res, next) => {
+  try {
+    const job = await loadJob(req.params.jobId);
+    if (!job || job.userId !== String(actingUserId(req))) {
+      return next(Boom.notFound("Export not found or expired."));
+    }
+    res.status(200).json({ success: true, data: publicJob(job) });
+  } catch (error) {
+    console.error("Error fetching data export:", error);
+    next(Boom.internal("Error fetching data export."));
+  }
+};
+
+// GET /auth/account/export/download/:token — the link from the email.
+export const downloadExport = async (req, res, next) => {
+  try {
+    let claims;
+    try {
+      claims = JWT.verify(req.params.token, downloadSecret(), { issuer: "ecommerce.app" });
+    } catch (err) {
+      return next(Boom.gone("This download link has expired."));
+    }
+
+    const job = await loadJob(claims.jobId);
+    const file = job?.file && path.join(EXPORTS_DIR, job.file);
+    if (!job || job.userId !== claims.user_id || !fs.existsSync(file)) {
+      return next(Boom.gone("This download link has expired."));
+    }
+
+    const stamp = job.completedAt.slice(0, 10);
+    res.download(file, `openpreneurs-data-${stamp}.zip`);
+  } catch (error) {
+    console.error("Error downloading data export:", error);
+    next(Boom.internal("Error downloading data export."));
+  }
+};
+
+export default {
+  requestExport,
+  getExportStatus,
+  downloadExport,
+};
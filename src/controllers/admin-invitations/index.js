@@ -0,0 +1,233 @@
+import Boom from "@hapi/boom"; // Preferred
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Admin from "../../models/admin";
+import AdminInvitation from "../../models/adminInvitation";
+import { hashToken } from "../../helpers/account-tokens";
+import { assertPasswordPolicy } from "../../helpers/password-policy";
+import { queueMail } from "../../helpers/mailer";
+import { frontendUrl } from "../../helpers/frontend-url";
+import { recordAudit } from "../../middlewares/audit";
+
+export const INVITATION_TTL_DAYS = 3;
+
+const LEVELS = AdminInvitation.schema.path("level").enumValues;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,30}$/;
+
+const STATUS_QUERIES = {
+  pending: () => ({ acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } }),
+  accepted: () => ({ acceptedAt: { $ne: null } }),
+  revoked: () => ({ acceptedAt: null, revokedAt: { $ne: null } }),
+  expired: () => ({ acceptedAt: null, revokedAt: null, expiresAt: { $lte: new Date() } }),
+};
+
+const findPendingByToken = (token) =>
+  AdminInvitation.findOne({ tokenHash: hashToken(token), ...STATUS_QUERIES.pending() });
+
+// Admin emails were never normalised, so compare without case.
+const adminWithEmail = (email) =>
+  Admin.findOne({ email }).collation({ locale: "en", strength: 2 }).select("_id");
+
+// POST /admin/invitations { email, level, frontendUrl } — super admins only.
+// Any earlier pending invitation for the address stops working.
+export const createInvitation = async (req, res, next) => {
+  const email = String(req.body.email || "").trim().toLowerCase();
+  const { level } = req.body;
+  if (!EMAIL_PATTERN.test(email)) {
+    return next(Boom.badRequest("A valid email address is required."));
+  }
+  if (!LEVELS.includes(level)) {
+    return next(Boom.badRequest(`Level must be one of: ${LEVELS.join(", ")}.`));
+  }
+
+  try {
+    if (await adminWithEmail(email)) {
+      return next(Boom.conflict("An admin with this email already exists."));
+    }
+
+    const inviter = await Admin.findById(req.payload.user_id).select("username");
+    await AdminInvitation.updateMany(
+      { email, ...STATUS_QUERIES.pending() },
+      { $set: { revokedAt: new Date(), revokedBy: req.payload.user_id } }
+    );
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const invitation = await AdminInvitation.create({
+      email,
+      level,
+      invitedBy: req.payload.user_id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+
+    await queueMail("admin-invitation", email, {
+      invitedBy: inviter?.username || "An Openpreneurs admin",
+      level,
+      link: `${frontendUrl(req.body.frontendUrl)}/admin/opulententrepreneurs/accept-invite/${token}`,
+      expiresIn: `${INVITATION_TTL_DAYS} days`,
+    });
+    await recordAudit(req, {
+      action: "admin.invite",
+      targetType: "AdminInvitation",
+      targetId: invitation._id,
+      after: { email, level, expiresAt: invitation.expiresAt },
+    });
+
+    res.status(201).json({ success: true, message: `Invitation sent to ${email}.`, data: invitation });
+  } catch (error) {
+    console.error("Error creating admin invitation:", error);
+    next(Boom.internal("Error creating invitation."));
+  }
+};
+
+// GET /admin/invitations?status=pending|accepted|revoked|expired&email=&page=&limit=
+export const listInvitations = async (req, res, next) => {
+  try {
+    const { status, email, limit = 20, page = 1 } = req.query;
+    const perPage = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+
+    if (status && !STATUS_QUERIES[status]) {
+      return next(Boom.badRequest("Unknown invitation status."));
+    }
+    const query = status ? STATUS_QUERIES[status]() : {};
+    if (email) query.email = String(email).trim().toLowerCase();
+
+    const [invitations, totalInvitations] = await Promise.all([
+      AdminInvitation.find(query)
+        .populate("invitedBy", "username")
+        .populate("admin", "username")
+        .sort({ createdAt: -1 })
+        .skip((currentPage - 1) * perPage)
+        .limit(perPage),
+      AdminInvitation.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      totalInvitations,
+      currentPage,
+      totalPages: Math.ceil(totalInvitations / perPage),
+      invitations,
+    });
+  } catch (error) {
+    console.error("Error fetching admin invitations:", error);
+    next(Boom.internal("Error fetching invitations."));
+  }
+};
+
+// DELETE /admin/invitations/:invitationId
+export const revokeInvitation = async (req, res, next) => {
+  const { invitationId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+    return next(Boom.badRequest("Invalid invitation ID."));
+  }
+
+  try {
+    const invitation = await AdminInvitation.findOneAndUpdate(
+      { _id: invitationId, ...STATUS_QUERIES.pending() },
+      { $set: { revokedAt: new Date(), revokedBy: req.payload.user_id } },
+      { new: true }
+    );
+    if (!invitation) {
+      return next(Boom.notFound("No pending invitation with that ID."));
+    }
+
+    await recordAudit(req, {
+      action: "admin.invite_revoke",
+      targetType: "AdminInvitation",
+      targetId: invitation._id,
+      before: { email: invitation.email, level: invitation.level, status: "pending" },
+      after: { email: invitation.email, level: invitation.level, status: "revoked" },
+    });
+
+    res.status(200).json({ success: true, message: "Invitation revoked.", data: invitation });
+  } catch (error) {
+    console.error("Error revoking admin invitation:", error);
+    next(Boom.internal("Error revoking invitation."));
+  }
+};
+
+// GET /admin/invitations/accept/:token — what the sign-up form shows.
+export const getInvitation = async (req, res, next) => {
+  try {
+    const invitation = await findPendingByToken(req.params.token);
+    if (!invitation) {
+      return next(Boom.notFound("Invitation is invalid, expired or already used."));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { email: invitation.email, level: invitation.level, expiresAt: invitation.expiresAt },
+    });
+  } catch (error) {
+    console.error("Error fetching admin invitation:", error);
+    next(Boom.internal("Error fetching invitation."));
+  }
+};
+
+// POST /admin/invitations/accept/:token { username, password }
+// Creates the admin. They log in normally afterwards (with 2FA setup where required).
+export const acceptInvitation = async (req, res, next) => {
+  const { username, password } = req.body;
+
+  try {
+    const invitation = await findPendingByToken(req.params.token);
+    if (!invitation) {
+      return next(Boom.notFound("Invitation is invalid, expired or already used."));
+    }
+    if (!USERNAME_PATTERN.test(username || "")) {
+      return next(Boom.badRequest("Username must be 3-30 letters, numbers, dots, dashes or underscores."));
+    }
+    assertPasswordPolicy(password, "Admin", { username, email: invitation.email });
+    if (await Admin.exists({ username })) {
+      return next(Boom.conflict("Username already exists"));
+    }
+
+    // Claim the invitation first so two submissions can't both create an admin.
+    const claimed = await AdminInvitation.findOneAndUpdate(
+      { _id: invitation._id, ...STATUS_QUERIES.pending() },
+      { $set: { acceptedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      return next(Boom.notFound("Invitation is invalid, expired or already used."));
+    }
+
+    let admin;
+    try {
+      admin = await Admin.create({
+        username,
+        password, // hashed by the pre-save hook
+        email: claimed.email,
+        level: claimed.level,
+        invitation: claimed._id,
+      });
+    } catch (err) {
+      await AdminInvitation.updateOne({ _id: claimed._id }, { $set: { acceptedAt: null } });
+      throw err;
+    }
+    await AdminInvitation.updateOne({ _id: claimed._id }, { $set: { admin: admin._id } });
+
+    const adminObj = admin.toObject();
+    delete adminObj.password;
+    delete adminObj.__v;
+    res.status(201).json({ success: true, message: "Your admin account is ready. Please log in.", data: adminObj });
+  } catch (error) {
+    if (error.isBoom) return next(error);
+    if (error.code === 11000) {
+      return next(Boom.conflict("Username already exists"));
+    }
+    console.error("Error accepting admin invitation:", error);
+    next(Boom.internal("Error accepting invitation."));
+  }
+};
+
+export default {
+  createInvitation,
+  listInvitations,
+  revokeInvitation,
+  getInvitation,
+  acceptInvitation,
+};
@@ -2,54 +2,84 @@ import Admin from "../../models/admin";
 import Boom from "@hapi/boom"; // Preferred
 import {
 	signAccessToken,
-	signRefreshToken,
+	issueTokens,
 	verifyRefreshToken,
+	rotateRefreshToken,
+	revokeSession,
+	revokeSessions,
 } from "../../helpers/jwt";
+import { roleFor, permissionsFor } from "../../roles";
+import { twoFactorChallenge } from "../../helpers/two-factor";
 const redis = require("../../clients/redis").default;
-const nodemailer = require('nodemailer');
-const transporter = nodemailer.createTransport({
-  host: 'smtp.hostinger.com', // Hostinger SMTP server
-  port: 465,  // Port number for Hostinger SMTP (587 for TLS)
-  secure: true,  // TLS/SSL setting (use 'true' for port 465, 'false' for port 587)
-  auth: {
-    user: "no-reply@openpreneurs.business", // Replace with your Hostinger email
-    pass: "1mpactLiv!ng",  // Replace with your email password
-  },
-});
+import {
+	LOGIN_POLICIES,
+	lockedError,
+	checkLoginAllowed,
+	recordLoginFailure,
+	recordLoginSuccess,
+} from "../../helpers/login-guard";
+import { assertPasswordPolicy } from "../../helpers/password-policy";
+import {
+	passwordChangeReason,
+	passwordChangeChallenge,
+	verifyChangeToken,
+	completeChangeToken,
+} from "../../helpers/admin-password";
+import { recordSecurityEvent } from "../../helpers/security-events";
 
 // Admin Login with access & refresh token logic
 export const loginAdmin = async (req, res, next) => {
   const input = req.body;
   try {
     // 1. Find admin by username
-    const admin = await Admin.findOne({ username: input.username });
+    const admin = await Admin.findOne({ username: input.username }).select("+twoFactor.pendingSecret");
+    const attempt = { account: admin, identifier: input.username };
+    const blocked = await checkLoginAllowed("Admin", req, attempt);
+    if (blocked) {
+      return next(blocked);
+    }
     if (!admin) {
+      await recordLoginFailure("Admin", req, { ...attempt, reason: "unknown_account" });
       return next(Boom.notFound("Admin not found."));
     }
 
-    // 2. Check password
+    // 2. Check password; repeated failures throttle and then lock the account
     const isMatched = await admin.isValidPass(input.password);
     if (!isMatched) {
+      const { locked } = await recordLoginFailure("Admin", req, attempt);
+      if (locked) {
+        return next(lockedError("Admin", LOGIN_POLICIES.Admin.lockMinutes * 60 * 1000));
+      }
       return next(Boom.unauthorized("Invalid username or password."));
     }
+    await recordLoginSuccess("Admin", req, attempt);
 
-    // 3. Token expiration based on "rememberMe"
-    const tokenExpiry = "1h";
+    // 3. Finance and super admins must pass 2FA (see /admin/2fa/verify)
+    const challenge = await twoFactorChallenge(admin, "Admin");
+    if (challenge) {
+      return res.json(challenge);
+    }
 
-    // 4. Sign tokens
-    const accessToken = await signAccessToken(
-      { user_id: admin._id, role: admin.role },
-      tokenExpiry
+    // 4. New or too old passwords must be replaced first (see /admin/password/rotate)
+    const passwordChange = await passwordChangeChallenge(admin);
+    if (passwordChange) {
+      return res.json(passwordChange);
+    }
+
+    // 5. Open a session for this device and sign tokens
+    const { accessToken, refreshToken } = await issueTokens(
+      { user_id: admin._id, role: admin.role, level: admin.level },
+      req,
+      { subjectModel: "Admin" }
     );
-    const refreshToken = await signRefreshToken(admin._id);
 
-    // 5. Prepare admin data to return
+    // 6. Prepare admin data to return
     const adminData = admin.toObject();
     delete adminData.password;
     delete adminData.__v;
 
 
-    // 6. Send response
+    // 7. Send response
     res.json({ admin: adminData, accessToken, refreshToken });
   } catch (e) {
     next(e);
@@ -80,72 +110,128 @@ export const RefreshToken = async (req, res, next) => {
   }
 
   try {
-    const user_id = await verifyRefreshToken(refresh_token);
-    const accessToken = await signAccessToken(user_id);
-    const newRefreshToken = await signRefreshToken(user_id);
+    const { user_id, sid, refreshToken } = await rotateRefreshToken(refresh_token, req, {
+      subjectModel: "Admin",
+    });
 
-    res.json({ accessToken, refreshToken: newRefreshToken });
+    const admin = await Admin.findById(user_id).select("role level mustChangePassword passwordChangedAt");
+    if (!admin) {
+      await revokeSession(sid, "account_missing");
+      return next(Boom.unauthorized("Invalid refresh token."));
+    }
+
+    // A session must not outlive the password it was opened with: once the
+    // password is due for rotation, only logging in again (and changing it) helps.
+    if (passwordChangeReason(admin)) {
+      await revokeSession(sid, "password_expired");
+      return next(Boom.unauthorized("Your password has expired. Please log in again to change it."));
+    }
+
+    const accessToken = await signAccessToken({
+      user_id: admin._id,
+      role: admin.role,
+      level: admin.level,
+      sid,
+    });
+    res.json({ accessToken, refreshToken });
   } catch (e) {
     next(e);
   }
 };
 
-// controllers/adminController.js
-export const createAdmin = async (req, res, next) => {
-  const { username, password, role, level,email, sendEmail } = req.body;
-  const clientLevel = req.query.level;
-  if (clientLevel !== 'super') 
-    return next(Boom.forbidden('Only super admins can create admins'));
+const publicAdmin = (admin) => {
+  const data = admin.toObject();
+  delete data.password;
+  delete data.__v;
+  return data;
+};
+
+const setOwnPassword = async (admin, newPassword) => {
+  assertPasswordPolicy(newPassword, "Admin", admin);
+  if (await admin.isValidPass(newPassword)) {
+    throw Boom.badRequest("Choose a password you haven't used before.");
+  }
+  admin.password = newPassword; // hashed by the pre-save hook
+  admin.mustChangePassword = false;
+};
 
+// POST /admin/password/rotate { changeToken, newPassword }
+// Second half of a login that answered passwordChangeRequired; answers like /admin/login.
+export const rotatePassword = async (req, res, next) => {
   try {
-    // 1) duplicate‐email check
-    if (email) {
-      const dup = await Admin.findOne({ email });
-      if (dup) return next(Boom.conflict('Email already in use'));
+    const payload = await verifyChangeToken(req.body.changeToken);
+    const admin = await Admin.findById(payload.user_id);
+    if (!admin) {
+      return next(Boom.unauthorized("Invalid change token."));
     }
 
-    // 2) save new admin (password gets hashed via pre-save hook)
-    const newAdmin = new Admin({ username, password, role,level, email });
-    await newAdmin.save();
-
-    // 3) optionally email credentials
-    if (email && sendEmail) {
-      await transporter.sendMail({
-        from:    'no-reply@openpreneurs.business',
-        to:      email,
-        subject: 'Your Admin Credentials',
-        text:    `Username: ${username}\nPassword: ${password}\nVisit at https://openpreneurs.business/admin/opulententrepreneurs/login`
+    await setOwnPassword(admin, req.body.newPassword);
+    await completeChangeToken(payload);
+    await admin.save();
+
+    // Anything signed in with the old password is signed out.
+    await revokeSessions({ subject: admin._id, subjectModel: "Admin" }, "password_changed");
+    await recordSecurityEvent(admin, "password_change", req, { subjectModel: "Admin" });
+
+    const { accessToken, refreshToken } = await issueTokens(
+      { user_id: admin._id, role: admin.role, level: admin.level },
+      req,
+      { subjectModel: "Admin" }
+    );
+    res.json({ admin: publicAdmin(admin), accessToken, refreshToken });
+  } catch (error) {
+    if (error.isBoom) return next(error);
+    console.error("Error rotating admin password:", error);
+    next(Boom.internal("Error changing password."));
+  }
+};
+
+// POST /admin/password { currentPassword, newPassword } — signs out the admin's other devices.
+export const changePassword = async (req, res, next) => {
+  try {
+    const admin = await Admin.findById(req.payload.user_id);
+    if (!admin) {
+      return next(Boom.notFound("Admin not found."));
+    }
+    if (!req.body.currentPassword || !(await admin.isValidPass(req.body.currentPassword))) {
+      await recordSecurityEvent(admin, "password_change", req, {
+        subjectModel: "Admin",
+        outcome: "failure",
+        reason: "bad_password",
       });
+      return next(Boom.unauthorized("Current password is incorrect."));
     }
 
-    // 4) return without password
-    const adminObj = newAdmin.toObject();
-    delete adminObj.password;
-    delete adminObj.__v;
-    res.json({ message: 'Admin created', admin: adminObj });
+    await setOwnPassword(admin, req.body.newPassword);
+    await admin.save();
 
-  } catch (err) {
-    if (err.code === 11000) {
-      const field = Object.keys(err.keyPattern)[0];
-      return next(Boom.conflict(`${field.charAt(0).toUpperCase()+field.slice(1)} already exists`));
-    }
-    next(err);
+    await revokeSessions(
+      { subject: admin._id, subjectModel: "Admin", _id: { $ne: req.payload.sid } },
+      "password_changed"
+    );
+    await recordSecurityEvent(admin, "password_change", req, { subjectModel: "Admin" });
+
+    res.status(200).json({ success: true, message: "Password changed.", data: publicAdmin(admin) });
+  } catch (error) {
+    if (error.isBoom) return next(error);
+    console.error("Error changing admin password:", error);
+    next(Boom.internal("Error changing password."));
   }
 };
 
 export const updateAdminRole = async (req, res, next) => {
   const { adminId, newlevel } = req.body;
-  const clientLevel = req.query.level;
-  if (clientLevel !== "super") {
-    return next(Boom.forbidden("Unauthorized"));
-  }
 
   try {
     const updatedAdmin = await Admin.findByIdAndUpdate(
       adminId,
       { level: newlevel },
-      { new: true }
+      { new: true, runValidators: true }
     ).select("-password");
+    if (!updatedAdmin) return next(Boom.notFound("Admin not found"));
+
+    // Access tokens carry the level, so sign the admin out everywhere.
+    await revokeSessions({ subject: updatedAdmin._id, subjectModel: "Admin" }, "level_changed");
     res.json({ message: "Admin level updated", admin: updatedAdmin });
   } catch (error) {
     next(error);
@@ -154,21 +240,26 @@ export const updateAdminRole = async (req, res, next) => {
 
 export const updateAdminCredentials = async (req, res, next) => {
   const { adminId, username, password , email} = req.body;
-  const clientLevel = req.query.level;
-  if (clientLevel !== "super") {
-    return next(Boom.forbidden("Unauthorized"));
-  }
 
   try {
     const update = {};
     if (username) update.username = username;
-    if (password) update.password = password; // will be hashed by pre-save hook
-    if (email) update.email = email; // will be hashed by pre-save hook
+    if (email) update.email = email;
     const adminDoc = await Admin.findById(adminId);
     if (!adminDoc) return next(Boom.notFound("Admin not found"));
 
     Object.assign(adminDoc, update);
+    if (password) {
+      // A password set by someone else only gets the admin through the next
+      // login, where they must choose their own.
+      assertPasswordPolicy(password, "Admin", adminDoc);
+      adminDoc.password = password; // will be hashed by pre-save hook
+      adminDoc.mustChangePassword = true;
+    }
     await adminDoc.save();
+    if (password) {
+      await revokeSessions({ subject: adminDoc._id, subjectModel: "Admin" }, "password_reset");
+    }
 
     const adminObj = adminDoc.toObject();
     delete adminObj.password;
@@ -182,10 +273,6 @@ export const updateAdminCredentials = async (req, res, next) => {
 
 export const deleteAdmin = async (req, res, next) => {
   const { adminId } = req.params;
-  const clientLevel = req.query.level;
-  if (clientLevel !== "super") {
-    return next(Boom.forbidden("Unauthorized"));
-  }
 
   try {
     await Admin.findByIdAndDelete(adminId);
@@ -196,11 +283,6 @@ export const deleteAdmin = async (req, res, next) => {
 };
 
 export const getAllAdmins = async (req, res, next) => {
-  const clientLevel = req.query.level;           // ← read from URL
-
-  if (clientLevel !== "super") {
-    return next(Boom.forbidden("Unauthorized"));
-  }
 
   try {
     const admins = await Admin.find().select("-password");
@@ -210,6 +292,21 @@ export const getAllAdmins = async (req, res, next) => {
   }
 };
 
+// GET /admin/permissions
+// What the caller's token allows, so the admin UI can hide actions it would reject.
+export const getPermissions = async (req, res, next) => {
+  try {
+    const role = roleFor(req.payload);
+    res.status(200).json({
+      success: true,
+      data: { role, permissions: permissionsFor(role) },
+    });
+  } catch (error) {
+    console.error("Error resolving permissions:", error);
+    next(Boom.internal("Error resolving permissions."));
+  }
+};
+
 export const logoutAdmin = async (req, res, next) => {
   const { refresh_token } = req.body;
   if (!refresh_token) {
@@ -217,13 +314,8 @@ export const logoutAdmin = async (req, res, next) => {
   }
 
   try {
-    const adminId = await verifyRefreshToken(refresh_token);
-    if (!adminId) {
-      return next(Boom.unauthorized("Invalid refresh token."));
-    }
-
-    // Remove the stored refresh token in Redis
-    await redis.del(adminId.toString());
+    const session = await verifyRefreshToken(refresh_token, { subjectModel: "Admin" });
+    await revokeSession(session._id.toString());
 
     res.json({ message: "Logout successful" });
   } catch (e) {
@@ -236,12 +328,14 @@ export const logoutAdmin = async (req, res, next) => {
 
 export default {
 	loginAdmin,
-  createAdmin,
+  rotatePassword,
+  changePassword,
   getAllAdmins,
   deleteAdmin,
   RefreshToken,
   updateAdminCredentials,
   updateAdminRole,
   logoutAdmin,
-  getCurrentAdmin
+  getCurrentAdmin,
+  getPermissions
 };
\ No newline at end of file
@@ -0,0 +1,79 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
+
+const expect = require('expect');
+const mongoose = require('mongoose');
+
+const redis = require('../../clients/redis').default;
+const Admin = require('../../models/admin').default;
+const Session = require('../../models/session').default;
+const { issueTokens } = require('../../helpers/jwt');
+const { PASSWORD_MAX_AGE_DAYS } = require('../../helpers/admin-password');
+const { RefreshToken } = require('./index');
+
+const ADMIN_ID = '64a000000000000000000001';
+const DAY = 24 * 60 * 60 * 1000;
+
+// Runs a handler and resolves with what it passed to next(), or the JSON it sent.
+const run = (handler, req) =>
+  new Promise((resolve) => handler(req, { json: (body) => resolve({ body }) }, (err) => resolve({ err })));
+
+describe('admin token refresh', () => {
+  const original = {
+    set: redis.set,
+    findById: Admin.findById,
+    sessionCreate: Session.create,
+    sessionFindById: Session.findById,
+    sessionFindOneAndUpdate: Session.findOneAndUpdate,
+  };
+  var sessions, admin;
+
+  beforeEach(() => {
+    sessions = new Map();
+    redis.set = async () => 'OK';
+    Admin.findById = () => ({ select: async () => admin });
+    Session.create = async (doc) => {
+      const session = { ...doc, _id: new mongoose.Types.ObjectId(), revokedAt: null };
+      sessions.set(String(session._id), session);
+      return session;
+    };
+    Session.findById = async (id) => sessions.get(String(id)) || null;
+    Session.findOneAndUpdate = async (filter, update) => {
+      const session = sessions.get(String(filter._id));
+      if (!session || session.revokedAt || (filter.tokenId && session.tokenId !== filter.tokenId)) return null;
+      return Object.assign(session, update.$set);
+    };
+  });
+
+  afterEach(() => {
+    redis.set = original.set;
+    Admin.findById = original.findById;
+    Session.create = original.sessionCreate;
+    Session.findById = original.sessionFindById;
+    Session.findOneAndUpdate = original.sessionFindOneAndUpdate;
+  });
+
+  const login = async () =>
+    (await issueTokens({ user_id: ADMIN_ID, role: 'admin', level: 'super' }, {}, { subjectModel: 'Admin' })).refreshToken;
+
+  it('should refresh admins whose password is still current', async () => {
+    admin = { _id: ADMIN_ID, role: 'admin', level: 'super', passwordChangedAt: new Date(Date.now() - DAY) };
+    const { body } = await run(RefreshToken, { body: { refresh_token: await login() } });
+
+    expect(body.accessToken).toExist();
+    expect(body.refreshToken).toExist();
+  });
+
+  it('should end the session once the password is due for rotation', async () => {
+    admin = {
+      _id: ADMIN_ID,
+      role: 'admin',
+      level: 'super',
+      passwordChangedAt: new Date(Date.now() - (PASSWORD_MAX_AGE_DAYS + 1) * DAY),
+    };
+    const { err } = await run(RefreshToken, { body: { refresh_token: await login() } });
+
+    expect(err.output.statusCode).toBe(401);
+    expect([...sessions.values()][0].revokedReason).toBe('password_expired');
+  });
+});
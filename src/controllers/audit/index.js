@@ -0,0 +1,105 @@
+import Boom from "@hapi/boom"; // Preferred
+import mongoose from "mongoose";
+import AuditLog from "../../models/auditLog";
+import { csvCell } from "../../utils/csv";
+
+const EXPORT_LIMIT = 10000;
+
+// Shared by the list and the CSV export.
+const buildQuery = ({ actor, action, targetType, targetId, impersonation, from, to }) => {
+  const query = {};
+  if (actor) {
+    if (!mongoose.Types.ObjectId.isValid(actor)) {
+      throw Boom.badRequest("Invalid actor ID.");
+    }
+    query.actor = actor;
+  }
+  // Every request made during one "view as user" session.
+  if (impersonation) {
+    if (!mongoose.Types.ObjectId.isValid(impersonation)) {
+      throw Boom.badRequest("Invalid impersonation ID.");
+    }
+    query.impersonation = impersonation;
+  }
+  if (action) query.action = action;
+  if (targetType) query.targetType = targetType;
+  if (targetId) query.targetId = targetId;
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+    if (Object.values(query.createdAt).some((d) => isNaN(d.getTime()))) {
+      throw Boom.badRequest("Invalid date range.");
+    }
+  }
+  return query;
+};
+
+// GET /admin/audit
+export const getAuditLogs = async (req, res, next) => {
+  try {
+    const { limit = 50, page = 1 } = req.query;
+    const perPage = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+
+    const query = buildQuery(req.query);
+    const [logs, totalLogs] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((currentPage - 1) * perPage)
+        .limit(perPage)
+        .lean(),
+      AuditLog.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      totalLogs,
+      currentPage,
+      totalPages: Math.ceil(totalLogs / perPage),
+      logs,
+    });
+  } catch (error) {
+    if (error.isBoom) return next(error);
+    console.error("Error fetching audit logs:", error);
+    next(Boom.internal("Error fetching audit logs."));
+  }
+};
+
+// GET /admin/audit/export — same filters as the list, as a CSV download.
+export const exportAuditLogs = async (req, res, next) => {
+  try {
+    const logs = await AuditLog.find(buildQuery(req.query))
+      .sort({ createdAt: -1 })
+      .limit(EXPORT_LIMIT)
+      .lean();
+
+    const header = ["createdAt", "actor", "actorRole", "action", "targetType", "targetId", "ip", "changes"];
+    const rows = logs.map((log) =>
+      [
+        log.createdAt.toISOString(),
+        log.actor ? String(log.actor) : "",
+        log.actorRole,
+        log.action,
+        log.targetType,
+        log.targetId,
+        log.ip,
+        log.changes,
+      ].map(csvCell).join(",")
+    );
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="audit-${stamp}.csv"`);
+    res.status(200).send([header.join(","), ...rows].join("\r\n"));
+  } catch (error) {
+    if (error.isBoom) return next(error);
+    console.error("Error exporting audit logs:", error);
+    next(Boom.internal("Error exporting audit logs."));
+  }
+};
+
+export default {
+  getAuditLogs,
+  exportAuditLogs,
+};
@@ -0,0 +1,89 @@
+import audit from "../../middlewares/audit";
+import User from "../../models/user";
+import Price from "../../models/price";
+import Payment from "../../models/payment";
+import LiftAi from "../../models/lift-ai";
+import Mytribe from "../../models/mytribes";
+
+// Audit middleware for each privileged route. The snapshots only pick the
+// fields the route can change, so diffs stay readable.
+
+export const auditUserAdminUpdate = audit({
+  action: "user.admin_update",
+  targetType: "User",
+  targetId: (req) => req.params.userId,
+  snapshot: (req) =>
+    User.findById(req.params.userId)
+      .select("tokens subscription role status level period nextBillingDate")
+      .lean(),
+});
+
+export const auditPriceUpdate = audit({
+  action: "price.update",
+  targetType: "Price",
+  targetId: (req, body) => body?._id,
+  snapshot: () => Price.findOne().select("-__v -createdAt -updatedAt").lean(),
+});
+
+export const auditRefund = audit({
+  action: "payment.refund",
+  targetType: "Payment",
+  targetId: (req) => req.body.paymentId,
+  snapshot: async (req) => {
+    const payment = await Payment.findById(req.body.paymentId)
+      .select("paymentid user data payment tokens status period")
+      .lean();
+    if (!payment) return null;
+    const user = await User.findById(payment.user)
+      .select("tokens subscription period nextBillingDate courses")
+      .lean();
+    return { payment, user };
+  },
+});
+
+export const auditDiscountCreate = audit({
+  action: "discount.create",
+  targetType: "Discount",
+  // Nothing exists before; afterwards record the coupons that were issued.
+  snapshot: (req, body) =>
+    body?.data
+      ? {
+          discounts: body.data.map((d) => ({
+            _id: d._id,
+            token: d.token,
+            value: d.value,
+            for: d.for,
+            subscription: d.subscription,
+            period: d.period,
+            numberOfUses: d.numberOfUses,
+          })),
+        }
+      : null,
+});
+
+export const auditPromptUpdate = audit({
+  action: "liftai.prompt_update",
+  targetType: "LiftAi",
+  targetId: (req, body) => body?.data?._id,
+  snapshot: () => LiftAi.findOne().select("prompt").lean(),
+});
+
+// Staff block through /mytribes/:tribeId/block/:userId, tribe admins through
+// /auth/tribes/block-user with the ids in the body.
+const tribeBlockIds = (req) => ({
+  tribeId: req.params.tribeId || req.body?.tribeId,
+  userId: req.params.userId || req.body?.targetUserId,
+});
+
+export const auditTribeBlock = audit({
+  action: "tribe.block_user",
+  targetType: "Mytribe",
+  targetId: (req) => tribeBlockIds(req).tribeId,
+  snapshot: async (req) => {
+    const { tribeId, userId } = tribeBlockIds(req);
+    const tribe = await Mytribe.findById(tribeId)
+      .select("members admins blockedUsers")
+      .lean();
+    return tribe ? { blockedUserId: userId, ...tribe } : null;
+  },
+});
@@ -11,26 +11,51 @@ import Payment from "../../models/payment.js";
 const bcrypt = require('bcrypt');
 import {
   signAccessToken,
-  signRefreshToken,
+  issueTokens,
   verifyRefreshToken,
+  rotateRefreshToken,
+  revokeSession,
+  revokeSessions,
 } from "../../helpers/jwt";
 import ValidationSchema from "./validations";
+import {
+  LOGIN_POLICIES,
+  lockedError,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from "../../helpers/login-guard";
+import { recordSecurityEvent } from "../../helpers/security-events";
+import { passwordPolicyError } from "../../helpers/password-policy";
+import { twoFactorChallenge } from "../../helpers/two-factor";
+import {
+  scheduleDeletion,
+  canRestoreOnLogin,
+  restoreAccount,
+} from "../../helpers/account-deletion";
+import { signInBlocked } from "../../helpers/user-sign-in";
+import { findReferrer, attributeReferral } from "../../helpers/referrals";
+import { addDailyUsage, paidCourses } from "../../helpers/entitlements";
+import { clearSuggestions } from "../../helpers/suggestions";
+import { follow, removeFollowsBetween, notifyFollowers, isFollowing } from "../../helpers/follows";
+import {
+  PROFILE_SOURCE_FIELDS,
+  RELATIONSHIP_FIELDS,
+  discoverableQuery,
+  listedQuery,
+  listedMembers,
+  parseVisibility,
+  serializeProfile,
+  serializeProfiles,
+  loadViewer,
+} from "../../helpers/profile-serializer";
+import { actingUserId, canActForAnyUser } from "../../middlewares/requireAuth";
 const redis = require("../../clients/redis").default;
 
 import Stripe from "stripe";
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
-const nodemailer = require('nodemailer');
-const crypto = require('crypto'); // For generating a unique verification token
-const transporter = nodemailer.createTransport({
-  host: 'smtp.hostinger.com', // Hostinger SMTP server
-  port: 465,  // Port number for Hostinger SMTP (587 for TLS)
-  secure: true,  // TLS/SSL setting (use 'true' for port 465, 'false' for port 587)
-  auth: {
-    user: "no-reply@openpreneurs.business", // Replace with your Hostinger email
-    pass: "1mpactLiv!ng",  // Replace with your email password
-  },
-});
+import { sendVerificationEmail } from "../../helpers/account-tokens";
 
 const { v4: uuidv4 } = require("uuid");
 const { Storage } = require("@google-cloud/storage");
@@ -41,6 +66,10 @@ const storage = new Storage({
 });
 const bucket = storage.bucket(process.env.GCS_BUCKET_NAME);
 
+// What profile cards (search results, "tribes" discovery) show.
+const PROFILE_CARD_FIELDS = ["firstName", "lastName", "username", "title", "profile_pic", "display_banner"];
+const RELATIONSHIP_PROJECTION = Object.fromEntries(RELATIONSHIP_FIELDS.split(" ").map((field) => [field, 1]));
+
 // Function to upload files to Firebase and get the public URL
 // Function to upload files to GCS and get the public URL
 export const handleFirebaseUpload = async (file, folder, nameFormat) => {
@@ -81,6 +110,8 @@ const createFirstCoupon = async (discountValue) => {
 };
 
 
+const FREE_PLAN = "free";
+
 const Register = async (req, res, next) => {
   const input = req.body;
   const redis = require("../../clients/redis").default;
@@ -93,8 +124,16 @@ const Register = async (req, res, next) => {
     return next(Boom.badRequest("First name and last name are required."));
   }
 
-  if (!input.plan || !input.period) {
-    return next(Boom.badRequest("Subscription plan and period are required."));
+  // No plan (or "free") signs up to the free tier: no card and no Stripe
+  // customer until the member upgrades through /payment.
+  const freeTier = !input.plan || input.plan === FREE_PLAN;
+  if (!freeTier && !input.period) {
+    return next(Boom.badRequest("Subscription period is required."));
+  }
+
+  const weakPassword = passwordPolicyError(input.password, "User", input);
+  if (weakPassword) {
+    return next(weakPassword);
   }
 
   let stripeCustomerId = null;
@@ -111,6 +150,41 @@ const Register = async (req, res, next) => {
     if (emailExists) return next(Boom.conflict("This e-mail is already in use."));
     if (usernameExists) return next(Boom.conflict("This username is already in use."));
 
+    let referrer = null;
+    if (input.referralCode) {
+      referrer = await findReferrer(input.referralCode);
+      if (!referrer) return next(Boom.badRequest("Referral code not found."));
+    }
+
+    if (freeTier) {
+      const savedUser = await new User({
+        firstName: input.firstName,
+        lastName: input.lastName,
+        username: input.username,
+        email: input.email,
+        password: input.password,
+        country: input.country,
+        verified: "No",
+        status: "active",
+        subscription: "none",
+        tokens: 0,
+        trial_used: false,
+      }).save();
+
+      if (referrer) {
+        await attributeReferral(savedUser, referrer, req).catch((err) =>
+          console.error("Error recording referral:", err.message)
+        );
+      }
+      await sendVerificationEmail(savedUser, input.frontendUrl);
+
+      return res.json({
+        success: true,
+        message: "Registration successful! Check your email for verification.",
+        userId: savedUser._id,
+      });
+    }
+
     // Create Stripe customer
     const customer = await stripe.customers.create({
       email: input.email,
@@ -118,18 +192,17 @@ const Register = async (req, res, next) => {
     });
     stripeCustomerId = customer.id;
 
-    // Generate verification token
-    const verificationToken = crypto.randomBytes(32).toString('hex');
-
     // Prepare user data for Redis
     const userData = {
       ...input,
       verified: "No",
-      verificationToken,
       stripeCustomerId,
       status: "pending_payment",
       tokens: 0,
-      trial_used: false
+      trial_used: false,
+      // Attribution is recorded separately; never take these from the body.
+      referralCode: undefined,
+      referredBy: undefined,
     };
 
     // Save to Redis with 1 hour expiration
@@ -264,6 +337,12 @@ const Register = async (req, res, next) => {
     // Remove from Redis
     await redis.del(`temp_user:${stripeCustomerId}`);
 
+    if (referrer) {
+      await attributeReferral(savedUser, referrer, req).catch((err) =>
+        console.error("Error recording referral:", err.message)
+      );
+    }
+
     // Apply discount if used
     if (discountDoc) {
       discountDoc.used_by.push(input.username);
@@ -288,20 +367,7 @@ const Register = async (req, res, next) => {
     });
 
     // Send verification email
-    const frontendUrl = input.frontendUrl || "https://openpreneurs.business";
-    const verificationLink = `${frontendUrl}/verify/${verificationToken}`;
-
-    await transporter.sendMail({
-      from: process.env.EMAIL_FROM,
-      to: input.email,
-      subject: "Verify Your Email",
-      html: `
-        <p>Welcome to our service!</p>
-        <p>Please verify your email by clicking the link below:</p>
-        <a href="${verificationLink}">Verify Email</a>
-        <p>If you didn't create an account, please ignore this email.</p>
-      `
-    });
+    await sendVerificationEmail(savedUser, input.frontendUrl);
 
     res.json({
       success: true,
@@ -353,37 +419,35 @@ const Login = async (req, res, next) => {
   const input = req.body;
   try {
     const user = await User.findOne({ email: input.email });
+    const attempt = { account: user, identifier: input.email };
+    const blocked = await checkLoginAllowed("User", req, attempt);
+    if (blocked) {
+      return next(blocked);
+    }
     if (!user) {
+      await recordLoginFailure("User", req, { ...attempt, reason: "unknown_account" });
       return next(Boom.notFound("Email not found."));
     }
 
-    if (user.status === "inactive") {
-      return next(Boom.unauthorized("Account has been suspended. Please contact support for more info."));
-    }
-
     const isMatched = await user.isValidPass(input.password);
     if (!isMatched) {
+      const { locked } = await recordLoginFailure("User", req, attempt);
+      await recordSecurityEvent(user, "login", req, { outcome: "failure", reason: "bad_password" });
+      if (locked) {
+        return next(lockedError("User", LOGIN_POLICIES.User.lockMinutes * 60 * 1000));
+      }
       return next(Boom.unauthorized("Invalid email or password."));
     }
+    await recordLoginSuccess("User", req, attempt);
+    const refused = signInBlocked(user, { allowUnverified: true });
+    if (refused) {
+      return next(refused);
+    }
 
-    // If the user is not verified, generate a new verification token and resend email
-    if (user.verified === "No") {
-      // Generate a new verification token
-      const verificationToken = crypto.randomBytes(32).toString("hex");
-      user.verificationToken = verificationToken; // Override the previous token
-      await user.save();
-
-      // Send the new verification email
-      const frontendUrl = input.frontendUrl || "https://openpreneurs.business";
-      const verificationLink = `${frontendUrl}/verify/${verificationToken}`;
-      const mailOptions = {
-        from: "no-reply@openpreneurs.business",
-        to: input.email, // Send to user's email
-        subject: "Verify Your Email",
-        text: `Please click on the following link to verify your email: ${verificationLink}`,
-      };
+    // If the user is not verified, send a fresh verification link
+    if (user.verified !== "Yes") {
       try {
-        await transporter.sendMail(mailOptions);
+        await sendVerificationEmail(user, input.frontendUrl);
         return next(
           Boom.unauthorized(
             "Account not verified. A new verification email has been sent to your email address."
@@ -427,17 +491,28 @@ const Login = async (req, res, next) => {
       );
     }
 
-    const tokenExpiry = input.rememberMe ? "7d" : "1h"; // 7 days for "Remember Me", 1 hour otherwise
+    // Accounts with 2FA get a challenge instead of tokens (see /auth/2fa/verify).
+    const challenge = await twoFactorChallenge(user, "User");
+    if (challenge) {
+      return res.json(challenge);
+    }
 
-    const accessToken = await signAccessToken({ user_id: user._id, role: user.role }, tokenExpiry);
-    const refreshToken = await signRefreshToken(user._id);
+    // Logging in during the grace period cancels a pending deletion.
+    const restored = canRestoreOnLogin(user);
+    if (restored) await restoreAccount(user);
+
+    const { accessToken, refreshToken } = await issueTokens(
+      { user_id: user._id, role: user.role, level: user.level },
+      req
+    );
+    await recordSecurityEvent(user, "login", req);
 
     // If the user is verified, proceed with login
     const userData = user.toObject();
     delete userData.password;
     delete userData.__v;
 
-    res.json({ user: userData, accessToken, refreshToken });
+    res.json({ user: userData, accessToken, refreshToken, ...(restored && { accountRestored: true }) });
   } catch (e) {
     next(e);
   }
@@ -447,13 +522,15 @@ const deleteUser = async (req, res, next) => {
   try {
     const userId = req.params.id;
 
-    const user = await User.findByIdAndDelete(userId);
+    const user = await User.findById(userId);
 
     if (!user) {
       return next(Boom.notFound("User not found."));
     }
 
-    res.json({ message: "User deleted successfully." });
+    const purgeAt = await scheduleDeletion(user, "admin");
+
+    res.json({ message: "User scheduled for deletion.", purgeAt });
   } catch (e) {
     next(e);
   }
@@ -469,11 +546,22 @@ const RefreshToken = async (req, res, next) => {
   }
 
   try {
-    const user_id = await verifyRefreshToken(refresh_token);
-    const accessToken = await signAccessToken(user_id);
-    const newRefreshToken = await signRefreshToken(user_id);
+    const { user_id, sid, refreshToken } = await rotateRefreshToken(refresh_token, req);
+
+    const user = await User.findById(user_id).select("role level");
+    if (!user) {
+      await revokeSession(sid, "account_missing");
+      return next(Boom.unauthorized("Invalid refresh token."));
+    }
 
-    res.json({ accessToken, refreshToken: newRefreshToken });
+    const accessToken = await signAccessToken({
+      user_id: user._id,
+      role: user.role,
+      level: user.level,
+      sid,
+    });
+    await recordSecurityEvent(user, "token_refresh", req);
+    res.json({ accessToken, refreshToken });
   } catch (e) {
     next(e);
   }
@@ -487,15 +575,8 @@ const Logout = async (req, res, next) => {
   }
 
   try {
-    const user_id = await verifyRefreshToken(refresh_token);
-
-    if (!user_id) {
-      return next(Boom.unauthorized("Invalid refresh token."));
-    }
-
-    // Correct Redis call
-    const result = await redis.del(user_id.toString()); // Ensure it's a string
-
+    const session = await verifyRefreshToken(refresh_token, { subjectModel: "User" });
+    await revokeSession(session._id.toString());
 
     res.json({ message: "Logout successful" });
   } catch (e) {
@@ -591,6 +672,10 @@ const getAddress = async (req, res, next) => {
     if (!user) {
       return next(Boom.notFound("User not found.")); // Return error if user is not found
     }
+    // Only staff who may read member accounts may look up someone else's address.
+    if (user._id.toString() !== String(req.payload.user_id) && !canActForAnyUser(req.payload, "readAny")) {
+      return next(Boom.forbidden("You can only perform this action for your own account."));
+    }
     // Format the response to return the user's address information
     const userAddress = {
       firstName: user.firstName || "",
@@ -619,6 +704,14 @@ export const Me = async (req, res, next) => {
   try {
     // 1️⃣ Try User
     const user = await User.findById(user_id).select("-password -__v");
+    if (user && req.payload.imp) {
+      // Lets the app show a "viewing as" banner for staff.
+      const { scope, role } = req.payload.imp;
+      return res.json({
+        ...user.toJSON(),
+        impersonation: { scope, staffRole: role, expiresAt: new Date(req.payload.exp * 1000) },
+      });
+    }
     if (user) {
       return res.json(user);
     }
@@ -640,8 +733,8 @@ export const Me = async (req, res, next) => {
 const updateUserInfo = async (req, res, next) => {
   try {
 
-    // Extract the user ID from URL params, body, or the authenticated user.
-    const userId = req.params.id || req.body.id || req.user?.id;
+    // The account being edited; an explicit body id is checked by ownUser.
+    const userId = actingUserId(req);
     console.log(req.body);
 
     if (!userId) {
@@ -821,6 +914,15 @@ const updateUserInfo = async (req, res, next) => {
     // Update privacy if provided.
     if (privacy) user.privacy = privacy;
 
+    // Per-field visibility (email, phone, social, business), only the groups sent.
+    if (req.body.visibility) {
+      const visibility = parseVisibility(req.body.visibility);
+      Object.entries(visibility).forEach(([group, audience]) => {
+        user.set(`visibility.${group}`, audience);
+      });
+      if (visibility.email) user.email_visibility = visibility.email !== "only_me";
+    }
+
     // Update file URLs if the uploads succeeded.
     user.profile_pic = profilePictureUrl;
     user.display_banner = bannerUrl;
@@ -833,15 +935,22 @@ const updateUserInfo = async (req, res, next) => {
       // Verify that the old password is correct.
       const isMatch = await user.isValidPass(oldPassword);
       if (!isMatch) {
+        await recordSecurityEvent(user, "password_change", req, { outcome: "failure", reason: "bad_password" });
         return next(Boom.unauthorized("Old password is incorrect."));
       }
+      const weakPassword = passwordPolicyError(newPassword, "User", user);
+      if (weakPassword) {
+        return next(weakPassword);
+      }
       // Hash the new password explicitly.
       const salt = await bcrypt.genSalt(10);
       user.password = await bcrypt.hash(newPassword, salt);
+      user.hasPassword = true;
     }
 
     // Save the updated user.
     await user.save();
+    if (newPassword) await recordSecurityEvent(user, "password_change", req);
 
     res.json({ message: "User information updated successfully.", user });
   } catch (error) {
@@ -946,6 +1055,11 @@ export const updateUserAdminDetails = async (req, res, next) => {
       return next(Boom.notFound("User not found."));
     }
 
+    // Role and level travel in access tokens; make the user sign in again.
+    if (role || level) {
+      await revokeSessions({ subject: updatedUser._id, subjectModel: "User" }, "role_changed");
+    }
+
     res.status(200).json({
       success: true,
       message: "User updated successfully.",
@@ -1019,8 +1133,15 @@ const GetTotalNumberOfRegistrationsByDateRange = async (req, res, next) => {
 
 const getAllUsers = async (req, res, next) => {
   try {
-    const users = await User.find().select("-password -__v"); // Exclude sensitive fields
-    res.json(users);
+    if (canActForAnyUser(req.payload, "readAny")) {
+      const users = await User.find().select("-password -__v"); // Exclude sensitive fields
+      return res.json(users);
+    }
+
+    // Members get each profile as their relationship to its owner allows.
+    const viewer = await loadViewer(req);
+    const users = await User.find(discoverableQuery(viewer)).select(PROFILE_SOURCE_FIELDS).lean();
+    res.json(serializeProfiles(users, viewer));
   } catch (e) {
     next(e);
   }
@@ -1174,6 +1295,7 @@ const forwardMessage = async (req, res, next) => {
       forward: true,
       type: 'text'
     });
+    await addDailyUsage(userId1, "dmsPerDay");
 
     // Log the new message to ensure it's properly created
     console.log("New Forwarded Message Created:", newMessage);
@@ -1257,7 +1379,7 @@ async function flushChatBuffer(room) {
 export const getChatMessages = async (req, res, next) => {
   try {
     const { chatLobbyId } = req.params;
-    const userId = req.query.userId || req.payload?.user_id;
+    const userId = actingUserId(req);
     const page = parseInt(req.query.page, 10) || 0;
     const PAGE_SIZE = 20;
 
@@ -1349,7 +1471,8 @@ export const deleteChatLobbyForUser = async (req, res, next) => {
 
 /**
  * Send a friend request.
- * Adds the current user's ID (from req.user) to the target user's 'requests' array.
+ * Adds the current user's ID (checked against the access token) to the target user's 'requests' array.
+ * Members in "followers only" mode don't take requests; the sender follows them instead.
  */
 export const sendFriendRequest = async (req, res, next) => {
   try {
@@ -1359,6 +1482,16 @@ export const sendFriendRequest = async (req, res, next) => {
       return next(Boom.badRequest("Target user ID and current user ID are required."));
     }
 
+    const target = await User.findById(targetUserId).select("followersOnly mytribers").lean();
+    if (target?.followersOnly && !target.mytribers?.some((id) => id.toString() === currentUserId.toString())) {
+      const { followee } = await follow(currentUserId, targetUserId);
+      return res.status(200).json({
+        success: true,
+        message: `${followee.username} only accepts followers, so you are now following them.`,
+        data: { following: true },
+      });
+    }
+
     // Add currentUserId to the target user's 'requests' array.
     const targetUser = await User.findByIdAndUpdate(
       targetUserId,
@@ -1393,6 +1526,7 @@ export const sendFriendRequest = async (req, res, next) => {
       data: targetUser,
     });
   } catch (error) {
+    if (error.isBoom) return next(error);
     console.error("Error sending triber request:", error);
     next(Boom.internal("Error sending triber request."));
   }
@@ -1436,6 +1570,7 @@ export const acceptFriendRequest = async (req, res, next) => {
       },
       { new: true }
     );
+    await clearSuggestions(currentUserId, requesterId);
 
     // --- Notification Logic for Friend Request Acceptance ---
     // Notify the requester (sender) that the friend request has been accepted.
@@ -1528,6 +1663,8 @@ export const blockUser = async (req, res, next) => {
       { $addToSet: { blockedby: currentUserId } },
       { new: true }
     );
+    await clearSuggestions(currentUserId, targetUserId);
+    await removeFollowsBetween(currentUserId, targetUserId);
 
     res.status(200).json({
       success: true,
@@ -1564,6 +1701,7 @@ export const unblockUser = async (req, res, next) => {
       { $pull: { blockedby: currentUserId } },
       { new: true }
     );
+    await clearSuggestions(currentUserId, targetUserId);
 
     res.status(200).json({
       success: true,
@@ -1601,6 +1739,7 @@ export const removeFriend = async (req, res, next) => {
       { $pull: { mytribers: currentUserId } },
       { new: true }
     );
+    await clearSuggestions(currentUserId, friendId);
 
     res.status(200).json({
       success: true,
@@ -1616,7 +1755,7 @@ export const removeFriend = async (req, res, next) => {
 export const cancelSentFriendRequest = async (req, res, next) => {
   try {
     const { targetUserId } = req.body; // the user to whom the request was sent
-    const currentUserId = req.user && (req.user._id || req.user.id);
+    const currentUserId = actingUserId(req);
 
     if (!targetUserId || !currentUserId) {
       return next(Boom.badRequest("Target user ID and current user ID are required."));
@@ -1654,7 +1793,7 @@ export const cancelSentFriendRequest = async (req, res, next) => {
 export const removeRejectedFriendRequest = async (req, res, next) => {
   try {
     const { requesterId } = req.body; // the user whose friend request was rejected and is recorded in rejectedrequests
-    const currentUserId = req.user && (req.user._id || req.user.id);
+    const currentUserId = actingUserId(req);
 
     if (!requesterId || !currentUserId) {
       return next(Boom.badRequest("Requester ID and current user ID are required."));
@@ -1710,6 +1849,7 @@ export const updateUsername = async (req, res, next) => {
     if (!updatedUser) {
       return next(Boom.notFound("User not found."));
     }
+    await recordSecurityEvent(updatedUser, "username_change", req);
 
     res.status(200).json({
       success: true,
@@ -1741,13 +1881,20 @@ export const updateUserPassword = async (req, res, next) => {
       return next(Boom.notFound("User not found."));
     }
 
+    const weakPassword = passwordPolicyError(newPassword, "User", user);
+    if (weakPassword) {
+      return next(weakPassword);
+    }
+
     // Hash the new password
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(newPassword, salt);
     user.password = hashedPassword;
+    user.hasPassword = true;
 
     // Save the updated user
     const updatedUser = await user.save();
+    await recordSecurityEvent(user, "password_change", req);
     res.json({ message: "Password updated successfully.", user: updatedUser });
   } catch (error) {
     console.error("Error updating password:", error);
@@ -1990,6 +2137,8 @@ export const joinTribe = async (req, res, next) => {
       const [updatedUser, updatedTribe] = await Promise.all([userUpdatePromise, tribeUpdatePromise]);
       if (!updatedUser) return next(Boom.notFound("User not found."));
       if (!updatedTribe) return next(Boom.notFound("Tribe not found."));
+      // Not awaited: followers hearing about it shouldn't hold up the join.
+      notifyFollowers(userId, "followactivity", `${updatedUser.username} joined the tribe ${updatedTribe.title}`);
       return res.status(200).json({
         success: true,
         message: "Joined tribe successfully.",
@@ -2071,11 +2220,14 @@ export const getTribeMembers = async (req, res, next) => {
     if (!tribeId) {
       return next(Boom.badRequest("Tribe ID is required."));
     }
-    const tribe = await Mytribe.findById(tribeId).populate("members", "username profile_pic");
+    const [tribe, viewer] = await Promise.all([
+      Mytribe.findById(tribeId).populate(listedMembers("members", `username profile_pic ${RELATIONSHIP_FIELDS}`)),
+      loadViewer(req),
+    ]);
     if (!tribe) return next(Boom.notFound("Tribe not found."));
     res.status(200).json({
       success: true,
-      members: tribe.members,
+      members: serializeProfiles(tribe.members, viewer, { fields: ["username", "profile_pic"] }),
     });
   } catch (error) {
     console.error("Error fetching tribe members:", error);
@@ -2121,7 +2273,7 @@ export const leaveTribe = async (req, res, next) => {
 
 const deleteChatForUser = async (req, res, next) => {
   try {
-    const userId = req.body.userId || req.payload.user_id;
+    const userId = actingUserId(req);
     const { chatLobbyId } = req.body;
     if (!chatLobbyId) {
       return res.status(400).json({ error: "chatLobbyId is required" });
@@ -2254,6 +2406,13 @@ export const addCourse = async (req, res, next) => {
     if (!userId || !courseId) {
       return next(Boom.badRequest("User ID and Course ID are required."));
     }
+    if (!mongoose.Types.ObjectId.isValid(courseId)) {
+      return next(Boom.badRequest("Invalid course ID."));
+    }
+    // Courses are added by the payment flow; this only re-lists one already paid for.
+    if (!canActForAnyUser(req.payload) && !(await paidCourses(userId, [courseId])).has(String(courseId))) {
+      return next(Boom.paymentRequired("Purchase this course to add it to your courses."));
+    }
     const updatedUser = await User.findByIdAndUpdate(
       userId,
       { $addToSet: { courses: courseId } },
@@ -2281,6 +2440,7 @@ export const toggleEmailVisibility = async (req, res, next) => {
     if (!user) return next(Boom.notFound("User not found."));
 
     user.email_visibility = !user.email_visibility;
+    user.set("visibility.email", user.email_visibility ? "everyone" : "only_me");
     await user.save();
 
     res.status(200).json({
@@ -2385,14 +2545,15 @@ export const deleteAccount = async (req, res, next) => {
     if (!userId) {
       return next(Boom.unauthorized("User not authenticated."));
     }
-    const deletedUser = await User.findByIdAndDelete(userId);
-    if (!deletedUser) {
+    const user = await User.findById(userId);
+    if (!user) {
       return next(Boom.notFound("User not found."));
     }
+    const purgeAt = await scheduleDeletion(user, "user");
     res.status(200).json({
       success: true,
-      message: "Account deleted successfully.",
-      data: deletedUser,
+      message: `Your account will be deleted on ${purgeAt.toDateString()}. Log in before then to keep it.`,
+      data: { purgeAt },
     });
   } catch (error) {
     console.error("Error deleting account:", error);
@@ -2410,103 +2571,41 @@ export const getUserProfileForChecker = async (req, res, next) => {
     }
 
     // Fetch target user and checker user
-    const targetUser = await User.findById(targetUserId);
+    const [targetUser, checker, following] = await Promise.all([
+      User.findOne({ _id: targetUserId, ...listedQuery() })
+        .select(`${PROFILE_SOURCE_FIELDS} followersOnly followersCount followingCount`)
+        .lean(),
+      loadViewer(req),
+      isFollowing(checkerUserId, targetUserId),
+    ]);
     if (!targetUser) {
       return next(Boom.notFound("Target user not found."));
     }
 
-    // Compute totals (defaulting to 0 if arrays are missing)
-    const totalMytribers = targetUser.mytribers ? targetUser.mytribers.length : 0;
-    const totalCourses = targetUser.courses ? targetUser.courses.length : 0;
-    const totalTribes = targetUser.joined_tribes ? targetUser.joined_tribes.length : 0;
-
-    // Fetch tribe details for the joined tribes
-    const joinedTribesDetails = await Mytribe.find({
-      _id: { $in: targetUser.joined_tribes },
-      status: true // Only include tribes with status: true
-    }).select('title tribeCategory _id thumbnail');  // Fetch name, category, _id, thumbnail
-
-    // Define minimal view fields (always visible)
-    const minimalFields = {
-      username: targetUser.username,
-      profile_pic: targetUser.profile_pic,
-      display_banner: targetUser.display_banner,
-      title: targetUser.title,
-      shortintro: targetUser.shortintro,
-      firstName: targetUser.firstName,
-      lastName: targetUser.lastName,
-      totalMytribers,
-      totalCourses,
-      totalTribes,
-    };
-    if (targetUser.email_visibility) {
-      minimalFields.email = targetUser.email;
-    }
-
-    // Define full view fields (complete profile)
-    const fullFields = {
-      username: targetUser.username,
-      profile_pic: targetUser.profile_pic,
-      display_banner: targetUser.display_banner,
-      title: targetUser.title,
-      shortintro: targetUser.shortintro,
-      firstName: targetUser.firstName,
-      lastName: targetUser.lastName,
-      country: targetUser.country,
-      gender: targetUser.gender,
-      business_country: targetUser.business_country,
-      business_industry: targetUser.business_industry,
-      value_chainstake: targetUser.value_chainstake,
-      markets_covered: targetUser.markets_covered,
-      immediate_needs: targetUser.immediate_needs,
-      phone: targetUser.phone,
-      joined_tribes: joinedTribesDetails, // Include joined tribe details
-      courses: targetUser.courses,
-      tools: targetUser.tools,
-      primary_business: targetUser.primary_business,
-      facebook_link: targetUser.facebook_link,
-      linkedin_link: targetUser.linkedin_link,
-      instagram_link: targetUser.instagram_link,
-      x_link: targetUser.x_link,
-      web_link: targetUser.web_link,
-      account_avaialability: targetUser.account_avaialability,
-      aboutme: targetUser.aboutme,
-      mytribers: targetUser.mytribers,
-      totalMytribers,
-      totalCourses,
-      totalTribes,
-    };
-    if (targetUser.email_visibility) {
-      fullFields.email = targetUser.email;
+    // What the checker may see depends on privacy, field visibility and how they're related.
+    const profile = serializeProfile(targetUser, checker);
+    if (profile.relationship === "blocked") {
+      return res.status(200).json({ success: true, data: profile });
     }
 
-    // Determine view based on privacy setting.
-    // Assume targetUser.privacy exists and can be "private", "triber_only", or "public".
-    const privacy = targetUser.privacy || "public";
-
-    if (privacy === "private") {
-      return res.status(200).json({ success: true, data: minimalFields });
-    } else if (privacy === "triber_only") {
-      // For triber_only, check if checker is mutual triber.
-      const checkerUser = await User.findById(checkerUserId);
-      if (!checkerUser) {
-        return next(Boom.notFound("Checker user not found."));
-      }
-      const targetHasChecker = targetUser.mytribers.some(
-        (id) => id.toString() === checkerUserId.toString()
-      );
-      const checkerHasTarget = checkerUser.mytribers.some(
-        (id) => id.toString() === targetUserId.toString()
-      );
-      if (targetHasChecker && checkerHasTarget) {
-        return res.status(200).json({ success: true, data: fullFields });
-      } else {
-        return res.status(200).json({ success: true, data: minimalFields });
-      }
-    } else {
-      // Public: return full view.
-      return res.status(200).json({ success: true, data: fullFields });
-    }
+    // Compute totals (defaulting to 0 if arrays are missing)
+    profile.totalMytribers = targetUser.mytribers ? targetUser.mytribers.length : 0;
+    profile.totalCourses = targetUser.courses ? targetUser.courses.length : 0;
+    profile.totalTribes = targetUser.joined_tribes ? targetUser.joined_tribes.length : 0;
+    profile.followersCount = targetUser.followersCount || 0;
+    profile.followingCount = targetUser.followingCount || 0;
+    profile.followersOnly = Boolean(targetUser.followersOnly);
+    profile.following = following;
+
+    if (!profile.limited) {
+      // Fetch tribe details for the joined tribes
+      profile.joined_tribes = await Mytribe.find({
+        _id: { $in: targetUser.joined_tribes },
+        status: true // Only include tribes with status: true
+      }).select('title tribeCategory _id thumbnail');  // Fetch name, category, _id, thumbnail
+    }
+
+    return res.status(200).json({ success: true, data: profile });
   } catch (error) {
     console.error("Error fetching user profile for checker:", error);
     next(Boom.internal("Error fetching user profile."));
@@ -2518,11 +2617,13 @@ export const getUserProfileForUser = async (req, res, next) => {
     const limit = parseInt(req.query.limit) || 10;
     const page = parseInt(req.query.page) || 1;
     const excludeIds = req.body.excludeIds || [];
+    const viewer = await loadViewer(req);
 
     const users = await User.aggregate([
       {
         $match: {
           _id: { $nin: excludeIds.map(id => new mongoose.Types.ObjectId(id)) },
+          ...discoverableQuery(viewer),
         },
       },
       {
@@ -2540,6 +2641,7 @@ export const getUserProfileForUser = async (req, res, next) => {
           title: 1,
           profile_pic: 1,
           display_banner: 1,
+          ...RELATIONSHIP_PROJECTION,
         },
       },
       { $skip: (page - 1) * limit },
@@ -2549,7 +2651,7 @@ export const getUserProfileForUser = async (req, res, next) => {
     res.status(200).json({
       success: true,
       currentPage: page,
-      data: users,
+      data: serializeProfiles(users, viewer, { fields: PROFILE_CARD_FIELDS }),
     });
   } catch (error) {
     console.error("Error fetching paginated random users:", error);
@@ -2572,6 +2674,7 @@ export const searchTribers = async (req, res, next) => {
     }
 
     const regex = new RegExp(query.trim(), "i");
+    const viewer = await loadViewer(req);
 
     const results = await User.aggregate([
       {
@@ -2585,6 +2688,7 @@ export const searchTribers = async (req, res, next) => {
             { fullName: regex },
             { username: regex },
           ],
+          ...discoverableQuery(viewer),
         },
       },
       {
@@ -2599,6 +2703,7 @@ export const searchTribers = async (req, res, next) => {
                 title: 1,
                 profile_pic: 1,
                 display_banner: 1,
+                ...RELATIONSHIP_PROJECTION,
               },
             },
             { $skip: (page - 1) * limit },
@@ -2610,7 +2715,7 @@ export const searchTribers = async (req, res, next) => {
     ]);
 
 
-    const users = results[0].data;
+    const users = serializeProfiles(results[0].data, viewer, { fields: PROFILE_CARD_FIELDS });
     const totalUsers = results[0].totalCount[0]?.count || 0;
 
     res.status(200).json({
@@ -2638,15 +2743,20 @@ export const searchUsers = async (req, res, next) => {
     }
 
     // Perform case-insensitive search across firstName, lastName, and username
+    const viewer = await loadViewer(req);
     const users = await User.find({
       $or: [
         { firstName: { $regex: query, $options: "i" } },
         { lastName: { $regex: query, $options: "i" } },
         { username: { $regex: query, $options: "i" } },
       ],
-    }).select('_id firstName lastName username title');
+      ...discoverableQuery(viewer),
+    }).select(`_id firstName lastName username title ${RELATIONSHIP_FIELDS}`).lean();
 
-    return res.status(200).json({ success: true, data: users });
+    return res.status(200).json({
+      success: true,
+      data: serializeProfiles(users, viewer, { fields: ["firstName", "lastName", "username", "title"] }),
+    });
   } catch (error) {
     console.error("Error searching users:", error);
     next(Boom.internal("Error searching users."));
@@ -2680,7 +2790,7 @@ export const getAllTribersForUser = async (req, res, next) => {
       return next(Boom.unauthorized("User not authenticated."));
     }
     // Populate mytribers with minimal info.
-    const user = await User.findById(userId).populate("mytribers", "username profile_pic");
+    const user = await User.findById(userId).populate(listedMembers("mytribers", "username profile_pic"));
     if (!user) return next(Boom.notFound("User not found."));
     res.status(200).json({ success: true, tribers: user.mytribers || [] });
   } catch (error) {
@@ -2692,13 +2802,13 @@ export const getAllTribersForUser = async (req, res, next) => {
 export const getAllFriendRequests = async (req, res, next) => {
   try {
     // Get current user id from the verified token (set by verifyAccessToken)
-    const currentUserId = req.user && (req.user._id || req.user.id);
+    const currentUserId = actingUserId(req);
     // Also get the id provided by the client in the query parameters.
     const userIdFromQuery = req.query.userId;
 
     // Populate blocked users (assume 'blockedtribers' is the field storing blocked users).
     const user = await User.findById(userIdFromQuery)
-      .populate("requests", "username profile_pic");
+      .populate(listedMembers("requests", "username profile_pic"));
 
     if (!user) {
       return next(Boom.notFound("User not found."));
@@ -2714,7 +2824,7 @@ export const getAllFriendRequests = async (req, res, next) => {
 export const getAllFriendList = async (req, res, next) => {
   try {
     // Get current user id from the verified token (set by verifyAccessToken)
-    const currentUserId = req.user && (req.user._id || req.user.id);
+    const currentUserId = actingUserId(req);
     // Get the id provided by the client in the query parameters.
     const userIdFromQuery = req.query.userId;
     // Get the page number from query parameters, default to 1.
@@ -2724,8 +2834,7 @@ export const getAllFriendList = async (req, res, next) => {
     // Populate friend list (assume 'mytribers' is the field storing friend relationships).
     const user = await User.findById(userIdFromQuery)
       .populate({
-        path: "mytribers",
-        select: "username firstName lastName profile_pic",
+        ...listedMembers("mytribers", "username firstName lastName profile_pic"),
         options: {
           skip: (page - 1) * perPage,
           limit: perPage,
@@ -2745,16 +2854,13 @@ export const getAllFriendList = async (req, res, next) => {
 export const getFriendList = async (req, res, next) => {
   try {
     // Get current user id from the verified token (set by verifyAccessToken)
-    const currentUserId = req.user && (req.user._id || req.user.id);
+    const currentUserId = actingUserId(req);
     // Get the id provided by the client in the query parameters.
     const userIdFromQuery = req.query.userId;
 
     // Populate friend list (assume 'mytribers' is the field storing friend relationships).
     const user = await User.findById(userIdFromQuery)
-      .populate({
-        path: "mytribers",
-        select: "username firstName lastName profile_pic",
-      });
+      .populate(listedMembers("mytribers", "username firstName lastName profile_pic"));
 
     if (!user) {
       return next(Boom.notFound("User not found."));
@@ -2785,15 +2891,19 @@ export const getUsersChatInfo = async (req, res, next) => {
     }
 
     // Query MongoDB for those users and only select the needed fields
-    const users = await User.find(
-      { _id: { $in: userIds } },
-      'firstName lastName profile_pic'
-    );
+    const [users, viewer] = await Promise.all([
+      User.find({ _id: { $in: userIds } }, `firstName lastName profile_pic ${RELATIONSHIP_FIELDS}`).lean(),
+      loadViewer(req),
+    ]);
 
     // If you want to preserve input order, you could sort here by
     // matching the returned docs against the original userIds array.
 
-    res.status(200).json({ success: true, users });
+    // Blocked users stay in the list (their chats still exist) but only as an id.
+    res.status(200).json({
+      success: true,
+      users: users.map((user) => serializeProfile(user, viewer, { fields: ["firstName", "lastName", "profile_pic"] })),
+    });
   } catch (error) {
     console.error('Error fetching users info:', error);
     next(Boom.internal('Error fetching users info.'));
@@ -2871,7 +2981,7 @@ export const getAllTribesForUser = async (req, res, next) => {
 export const getAllBlockedForUser = async (req, res, next) => {
   try {
     // Get current user id from the verified token (set by verifyAccessToken)
-    const currentUserId = req.user && (req.user._id || req.user.id);
+    const currentUserId = actingUserId(req);
     // Also get the id provided by the client in the query parameters.
     const userIdFromQuery = req.query.userId;
 
@@ -2899,8 +3009,8 @@ export const getTribeDetails = async (req, res, next) => {
 
     // Find the tribe and optionally populate member/admin details if needed.
     const tribe = await Mytribe.findById(tribeId)
-      .populate("members", "username profile_pic")
-      .populate("admins", "username profile_pic");
+      .populate(listedMembers("members", "username profile_pic"))
+      .populate(listedMembers("admins", "username profile_pic"));
 
     if (!tribe) {
       return next(Boom.notFound("Tribe not found."));
@@ -3,6 +3,8 @@ import Course from "../../models/courses";
 import User from "../../models/user";
 import Notification from "../../models/notifications";
 import Boom from "@hapi/boom"; // Preferred
+import { isAdmin } from "../../middlewares/requireAuth";
+import { hasFeature, loadAccount, paidCourses } from "../../helpers/entitlements";
 const { v4: uuidv4 } = require("uuid");
 
 // Google Cloud Storage client
@@ -556,6 +558,30 @@ export const deleteCourse = async (req, res, next) => {
 
 
 
+// Lesson material; the rest of a course is its public listing.
+const LESSON_FIELDS = ["courseContent", "files", "videosLinks", "assessmentLinks", "externalLinks", "referenceLinks"];
+
+/**
+ * Strip lesson material from `courses` unless the viewer is staff, has
+ * course access on their plan or has paid for the course. Locked courses are
+ * flagged `locked: true` so the frontend can show an upgrade prompt.
+ */
+const forViewer = async (req, courses) => {
+  if (isAdmin(req.payload)) return courses;
+
+  const account = req.payload?.user_id ? await loadAccount(req.payload.user_id) : null;
+  if (account && hasFeature(account, "courseContent")) return courses;
+  const bought = account ? await paidCourses(account._id, courses.map((course) => course._id)) : new Set();
+
+  return courses.map((course) => {
+    if (bought.has(String(course._id))) return course;
+    const listing = course.toObject();
+    LESSON_FIELDS.forEach((field) => delete listing[field]);
+    listing.locked = true;
+    return listing;
+  });
+};
+
 /**
  * Get a course by its ID.
  */
@@ -568,7 +594,8 @@ export const getCourseById = async (req, res, next) => {
       return next(Boom.notFound("Course not found."));
     }
 
-    res.json(course);
+    const [visible] = await forViewer(req, [course]);
+    res.json(visible);
   } catch (error) {
     console.error("Error fetching course:", error);
     next(Boom.internal("Error fetching course."));
@@ -581,7 +608,7 @@ export const getCourseById = async (req, res, next) => {
 export const getAllCourses = async (req, res, next) => {
   try {
     const courses = await Course.find({});
-    res.json(courses);
+    res.json(await forViewer(req, courses));
   } catch (error) {
     console.error("Error fetching courses:", error);
     next(Boom.internal("Error fetching courses."));
@@ -638,7 +665,7 @@ export const getCoursesByCategory = async (req, res, next) => {
   try {
     const { category } = req.params;
     const courses = await Course.find({ courseCategory: category });
-    res.json(courses);
+    res.json(await forViewer(req, courses));
   } catch (error) {
     console.error("Error fetching courses by category:", error);
     next(Boom.internal("Error fetching courses by category."));
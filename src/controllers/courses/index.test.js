@@ -0,0 +1,55 @@
+process.env.GCS_BUCKET_NAME = process.env.GCS_BUCKET_NAME || 'test-bucket';
+
+const expect = require('expect');
+const mongoose = require('mongoose');
+
+const Course = require('../../models/courses').default;
+const User = require('../../models/user').default;
+const Payment = require('../../models/payment').default;
+const { stubStatics, query } = require('../../test-helpers/stubs');
+const { getCourseById } = require('./index');
+
+const ObjectId = mongoose.Types.ObjectId;
+const MEMBER = new ObjectId('64b000000000000000000001');
+const COURSE = new ObjectId('64e000000000000000000001');
+
+// Runs a handler and resolves with what it passed to next(), or the JSON it sent.
+const run = (handler, req) =>
+  new Promise((resolve) => handler(req, { json: (body) => resolve({ body }) }, (err) => resolve({ err })));
+
+describe('course access', () => {
+  const stub = stubStatics();
+  var account, paid, paymentFilter;
+
+  beforeEach(() => {
+    account = { _id: MEMBER, subscription: 'none', courses: [COURSE] };
+    paid = [];
+    paymentFilter = null;
+
+    const course = new Course({ _id: COURSE, title: 'Deadlift basics', courseContent: 'Lesson one' });
+    stub(Course, { findById: async () => course });
+    stub(User, { findById: () => query(account) });
+    stub(Payment, {
+      find: (filter) => {
+        paymentFilter = filter;
+        return query(paid);
+      },
+    });
+  });
+
+  const fetch = () => run(getCourseById, { params: { courseId: String(COURSE) }, payload: { user_id: String(MEMBER) } });
+
+  it('should keep a course locked when it is only listed on the profile', async () => {
+    const { body } = await fetch();
+    expect(body.locked).toBe(true);
+    expect(body.courseContent).toNotExist();
+    expect(paymentFilter).toInclude({ user: MEMBER, data: 'course', status: 'paid' });
+  });
+
+  it('should unlock a course the member has paid for', async () => {
+    paid = [COURSE];
+    const { body } = await fetch();
+    expect(body.locked).toNotExist();
+    expect(body.courseContent).toBe('Lesson one');
+  });
+});
@@ -0,0 +1,99 @@
+import Boom from "@hapi/boom"; // Preferred
+import User from "../../models/user";
+import { PROFILE_SOURCE_FIELDS, serializeProfile, loadViewer } from "../../helpers/profile-serializer";
+import {
+  DIRECTORY_SORTS,
+  parseFilters,
+  baseQuery,
+  filtersQuery,
+  facetStages,
+  scoreStage,
+  encodeCursor,
+  decodeCursor,
+  afterCursorQuery,
+  sortStage,
+} from "../../helpers/directory";
+
+const CARD_FIELDS = [
+  "username",
+  "firstName",
+  "lastName",
+  "profile_pic",
+  "title",
+  "country",
+  "business_country",
+  "business_industry",
+  "markets_covered",
+  "value_chainstake",
+  "immediate_needs",
+];
+
+const RESULT_PROJECTION = {
+  ...Object.fromEntries(PROFILE_SOURCE_FIELDS.split(" ").map((field) => [field, 1])),
+  createdAt: 1,
+  completeness: 1,
+  relevance: 1,
+};
+
+// GET /auth/directory?q=&business_industry=a,b&country=&subscription=&sort=relevance|newest|completeness&limit=&cursor=
+// Members matching every filter (any of the values within one), with facet
+// counts per value. Pass `nextCursor` back as `cursor` for the next page.
+export const getDirectory = async (req, res, next) => {
+  try {
+    const sort = req.query.sort || "relevance";
+    if (!DIRECTORY_SORTS[sort]) {
+      return next(Boom.badRequest(`Sort must be one of: ${Object.keys(DIRECTORY_SORTS).join(", ")}.`));
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const filters = parseFilters(req.query);
+    const cursor = req.query.cursor ? decodeCursor(sort, req.query.cursor) : null;
+
+    const viewer = await loadViewer(req);
+    if (!viewer) {
+      return next(Boom.notFound("User not found."));
+    }
+
+    const base = baseQuery(viewer, req.query.q);
+    const filtering = filtersQuery(viewer, filters);
+
+    const [members, [counts]] = await Promise.all([
+      User.aggregate([
+        { $match: { $and: [...base, ...filtering] } },
+        scoreStage(filters),
+        ...(cursor ? [{ $match: afterCursorQuery(sort, cursor) }] : []),
+        sortStage(sort),
+        { $limit: limit + 1 },
+        { $project: RESULT_PROJECTION },
+      ]),
+      User.aggregate([
+        { $match: { $and: base } },
+        {
+          $facet: {
+            total: [...(filtering.length ? [{ $match: { $and: filtering } }] : []), { $count: "count" }],
+            ...facetStages(viewer, filters),
+          },
+        },
+      ]),
+    ]);
+
+    const page = members.slice(0, limit);
+    const { total, ...facets } = counts;
+
+    res.status(200).json({
+      success: true,
+      total: total[0]?.count || 0,
+      nextCursor: members.length > limit ? encodeCursor(sort, page[page.length - 1]) : null,
+      facets,
+      data: page.map((member) => ({
+        ...serializeProfile(member, viewer, { fields: CARD_FIELDS }),
+        completeness: member.completeness,
+      })),
+    });
+  } catch (error) {
+    if (error.isBoom) return next(error);
+    console.error("Error fetching the member directory:", error);
+    next(Boom.internal("Error fetching the member directory."));
+  }
+};
+
+export default { getDirectory };
@@ -0,0 +1,24 @@
+import Boom from "@hapi/boom"; // Preferred
+import { PLANS, entitlementsFor, loadAccount } from "../../helpers/entitlements";
+
+// GET /auth/entitlements
+// The caller's plan, what it unlocks, its limits and today's usage, plus
+// every plan's limits so the frontend can compare them.
+export const getEntitlements = async (req, res, next) => {
+  try {
+    const user = await loadAccount(req.payload.user_id);
+    if (!user) {
+      return next(Boom.notFound("User not found."));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ...(await entitlementsFor(user)), plans: PLANS },
+    });
+  } catch (error) {
+    console.error("Error fetching entitlements:", error);
+    next(Boom.internal("Error fetching entitlements."));
+  }
+};
+
+export default { getEntitlements };
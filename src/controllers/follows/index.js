@@ -0,0 +1,160 @@
+import Boom from "@hapi/boom"; // Preferred
+import mongoose from "mongoose";
+import User from "../../models/user";
+import Follow from "../../models/follow";
+import { follow, unfollow } from "../../helpers/follows";
+import {
+  PROFILE_SOURCE_FIELDS,
+  RELATIONSHIP_FIELDS,
+  listedQuery,
+  serializeProfile,
+  serializeProfiles,
+  loadViewer,
+} from "../../helpers/profile-serializer";
+
+const CARD_FIELDS = ["firstName", "lastName", "username", "title", "profile_pic"];
+
+// POST /auth/follow/:userId
+export const followUser = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return next(Boom.badRequest("Invalid user ID."));
+    }
+
+    const { created, followee } = await follow(req.payload.user_id, userId);
+    res.status(200).json({
+      success: true,
+      message: created ? `You are now following ${followee.username}.` : `You already follow ${followee.username}.`,
+      data: { following: true },
+    });
+  } catch (error) {
+    if (error.isBoom) return next(error);
+    console.error("Error following user:", error);
+    next(Boom.internal("Error following user."));
+  }
+};
+
+// DELETE /auth/follow/:userId
+export const unfollowUser = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return next(Boom.badRequest("Invalid user ID."));
+    }
+
+    const removed = await unfollow(req.payload.user_id, userId);
+    res.status(200).json({
+      success: true,
+      message: removed ? "Unfollowed successfully." : "You were not following this user.",
+      data: { following: false },
+    });
+  } catch (error) {
+    console.error("Error unfollowing user:", error);
+    next(Boom.internal("Error unfollowing user."));
+  }
+};
+
+/**
+ * Page through one side of a member's follows, newest first. Lists follow
+ * the profile's privacy: viewers who only get a limited profile don't get
+ * the lists either.
+ */
+const listFollows = (side) => async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return next(Boom.badRequest("Invalid user ID."));
+    }
+    const perPage = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const currentPage = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const [owner, viewer] = await Promise.all([
+      User.findOne({ _id: userId, ...listedQuery() }).select(`${PROFILE_SOURCE_FIELDS} followersCount followingCount`).lean(),
+      loadViewer(req),
+    ]);
+    if (!owner) {
+      return next(Boom.notFound("User not found."));
+    }
+    const profile = serializeProfile(owner, viewer);
+    if (profile.relationship === "blocked") {
+      return next(Boom.notFound("User not found."));
+    }
+    if (profile.limited) {
+      return next(Boom.forbidden(`This member's ${side} are private.`));
+    }
+
+    // followers: who follows the owner; following: who the owner follows.
+    const [ownSide, otherSide] = side === "followers" ? ["followee", "follower"] : ["follower", "followee"];
+    const follows = await Follow.find({ [ownSide]: owner._id })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((currentPage - 1) * perPage)
+      .limit(perPage)
+      .select(`${otherSide} createdAt`)
+      .lean();
+
+    const members = await User.find({ _id: { $in: follows.map((entry) => entry[otherSide]) }, status: "active" })
+      .select(`${CARD_FIELDS.join(" ")} ${RELATIONSHIP_FIELDS}`)
+      .lean();
+    const cards = new Map(
+      serializeProfiles(members, viewer, { fields: CARD_FIELDS, discoverableOnly: true }).map((card) => [String(card._id), card])
+    );
+    const total = side === "followers" ? owner.followersCount || 0 : owner.followingCount || 0;
+
+    res.status(200).json({
+      success: true,
+      currentPage,
+      totalPages: Math.ceil(total / perPage),
+      total,
+      data: follows
+        .filter((entry) => cards.has(String(entry[otherSide])))
+        .map((entry) => ({ ...cards.get(String(entry[otherSide])), followedAt: entry.createdAt })),
+    });
+  } catch (error) {
+    console.error(`Error fetching ${side}:`, error);
+    next(Boom.internal(`Error fetching ${side}.`));
+  }
+};
+
+// GET /auth/users/:userId/followers?page=&limit=
+export const getFollowers = listFollows("followers");
+
+// GET /auth/users/:userId/following?page=&limit=
+export const getFollowing = listFollows("following");
+
+// PUT /auth/follow-settings { followersOnly }
+// With followersOnly on, requests to connect become follows.
+export const updateFollowSettings = async (req, res, next) => {
+  try {
+    const { followersOnly } = req.body;
+    if (typeof followersOnly !== "boolean") {
+      return next(Boom.badRequest("followersOnly must be true or false."));
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.payload.user_id,
+      { $set: { followersOnly } },
+      { new: true }
+    ).select("followersOnly followersCount followingCount");
+    if (!user) {
+      return next(Boom.notFound("User not found."));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: followersOnly ? "Followers only mode turned on." : "Followers only mode turned off.",
+      data: user,
+    });
+  } catch (error) {
+    console.error("Error updating follow settings:", error);
+    next(Boom.internal("Error updating follow settings."));
+  }
+};
+
+export default {
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+  updateFollowSettings,
+};
@@ -0,0 +1,193 @@
+import Boom from "@hapi/boom"; // Preferred
+import mongoose from "mongoose";
+import User from "../../models/user";
+import Admin from "../../models/admin";
+import Impersonation from "../../models/impersonation";
+import { signAccessToken } from "../../helpers/jwt";
+import {
+  DEFAULT_IMPERSONATION_MINUTES,
+  MAX_IMPERSONATION_MINUTES,
+  endImpersonationTokens,
+} from "../../helpers/impersonation";
+import { recordSecurityEvent } from "../../helpers/security-events";
+import { recordAudit } from "../../middlewares/audit";
+import { roles, roleFor } from "../../roles";
+
+const SCOPES = Impersonation.schema.path("scope").enumValues;
+
+// Members see that staff looked at their account, not the staff member's IP
+// or device, so their security events are recorded without the request.
+const STAFF_REQUEST = {};
+
+// Support-level staff are Users with role "admin"; super admins are usually Admins.
+const actorModelFor = async (id) => ((await Admin.exists({ _id: id })) ? "Admin" : "User");
+
+// POST /admin/impersonations { userId, reason, scope = "read", minutes = 15 }
+// Returns a short-lived access token that acts as the member. Only super
+// admins may ask for the "write" scope.
+export const startImpersonation = async (req, res, next) => {
+  const { userId, scope = "read" } = req.body;
+  const reason = String(req.body.reason || "").trim();
+  const minutes =
+    req.body.minutes === undefined ? DEFAULT_IMPERSONATION_MINUTES : parseInt(req.body.minutes);
+  const role = roleFor(req.payload);
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return next(Boom.badRequest("Invalid user ID."));
+  }
+  if (!reason || reason.length > 500) {
+    return next(Boom.badRequest("Give a reason (a ticket number or short note, up to 500 characters)."));
+  }
+  if (!SCOPES.includes(scope)) {
+    return next(Boom.badRequest(`Scope must be one of: ${SCOPES.join(", ")}.`));
+  }
+  if (!(minutes >= 1 && minutes <= MAX_IMPERSONATION_MINUTES)) {
+    return next(Boom.badRequest(`Minutes must be between 1 and ${MAX_IMPERSONATION_MINUTES}.`));
+  }
+  if (scope === "write" && role !== "super") {
+    return next(Boom.forbidden("Only super admins can impersonate with write access."));
+  }
+  if (String(userId) === String(req.payload.user_id)) {
+    return next(Boom.badRequest("You can't impersonate yourself."));
+  }
+
+  try {
+    const user = await User.findById(userId).select("username email role");
+    if (!user) {
+      return next(Boom.notFound("User not found."));
+    }
+    // Acting as another staff member would hand over their permissions.
+    if (user.role === "admin") {
+      return next(Boom.forbidden("Staff accounts can't be impersonated."));
+    }
+
+    const impersonation = await Impersonation.create({
+      actor: req.payload.user_id,
+      actorModel: await actorModelFor(req.payload.user_id),
+      actorRole: role,
+      user: user._id,
+      scope,
+      reason,
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+    });
+
+    const accessToken = await signAccessToken(
+      {
+        user_id: user._id.toString(),
+        role: user.role,
+        imp: {
+          id: impersonation._id.toString(),
+          by: String(req.payload.user_id),
+          role,
+          scope,
+        },
+      },
+      { expiresIn: minutes * 60 }
+    );
+
+    await recordAudit(req, {
+      action: "impersonation.start",
+      targetType: "User",
+      targetId: user._id,
+      after: { impersonation: impersonation._id, scope, reason, expiresAt: impersonation.expiresAt },
+    });
+    await recordSecurityEvent(user, "impersonation_started", STAFF_REQUEST, {
+      reason: scope === "write" ? "read_write" : "read_only",
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Viewing as ${user.username} for ${minutes} minutes.`,
+      data: { impersonation, accessToken },
+    });
+  } catch (error) {
+    console.error("Error starting impersonation:", error);
+    next(Boom.internal("Error starting impersonation."));
+  }
+};
+
+// DELETE /admin/impersonations/:impersonationId — stops its token working.
+// Staff can end their own; super admins can end anyone's.
+export const endImpersonation = async (req, res, next) => {
+  const { impersonationId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(impersonationId)) {
+    return next(Boom.badRequest("Invalid impersonation ID."));
+  }
+
+  try {
+    const impersonation = await Impersonation.findOne({ _id: impersonationId, endedAt: null });
+    if (!impersonation) {
+      return next(Boom.notFound("No open impersonation with that ID."));
+    }
+    const own = String(impersonation.actor) === String(req.payload.user_id);
+    if (!own && !roles.can(roleFor(req.payload)).deleteAny("impersonation").granted) {
+      return next(Boom.forbidden("You can only end your own impersonations."));
+    }
+
+    const wasActive = impersonation.active;
+    impersonation.endedAt = new Date();
+    impersonation.endedBy = req.payload.user_id;
+    await impersonation.save();
+    await endImpersonationTokens(impersonation);
+
+    await recordAudit(req, {
+      action: "impersonation.end",
+      targetType: "User",
+      targetId: impersonation.user,
+      before: { impersonation: impersonation._id, endedAt: null },
+      after: { impersonation: impersonation._id, endedAt: impersonation.endedAt },
+    });
+    if (wasActive) {
+      await recordSecurityEvent({ _id: impersonation.user }, "impersonation_ended", STAFF_REQUEST);
+    }
+
+    res.status(200).json({ success: true, message: "Impersonation ended.", data: impersonation });
+  } catch (error) {
+    console.error("Error ending impersonation:", error);
+    next(Boom.internal("Error ending impersonation."));
+  }
+};
+
+// GET /admin/impersonations?user=&actor=&active=true&page=&limit=
+export const listImpersonations = async (req, res, next) => {
+  try {
+    const { user, actor, active, limit = 20, page = 1 } = req.query;
+    const perPage = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+
+    const query = {};
+    for (const [field, value] of [["user", user], ["actor", actor]]) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return next(Boom.badRequest(`Invalid ${field} ID.`));
+      }
+      query[field] = value;
+    }
+    if (active === "true") {
+      Object.assign(query, { endedAt: null, expiresAt: { $gt: new Date() } });
+    }
+
+    const [impersonations, totalImpersonations] = await Promise.all([
+      Impersonation.find(query)
+        .populate("user", "username email")
+        .populate("actor", "username")
+        .sort({ createdAt: -1 })
+        .skip((currentPage - 1) * perPage)
+        .limit(perPage),
+      Impersonation.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      totalImpersonations,
+      currentPage,
+      totalPages: Math.ceil(totalImpersonations / perPage),
+      impersonations,
+    });
+  } catch (error) {
+    console.error("Error fetching impersonations:", error);
+    next(Boom.internal("Error fetching impersonations."));
+  }
+};
+
+export default { startImpersonation, endImpersonation, listImpersonations };
@@ -5,14 +5,24 @@ import redis    from "../../clients/redis.js";
 import User     from "../../models/user.js";
 import Prompts  from "../../models/userprompts.js";
 import { handleUserInput } from "../bA";
+import { reserveDailyQuota, settleDailyQuota } from "../../helpers/entitlements";
+
+// Daily allowance held back for the reply until its length is known.
+const REPLY_TOKEN_ESTIMATE = Number(process.env.LIFT_AI_REPLY_TOKEN_ESTIMATE) || 1000;
 
 export const chat = async (req, res, next) => {
   try {
-    const { message, userId, userSub } = req.body;
+    const { message, userId } = req.body;
     if (!userId) {
       return next(Boom.badRequest("userId is required"));
     }
 
+    // The plan decides the discount, so read it from the account rather than the request.
+    const userDoc = await User.findById(userId);
+    if (!userDoc) {
+      return next(Boom.notFound("User not found"));
+    }
+
     // 1) Fetch pricing config
     const pricingConfig = await Price.findOne();
     if (!pricingConfig) {
@@ -26,7 +36,7 @@ export const chat = async (req, res, next) => {
 
     // 3) Choose discount by subscription tier
     let discountPercent;
-    switch (userSub) {
+    switch (userDoc.subscription) {
       case "basic":
         discountPercent = basicDiscount;
         break;
@@ -44,30 +54,44 @@ export const chat = async (req, res, next) => {
     const discountedMsgTokens  = Math.ceil(tokensForMessage * discountMultiplier);
 
     // 5) Make sure user has enough tokens
-    const userDoc = await User.findById(userId);
-    if (!userDoc) {
-      return next(Boom.notFound("User not found"));
-    }
     if ((userDoc.tokens || 0) < discountedMsgTokens) {
       return res.json({
         reply: "Don't have enough tokens. Please buy more at <a href=\"/profile/buy-tokens\">Buy Now</a>."
       });
     }
 
-    // 6) Call your AI handler
-    const reply = await handleUserInput(userId, message);
+    // 6) Reserve the expected cost against the plan's daily allowance, so
+    //    the reply can't take usage past it
+    const { reserved, error: quotaError } = await reserveDailyQuota(
+      userDoc,
+      "aiTokensPerDay",
+      tokensForMessage + REPLY_TOKEN_ESTIMATE
+    );
+    if (quotaError) {
+      return next(quotaError);
+    }
 
-    // 7) If it’s a file-download reply
+    // 7) Call your AI handler
+    let reply;
+    try {
+      reply = await handleUserInput(userId, message);
+    } catch (err) {
+      await settleDailyQuota(userId, "aiTokensPerDay", reserved, 0);
+      throw err;
+    }
+
+    // 8) If it’s a file-download reply
     if (typeof reply === "object" && reply.downloadUrl) {
+      await settleDailyQuota(userId, "aiTokensPerDay", reserved, 0);
       return res.json({ downloadUrl: reply.downloadUrl });
     }
 
-    // 8) Compute total tokens used (in + out), and apply discount again
+    // 9) Compute total tokens used (in + out), and apply discount again
     const totalChars      = message.length + reply.length;
     const tokensUsed      = Math.ceil(totalChars / characterPerToken);
     const discountedTotal = Math.ceil(tokensUsed * discountMultiplier);
 
-    // 9) Record usage in Prompts (15-minute window)
+    // 10) Record usage in Prompts (15-minute window)
     const FIFTEEN_MINUTES = 15 * 60 * 1000;
     const now             = Date.now();
     let lastPrompt        = await Prompts.findOne({ user: userId })
@@ -89,11 +113,14 @@ export const chat = async (req, res, next) => {
     }
     await promptDoc.save();
 
-    // 10) Deduct from the user’s account
+    // 11) Deduct from the user’s account
     userDoc.tokens = Math.max(0, (userDoc.tokens || 0) - discountedTotal);
     await userDoc.save();
 
-    // 11) Return both the reply and usage info
+    // 12) Settle the reservation with what the exchange actually used
+    await settleDailyQuota(userId, "aiTokensPerDay", reserved, tokensUsed);
+
+    // 13) Return both the reply and usage info
     return res.json({
       reply,
       tokensUsed,
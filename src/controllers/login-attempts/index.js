@@ -0,0 +1,117 @@
+import Boom from "@hapi/boom"; // Preferred
+import mongoose from "mongoose";
+import LoginAttempt from "../../models/loginAttempt";
+import { consumeAccountToken } from "../../helpers/account-tokens";
+import { unlockAccount } from "../../helpers/login-guard";
+import { roles, roleFor } from "../../roles";
+
+const pageParams = (query) => ({
+  perPage: Math.min(Math.max(parseInt(query.limit) || 20, 1), 100),
+  currentPage: Math.max(parseInt(query.page) || 1, 1),
+});
+
+const findPage = async (filter, query) => {
+  const { perPage, currentPage } = pageParams(query);
+  const [attempts, total] = await Promise.all([
+    LoginAttempt.find(filter)
+      .select("-__v")
+      .sort({ createdAt: -1 })
+      .skip((currentPage - 1) * perPage)
+      .limit(perPage)
+      .lean(),
+    LoginAttempt.countDocuments(filter),
+  ]);
+  return { attempts, total, currentPage, totalPages: Math.ceil(total / perPage) };
+};
+
+// Served under /auth and /admin for the caller's own attempts, plus the
+// unlock link from the lockout email.
+const loginAttemptHandlers = (subjectModel) => {
+  // GET /login-attempts
+  const listOwnAttempts = async (req, res, next) => {
+    try {
+      const page = await findPage({ subject: req.payload.user_id, subjectModel }, req.query);
+      res.status(200).json({ success: true, ...page });
+    } catch (error) {
+      console.error("Error fetching login attempts:", error);
+      next(Boom.internal("Error fetching login attempts."));
+    }
+  };
+
+  // POST /unlock/:token
+  const unlock = async (req, res, next) => {
+    try {
+      const record = await consumeAccountToken(req.params.token, "unlock_account", subjectModel);
+      if (!record) {
+        return next(Boom.notFound("Unlock link is invalid or expired."));
+      }
+
+      await unlockAccount(subjectModel, record.user);
+      res.status(200).json({ success: true, message: "Your account is unlocked. You can log in again." });
+    } catch (error) {
+      console.error("Error unlocking account:", error);
+      next(Boom.internal("Error unlocking account."));
+    }
+  };
+
+  return { listOwnAttempts, unlock };
+};
+
+export const userLoginAttempts = loginAttemptHandlers("User");
+export const adminLoginAttempts = loginAttemptHandlers("Admin");
+
+// GET /admin/login-attempts?subjectModel=User|Admin&subject=&ip=&success=
+// Admin accounts' attempts need admin read rights, not just user read rights.
+export const listLoginAttempts = async (req, res, next) => {
+  try {
+    const { subjectModel = "User", subject, ip, success } = req.query;
+    if (!["User", "Admin"].includes(subjectModel)) {
+      return next(Boom.badRequest("subjectModel must be User or Admin."));
+    }
+    if (subjectModel === "Admin" && !roles.can(roleFor(req.payload)).readAny("admin").granted) {
+      return next(Boom.forbidden("You do not have permission to perform this action."));
+    }
+
+    const filter = { subjectModel };
+    if (subject) {
+      if (!mongoose.Types.ObjectId.isValid(subject)) {
+        return next(Boom.badRequest("Invalid subject ID."));
+      }
+      filter.subject = subject;
+    }
+    if (ip) filter.ip = ip;
+    if (success === "true" || success === "false") filter.success = success === "true";
+
+    const page = await findPage(filter, req.query);
+    res.status(200).json({ success: true, ...page });
+  } catch (error) {
+    console.error("Error fetching login attempts:", error);
+    next(Boom.internal("Error fetching login attempts."));
+  }
+};
+
+// POST /admin/login-attempts/unlock { subjectModel, subject } — clear a lockout.
+export const adminUnlockAccount = async (req, res, next) => {
+  try {
+    const { subjectModel = "User", subject } = req.body;
+    if (!["User", "Admin"].includes(subjectModel) || !mongoose.Types.ObjectId.isValid(subject)) {
+      return next(Boom.badRequest("A valid subjectModel and subject are required."));
+    }
+    if (subjectModel === "Admin" && !roles.can(roleFor(req.payload)).updateAny("admin").granted) {
+      return next(Boom.forbidden("You do not have permission to perform this action."));
+    }
+
+    await unlockAccount(subjectModel, subject);
+    res.status(200).json({ success: true, message: "Account unlocked." });
+  } catch (error) {
+    console.error("Error unlocking account:", error);
+    next(Boom.internal("Error unlocking account."));
+  }
+};
+
+export default {
+  userLoginAttempts,
+  adminLoginAttempts,
+  listLoginAttempts,
+  adminUnlockAccount,
+};
@@ -1,20 +1,23 @@
 import Notification from "../../models/notifications";
 import User from "../../models/user";
 import Boom from "@hapi/boom"; // Preferred
+import { actingUserId } from "../../middlewares/requireAuth";
+import { queueMailBatch } from "../../helpers/mailer";
 
 /**
- * Send a notification to all users.
+ * Send a notification to all users. With `sendEmail: true` the announcement
+ * is also emailed to every user.
  */
 export const sendNotificationToAllUsers = async (req, res, next) => {
   try {
-    const { data } = req.body; // Expecting { data: "New Announcement" }
+    const { data, sendEmail, title } = req.body; // Expecting { data: "New Announcement" }
 
     if (!data) {
       return res.status(400).json({ success: false, message: "Notification data is required." });
     }
 
     // Get all users
-    const users = await User.find({}, "_id");
+    const users = await User.find({}, sendEmail ? "_id email username" : "_id");
 
     if (!users.length) {
       return res.status(404).json({ success: false, message: "No users found." });
@@ -37,6 +40,16 @@ export const sendNotificationToAllUsers = async (req, res, next) => {
 
     await Notification.bulkWrite(bulkOperations);
 
+    if (sendEmail) {
+      await queueMailBatch(
+        "announcement",
+        users.map((user) => ({
+          to: user.email,
+          vars: { title: title || "News from Openpreneurs", username: user.username, message: data },
+        }))
+      );
+    }
+
     return res.status(200).json({ success: true, message: "Notification sent to all users." });
   } catch (error) {
     console.error("Error sending notification:", error);
@@ -51,8 +64,8 @@ export const sendNotificationToAllUsers = async (req, res, next) => {
  */
 export const getUserNotifications = async (req, res, next) => {
   try {
-    // Use userId from query if provided; otherwise use authenticated user's ID.
-    const userId = req.query.userId || req.user?._id || req.user?.id;
+    // Query userId (validated by ownUser) or the authenticated user's ID.
+    const userId = actingUserId(req);
 
     if (!userId) {
       return res.status(401).json({ success: false, message: "Unauthorized." });
@@ -78,7 +91,7 @@ export const getUserNotifications = async (req, res, next) => {
  */
 export const removeNotificationItem = async (req, res, next) => {
   try {
-    const userId = req.query.userId || req.user?._id || req.user?.id;
+    const userId = actingUserId(req);
     const { type, data } = req.body;
 
     if (!userId) {
@@ -119,7 +132,7 @@ export const removeNotificationItem = async (req, res, next) => {
  */
 export const removeAllNotifications = async (req, res, next) => {
   try {
-    const userId = req.query.userId || req.user?._id || req.user?.id;
+    const userId = actingUserId(req);
     if (!userId) {
       return res.status(401).json({ success: false, message: "Unauthorized." });
     }
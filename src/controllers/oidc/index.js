@@ -0,0 +1,134 @@
+import Boom from "@hapi/boom"; // Preferred
+import User from "../../models/user";
+import { PROVIDERS, beginAuthorization, completeAuthorization } from "../../helpers/oidc";
+import { resolveSocialUser, linkIdentity, unlinkIdentity } from "../../helpers/social-accounts";
+import { signInBlocked, completeSignIn } from "../../helpers/user-sign-in";
+import { recordSecurityEvent } from "../../helpers/security-events";
+
+const knownProvider = (req, next) => {
+  if (PROVIDERS.includes(req.params.provider)) return true;
+  next(Boom.notFound("Unknown login provider."));
+  return false;
+};
+
+// POST /auth/oidc/:provider/start — where to send the browser to sign in.
+export const startLogin = async (req, res, next) => {
+  if (!knownProvider(req, next)) return;
+  try {
+    const data = await beginAuthorization(req.params.provider, { mode: "login" });
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    if (error.isBoom) return next(error);
+    console.error("Error starting social login:", error);
+    next(Boom.internal("Error starting sign-in."));
+  }
+};
+
+// POST /auth/oidc/:provider/callback { code, state } — the redirect page posts
+// what the provider sent back; answers like /auth/login.
+export const finishLogin = async (req, res, next) => {
+  if (!knownProvider(req, next)) return;
+  try {
+    const { pending, identity } = await completeAuthorization(req.params.provider, req.body);
+    if (pending.mode !== "login") {
+      return next(Boom.badRequest("Sign-in link is invalid or expired. Please start again."));
+    }
+
+    const { user, linked, created } = await resolveSocialUser(identity);
+    if (linked && !created) {
+      await recordSecurityEvent(user, "identity_linked", req, { provider: identity.provider });
+    }
+
+    const blocked = signInBlocked(user);
+    if (blocked) {
+      return next(blocked);
+    }
+
+    // The provider replaces the password, not the second factor.
+    const body = await completeSignIn(user, req, { method: identity.provider });
+    res.json(created ? { ...body, accountCreated: true } : body);
+  } catch (error) {
+    if (error.isBoom) return next(error);
+    console.error("Error completing social login:", error);
+    next(Boom.internal("Error completing sign-in."));
+  }
+};
+
+// GET /auth/oidc/identities — linked providers for the settings page.
+export const listIdentities = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.payload.user_id).select("identities hasPassword");
+    if (!user) return next(Boom.notFound("User not found."));
+
+    res.status(200).json({
+      success: true,
+      data: { identities: user.identities, hasPassword: user.hasPassword, providers: PROVIDERS },
+    });
+  } catch (error) {
+    console.error("Error fetching linked accounts:", error);
+    next(Boom.internal("Error fetching linked accounts."));
+  }
+};
+
+// POST /auth/oidc/:provider/link/start — like startLogin, for the signed-in user.
+export const startLink = async (req, res, next) => {
+  if (!knownProvider(req, next)) return;
+  try {
+    const data = await beginAuthorization(req.params.provider, { mode: "link", userId: req.payload.user_id });
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    if (error.isBoom) return next(error);
+    console.error("Error starting account link:", error);
+    next(Boom.internal("Error starting account link."));
+  }
+};
+
+// POST /auth/oidc/:provider/link { code, state }
+export const finishLink = async (req, res, next) => {
+  if (!knownProvider(req, next)) return;
+  try {
+    const { pending, identity } = await completeAuthorization(req.params.provider, req.body);
+    if (pending.mode !== "link" || pending.userId !== String(req.payload.user_id)) {
+      return next(Boom.badRequest("Link request is invalid or expired. Please start again."));
+    }
+
+    const user = await User.findById(req.payload.user_id);
+    if (!user) return next(Boom.notFound("User not found."));
+
+    await linkIdentity(user, identity);
+    await recordSecurityEvent(user, "identity_linked", req, { provider: identity.provider });
+
+    res.status(200).json({ success: true, message: "Account linked.", data: { identities: user.identities } });
+  } catch (error) {
+    if (error.isBoom) return next(error);
+    console.error("Error linking account:", error);
+    next(Boom.internal("Error linking account."));
+  }
+};
+
+// DELETE /auth/oidc/:provider
+export const unlink = async (req, res, next) => {
+  if (!knownProvider(req, next)) return;
+  try {
+    const user = await User.findById(req.payload.user_id);
+    if (!user) return next(Boom.notFound("User not found."));
+
+    await unlinkIdentity(user, req.params.provider);
+    await recordSecurityEvent(user, "identity_unlinked", req, { provider: req.params.provider });
+
+    res.status(200).json({ success: true, message: "Account unlinked.", data: { identities: user.identities } });
+  } catch (error) {
+    if (error.isBoom) return next(error);
+    console.error("Error unlinking account:", error);
+    next(Boom.internal("Error unlinking account."));
+  }
+};
+
+export default {
+  startLogin,
+  finishLogin,
+  listIdentities,
+  startLink,
+  finishLink,
+  unlink,
+};
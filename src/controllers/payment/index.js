@@ -5,6 +5,8 @@ import Payment from "../../models/payment";
 import User from "../../models/user";
 import Discount from "../../models/discount"; // Import Discount model
 import Course from "../../models/courses";
+import { queueMail } from "../../helpers/mailer";
+import { qualifyReferral } from "../../helpers/referrals";
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
@@ -37,6 +39,9 @@ export const validateDiscount = async (token, packageType, userId, period) => {
     }
 
     // 3) Check usage limits
+    if (discount.owner && String(discount.owner) !== String(userId)) {
+      throw new Error("This code belongs to another member");
+    }
     if (discount.used_by.includes(userId)) {
       throw new Error("You’ve already used this code");
     }
@@ -335,6 +340,17 @@ if (discount) {
         $inc: { tokens },
         trial_used: true,
       });
+      await qualifyReferral(user);
+
+      queueMail("subscription-receipt", user.email, {
+        username: user.username,
+        paymentId: uniquePaymentId,
+        plan: packageType,
+        period,
+        amount: price,
+        tokens,
+        nextBillingDate: nextBillingDate.toDateString(),
+      }).catch((err) => console.error("Error queueing receipt:", err.message));
     }
 
     // Return response with payment intent information
@@ -0,0 +1,398 @@
+import Stripe from "stripe";
+import Boom from "@hapi/boom"; // Preferred
+import Price from "../../models/price";
+import Payment from "../../models/payment";
+import User from "../../models/user";
+import StripeEvent from "../../models/stripeEvent";
+import { queueMail } from "../../helpers/mailer";
+import { qualifyReferral } from "../../helpers/referrals";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+// Invoices and subscriptions moved a few fields around between Stripe API
+// versions, so read them through these helpers instead of directly.
+const invoiceSubscriptionId = (invoice) =>
+  invoice.subscription ||
+  invoice.parent?.subscription_details?.subscription ||
+  null;
+
+const invoicePeriodEnd = (invoice) => {
+  const line = invoice.lines?.data?.[0];
+  return line?.period?.end || invoice.period_end || null;
+};
+
+const invoicePaymentIntentId = (invoice) => {
+  const pi = invoice.payment_intent || invoice.payments?.data?.[0]?.payment?.payment_intent;
+  if (!pi) return null;
+  return typeof pi === "string" ? pi : pi.id;
+};
+
+const subscriptionPeriodEnd = (subscription) =>
+  subscription.current_period_end ||
+  subscription.items?.data?.[0]?.current_period_end ||
+  null;
+
+const nextPaymentId = async () => {
+  const paymentCount = await Payment.countDocuments();
+  return `P-${1000 + paymentCount + 1}`;
+};
+
+const findUserForSubscription = async (subscriptionId, customerId) => {
+  if (subscriptionId) {
+    const user = await User.findOne({ stripeSubscriptionId: subscriptionId });
+    if (user) return user;
+  }
+  if (customerId) {
+    return User.findOne({ stripeCustomerId: customerId });
+  }
+  return null;
+};
+
+// Billing can bring a lapsed account back, but not one waiting to be purged:
+// only restoring it on login or by an admin does that.
+const markActive = (user) => {
+  if (!user.deletion?.requestedAt) user.status = "active";
+};
+
+const cancelLocally = (user) => {
+  user.subscription = "none";
+  user.period = null;
+  user.nextBillingDate = null;
+  user.trail_status = null;
+  user.stripeSubscriptionId = null;
+  user.downgrade = false;
+};
+
+/**
+ * The Stripe price for the basic plan at `amount` (in dollars), billed every
+ * `interval`. STRIPE_BASIC_MONTHLY_PRICE_ID / STRIPE_BASIC_YEARLY_PRICE_ID
+ * pin existing prices; otherwise the price is found by its lookup key, so it
+ * is only created the first time an amount is used.
+ */
+const basicPriceId = async (interval, amount) => {
+  const configured = process.env[interval === "year" ? "STRIPE_BASIC_YEARLY_PRICE_ID" : "STRIPE_BASIC_MONTHLY_PRICE_ID"];
+  if (configured) return configured;
+
+  const unitAmount = Math.round(amount * 100);
+  const lookupKey = `basic_${interval}_${unitAmount}`;
+  const existing = await stripe.prices.list({ lookup_keys: [lookupKey], active: true, limit: 1 });
+  if (existing.data.length) return existing.data[0].id;
+
+  const price = await stripe.prices.create({
+    currency: "usd",
+    unit_amount: unitAmount,
+    recurring: { interval },
+    lookup_key: lookupKey,
+    product_data: { name: `Basic Plan (${interval})`, metadata: { plan: "basic", period: interval } },
+  });
+  return price.id;
+};
+
+// Swap a premium subscription onto a basic price before the next cycle is billed.
+const applyPendingDowngrade = async (user, subscriptionId) => {
+  if (!user.downgrade || user.subscription !== "premium" || !subscriptionId) {
+    return false;
+  }
+
+  const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+  const pricing = await Price.findOne();
+  if (!pricing) throw new Error("Pricing not configured");
+
+  const interval = user.period === "year" ? "year" : "month";
+  const bucket = pricing.basic[user.period === "year" ? "perYear" : "perMonth"];
+  const priceId = await basicPriceId(interval, bucket.price);
+
+  await stripe.subscriptions.update(subscriptionId, {
+    items: [{ id: subscription.items.data[0].id, price: priceId }],
+    proration_behavior: "none",
+  });
+
+  user.subscription = "basic";
+  user.downgrade = false;
+  await user.save();
+  return true;
+};
+
+const handleInvoicePaid = async (invoice) => {
+  const subscriptionId = invoiceSubscriptionId(invoice);
+  const user = await findUserForSubscription(subscriptionId, invoice.customer);
+  if (!user) return { skipped: "user not found" };
+
+  const periodEnd = invoicePeriodEnd(invoice);
+  if (periodEnd) user.nextBillingDate = new Date(periodEnd * 1000);
+  markActive(user);
+
+  // The first invoice of a subscription (trial start or the immediate charge
+  // in createPaymentIntent) is already recorded by the request that created it.
+  if (invoice.billing_reason !== "subscription_cycle" || !invoice.amount_paid) {
+    await user.save();
+    return { recorded: false };
+  }
+
+  const existing = await Payment.findOne({ stripeInvoiceId: invoice.id });
+  if (existing) {
+    await user.save();
+    return { recorded: false };
+  }
+
+  // This invoice was charged at the current plan, so that is what the period
+  // is recorded as. A pending downgrade waits for the next invoice.upcoming.
+  const pricing = await Price.findOne();
+  if (!pricing) throw new Error("Pricing not configured");
+  const planKey = ["basic", "premium"].includes(user.subscription) ? user.subscription : "basic";
+  const bucket = pricing[planKey][user.period === "year" ? "perYear" : "perMonth"];
+
+  const paymentId = await nextPaymentId();
+  await Payment.create({
+    user: user._id,
+    data: planKey,
+    paymentid: paymentId,
+    payment: invoice.amount_paid / 100,
+    discount: null,
+    discountValue: 0,
+    tokens: bucket.tokens,
+    status: "paid",
+    period: user.period,
+    paymentIntentId: invoicePaymentIntentId(invoice),
+    stripeSubscriptionId: subscriptionId,
+    stripeInvoiceId: invoice.id,
+  });
+
+  user.subscription = planKey;
+  user.tokens = (user.tokens || 0) + bucket.tokens;
+  user.trial_used = true;
+  user.trail_status = null;
+  user.subscribed_At = new Date();
+  await user.save();
+
+  // The first paid cycle is when a trial converts.
+  await qualifyReferral(user);
+
+  queueMail("subscription-receipt", user.email, {
+    username: user.username,
+    paymentId,
+    plan: planKey,
+    period: user.period,
+    amount: (invoice.amount_paid / 100).toFixed(2),
+    tokens: bucket.tokens,
+    nextBillingDate: user.nextBillingDate?.toDateString(),
+  }).catch((err) => console.error("Error queueing receipt:", err.message));
+
+  return { recorded: true };
+};
+
+const handleInvoicePaymentFailed = async (invoice) => {
+  const subscriptionId = invoiceSubscriptionId(invoice);
+  const user = await findUserForSubscription(subscriptionId, invoice.customer);
+  if (!user) return { skipped: "user not found" };
+
+  const existing = await Payment.findOne({ stripeInvoiceId: invoice.id });
+  if (!existing) {
+    await Payment.create({
+      user: user._id,
+      data: user.subscription || "none",
+      paymentid: await nextPaymentId(),
+      payment: invoice.amount_due / 100,
+      tokens: "0",
+      status: "failed",
+      period: user.period,
+      paymentIntentId: invoicePaymentIntentId(invoice),
+      stripeSubscriptionId: subscriptionId,
+      stripeInvoiceId: invoice.id,
+    });
+  }
+
+  // Stripe keeps retrying on its own schedule; only drop access locally once
+  // it has given up.
+  if (!invoice.next_payment_attempt) {
+    cancelLocally(user);
+    user.downgrade = true;
+    await user.save();
+  }
+
+  return { cancelled: !invoice.next_payment_attempt };
+};
+
+const handleSubscriptionUpdated = async (subscription) => {
+  const user = await findUserForSubscription(subscription.id, subscription.customer);
+  if (!user) return { skipped: "user not found" };
+
+  if (["canceled", "unpaid", "incomplete_expired"].includes(subscription.status)) {
+    cancelLocally(user);
+    await user.save();
+    return { cancelled: true };
+  }
+
+  const periodEnd = subscriptionPeriodEnd(subscription);
+  if (periodEnd) user.nextBillingDate = new Date(periodEnd * 1000);
+  user.trail_status = subscription.status === "trialing" ? "trialing" : null;
+  if (subscription.status === "active" || subscription.status === "trialing") {
+    markActive(user);
+  }
+  await user.save();
+
+  return { cancelled: false };
+};
+
+const handleSubscriptionDeleted = async (subscription) => {
+  const user = await findUserForSubscription(subscription.id, subscription.customer);
+  if (user) {
+    cancelLocally(user);
+    await user.save();
+  }
+
+  await Payment.findOneAndUpdate(
+    { stripeSubscriptionId: subscription.id, status: { $in: ["paid", "trialing"] } },
+    { status: "cancelled" },
+    { sort: { createdAt: -1 } }
+  );
+
+  return { cancelled: true };
+};
+
+const handleChargeRefunded = async (charge) => {
+  if (!charge.refunded) return { skipped: "partial refund" };
+
+  const paymentIntentId = typeof charge.payment_intent === "string"
+    ? charge.payment_intent
+    : charge.payment_intent?.id;
+  const invoiceId = typeof charge.invoice === "string" ? charge.invoice : charge.invoice?.id;
+
+  const or = [];
+  if (paymentIntentId) or.push({ paymentIntentId });
+  if (invoiceId) or.push({ stripeInvoiceId: invoiceId });
+  if (!or.length) return { skipped: "no payment reference" };
+
+  const payment = await Payment.findOne({ $or: or });
+  if (!payment) return { skipped: "payment not found" };
+  if (payment.status === "refunded") return { refunded: false };
+
+  if (payment.data === "course" && payment.course) {
+    await User.findByIdAndUpdate(payment.user, { $pull: { courses: payment.course } });
+  }
+  payment.status = "refunded";
+  await payment.save();
+
+  return { refunded: true };
+};
+
+const handleInvoiceUpcoming = async (invoice) => {
+  const subscriptionId = invoiceSubscriptionId(invoice);
+  const user = await findUserForSubscription(subscriptionId, invoice.customer);
+  if (!user) return { skipped: "user not found" };
+
+  // A late delivery for a period invoice.paid has already charged for.
+  const periodEnd = invoicePeriodEnd(invoice);
+  if (periodEnd && user.nextBillingDate && user.nextBillingDate.getTime() >= periodEnd * 1000) {
+    return { skipped: "period already paid" };
+  }
+  return { downgraded: await applyPendingDowngrade(user, subscriptionId) };
+};
+
+export const eventHandlers = {
+  "invoice.paid": (event) => handleInvoicePaid(event.data.object),
+  "invoice.payment_failed": (event) => handleInvoicePaymentFailed(event.data.object),
+  "invoice.upcoming": (event) => handleInvoiceUpcoming(event.data.object),
+  "customer.subscription.updated": (event) => handleSubscriptionUpdated(event.data.object),
+  "customer.subscription.deleted": (event) => handleSubscriptionDeleted(event.data.object),
+  "charge.refunded": (event) => handleChargeRefunded(event.data.object),
+};
+
+/**
+ * Verify the Stripe-Signature header against the raw request body and
+ * return the parsed event. Throws a Boom error when the signature is bad.
+ */
+export const constructStripeEvent = (rawBody, signature, secret = process.env.STRIPE_WEBHOOK_SECRET) => {
+  if (!secret) {
+    throw Boom.badImplementation("Stripe webhook secret not configured");
+  }
+  if (!rawBody || !signature) {
+    throw Boom.badRequest("Missing Stripe signature or payload");
+  }
+  try {
+    return stripe.webhooks.constructEvent(rawBody, signature, secret);
+  } catch (err) {
+    throw Boom.badRequest(`Webhook signature verification failed: ${err.message}`);
+  }
+};
+
+// A claim that hasn't been settled after this long belongs to an attempt that
+// died half way; a later delivery may take it over.
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Claim an event for processing. Only the delivery that records the event
+ * first gets it, or one retrying after an attempt that failed or stalled;
+ * every other delivery (including concurrent ones) resolves false.
+ */
+const claimEvent = async (event) => {
+  try {
+    await StripeEvent.create({ eventId: event.id, type: event.type, status: "processing" });
+    return true;
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  const retry = await StripeEvent.findOneAndUpdate(
+    {
+      eventId: event.id,
+      $or: [
+        { status: "failed" },
+        { status: "processing", updatedAt: { $lt: new Date(Date.now() - CLAIM_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { status: "processing" } },
+    { new: true }
+  );
+  return !!retry;
+};
+
+/**
+ * Run the handler for an event at most once. Events that were already
+ * processed, or are being processed, are acknowledged without touching any
+ * records; events whose previous attempt failed are processed again.
+ */
+export const handleStripeEvent = async (event) => {
+  if (!(await claimEvent(event))) {
+    return { duplicate: true };
+  }
+
+  const handler = eventHandlers[event.type];
+  try {
+    const result = handler ? await handler(event) : { ignored: true };
+    await StripeEvent.updateOne(
+      { eventId: event.id },
+      { $set: { status: "processed", processedAt: new Date() }, $unset: { error: 1 } }
+    );
+    return { duplicate: false, result };
+  } catch (err) {
+    await StripeEvent.updateOne(
+      { eventId: event.id },
+      { $set: { status: "failed", error: err.message } }
+    );
+    throw err;
+  }
+};
+
+// POST /payment/webhook
+export const stripeWebhook = async (req, res, next) => {
+  let event;
+  try {
+    event = constructStripeEvent(req.rawBody, req.headers["stripe-signature"]);
+  } catch (error) {
+    return next(error);
+  }
+
+  try {
+    const outcome = await handleStripeEvent(event);
+    return res.status(200).json({ received: true, duplicate: outcome.duplicate });
+  } catch (error) {
+    console.error(`Stripe webhook ${event.type} (${event.id}) failed:`, error);
+    // A non-2xx response makes Stripe retry the delivery later.
+    return next(Boom.internal("Error processing Stripe event."));
+  }
+};
+
+export default {
+  stripeWebhook,
+};
@@ -0,0 +1,269 @@
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_fixture';
+
+const fs = require('fs');
+const path = require('path');
+const expect = require('expect');
+const Stripe = require('stripe');
+
+const redis = require('../../clients/redis').default;
+const StripeEvent = require('../../models/stripeEvent').default;
+const User = require('../../models/user').default;
+const Payment = require('../../models/payment').default;
+const Referral = require('../../models/referral').default;
+const Price = require('../../models/price');
+const { stubStatics } = require('../../test-helpers/stubs');
+const {
+  constructStripeEvent,
+  handleStripeEvent,
+  eventHandlers,
+} = require('./webhook');
+
+const secret = 'whsec_test_fixture';
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+const fixture = (name) =>
+  fs.readFileSync(path.join(__dirname, 'fixtures', `${name}.json`), 'utf8');
+
+const sign = (payload) =>
+  stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+describe('constructStripeEvent', () => {
+  ['invoice.paid', 'invoice.payment_failed', 'customer.subscription.deleted', 'charge.refunded']
+    .forEach((name) => {
+      it(`should accept a locally signed ${name} fixture`, () => {
+        const payload = fixture(name);
+        const event = constructStripeEvent(Buffer.from(payload), sign(payload), secret);
+
+        expect(event.type).toBe(name);
+        expect(eventHandlers[event.type]).toBeA('function');
+      });
+    });
+
+  it('should reject a payload that was changed after signing', () => {
+    const payload = fixture('invoice.paid');
+    const header = sign(payload);
+    const tampered = payload.replace('1999', '1');
+
+    expect(() => constructStripeEvent(Buffer.from(tampered), header, secret)).toThrow(/signature/);
+  });
+
+  it('should reject a request without a signature', () => {
+    expect(() => constructStripeEvent(Buffer.from(fixture('invoice.paid')), undefined, secret))
+      .toThrow(/Missing Stripe signature/);
+  });
+});
+
+describe('handleStripeEvent', () => {
+  const original = {
+    create: StripeEvent.create,
+    findOneAndUpdate: StripeEvent.findOneAndUpdate,
+    updateOne: StripeEvent.updateOne,
+    handler: eventHandlers['invoice.paid'],
+  };
+  var calls;
+  var stored;
+
+  beforeEach(() => {
+    calls = 0;
+    stored = null;
+    // The unique eventId index: only the first insert wins.
+    StripeEvent.create = async (doc) => {
+      if (stored) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      stored = { ...doc, updatedAt: new Date() };
+      return stored;
+    };
+    StripeEvent.findOneAndUpdate = async (filter, update) => {
+      const retryable = filter.$or.some((condition) =>
+        condition.status === stored.status && (!condition.updatedAt || stored.updatedAt < condition.updatedAt.$lt));
+      if (!retryable) return null;
+      Object.assign(stored, update.$set);
+      return stored;
+    };
+    StripeEvent.updateOne = async (filter, update) => {
+      stored = { eventId: filter.eventId, status: update.$set.status, updatedAt: new Date() };
+    };
+    eventHandlers['invoice.paid'] = async () => {
+      calls += 1;
+      return { recorded: true };
+    };
+  });
+
+  afterEach(() => {
+    StripeEvent.create = original.create;
+    StripeEvent.findOneAndUpdate = original.findOneAndUpdate;
+    StripeEvent.updateOne = original.updateOne;
+    eventHandlers['invoice.paid'] = original.handler;
+  });
+
+  it('should process an event only once across retries', async () => {
+    const event = JSON.parse(fixture('invoice.paid'));
+
+    const first = await handleStripeEvent(event);
+    const retry = await handleStripeEvent(event);
+
+    expect(first.duplicate).toBe(false);
+    expect(retry.duplicate).toBe(true);
+    expect(calls).toBe(1);
+  });
+
+  it('should leave an event to the delivery that is already processing it', async () => {
+    const event = JSON.parse(fixture('invoice.paid'));
+    stored = { eventId: event.id, status: 'processing', updatedAt: new Date() };
+
+    expect((await handleStripeEvent(event)).duplicate).toBe(true);
+    expect(calls).toBe(0);
+
+    // Unless that attempt died long ago without settling.
+    stored.updatedAt = new Date(Date.now() - 60 * 60 * 1000);
+    expect((await handleStripeEvent(event)).duplicate).toBe(false);
+    expect(calls).toBe(1);
+  });
+
+  it('should process an event again when the previous attempt failed', async () => {
+    const event = JSON.parse(fixture('invoice.paid'));
+    eventHandlers['invoice.paid'] = async () => {
+      calls += 1;
+      if (calls === 1) throw new Error('database unavailable');
+      return { recorded: true };
+    };
+
+    await handleStripeEvent(event).then(
+      () => { throw new Error('expected the first attempt to fail'); },
+      (err) => expect(err.message).toBe('database unavailable')
+    );
+    expect(stored.status).toBe('failed');
+
+    const retry = await handleStripeEvent(event);
+    expect(retry.duplicate).toBe(false);
+    expect(stored.status).toBe('processed');
+    expect(calls).toBe(2);
+  });
+});
+
+describe('premium downgrades', () => {
+  const prices = Object.getPrototypeOf(stripe.prices);
+  const subscriptions = Object.getPrototypeOf(stripe.subscriptions);
+  const original = {
+    list: prices.list,
+    create: prices.create,
+    retrieve: subscriptions.retrieve,
+    update: subscriptions.update,
+    userFindOne: User.findOne,
+    priceFindOne: Price.findOne,
+    paymentFindOne: Payment.findOne,
+    paymentCount: Payment.countDocuments,
+    paymentCreate: Payment.create,
+    referralFindOne: Referral.findOne,
+    lpush: redis.lpush,
+  };
+  var user, swaps, createdPrices, payments;
+
+  const pricing = {
+    basic: { perMonth: { price: 9.99, tokens: 100 }, perYear: { price: 99, tokens: 1200 } },
+    premium: { perMonth: { price: 19.99, tokens: 300 }, perYear: { price: 199, tokens: 3600 } },
+  };
+
+  beforeEach(() => {
+    swaps = [];
+    createdPrices = 0;
+    payments = [];
+    user = {
+      _id: 'u1',
+      email: 'jane@example.com',
+      subscription: 'premium',
+      period: 'month',
+      downgrade: true,
+      nextBillingDate: new Date(1767225600 * 1000),
+      save: async () => user,
+    };
+    prices.list = async () => ({ data: [{ id: 'price_basic_month' }] });
+    prices.create = async () => {
+      createdPrices += 1;
+      return { id: 'price_new' };
+    };
+    subscriptions.retrieve = async () => ({ items: { data: [{ id: 'si_1' }] } });
+    subscriptions.update = async (id, params) => swaps.push(params.items[0].price);
+    User.findOne = async () => user;
+    Price.findOne = async () => pricing;
+    Payment.findOne = async () => null;
+    Payment.countDocuments = async () => 0;
+    Payment.create = async (doc) => payments.push(doc);
+    Referral.findOne = async () => null;
+    redis.lpush = async () => 1;
+  });
+
+  afterEach(() => {
+    Object.assign(prices, { list: original.list, create: original.create });
+    Object.assign(subscriptions, { retrieve: original.retrieve, update: original.update });
+    User.findOne = original.userFindOne;
+    Price.findOne = original.priceFindOne;
+    Payment.findOne = original.paymentFindOne;
+    Payment.countDocuments = original.paymentCount;
+    Payment.create = original.paymentCreate;
+    Referral.findOne = original.referralFindOne;
+    redis.lpush = original.lpush;
+  });
+
+  const upcoming = (periodEnd) => ({
+    type: 'invoice.upcoming',
+    data: { object: { customer: 'cus_test_123', subscription: 'sub_test_123', lines: { data: [{ period: { end: periodEnd } }] } } },
+  });
+
+  it('should move the subscription onto the existing basic price before the next cycle', async () => {
+    const { downgraded } = await eventHandlers['invoice.upcoming'](upcoming(1769904000));
+
+    expect(downgraded).toBe(true);
+    expect(swaps).toEqual(['price_basic_month']);
+    expect(createdPrices).toBe(0);
+    expect(user).toInclude({ subscription: 'basic', downgrade: false });
+  });
+
+  it('should record a renewal at the plan it was charged for and keep the downgrade pending', async () => {
+    await eventHandlers['invoice.paid'](JSON.parse(fixture('invoice.paid')));
+
+    expect(swaps).toEqual([]);
+    expect(payments[0].data).toBe('premium');
+    expect(user).toInclude({ subscription: 'premium', downgrade: true });
+
+    // A late invoice.upcoming for the period just paid changes nothing.
+    const { skipped } = await eventHandlers['invoice.upcoming'](upcoming(1769904000));
+    expect(skipped).toBe('period already paid');
+    expect(swaps).toEqual([]);
+  });
+});
+
+describe('accounts pending deletion', () => {
+  const stub = stubStatics();
+  var user;
+
+  beforeEach(() => {
+    user = {
+      _id: 'u1',
+      status: 'pending_deletion',
+      deletion: { requestedAt: new Date(), requestedBy: 'user', previousStatus: 'active' },
+      save: async () => user,
+    };
+    stub(User, { findOne: async () => user });
+    stub(Payment, { findOne: async () => ({ _id: 'p1' }) });
+  });
+
+  it('should stay pending when a renewal is paid', async () => {
+    await eventHandlers['invoice.paid'](JSON.parse(fixture('invoice.paid')));
+    expect(user.status).toBe('pending_deletion');
+  });
+
+  it('should stay pending when the subscription becomes active again', async () => {
+    await eventHandlers['customer.subscription.updated']({
+      type: 'customer.subscription.updated',
+      data: { object: { id: 'sub_test_123', customer: 'cus_test_123', status: 'active' } },
+    });
+    expect(user.status).toBe('pending_deletion');
+  });
+
+  it('should still reactivate other accounts', async () => {
+    user.status = 'inactive';
+    user.deletion = undefined;
+    await eventHandlers['invoice.paid'](JSON.parse(fixture('invoice.paid')));
+    expect(user.status).toBe('active');
+  });
+});
@@ -0,0 +1,184 @@
+import Boom from "@hapi/boom"; // Preferred
+import Post from "../../models/post";
+import PostComment from "../../models/postComment";
+import { recordAudit } from "../../middlewares/audit";
+import { notifyUser } from "../../helpers/notify";
+import {
+  MAX_COMMENT_DEPTH,
+  canModerate,
+  validId,
+  sameId,
+  loadPostViewer,
+  findVisiblePost,
+  presentComments,
+  buildThreads,
+  loadCommentAuthors,
+} from "../../helpers/posts";
+
+// GET /posts/:postId/comments?page=&limit=
+// Pages through top-level comments, oldest first, each with its replies.
+export const getComments = async (req, res, next) => {
+  try {
+    const viewer = await loadPostViewer(req);
+    const moderator = canModerate(req.payload);
+    const post = await findVisiblePost(req, req.params.postId, viewer);
+    const perPage = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const currentPage = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const [roots, totalThreads] = await Promise.all([
+      PostComment.find({ post: post._id, parent: null })
+        .sort({ createdAt: 1, _id: 1 })
+        .skip((currentPage - 1) * perPage)
+        .limit(perPage)
+        .lean(),
+      PostComment.countDocuments({ post: post._id, parent: null }),
+    ]);
+    const replies = await PostComment.find({ post: post._id, root: { $in: roots.map((root) => root._id) } }).lean();
+    const comments = [...roots, ...replies];
+
+    res.status(200).json({
+      success: true,
+      currentPage,
+      totalPages: Math.ceil(totalThreads / perPage),
+      totalComments: post.commentsCount,
+      data: buildThreads(comments, viewer, { moderator, authors: await loadCommentAuthors(comments) }),
+    });
+  } catch (error) {
+    if (error.isBoom) return next(error);
+    console.error("Error fetching comments:", error);
+    next(Boom.internal("Error fetching comments."));
+  }
+};
+
+// POST /posts/:postId/comments { text, parentId }
+export const addComment = async (req, res, next) => {
+  try {
+    const text = (req.body.text || "").trim();
+    if (!text) {
+      return next(Boom.badRequest("Comment text is required."));
+    }
+    const viewer = await loadPostViewer(req);
+    const post = await findVisiblePost(req, req.params.postId, viewer);
+
+    let parent = null;
+    if (req.body.parentId) {
+      if (!validId(req.body.parentId)) {
+        return next(Boom.badRequest("Invalid parent comment ID."));
+      }
+      parent = await PostComment.findOne({ _id: req.body.parentId, post: post._id }).lean();
+      if (!parent || parent.deleted) {
+        return next(Boom.notFound("Comment not found."));
+      }
+      if (parent.depth >= MAX_COMMENT_DEPTH) {
+        return next(Boom.badRequest("This thread can't go any deeper; reply further up instead."));
+      }
+    }
+
+    const comment = await PostComment.create({
+      post: post._id,
+      author: viewer._id,
+      text,
+      parent: parent ? parent._id : null,
+      root: parent ? parent.root || parent._id : null,
+      depth: parent ? parent.depth + 1 : 0,
+    });
+    await Post.updateOne({ _id: post._id }, { $inc: { commentsCount: 1 } });
+
+    // Tell the post's author and whoever was replied to, but not the commenter themselves.
+    const recipients = new Set([String(post.author), ...(parent?.author ? [String(parent.author)] : [])]);
+    recipients.delete(String(viewer._id));
+    await Promise.all(
+      [...recipients].map((recipient) =>
+        notifyUser(
+          recipient,
+          "postcomment",
+          parent && sameId(recipient, parent.author)
+            ? `${viewer.username} replied to your comment`
+            : `${viewer.username} commented on your post`
+        )
+      )
+    );
+
+    const [data] = presentComments([comment.toObject()], viewer, { authors: await loadCommentAuthors([comment]) });
+    res.status(201).json({ success: true, message: "Comment added successfully.", data });
+  } catch (error) {
+    if (error.isBoom) return next(error);
+    console.error("Error adding comment:", error);
+    next(Boom.internal("Error adding comment."));
+  }
+};
+
+// PUT /posts/:postId/comments/:commentId { text }
+export const updateComment = async (req, res, next) => {
+  try {
+    const { postId, commentId } = req.params;
+    const text = (req.body.text || "").trim();
+    if (!validId(postId) || !validId(commentId)) {
+      return next(Boom.badRequest("Invalid post or comment ID."));
+    }
+    if (!text) {
+      return next(Boom.badRequest("Comment text is required."));
+    }
+
+    const comment = await PostComment.findOneAndUpdate(
+      { _id: commentId, post: postId, author: req.payload.user_id, deleted: false },
+      { $set: { text, editedAt: new Date() } },
+      { new: true, runValidators: true }
+    ).lean();
+    if (!comment) {
+      return next(Boom.notFound("Comment not found."));
+    }
+
+    const [data] = presentComments([comment], await loadPostViewer(req), {
+      authors: await loadCommentAuthors([comment]),
+    });
+    res.status(200).json({ success: true, message: "Comment updated successfully.", data });
+  } catch (error) {
+    console.error("Error updating comment:", error);
+    next(Boom.internal("Error updating comment."));
+  }
+};
+
+// DELETE /posts/:postId/comments/:commentId
+// The comment's author, the post's author or a moderator. Comments with
+// replies become placeholders so the thread stays readable.
+export const deleteComment = async (req, res, next) => {
+  try {
+    const { postId, commentId } = req.params;
+    if (!validId(postId) || !validId(commentId)) {
+      return next(Boom.badRequest("Invalid post or comment ID."));
+    }
+    const [post, comment] = await Promise.all([
+      Post.findById(postId).select("author").lean(),
+      PostComment.findOne({ _id: commentId, post: postId, deleted: false }).lean(),
+    ]);
+    const userId = req.payload.user_id;
+    const moderator = canModerate(req.payload);
+    if (!post || !comment || !(sameId(comment.author, userId) || sameId(post.author, userId) || moderator)) {
+      return next(Boom.notFound("Comment not found."));
+    }
+
+    if (await PostComment.exists({ parent: comment._id })) {
+      await PostComment.updateOne({ _id: comment._id }, { $set: { deleted: true, text: "" } });
+    } else {
+      await PostComment.deleteOne({ _id: comment._id });
+    }
+    await Post.updateOne({ _id: post._id }, { $inc: { commentsCount: -1 } });
+
+    if (moderator && !sameId(comment.author, userId) && !sameId(post.author, userId)) {
+      await recordAudit(req, { action: "post.comment_delete", targetType: "PostComment", targetId: comment._id, before: comment });
+    }
+
+    res.status(200).json({ success: true, message: "Comment deleted successfully." });
+  } catch (error) {
+    console.error("Error deleting comment:", error);
+    next(Boom.internal("Error deleting comment."));
+  }
+};
+
+export default {
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment,
+};
@@ -0,0 +1,322 @@
+import Boom from "@hapi/boom"; // Preferred
+import mongoose from "mongoose";
+import User from "../../models/user";
+import Mytribe from "../../models/mytribes";
+import Post from "../../models/post";
+import PostComment from "../../models/postComment";
+import Follow from "../../models/follow";
+import { uploadFileToFirebase, deleteFromFirebase } from "../../middlewares/firebase-upload";
+import { recordAudit } from "../../middlewares/audit";
+import { notifyUser } from "../../helpers/notify";
+import { notifyFollowers } from "../../helpers/follows";
+import {
+  MAX_IMAGES,
+  canModerate,
+  parseList,
+  parseLinks,
+  parseScope,
+  visibleQuery,
+  validId,
+  sameId,
+  loadPostViewer,
+  isListedAuthor,
+  findVisiblePost,
+  encodeFeedCursor,
+  decodeFeedCursor,
+  feedPipeline,
+  presentPosts,
+} from "../../helpers/posts";
+
+// Comments and moderation live in ./comments and ./moderation.
+
+const uploadedImages = (req) => [].concat(req.files || []);
+
+// Only images can be attached; checked before anything is uploaded.
+const checkImages = (files) => {
+  if (files.some((file) => !String(file.mimetype).startsWith("image/"))) {
+    throw Boom.badRequest("Only images can be attached to posts.");
+  }
+};
+
+const removeImages = (urls) =>
+  Promise.all(
+    urls.map((url) =>
+      deleteFromFirebase(url).catch((err) => console.error("Error deleting post image:", err))
+    )
+  );
+
+// Tribe posts can only go to an active tribe the author belongs to.
+const checkTribe = async (tribe, userId) => {
+  if (!tribe) return;
+  const member = await Mytribe.exists({ _id: tribe, status: true, members: userId });
+  if (!member) {
+    throw Boom.forbidden("You can only post in tribes you are a member of.");
+  }
+};
+
+// POST /posts (multipart: text, scope, tribeId, links, images[])
+export const createPost = async (req, res, next) => {
+  try {
+    const userId = req.payload.user_id;
+    const text = (req.body.text || "").trim();
+    const links = parseLinks(req.body.links);
+    const { scope, tribe } = parseScope(req.body.scope, req.body.tribeId);
+    const files = uploadedImages(req);
+
+    if (!text && !links.length && !files.length) {
+      return next(Boom.badRequest("A post needs text, an image or a link."));
+    }
+    if (files.length > MAX_IMAGES) {
+      return next(Boom.badRequest(`A post can have at most ${MAX_IMAGES} images.`));
+    }
+    checkImages(files);
+    await checkTribe(tribe, userId);
+
+    const images = await Promise.all(files.map((file) => uploadFileToFirebase(file)));
+    const post = await Post.create({ author: userId, text, images, links, scope, tribe });
+
+    if (scope === "public") {
+      const author = await User.findById(userId).select("username").lean();
+      // Not awaited: followers hearing about it shouldn't hold up the post.
+      notifyFollowers(userId, "followactivity", `${author?.username || "Someone you follow"} shared a new post`);
+    }
+
+    const [data] = await presentPosts([post.toObject()], await loadPostViewer(req));
+    res.status(201).json({ success: true, message: "Post created successfully.", data });
+  } catch (error) {
+    if (error.isBoom) return next(error);
+    console.error("Error creating post:", error);
+    next(Boom.internal("Error creating post."));
+  }
+};
+
+// GET /posts/:postId
+export const getPost = async (req, res, next) => {
+  try {
+    const viewer = await loadPostViewer(req);
+    const post = await findVisiblePost(req, req.params.postId, viewer);
+    const [data] = await presentPosts([post], viewer, { moderator: canModerate(req.payload) });
+    if (!data) {
+      return next(Boom.notFound("Post not found."));
+    }
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    if (error.isBoom) return next(error);
+    console.error("Error fetching post:", error);
+    next(Boom.internal("Error fetching post."));
+  }
+};
+
+// GET /posts/user/:userId?page=&limit=
+// A member's posts the caller may see, newest first.
+export const getUserPosts = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    if (!validId(userId)) {
+      return next(Boom.badRequest("Invalid user ID."));
+    }
+    const perPage = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const currentPage = Math.max(parseInt(req.query.page) || 1, 1);
+    const moderator = canModerate(req.payload);
+
+    if (!moderator && !(await isListedAuthor(userId))) {
+      return next(Boom.notFound("User not found."));
+    }
+
+    const viewer = await loadPostViewer(req);
+    const filter = { $and: [{ author: new mongoose.Types.ObjectId(userId) }, ...visibleQuery(viewer, { moderator })] };
+    const [posts, total] = await Promise.all([
+      Post.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((currentPage - 1) * perPage)
+        .limit(perPage)
+        .lean(),
+      Post.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      currentPage,
+      totalPages: Math.ceil(total / perPage),
+      total,
+      data: await presentPosts(posts, viewer, { moderator }),
+    });
+  } catch (error) {
+    console.error("Error fetching user posts:", error);
+    next(Boom.internal("Error fetching user posts."));
+  }
+};
+
+// PUT /posts/:postId (multipart: text, scope, tribeId, links, removeImages, images[])
+// Only the author can edit. Fields left out stay as they are.
+export const updatePost = async (req, res, next) => {
+  try {
+    const { postId } = req.params;
+    if (!validId(postId)) {
+      return next(Boom.badRequest("Invalid post ID."));
+    }
+    const post = await Post.findById(postId);
+    if (!post || !sameId(post.author, req.payload.user_id)) {
+      return next(Boom.notFound("Post not found."));
+    }
+
+    if (req.body.text !== undefined) post.text = String(req.body.text).trim();
+    if (req.body.links !== undefined) post.links = parseLinks(req.body.links);
+    if (req.body.scope !== undefined) {
+      const { scope, tribe } = parseScope(req.body.scope, req.body.tribeId);
+      await checkTribe(tribe, req.payload.user_id);
+      post.scope = scope;
+      post.tribe = tribe;
+    }
+
+    const removed = parseList(req.body.removeImages).map(String);
+    if (removed.some((url) => !post.images.includes(url))) {
+      return next(Boom.badRequest("Only the post's own images can be removed."));
+    }
+    const files = uploadedImages(req);
+    const kept = post.images.filter((url) => !removed.includes(url));
+    if (kept.length + files.length > MAX_IMAGES) {
+      return next(Boom.badRequest(`A post can have at most ${MAX_IMAGES} images.`));
+    }
+    checkImages(files);
+    if (!post.text && !post.links.length && !kept.length && !files.length) {
+      return next(Boom.badRequest("A post needs text, an image or a link."));
+    }
+
+    post.images = [...kept, ...(await Promise.all(files.map((file) => uploadFileToFirebase(file))))];
+    post.editedAt = new Date();
+    await post.save();
+    await removeImages(removed);
+
+    const [data] = await presentPosts([post.toObject()], await loadPostViewer(req));
+    res.status(200).json({ success: true, message: "Post updated successfully.", data });
+  } catch (error) {
+    if (error.isBoom) return next(error);
+    console.error("Error updating post:", error);
+    next(Boom.internal("Error updating post."));
+  }
+};
+
+// DELETE /posts/:postId
+// The author, or a moderator (recorded in the audit log).
+export const deletePost = async (req, res, next) => {
+  try {
+    const { postId } = req.params;
+    if (!validId(postId)) {
+      return next(Boom.badRequest("Invalid post ID."));
+    }
+    const post = await Post.findById(postId).lean();
+    const own = post && sameId(post.author, req.payload.user_id);
+    if (!post || (!own && !canModerate(req.payload))) {
+      return next(Boom.notFound("Post not found."));
+    }
+
+    await Promise.all([Post.deleteOne({ _id: post._id }), PostComment.deleteMany({ post: post._id })]);
+    await removeImages(post.images || []);
+
+    if (!own) {
+      const { likes, ...snapshot } = post;
+      await recordAudit(req, { action: "post.delete", targetType: "Post", targetId: post._id, before: snapshot });
+      await notifyUser(post.author, "postmoderation", "One of your posts was removed by a moderator.");
+    }
+
+    res.status(200).json({ success: true, message: "Post deleted successfully." });
+  } catch (error) {
+    console.error("Error deleting post:", error);
+    next(Boom.internal("Error deleting post."));
+  }
+};
+
+// POST /posts/:postId/like
+export const likePost = async (req, res, next) => {
+  try {
+    const viewer = await loadPostViewer(req);
+    const post = await findVisiblePost(req, req.params.postId, viewer);
+
+    // Only counts when the like is new, so repeated calls don't inflate likesCount.
+    const result = await Post.updateOne(
+      { _id: post._id, likes: { $ne: viewer._id } },
+      { $push: { likes: viewer._id }, $inc: { likesCount: 1 } }
+    );
+    if (result.modifiedCount && !sameId(post.author, viewer._id)) {
+      await notifyUser(post.author, "postlike", `${viewer.username} liked your post`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Post liked.",
+      data: { liked: true, likesCount: post.likesCount + (result.modifiedCount ? 1 : 0) },
+    });
+  } catch (error) {
+    if (error.isBoom) return next(error);
+    console.error("Error liking post:", error);
+    next(Boom.internal("Error liking post."));
+  }
+};
+
+// DELETE /posts/:postId/like
+export const unlikePost = async (req, res, next) => {
+  try {
+    const viewer = await loadPostViewer(req);
+    const post = await findVisiblePost(req, req.params.postId, viewer);
+
+    const updated = await Post.findOneAndUpdate(
+      { _id: post._id, likes: viewer._id },
+      { $pull: { likes: viewer._id }, $inc: { likesCount: -1 } },
+      { new: true }
+    ).select("likesCount");
+
+    res.status(200).json({
+      success: true,
+      message: "Post unliked.",
+      data: { liked: false, likesCount: updated ? updated.likesCount : post.likesCount },
+    });
+  } catch (error) {
+    if (error.isBoom) return next(error);
+    console.error("Error unliking post:", error);
+    next(Boom.internal("Error unliking post."));
+  }
+};
+
+// GET /feed?limit=&cursor=
+// Posts from the caller's tribers, the members they follow and their tribes,
+// best first (see feedScoreStage). Pass `nextCursor` back as `cursor`.
+export const getFeed = async (req, res, next) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const cursor = req.query.cursor ? decodeFeedCursor(req.query.cursor) : null;
+    const asOf = cursor ? cursor.asOf : new Date();
+
+    const viewer = await loadPostViewer(req);
+    if (!viewer) {
+      return next(Boom.notFound("User not found."));
+    }
+    const following = (await Follow.find({ follower: viewer._id }).select("followee").lean()).map(
+      ({ followee }) => followee
+    );
+
+    const posts = await Post.aggregate(feedPipeline(viewer, following, { asOf, cursor, limit }));
+    const page = posts.slice(0, limit);
+
+    res.status(200).json({
+      success: true,
+      nextCursor: posts.length > limit ? encodeFeedCursor(asOf, page[page.length - 1]) : null,
+      data: await presentPosts(page, viewer),
+    });
+  } catch (error) {
+    if (error.isBoom) return next(error);
+    console.error("Error fetching feed:", error);
+    next(Boom.internal("Error fetching feed."));
+  }
+};
+
+export default {
+  createPost,
+  getPost,
+  getUserPosts,
+  updatePost,
+  deletePost,
+  likePost,
+  unlikePost,
+  getFeed,
+};
@@ -0,0 +1,82 @@
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_fixture';
+process.env.GCS_BUCKET_NAME = process.env.GCS_BUCKET_NAME || 'test-bucket';
+
+const expect = require('expect');
+const mongoose = require('mongoose');
+
+const User = require('../../models/user').default;
+const Post = require('../../models/post').default;
+const { stubStatics, query } = require('../../test-helpers/stubs');
+const { getPost, getUserPosts, likePost, unlikePost } = require('./index');
+
+const ObjectId = mongoose.Types.ObjectId;
+const VIEWER = new ObjectId('64b000000000000000000001');
+const AUTHOR = new ObjectId('64b000000000000000000002');
+const POST = new ObjectId('64d000000000000000000001');
+
+// Runs a handler and resolves with what it passed to next(), or the JSON it sent.
+const run = (handler, req) =>
+  new Promise((resolve) =>
+    handler(req, { status: () => ({ json: (body) => resolve({ body }) }) }, (err) => resolve({ err }))
+  );
+
+describe('post likes', () => {
+  const stub = stubStatics();
+  var viewer, post, updates, authorListed;
+
+  beforeEach(() => {
+    viewer = { _id: VIEWER, username: 'jane', mytribers: [], joined_tribes: [], blockedtribers: [], blockedby: [] };
+    post = { _id: POST, author: AUTHOR, scope: 'public', likes: [], likesCount: 3 };
+    updates = [];
+    authorListed = true;
+
+    stub(User, {
+      findById: () => query(viewer),
+      exists: async () => (authorListed ? { _id: AUTHOR } : null),
+    });
+    stub(Post, {
+      findById: () => query(post),
+      updateOne: async (filter, update) => {
+        updates.push(['like', filter, update]);
+        return { modifiedCount: 0 };
+      },
+      findOneAndUpdate: (filter, update) => {
+        updates.push(['unlike', filter, update]);
+        return query({ likesCount: post.likesCount - 1 });
+      },
+    });
+  });
+
+  const request = () => ({ params: { postId: String(POST) }, payload: { user_id: String(VIEWER), role: 'user' } });
+
+  it('should unlike a post the caller can see', async () => {
+    const { body } = await run(unlikePost, request());
+
+    expect(body.data).toEqual({ liked: false, likesCount: 2 });
+    expect(updates[0][1]).toEqual({ _id: POST, likes: VIEWER });
+  });
+
+  it('should treat posts the caller may not see the same for likes and unlikes', async () => {
+    post.scope = 'tribers';
+    for (const handler of [likePost, unlikePost]) {
+      expect((await run(handler, request())).err.output.statusCode).toBe(404);
+    }
+
+    post.scope = 'public';
+    viewer.blockedby = [AUTHOR];
+    for (const handler of [likePost, unlikePost]) {
+      expect((await run(handler, request())).err.output.statusCode).toBe(404);
+    }
+    expect(updates).toEqual([]);
+  });
+
+  it('should hide the posts of members pending deletion', async () => {
+    authorListed = false;
+    for (const handler of [getPost, likePost, unlikePost]) {
+      expect((await run(handler, request())).err.output.statusCode).toBe(404);
+    }
+    const { err } = await run(getUserPosts, { params: { userId: String(AUTHOR) }, query: {}, payload: request().payload });
+    expect(err.output.statusCode).toBe(404);
+    expect(updates).toEqual([]);
+  });
+});
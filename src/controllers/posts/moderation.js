@@ -0,0 +1,143 @@
+import Boom from "@hapi/boom"; // Preferred
+import Post from "../../models/post";
+import PostComment from "../../models/postComment";
+import { recordAudit } from "../../middlewares/audit";
+import { notifyUser } from "../../helpers/notify";
+import { validId, presentPosts } from "../../helpers/posts";
+
+// Hiding posts and comments, for staff with post rights. Every change is
+// recorded in the audit log.
+
+// The `moderation` block for a hide/unhide request.
+const moderationUpdate = (req) => {
+  const { hidden, reason } = req.body;
+  if (typeof hidden !== "boolean") {
+    throw Boom.badRequest("hidden must be true or false.");
+  }
+  return hidden
+    ? { hidden: true, reason: reason ? String(reason).trim() : undefined, by: req.payload.user_id, at: new Date() }
+    : { hidden: false };
+};
+
+// PUT /posts/:postId/moderation { hidden, reason }
+export const moderatePost = async (req, res, next) => {
+  try {
+    const { postId } = req.params;
+    if (!validId(postId)) {
+      return next(Boom.badRequest("Invalid post ID."));
+    }
+    const moderation = moderationUpdate(req);
+    const before = await Post.findById(postId).select("author moderation").lean();
+    if (!before) {
+      return next(Boom.notFound("Post not found."));
+    }
+
+    const post = await Post.findByIdAndUpdate(postId, { $set: { moderation } }, { new: true })
+      .select("author moderation")
+      .lean();
+    await recordAudit(req, {
+      action: moderation.hidden ? "post.hide" : "post.unhide",
+      targetType: "Post",
+      targetId: post._id,
+      before,
+      after: post,
+    });
+    if (moderation.hidden && !before.moderation?.hidden) {
+      await notifyUser(
+        post.author,
+        "postmoderation",
+        `One of your posts was hidden by a moderator${moderation.reason ? `: ${moderation.reason}` : "."}`
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: moderation.hidden ? "Post hidden." : "Post restored.",
+      data: post,
+    });
+  } catch (error) {
+    if (error.isBoom) return next(error);
+    console.error("Error moderating post:", error);
+    next(Boom.internal("Error moderating post."));
+  }
+};
+
+// PUT /posts/:postId/comments/:commentId/moderation { hidden, reason }
+export const moderateComment = async (req, res, next) => {
+  try {
+    const { postId, commentId } = req.params;
+    if (!validId(postId) || !validId(commentId)) {
+      return next(Boom.badRequest("Invalid post or comment ID."));
+    }
+    const moderation = moderationUpdate(req);
+    const before = await PostComment.findOne({ _id: commentId, post: postId }).select("author text moderation").lean();
+    if (!before) {
+      return next(Boom.notFound("Comment not found."));
+    }
+
+    const comment = await PostComment.findByIdAndUpdate(commentId, { $set: { moderation } }, { new: true })
+      .select("author text moderation")
+      .lean();
+    await recordAudit(req, {
+      action: moderation.hidden ? "post.comment_hide" : "post.comment_unhide",
+      targetType: "PostComment",
+      targetId: comment._id,
+      before,
+      after: comment,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: moderation.hidden ? "Comment hidden." : "Comment restored.",
+      data: comment,
+    });
+  } catch (error) {
+    if (error.isBoom) return next(error);
+    console.error("Error moderating comment:", error);
+    next(Boom.internal("Error moderating comment."));
+  }
+};
+
+// GET /posts/moderation?hidden=true|false&author=&page=&limit=
+// Every post regardless of scope, newest first, for moderators.
+export const getModerationQueue = async (req, res, next) => {
+  try {
+    const perPage = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const currentPage = Math.max(parseInt(req.query.page) || 1, 1);
+    const filter = {};
+    if (req.query.hidden === "true") filter["moderation.hidden"] = true;
+    if (req.query.hidden === "false") filter["moderation.hidden"] = { $ne: true };
+    if (req.query.author) {
+      if (!validId(req.query.author)) {
+        return next(Boom.badRequest("Invalid author ID."));
+      }
+      filter.author = req.query.author;
+    }
+
+    const [posts, total] = await Promise.all([
+      Post.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((currentPage - 1) * perPage)
+        .limit(perPage)
+        .lean(),
+      Post.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      currentPage,
+      totalPages: Math.ceil(total / perPage),
+      total,
+      data: await presentPosts(posts, null, { moderator: true }),
+    });
+  } catch (error) {
+    console.error("Error fetching posts for moderation:", error);
+    next(Boom.internal("Error fetching posts for moderation."));
+  }
+};
+
+export default {
+  moderatePost,
+  moderateComment,
+  getModerationQueue,
+};
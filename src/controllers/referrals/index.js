@@ -0,0 +1,75 @@
+import Boom from "@hapi/boom"; // Preferred
+import User from "../../models/user";
+import Referral from "../../models/referral";
+import {
+  REFERRAL_REWARD_TOKENS,
+  REFERRAL_DISCOUNT_PERCENT,
+  ensureReferralCode,
+} from "../../helpers/referrals";
+
+const DEFAULT_FRONTEND_URL = "https://openpreneurs.business";
+const STATUSES = Referral.schema.path("status").enumValues;
+
+// GET /auth/referrals?status=&page=&limit=&frontendUrl=
+// The caller's referral code and link, totals, and the people they referred.
+export const getReferrals = async (req, res, next) => {
+  try {
+    const { status, limit = 20, page = 1 } = req.query;
+    const perPage = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+    if (status && !STATUSES.includes(status)) {
+      return next(Boom.badRequest("Unknown referral status."));
+    }
+
+    const user = await User.findById(req.payload.user_id).select("referralCode");
+    if (!user) {
+      return next(Boom.notFound("User not found."));
+    }
+    const code = await ensureReferralCode(user);
+
+    const query = { referrer: user._id };
+    if (status) query.status = status;
+
+    const [referrals, totalReferrals, totals] = await Promise.all([
+      Referral.find(query)
+        .select("referee status reason rewardTokens rewardDiscount rewardedAt createdAt")
+        .populate("referee", "username profile_pic")
+        .populate("rewardDiscount", "token value usesCount")
+        .sort({ createdAt: -1 })
+        .skip((currentPage - 1) * perPage)
+        .limit(perPage)
+        .lean(),
+      Referral.countDocuments(query),
+      Referral.aggregate([
+        { $match: { referrer: user._id } },
+        { $group: { _id: "$status", count: { $sum: 1 }, tokens: { $sum: "$rewardTokens" } } },
+      ]),
+    ]);
+
+    const summary = { pending: 0, rewarded: 0, rejected: 0, tokensEarned: 0 };
+    totals.forEach(({ _id, count, tokens }) => {
+      summary[_id] = count;
+      summary.tokensEarned += tokens;
+    });
+
+    const frontendUrl = req.query.frontendUrl || DEFAULT_FRONTEND_URL;
+    res.status(200).json({
+      success: true,
+      data: {
+        code,
+        link: `${frontendUrl}/signup?ref=${code}`,
+        reward: { tokens: REFERRAL_REWARD_TOKENS, discountPercent: REFERRAL_DISCOUNT_PERCENT },
+        summary,
+        totalReferrals,
+        currentPage,
+        totalPages: Math.ceil(totalReferrals / perPage),
+        referrals,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching referrals:", error);
+    next(Boom.internal("Error fetching referrals."));
+  }
+};
+
+export default { getReferrals };
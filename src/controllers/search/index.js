@@ -0,0 +1,36 @@
+import Boom from "@hapi/boom"; // Preferred
+import { loadViewer } from "../../helpers/profile-serializer";
+import { MAX_QUERY_LENGTH, parseTypes, searchSource } from "../../helpers/search";
+
+// GET /search?q=&types=users,tribes,courses,tools&limit=
+// Best matches per type, each with a `score` and `highlights` (HTML with
+// <mark> around matching words, keyed by field). Guests can search too;
+// member results then only include profiles anyone may find.
+export const search = async (req, res, next) => {
+  try {
+    const q = String(req.query.q || "").trim();
+    if (q.length < 2) {
+      return next(Boom.badRequest("Search query must be at least 2 characters."));
+    }
+    if (q.length > MAX_QUERY_LENGTH) {
+      return next(Boom.badRequest(`Search query must be at most ${MAX_QUERY_LENGTH} characters.`));
+    }
+    const types = parseTypes(req.query.types);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20);
+
+    const viewer = await loadViewer(req);
+    const results = await Promise.all(types.map((type) => searchSource(type, q, viewer, limit)));
+
+    res.status(200).json({
+      success: true,
+      query: q,
+      data: Object.fromEntries(types.map((type, i) => [type, results[i]])),
+    });
+  } catch (error) {
+    if (error.isBoom) return next(error);
+    console.error("Error searching:", error);
+    next(Boom.internal("Error searching."));
+  }
+};
+
+export default { search };
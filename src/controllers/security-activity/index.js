@@ -0,0 +1,42 @@
+import Boom from "@hapi/boom"; // Preferred
+import SecurityEvent from "../../models/securityEvent";
+
+// GET /auth/security-activity?type=&page=&limit= — the caller's own events, newest first.
+export const getSecurityActivity = async (req, res, next) => {
+  try {
+    const { type, limit = 20, page = 1 } = req.query;
+    const perPage = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+
+    const query = { subject: req.payload.user_id, subjectModel: "User" };
+    if (type) {
+      if (!SecurityEvent.schema.path("type").enumValues.includes(type)) {
+        return next(Boom.badRequest("Unknown activity type."));
+      }
+      query.type = type;
+    }
+
+    const [events, totalEvents] = await Promise.all([
+      SecurityEvent.find(query)
+        .select("type outcome reason provider ip device country createdAt")
+        .sort({ createdAt: -1 })
+        .skip((currentPage - 1) * perPage)
+        .limit(perPage)
+        .lean(),
+      SecurityEvent.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      totalEvents,
+      currentPage,
+      totalPages: Math.ceil(totalEvents / perPage),
+      events,
+    });
+  } catch (error) {
+    console.error("Error fetching security activity:", error);
+    next(Boom.internal("Error fetching security activity."));
+  }
+};
+
+export default { getSecurityActivity };
@@ -0,0 +1,98 @@
+import Boom from "@hapi/boom"; // Preferred
+import mongoose from "mongoose";
+import Session from "../../models/session";
+import { revokeSession, revokeSessions } from "../../helpers/jwt";
+
+const ownSessions = (req, subjectModel) => ({
+  subject: req.payload.user_id,
+  subjectModel,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+// The same handlers serve /auth/sessions and /admin/sessions; only the kind
+// of account that owns the sessions differs.
+const sessionHandlers = (subjectModel) => {
+  // GET /sessions
+  const listSessions = async (req, res, next) => {
+    if (!req.payload?.user_id) {
+      return next(Boom.unauthorized("Authentication required."));
+    }
+
+    try {
+      const sessions = await Session.find(ownSessions(req, subjectModel))
+        .select("deviceLabel ip userAgent lastUsedAt createdAt expiresAt")
+        .sort({ lastUsedAt: -1 })
+        .lean();
+
+      const data = sessions.map((s) => ({
+        ...s,
+        current: s._id.toString() === req.payload.sid,
+      }));
+
+      res.status(200).json({ success: true, data });
+    } catch (error) {
+      console.error("Error fetching sessions:", error);
+      next(Boom.internal("Error fetching sessions."));
+    }
+  };
+
+  // DELETE /sessions/:sessionId
+  const revokeOneSession = async (req, res, next) => {
+    if (!req.payload?.user_id) {
+      return next(Boom.unauthorized("Authentication required."));
+    }
+
+    const { sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return next(Boom.badRequest("Invalid session ID."));
+    }
+
+    try {
+      const session = await Session.findOne({ _id: sessionId, ...ownSessions(req, subjectModel) });
+      if (!session) {
+        return next(Boom.notFound("Session not found."));
+      }
+
+      await revokeSession(session._id.toString(), "revoked_by_user");
+      res.status(200).json({ success: true, message: "Session revoked." });
+    } catch (error) {
+      console.error("Error revoking session:", error);
+      next(Boom.internal("Error revoking session."));
+    }
+  };
+
+  // DELETE /sessions — signs out every device except the one making the call.
+  const revokeOtherSessions = async (req, res, next) => {
+    if (!req.payload?.user_id) {
+      return next(Boom.unauthorized("Authentication required."));
+    }
+
+    try {
+      const filter = ownSessions(req, subjectModel);
+      if (req.payload.sid) {
+        filter._id = { $ne: req.payload.sid };
+      }
+
+      const revoked = await revokeSessions(filter, "revoked_by_user");
+      res.status(200).json({
+        success: true,
+        message: `Signed out of ${revoked} other session(s).`,
+        data: { revoked },
+      });
+    } catch (error) {
+      console.error("Error revoking sessions:", error);
+      next(Boom.internal("Error revoking sessions."));
+    }
+  };
+
+  return { listSessions, revokeSession: revokeOneSession, revokeOtherSessions };
+};
+
+export const userSessions = sessionHandlers("User");
+export const adminSessions = sessionHandlers("Admin");
+
+export default {
+  userSessions,
+  adminSessions,
+};
@@ -4,6 +4,7 @@ import Tools from "../../models/tools.js";
 import Courses from "../../models/courses.js";
 import Tribes from "../../models/mytribes.js";
 import Boom from "@hapi/boom"; // Preferred
+import { listedQuery } from "../../helpers/profile-serializer";
 
 // Get total number of courses
 const getTotalCourses = async (req, res, next) => {
@@ -62,6 +63,7 @@ const getTotalActiveTribes = async (req, res, next) => {
 const getRandomTribers = async (req, res, next) => {
   try {
     const randomTribers = await User.aggregate([
+      { $match: listedQuery() },
       { $sample: { size: 5 } },
       {
         $project: {
@@ -0,0 +1,58 @@
+import Boom from "@hapi/boom"; // Preferred
+import User from "../../models/user";
+import { SUGGESTION_FIELDS, canSuggest, suggestionsFor } from "../../helpers/suggestions";
+import { RELATIONSHIP_FIELDS, serializeProfile } from "../../helpers/profile-serializer";
+
+const VIEWER_FIELDS = `${SUGGESTION_FIELDS} sentrequests requests rejectedrequests`;
+const CARD_FIELDS = ["firstName", "lastName", "username", "title", "profile_pic", "display_banner"];
+
+// GET /auth/suggested-tribers?page=&limit=&refresh=true
+// Members the caller isn't connected to, best match first. `reasons` holds
+// the overlap counts behind each score.
+export const getSuggestedTribers = async (req, res, next) => {
+  try {
+    const perPage = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const currentPage = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const viewer = await User.findById(req.payload.user_id).select(VIEWER_FIELDS).lean();
+    if (!viewer) {
+      return next(Boom.notFound("User not found."));
+    }
+
+    // The cached ranking may predate the caller's latest requests and blocks.
+    const ranked = (await suggestionsFor(viewer, { refresh: req.query.refresh === "true" })).filter(
+      ({ id }) => canSuggest(viewer, { _id: id })
+    );
+    const pageItems = ranked.slice((currentPage - 1) * perPage, currentPage * perPage);
+
+    // Re-check the other side too: they may have gone private, blocked the caller or left.
+    const cards = await User.find({
+      _id: { $in: pageItems.map(({ id }) => id) },
+      status: "active",
+      privacy: { $ne: "private" },
+      blockedtribers: { $ne: viewer._id },
+    })
+      .select(`${CARD_FIELDS.join(" ")} ${RELATIONSHIP_FIELDS}`)
+      .lean();
+    const cardsById = new Map(cards.map((card) => [String(card._id), card]));
+
+    res.status(200).json({
+      success: true,
+      currentPage,
+      totalPages: Math.ceil(ranked.length / perPage),
+      totalSuggestions: ranked.length,
+      data: pageItems
+        .filter(({ id }) => cardsById.has(id))
+        .map(({ id, score, reasons }) => ({
+          ...serializeProfile(cardsById.get(id), viewer, { fields: CARD_FIELDS }),
+          score,
+          reasons,
+        })),
+    });
+  } catch (error) {
+    console.error("Error fetching suggested tribers:", error);
+    next(Boom.internal("Error fetching suggested tribers."));
+  }
+};
+
+export default { getSuggestedTribers };
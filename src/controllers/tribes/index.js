@@ -1,6 +1,15 @@
 import Mytribe from "../../models/mytribes";
 import User from "../../models/user";
 import Boom from "@hapi/boom"; // Preferred
+import { actingUserId, canActForAnyUser } from "../../middlewares/requireAuth";
+import {
+  PROFILE_SOURCE_FIELDS,
+  listedQuery,
+  listedMembers,
+  serializeProfiles,
+  loadViewer,
+} from "../../helpers/profile-serializer";
+import { notifyFollowers } from "../../helpers/follows";
 import { v4 as uuidv4 } from "uuid";
 
 import TribeChatLobby from "../../models/tribechatlobby.js";
@@ -235,8 +244,7 @@ export const deleteMytribe = async (req, res, next) => {
  */
 export const getUserTribes = async (req, res, next) => {
   try {
-    // Retrieve user id (assumes req.user is set by your auth middleware)
-    const userId = req.user && req.user._id;
+    const userId = actingUserId(req);
     if (!userId) {
       return next(Boom.badRequest("User ID is required."));
     }
@@ -277,8 +285,8 @@ export const getMytribeById = async (req, res, next) => {
   try {
     const { mytribeId } = req.params;
     const mytribe = await Mytribe.findById(mytribeId)
-      .populate("members")
-      .populate("admins");
+      .populate(listedMembers("members"))
+      .populate(listedMembers("admins"));
     if (!mytribe) {
       return next(Boom.notFound("Mytribe not found."));
     }
@@ -295,8 +303,8 @@ export const getMytribeById = async (req, res, next) => {
 export const getAllMytribes = async (req, res, next) => {
   try {
     const mytribes = await Mytribe.find({})
-      .populate("members")
-      .populate("admins");
+      .populate(listedMembers("members"))
+      .populate(listedMembers("admins"));
     res.json(mytribes);
   } catch (error) {
     console.error("Error fetching mytribes:", error);
@@ -307,8 +315,8 @@ export const getAllMytribes = async (req, res, next) => {
 export const getUsersMytribes = async (req, res, next) => {
   try {
     const tribes = await Mytribe.find({})
-      .populate("members")
-      .populate("admins");
+      .populate(listedMembers("members"))
+      .populate(listedMembers("admins"));
 
     const tribesWithTotalMembers = tribes.map(tribe => ({
       id: tribe._id,
@@ -378,8 +386,8 @@ export const getSpecificMytribes = async (req, res, next) => {
     const tribes = await Mytribe.find({
       $or: [{ members: userId }, { admins: userId }]
     })
-      .populate("members")
-      .populate("admins");
+      .populate(listedMembers("members"))
+      .populate(listedMembers("admins"));
 
     // Map over tribes to add computed average rating (based on latest rating per unique user),
     // total members, and other relevant fields.
@@ -478,8 +486,7 @@ export const updateTribeStatus = async (req, res, next) => {
 
 export const getTribes = async (req, res, next) => {
   try {
-    // Ensure the user is authenticated (req.user is set by your auth middleware)
-    const userId = req.user && req.user._id;
+    const userId = actingUserId(req);
     if (!userId) {
       return next(Boom.badRequest("User ID is required."));
     }
@@ -543,6 +550,7 @@ export const joinTribe = async (req, res, next) => {
     if (!tribe) {
       return next(Boom.notFound("Tribe not found."));
     }
+    notifyFollowers(userId, "followactivity", `${user.username} joined the tribe ${tribe.title}`);
 
     res.json({ message: "Successfully joined the tribe.", user, tribe });
   } catch (error) {
@@ -615,12 +623,24 @@ export const getTribeMembers = async (req, res, next) => {
       return next(Boom.badRequest("Tribe ID is required."));
     }
 
-    const tribe = await Mytribe.findById(tribeId).populate("members");
+    // Staff manage members and see them whole; everyone else gets what each profile allows.
+    if (canActForAnyUser(req.payload, "readAny")) {
+      const tribe = await Mytribe.findById(tribeId).populate("members");
+      if (!tribe) {
+        return next(Boom.notFound("Tribe not found."));
+      }
+      return res.json({ tribeId, members: tribe.members });
+    }
+
+    const [tribe, viewer] = await Promise.all([
+      Mytribe.findById(tribeId).populate(listedMembers("members", PROFILE_SOURCE_FIELDS)),
+      loadViewer(req),
+    ]);
     if (!tribe) {
       return next(Boom.notFound("Tribe not found."));
     }
 
-    res.json({ tribeId, members: tribe.members });
+    res.json({ tribeId, members: serializeProfiles(tribe.members, viewer) });
   } catch (error) {
     console.error("Error fetching tribe members:", error);
     next(Boom.internal("Error fetching tribe members."));
@@ -682,8 +702,8 @@ export const getTribeForUser = async (req, res, next) => {
         { admins: userId }
       ]
     })
-      .populate("members")
-      .populate("admins")
+      .populate(listedMembers("members"))
+      .populate(listedMembers("admins"))
       .populate("ratings");
 
     if (!tribes.length) {
@@ -701,8 +721,8 @@ export const getTribeById = async (req, res, next) => {
     const { tribeId } = req.params;
     const tribe = await Mytribe.findById(tribeId)
       .select('title members admins shortDescription longDescription ratings blockedUsers messageSettings thumbnail banner tribeCategory')
-      .populate("members", "username firstName lastName profile_pic")
-      .populate("admins", "username firstName lastName profile_pic")
+      .populate(listedMembers("members", "username firstName lastName profile_pic"))
+      .populate(listedMembers("admins", "username firstName lastName profile_pic"))
       .populate("ratings.userId", "username firstName lastName profile_pic")
       .populate("blockedUsers", "username firstName lastName profile_pic");
 
@@ -802,7 +822,7 @@ export const blockUserFromTribe = async (req, res, next) => {
 
 export const getUserDetails = async (req, res, next) => {
   try {
-    const userId = req.user && req.user._id;  // Assumes user._id is set by your authentication middleware
+    const userId = actingUserId(req);
     if (!userId) {
       return next(Boom.unauthorized("User not authenticated."));
     }
@@ -845,7 +865,7 @@ export const createOrGetTribeChatLobby = async (req, res, next) => {
     // Fetch tribe data: title, thumbnail, messageSettings, and members (raw IDs)
     const tribe = await Mytribe.findById(tribeId)
       .select("title thumbnail messageSettings members admins blockedUsers")
-      .populate("members", "username");
+      .populate(listedMembers("members", "username"));
     if (!tribe) {
       return res.status(404).json({ message: "Tribe not found." });
     }
@@ -882,7 +902,7 @@ export const createOrGetTribeChatLobby = async (req, res, next) => {
 export const getTribeChatMessages = async (req, res, next) => {
   try {
     const { chatLobbyId } = req.params;
-    const userId = req.query.userId || req.payload?.user_id;
+    const userId = actingUserId(req);
     const page = parseInt(req.query.page, 10) || 0;
     const PAGE_SIZE = 20;
 
@@ -930,6 +950,7 @@ export const searchUsersTribes = async (req, res, next) => {
     // search any user whose username, firstName or lastName matches
     const users = await User.find(
       {
+        ...listedQuery(),
         $or: [
           { username: regex },
           { firstName: regex },
@@ -1011,7 +1032,7 @@ export const getTribeMembersSearch = async (req, res, next) => {
     const { tribeId } = req.params;
 
     const tribe = await Mytribe.findById(tribeId)
-      .populate("members", "username firstName lastName profile_pic _id")
+      .populate(listedMembers("members", "username firstName lastName profile_pic _id"))
       .select("members");
     if (!tribe) return next(Boom.notFound("Tribe not found."));
 
@@ -0,0 +1,214 @@
+import Boom from "@hapi/boom"; // Preferred
+import User from "../../models/user";
+import Admin from "../../models/admin";
+import { issueTokens } from "../../helpers/jwt";
+import {
+  SECRET_FIELDS,
+  isTwoFactorMandatory,
+  verifyChallengeToken,
+  completeChallenge,
+  beginEnrollment,
+  checkSecondFactor,
+  claimSecondFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  generateRecoveryCodes,
+} from "../../helpers/two-factor";
+import { PENDING_DELETION, canRestoreOnLogin, restoreAccount } from "../../helpers/account-deletion";
+import { recordSecurityEvent } from "../../helpers/security-events";
+import { passwordChangeChallenge } from "../../helpers/admin-password";
+
+const invalidCode = () => Boom.unauthorized("Invalid verification code.");
+
+const publicData = (account) => {
+  const data = account.toObject();
+  delete data.password;
+  delete data.__v;
+  if (data.twoFactor) data.twoFactor = { enabled: data.twoFactor.enabled, enabledAt: data.twoFactor.enabledAt };
+  return data;
+};
+
+// Users and admins share the flow; they differ in model, token claims, the
+// key the login response uses and any step still due after the second factor.
+const twoFactorHandlers = ({ Model, subjectModel, responseKey, claims, nextLoginStep = async () => null }) => {
+  const logEvent = (account, type, req, options) => recordSecurityEvent(account, type, req, { subjectModel, ...options });
+
+  const loadAccount = (id, withSecrets = false) => {
+    const query = Model.findById(id);
+    return withSecrets ? query.select(SECRET_FIELDS) : query;
+  };
+
+  // POST /2fa/setup — start enrollment; returns the secret and otpauth URI.
+  const setup = async (req, res, next) => {
+    try {
+      const account = await loadAccount(req.payload.user_id);
+      if (!account) return next(Boom.notFound("Account not found."));
+      if (account.twoFactor?.enabled) {
+        return next(Boom.conflict("Two-factor authentication is already enabled."));
+      }
+
+      const enrollment = beginEnrollment(account, account.email || account.username);
+      await account.save();
+
+      res.status(200).json({ success: true, data: enrollment });
+    } catch (error) {
+      console.error("Error starting 2FA setup:", error);
+      next(Boom.internal("Error starting two-factor setup."));
+    }
+  };
+
+  // POST /2fa/enable { code } — confirm the app is set up; returns recovery codes once.
+  const enable = async (req, res, next) => {
+    try {
+      const account = await loadAccount(req.payload.user_id, true);
+      if (!account) return next(Boom.notFound("Account not found."));
+      if (account.twoFactor?.enabled) {
+        return next(Boom.conflict("Two-factor authentication is already enabled."));
+      }
+      if (!account.twoFactor?.pendingSecret) {
+        return next(Boom.badRequest("Start two-factor setup first."));
+      }
+      if (!checkSecondFactor(account, { code: req.body.code, pending: true })) {
+        return next(invalidCode());
+      }
+
+      const recoveryCodes = enableTwoFactor(account);
+      await account.save();
+      await logEvent(account, "two_factor_enabled", req);
+
+      res.status(200).json({
+        success: true,
+        message: "Two-factor authentication enabled.",
+        data: { recoveryCodes },
+      });
+    } catch (error) {
+      console.error("Error enabling 2FA:", error);
+      next(Boom.internal("Error enabling two-factor authentication."));
+    }
+  };
+
+  // POST /2fa/disable { password, code | recoveryCode }
+  const disable = async (req, res, next) => {
+    try {
+      const account = await loadAccount(req.payload.user_id, true);
+      if (!account) return next(Boom.notFound("Account not found."));
+      if (isTwoFactorMandatory(account, subjectModel)) {
+        return next(Boom.forbidden("Two-factor authentication is required for your admin level."));
+      }
+      if (!account.twoFactor?.enabled) {
+        return next(Boom.badRequest("Two-factor authentication is not enabled."));
+      }
+      if (!req.body.password || !(await account.isValidPass(req.body.password))) {
+        await logEvent(account, "two_factor_disabled", req, { outcome: "failure", reason: "bad_password" });
+        return next(Boom.unauthorized("Invalid password."));
+      }
+      if (!checkSecondFactor(account, req.body)) {
+        await logEvent(account, "two_factor_disabled", req, { outcome: "failure", reason: "invalid_code" });
+        return next(invalidCode());
+      }
+
+      disableTwoFactor(account);
+      await account.save();
+      await logEvent(account, "two_factor_disabled", req);
+
+      res.status(200).json({ success: true, message: "Two-factor authentication disabled." });
+    } catch (error) {
+      console.error("Error disabling 2FA:", error);
+      next(Boom.internal("Error disabling two-factor authentication."));
+    }
+  };
+
+  // POST /2fa/recovery-codes { code } — replace all recovery codes.
+  const regenerateRecoveryCodes = async (req, res, next) => {
+    try {
+      const account = await loadAccount(req.payload.user_id, true);
+      if (!account) return next(Boom.notFound("Account not found."));
+      if (!account.twoFactor?.enabled) {
+        return next(Boom.badRequest("Two-factor authentication is not enabled."));
+      }
+      if (!checkSecondFactor(account, { code: req.body.code })) {
+        return next(invalidCode());
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      account.twoFactor.recoveryCodes = hashes;
+      await account.save();
+      await logEvent(account, "recovery_codes_regenerated", req);
+
+      res.status(200).json({ success: true, data: { recoveryCodes: codes } });
+    } catch (error) {
+      console.error("Error regenerating recovery codes:", error);
+      next(Boom.internal("Error regenerating recovery codes."));
+    }
+  };
+
+  // POST /2fa/verify { challengeToken, code | recoveryCode } — second login step.
+  const verifyLogin = async (req, res, next) => {
+    try {
+      const challenge = await verifyChallengeToken(req.body.challengeToken, subjectModel);
+
+      const account = await loadAccount(challenge.user_id, true);
+      if (!account || (account.status === PENDING_DELETION && !canRestoreOnLogin(account))) {
+        return next(Boom.unauthorized("Invalid login challenge."));
+      }
+
+      let recoveryCodes;
+      if (challenge.enroll) {
+        if (!(await claimSecondFactor(Model, account, { code: req.body.code, pending: true }))) {
+          return next(invalidCode());
+        }
+        recoveryCodes = enableTwoFactor(account);
+      } else if (!(await claimSecondFactor(Model, account, req.body))) {
+        await logEvent(account, "login", req, { outcome: "failure", reason: "invalid_code" });
+        return next(invalidCode());
+      }
+
+      await completeChallenge(challenge);
+      await account.save();
+      if (recoveryCodes) await logEvent(account, "two_factor_enabled", req);
+
+      // Same as a password-only login: signing in cancels a pending deletion.
+      const restored = subjectModel === "User" && canRestoreOnLogin(account);
+      if (restored) await restoreAccount(account);
+
+      const step = await nextLoginStep(account);
+      if (step) {
+        return res.json(recoveryCodes ? { ...step, recoveryCodes } : step);
+      }
+
+      const { accessToken, refreshToken } = await issueTokens(claims(account), req, { subjectModel });
+      await logEvent(account, "login", req);
+      const body = { [responseKey]: publicData(account), accessToken, refreshToken };
+      if (recoveryCodes) body.recoveryCodes = recoveryCodes;
+      if (restored) body.accountRestored = true;
+
+      res.json(body);
+    } catch (error) {
+      if (error.isBoom) return next(error);
+      console.error("Error verifying 2FA login:", error);
+      next(Boom.internal("Error verifying login."));
+    }
+  };
+
+  return { setup, enable, disable, regenerateRecoveryCodes, verifyLogin };
+};
+
+export const userTwoFactor = twoFactorHandlers({
+  Model: User,
+  subjectModel: "User",
+  responseKey: "user",
+  claims: (user) => ({ user_id: user._id, role: user.role, level: user.level }),
+});
+
+export const adminTwoFactor = twoFactorHandlers({
+  Model: Admin,
+  subjectModel: "Admin",
+  responseKey: "admin",
+  claims: (admin) => ({ user_id: admin._id, role: admin.role, level: admin.level }),
+  nextLoginStep: passwordChangeChallenge,
+});
+
+export default {
+  userTwoFactor,
+  adminTwoFactor,
+};
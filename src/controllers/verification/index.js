@@ -2,29 +2,47 @@ import Boom from "@hapi/boom"; // Preferred
 import User from '../../models/user'; // Adjust path based on your directory structure
 const bcrypt = require('bcrypt');
 
-const nodemailer = require("nodemailer");
-const crypto = require('crypto'); // For generating a unique verification token
-
-const transporter = nodemailer.createTransport({
-  host: 'smtp.hostinger.com', // Hostinger SMTP server
-  port: 465,  // Port number for Hostinger SMTP (587 for TLS)
-  secure: true,  // TLS/SSL setting (use 'true' for port 465, 'false' for port 587)
-  auth: {
-    user: "no-reply@openpreneurs.business", // Replace with your Hostinger email
-    pass: "1mpactLiv!ng",  // Replace with your email password
-  },
-});
+import { queueMail } from "../../helpers/mailer";
+import { MAIL_FROM } from "../../clients/mailer";
+import { revokeSessions } from "../../helpers/jwt";
+import { recordSecurityEvent } from "../../helpers/security-events";
+import { actingUserId } from "../../middlewares/requireAuth";
+import {
+  createAccountToken,
+  findAccountToken,
+  consumeAccountToken,
+  describeTtl,
+  sendVerificationEmail,
+} from "../../helpers/account-tokens";
+import { signInBlocked, completeSignIn } from "../../helpers/user-sign-in";
+import { checkLoginAllowed, logLoginAttempt } from "../../helpers/login-guard";
+import { frontendUrl } from "../../helpers/frontend-url";
+import { passwordPolicyError } from "../../helpers/password-policy";
+const redis = require("../../clients/redis").default;
+
+// Contact-us messages go to the support inbox, with the sender as reply-to.
+const CONTACT_EMAIL = process.env.CONTACT_EMAIL || MAIL_FROM;
+
+// At most one verification email per address per this many seconds, on top
+// of the per-IP route limit.
+const RESEND_COOLDOWN = 60;
+
+const RESET_SENT = "If that address belongs to an account, a password reset email is on its way.";
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
 const verifyEmail = async (req, res, next) => {
   const { token } = req.params;
   try {
-      const user = await User.findOne({ verificationToken: token });
+      const record = await consumeAccountToken(token, "verify_email");
+      const user = record && (await User.findById(record.user));
 
-      if (!user) {
+      // A link sent to an address the user has since changed is no good.
+      if (!user || user.email !== record.email) {
           return next(Boom.notFound("Verification link is invalid or expired."));
       }
 
       user.verified = "Yes";
-      user.verificationToken = undefined; // Remove the token after verification
       await user.save();
 
       res.json({ success: true, message: "Your email has been verified successfully!" });
@@ -33,36 +51,61 @@ const verifyEmail = async (req, res, next) => {
   }
 };
 
+// POST /verify/resend { email, frontendUrl }
+// Always answers the same way so it can't be used to find accounts.
+const resendVerification = async (req, res, next) => {
+  const email = normalizeEmail(req.body.email);
+  if (!email) {
+    return next(Boom.badRequest("Email is required."));
+  }
 
-const forgotPassword = async (req, res, next) => {
-  const  mail = req.body;
-  const email = mail.email.email;
-  const url =  mail.email.frontendUrl;
+  try {
+    const fresh = await redis.set(`verify:resend:${email}`, "1", "EX", RESEND_COOLDOWN, "NX");
+    if (!fresh) {
+      return next(Boom.tooManyRequests("Please wait a minute before asking for another email."));
+    }
 
+    const user = await User.findOne({ email });
+    if (user && user.verified !== "Yes") {
+      await sendVerificationEmail(user, req.body.frontendUrl);
+    }
+
+    res.json({
+      success: true,
+      message: "If that address belongs to an unverified account, a new verification email is on its way.",
+    });
+  } catch (error) {
+    console.error("Error resending verification email:", error);
+    next(Boom.internal("Could not send verification email. Please try again later."));
+  }
+};
+
+// POST /verify/forgot-password { email: { email, frontendUrl } }
+const forgotPassword = async (req, res, next) => {
   try {
+      const input = req.body?.email || {};
+      const email = normalizeEmail(input.email);
+      if (!email) {
+          return next(Boom.badRequest("Email is required."));
+      }
+
+      // Answers the same way either way, so it can't be used to find accounts.
       const user = await User.findOne({ email });
       if (!user) {
-          return next(Boom.notFound("User with this email does not exist."));
+          return res.json({ message: RESET_SENT });
       }
 
-      // Generate a unique token
-      const resetToken = crypto.randomBytes(32).toString('hex');
-      user.resetPasswordToken = resetToken;
-      user.resetPasswordExpires = Date.now() + 3600000; // Token expires in 1 hour
-      await user.save();
+      const resetToken = await createAccountToken(user._id, "password_reset", { email });
 
       // Send reset password email
-      const resetLink = `${url}/reset-password/${resetToken}`; // Link should lead to a reset password form
-      const mailOptions = {
-          from: "no-reply@openpreneurs.business",
-          to: email,
-          subject: 'Password Reset Request',
-          text: `${user.username}, Please click on the following link to reset your password: ${resetLink}`,
-      };
+      const resetLink = `${frontendUrl(input.frontendUrl)}/reset-password/${resetToken}`; // Link should lead to a reset password form
+      await queueMail("password-reset", email, {
+          username: user.username,
+          link: resetLink,
+          expiresIn: describeTtl("password_reset"),
+      });
 
-      await transporter.sendMail(mailOptions);
-
-      res.json({ message: "A password reset email has been sent to your email address." });
+      res.json({ message: RESET_SENT });
   } catch (error) {
       next(Boom.badImplementation("An error occurred while sending the reset email."));
   }
@@ -77,43 +120,194 @@ const resetPassword = async (req, res, next) => {
   }
 
   try {
-    const user = await User.findOne({
-      resetPasswordToken: token,
-      resetPasswordExpires: { $gt: Date.now() },
-    });
-
+    const found = await findAccountToken(token, "password_reset");
+    const user = found && (await User.findById(found.user));
     if (!user) {
       return next(Boom.notFound("Password reset token is invalid or has expired."));
     }
 
+    // Check the new password before using up the link, so a weak one can be retried.
+    const weakPassword = passwordPolicyError(newPassword, "User", user);
+    if (weakPassword) {
+      return next(weakPassword);
+    }
+    if (!(await consumeAccountToken(token, "password_reset"))) {
+      return next(Boom.notFound("Password reset token is invalid or has expired."));
+    }
+
     // Hash the new password before saving it
     const salt = await bcrypt.genSalt(10);  // Generate salt
     const hashedPassword = await bcrypt.hash(newPassword, salt);  // Hash the new password
 
-    // Update the user's password and clear reset token
     user.password = hashedPassword;  // Store the hashed password
-    user.resetPasswordToken = undefined;  // Clear the reset token
-    user.resetPasswordExpires = undefined;  // Clear the reset token expiry
+    user.hasPassword = true;
     await user.save();  // Save the updated user
 
+    // Whoever had the old password shouldn't stay signed in.
+    await revokeSessions({ subject: user._id, subjectModel: "User" }, "password_reset");
+    await recordSecurityEvent(user, "password_reset", req);
+
     res.json({ message: "Password has been reset successfully!" });
   } catch (error) {
     next(error);  // Pass any error to the error handling middleware
   }
 };
 
+// POST /verify/change-email { newEmail, password, frontendUrl }
+// Sends a confirmation link to the new address and a heads-up to the old one.
+// Nothing changes until the link is used.
+const requestEmailChange = async (req, res, next) => {
+  const newEmail = normalizeEmail(req.body.newEmail);
+  if (!newEmail || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(newEmail)) {
+    return next(Boom.badRequest("A valid new email address is required."));
+  }
+
+  try {
+    const user = await User.findById(actingUserId(req));
+    if (!user) {
+      return next(Boom.notFound("User not found."));
+    }
+    if (!req.body.password || !(await user.isValidPass(req.body.password))) {
+      return next(Boom.unauthorized("Invalid password."));
+    }
+    if (newEmail === user.email) {
+      return next(Boom.badRequest("That is already your email address."));
+    }
+    if (await User.exists({ email: newEmail })) {
+      return next(Boom.conflict("This e-mail is already in use."));
+    }
+
+    const token = await createAccountToken(user._id, "email_change", { email: newEmail });
+
+    await queueMail("email-change-confirm", newEmail, {
+      username: user.username,
+      link: `${frontendUrl(req.body.frontendUrl)}/confirm-email/${token}`,
+      expiresIn: describeTtl("email_change"),
+    });
+    await queueMail("email-change-notice", user.email, {
+      username: user.username,
+      newEmail,
+    });
+
+    res.json({
+      success: true,
+      message: `We sent a confirmation link to ${newEmail}. Your email changes once you open it.`,
+    });
+  } catch (error) {
+    console.error("Error requesting email change:", error);
+    next(Boom.internal("Error requesting email change."));
+  }
+};
+
+// POST /verify/confirm-email/:token
+const confirmEmailChange = async (req, res, next) => {
+  try {
+    const record = await consumeAccountToken(req.params.token, "email_change");
+    const user = record && (await User.findById(record.user));
+    if (!user) {
+      return next(Boom.notFound("Confirmation link is invalid or expired."));
+    }
+    if (await User.exists({ email: record.email, _id: { $ne: user._id } })) {
+      return next(Boom.conflict("This e-mail is already in use."));
+    }
+
+    user.email = record.email;
+    user.verified = "Yes";
+    await user.save();
+
+    res.json({ success: true, message: "Your email address has been changed.", data: { email: user.email } });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(Boom.conflict("This e-mail is already in use."));
+    }
+    console.error("Error confirming email change:", error);
+    next(Boom.internal("Error confirming email change."));
+  }
+};
+
+// POST /verify/magic-link { email, frontendUrl }
+// Emails a one-time sign-in link. Answers the same way whether or not the
+// address has an account; unverified accounts get a verification link instead.
+const requestMagicLink = async (req, res, next) => {
+  const email = normalizeEmail(req.body.email);
+  if (!email) {
+    return next(Boom.badRequest("Email is required."));
+  }
+
+  try {
+    const fresh = await redis.set(`verify:magic:${email}`, "1", "EX", RESEND_COOLDOWN, "NX");
+    if (!fresh) {
+      return next(Boom.tooManyRequests("Please wait a minute before asking for another link."));
+    }
+
+    const user = await User.findOne({ email });
+    if (user && user.verified !== "Yes") {
+      await sendVerificationEmail(user, req.body.frontendUrl);
+    } else if (user && !signInBlocked(user)) {
+      const token = await createAccountToken(user._id, "magic_login", { email });
+      await queueMail("magic-link", email, {
+        username: user.username,
+        link: `${frontendUrl(req.body.frontendUrl)}/magic-login/${token}`,
+        expiresIn: describeTtl("magic_login"),
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "If that address belongs to an account, a sign-in link is on its way.",
+    });
+  } catch (error) {
+    console.error("Error sending magic link:", error);
+    next(Boom.internal("Could not send sign-in link. Please try again later."));
+  }
+};
+
+// POST /verify/magic-link/:token — a POST so that mail scanners prefetching
+// the link can't use it up. Answers like /auth/login, and like it refuses
+// accounts and networks the login guard has locked out.
+const magicLinkLogin = async (req, res, next) => {
+  try {
+    const found = await findAccountToken(req.params.token, "magic_login");
+    const user = found && (await User.findById(found.user));
+
+    // The link belongs to the address it was sent to.
+    if (!user || user.email !== found.email) {
+      return next(Boom.notFound("Sign-in link is invalid or expired."));
+    }
+
+    // Checked before using the link up, so it still works once the lock ends.
+    const attempt = { account: user, identifier: user.email };
+    const locked = await checkLoginAllowed("User", req, attempt);
+    if (locked) {
+      return next(locked);
+    }
+    const blocked = signInBlocked(user);
+    if (blocked) {
+      return next(blocked);
+    }
+    if (!(await consumeAccountToken(req.params.token, "magic_login"))) {
+      return next(Boom.notFound("Sign-in link is invalid or expired."));
+    }
+    await logLoginAttempt("User", req, { ...attempt, success: true });
+
+    res.json(await completeSignIn(user, req, { method: "magic_link" }));
+  } catch (error) {
+    if (error.isBoom) return next(error);
+    console.error("Error signing in with magic link:", error);
+    next(Boom.internal("Error signing in."));
+  }
+};
+
 const sendContactEmail = async (req, res) => {
   const { name, email, phone, subject, message } = req.body;
 
-  const mailOptions = {
-    from: "no-reply@openpreneurs.business",
-    to: email,  // Replace with the email that should receive messages
-    subject: `Contact Us Form: ${subject}`,
-    text: `Name: ${name}\nEmail: ${email}\nPhone: ${phone}\nMessage: ${message}`,
-  };
-
   try {
-    await transporter.sendMail(mailOptions);
+    await queueMail(
+      "contact-us",
+      CONTACT_EMAIL,
+      { name, email, phone, subject, message },
+      { replyTo: email }
+    );
     res.json({ message: 'Your message has been sent successfully!' });
   } catch (error) {
     console.error("Error sending email:", error);
@@ -123,7 +317,12 @@ const sendContactEmail = async (req, res) => {
 
 export default {
   verifyEmail,
+  resendVerification,
   forgotPassword,
   resetPassword,
+  requestEmailChange,
+  confirmEmailChange,
+  requestMagicLink,
+  magicLinkLogin,
   sendContactEmail,
 };
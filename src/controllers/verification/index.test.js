@@ -0,0 +1,96 @@
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_fixture';
+process.env.GCS_BUCKET_NAME = process.env.GCS_BUCKET_NAME || 'test-bucket';
+
+const expect = require('expect');
+
+const redis = require('../../clients/redis').default;
+const User = require('../../models/user').default;
+const AccountToken = require('../../models/accountToken').default;
+const LoginAttempt = require('../../models/loginAttempt').default;
+const verify = require('./index').default;
+
+const USER_ID = '64b000000000000000000001';
+
+// Runs a handler and resolves with what it passed to next(), or the JSON it sent.
+const run = (handler, req) =>
+  new Promise((resolve) => handler(req, { json: (body) => resolve({ body }) }, (err) => resolve({ err })));
+
+describe('verification', () => {
+  const original = {
+    set: redis.set,
+    pttl: redis.pttl,
+    lpush: redis.lpush,
+    findOne: User.findOne,
+    findById: User.findById,
+    tokenFindOne: AccountToken.findOne,
+    tokenFindOneAndUpdate: AccountToken.findOneAndUpdate,
+    tokenCreate: AccountToken.create,
+    tokenDeleteMany: AccountToken.deleteMany,
+    attemptCreate: LoginAttempt.create,
+  };
+  var mails, locks, consumed;
+
+  const user = { _id: USER_ID, username: 'jane', email: 'jane@example.com', verified: 'Yes', status: 'active' };
+
+  beforeEach(() => {
+    mails = [];
+    locks = {};
+    consumed = false;
+    redis.set = async () => 'OK';
+    redis.pttl = async (key) => locks[key] || -2;
+    redis.lpush = async (key, job) => mails.push(JSON.parse(job));
+    User.findOne = async () => user;
+    User.findById = async () => user;
+    AccountToken.findOne = async () => ({ user: USER_ID, email: user.email });
+    AccountToken.findOneAndUpdate = async () => {
+      consumed = true;
+      return { user: USER_ID, email: user.email };
+    };
+    AccountToken.create = async (doc) => doc;
+    AccountToken.deleteMany = async () => ({ deletedCount: 0 });
+    LoginAttempt.create = async (doc) => doc;
+  });
+
+  afterEach(() => {
+    Object.assign(redis, { set: original.set, pttl: original.pttl, lpush: original.lpush });
+    User.findOne = original.findOne;
+    User.findById = original.findById;
+    AccountToken.findOne = original.tokenFindOne;
+    AccountToken.findOneAndUpdate = original.tokenFindOneAndUpdate;
+    AccountToken.create = original.tokenCreate;
+    AccountToken.deleteMany = original.tokenDeleteMany;
+    LoginAttempt.create = original.attemptCreate;
+  });
+
+  it('should never build a sign-in link on a host the caller picked', async () => {
+    await run(verify.requestMagicLink, { body: { email: 'jane@example.com', frontendUrl: 'https://attacker.example' } });
+
+    expect(mails.length).toBe(1);
+    expect(mails[0].vars.link).toMatch(/^https:\/\/openpreneurs\.business\/magic-login\//);
+  });
+
+  it('should refuse magic-link sign-in while the account is locked, keeping the link', async () => {
+    locks[`login:User:account:${USER_ID}:lock`] = 60 * 1000;
+    const { err } = await run(verify.magicLinkLogin, { params: { token: 'abc' }, headers: {}, body: {} });
+
+    expect(err.output.statusCode).toBe(423);
+    expect(consumed).toBe(false);
+  });
+
+  it('should look up password resets by the normalised address', async () => {
+    var lookedUp;
+    User.findOne = async (filter) => {
+      lookedUp = filter;
+      return user;
+    };
+    await run(verify.forgotPassword, { body: { email: { email: '  Jane@Example.com ' } } });
+
+    expect(lookedUp).toEqual({ email: 'jane@example.com' });
+    expect(mails[0].vars.link).toMatch(/^https:\/\/openpreneurs\.business\/reset-password\//);
+  });
+
+  it('should ask for an email before sending a password reset', async () => {
+    const { err } = await run(verify.forgotPassword, { body: {} });
+    expect(err.output.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,231 @@
+import Stripe from "stripe";
+import User from "../models/user";
+import Mytribe from "../models/mytribes";
+import Message from "../models/Message";
+import TribeMessage from "../models/TribeMessage";
+import ChatLobby from "../models/chatlobby";
+import GroupChatLobby from "../models/tribes_chatlobby";
+import TribeChatLobby from "../models/tribechatlobby";
+import Notification from "../models/notifications";
+import UserPrompt from "../models/userprompts";
+import Support from "../models/support";
+import Session from "../models/session";
+import AccountToken from "../models/accountToken";
+import LoginAttempt from "../models/loginAttempt";
+import SecurityEvent from "../models/securityEvent";
+import Referral from "../models/referral";
+import { removeAllFollows } from "./follows";
+import { purgeMemberPosts } from "./posts";
+import { revokeSessions } from "./jwt";
+import { queueMail } from "./mailer";
+import { deleteFromFirebase } from "../controllers/users";
+import { PENDING_DELETION } from "./profile-serializer";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+export const DELETION_GRACE_DAYS = 14;
+export { PENDING_DELETION };
+
+const DELETED_USERNAME = "Deleted user";
+
+// Stop (or resume) renewing the member's subscription at the end of the
+// period they have already paid for.
+const setRenewal = async (subscriptionId, renew) => {
+  if (!subscriptionId) return;
+  try {
+    await stripe.subscriptions.update(subscriptionId, { cancel_at_period_end: !renew });
+  } catch (err) {
+    if (err.code !== "resource_missing") throw err;
+  }
+};
+
+/**
+ * Mark an account for deletion, stop its subscription renewing and sign it
+ * out everywhere. Nothing is removed until purgeAccount runs after the grace
+ * period.
+ */
+export const scheduleDeletion = async (user, requestedBy = "user", now = new Date()) => {
+  const purgeAt = new Date(now.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+  await setRenewal(user.stripeSubscriptionId, false);
+
+  user.deletion = {
+    requestedAt: now,
+    purgeAt,
+    requestedBy,
+    previousStatus: user.status === PENDING_DELETION ? user.deletion?.previousStatus : user.status,
+  };
+  user.status = PENDING_DELETION;
+  await user.save();
+
+  await revokeSessions({ subject: user._id, subjectModel: "User" }, "account_deleted");
+
+  if (requestedBy === "user" && user.email) {
+    queueMail("account-deletion", user.email, {
+      username: user.username,
+      purgeAt: purgeAt.toDateString(),
+    }).catch((err) => console.error("Error queueing deletion notice:", err.message));
+  }
+
+  return purgeAt;
+};
+
+// Only deletions the user asked for can be undone by logging in; an admin
+// removal has to be reversed by an admin.
+export const canRestoreOnLogin = (user) =>
+  user.status === PENDING_DELETION && user.deletion?.requestedBy === "user";
+
+export const restoreAccount = async (user) => {
+  user.status = user.deletion?.previousStatus || "active";
+  user.deletion = undefined;
+  await user.save();
+
+  // The subscription may have run out during the grace period; the member
+  // can subscribe again, so this shouldn't stop them getting back in.
+  await setRenewal(user.stripeSubscriptionId, true).catch((err) =>
+    console.error("Error resuming subscription:", err.message)
+  );
+};
+
+const deleteMedia = async (urls) => {
+  const bucket = process.env.GCS_BUCKET_NAME;
+  for (const url of urls) {
+    if (!url || !bucket || !url.includes(`${bucket}/`)) continue;
+    try {
+      await deleteFromFirebase(url);
+    } catch (err) {
+      // Already gone or never ours; nothing left to clean up.
+      console.warn(err.message);
+    }
+  }
+};
+
+const cancelSubscription = async (subscriptionId) => {
+  if (!subscriptionId) return;
+  try {
+    await stripe.subscriptions.cancel(subscriptionId);
+  } catch (err) {
+    if (err.code !== "resource_missing") throw err;
+  }
+};
+
+/**
+ * Remove an account for good: cancel billing, drop the user from every other
+ * document that points at them, delete their content and uploaded media.
+ * Payments stay (anonymous once the user is gone) for accounting.
+ */
+export const purgeAccount = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return false;
+
+  await cancelSubscription(user.stripeSubscriptionId);
+
+  const [sentMessages, sentTribeMessages] = await Promise.all([
+    Message.find({ sender: userId }, "fileUrl").lean(),
+    TribeMessage.find({ sender: userId }, "fileUrl").lean(),
+  ]);
+  const postImages = await purgeMemberPosts(userId);
+
+  await Promise.all([
+    User.updateMany(
+      {
+        $or: [
+          { mytribers: userId },
+          { requests: userId },
+          { sentrequests: userId },
+          { rejectedrequests: userId },
+          { blockedtribers: userId },
+          { blockedby: userId },
+        ],
+      },
+      {
+        $pull: {
+          mytribers: userId,
+          requests: userId,
+          sentrequests: userId,
+          rejectedrequests: userId,
+          blockedtribers: userId,
+          blockedby: userId,
+        },
+      }
+    ),
+    Mytribe.updateMany(
+      {
+        $or: [
+          { members: userId },
+          { admins: userId },
+          { requests: userId },
+          { blockedUsers: userId },
+          { "ratings.userId": userId },
+        ],
+      },
+      {
+        $pull: {
+          members: userId,
+          admins: userId,
+          requests: userId,
+          blockedUsers: userId,
+          ratings: { userId },
+        },
+      }
+    ),
+    ChatLobby.updateMany({ participants: userId }, { $pull: { participants: userId, deletefor: userId } }),
+    GroupChatLobby.updateMany({ participants: userId }, { $pull: { participants: userId } }),
+    TribeChatLobby.updateMany({ deletefor: userId }, { $pull: { deletefor: userId } }),
+    Message.deleteMany({ sender: userId }),
+    TribeMessage.deleteMany({ sender: userId }),
+    Message.updateMany({ deletedFor: userId }, { $pull: { deletedFor: userId } }),
+    TribeMessage.updateMany({ deletedFor: userId }, { $pull: { deletedFor: userId } }),
+    // Replies quote the original; keep the quote but not who wrote it.
+    Message.updateMany({ reply_userid: userId }, { $set: { reply_username: DELETED_USERNAME }, $unset: { reply_userid: "" } }),
+    TribeMessage.updateMany({ reply_userid: userId }, { $set: { reply_username: DELETED_USERNAME }, $unset: { reply_userid: "" } }),
+    Notification.deleteMany({ user: userId }),
+    UserPrompt.deleteMany({ user: userId }),
+    Support.updateMany({ user: userId }, { $unset: { user: "" } }),
+    Session.deleteMany({ subject: userId, subjectModel: "User" }),
+    AccountToken.deleteMany({ user: userId, subjectModel: "User" }),
+    LoginAttempt.deleteMany({ subject: userId, subjectModel: "User" }),
+    SecurityEvent.deleteMany({ subject: userId, subjectModel: "User" }),
+    Referral.deleteMany({ $or: [{ referrer: userId }, { referee: userId }] }),
+    removeAllFollows(userId),
+  ]);
+
+  await deleteMedia([
+    user.profile_pic,
+    user.display_banner,
+    ...sentMessages.map((m) => m.fileUrl),
+    ...sentTribeMessages.map((m) => m.fileUrl),
+    ...postImages,
+  ]);
+
+  await User.deleteOne({ _id: userId });
+  return true;
+};
+
+/**
+ * Purge every account whose grace period has ended. Used by the hourly job.
+ */
+export const purgeDueAccounts = async (now = new Date()) => {
+  const due = await User.find({ status: PENDING_DELETION, "deletion.purgeAt": { $lte: now } }, "_id").lean();
+
+  let purged = 0;
+  for (const { _id } of due) {
+    try {
+      if (await purgeAccount(_id)) purged += 1;
+    } catch (err) {
+      // Left pending; the next run tries again.
+      console.error(`Error purging account ${_id}:`, err);
+    }
+  }
+  return purged;
+};
+
+export default {
+  DELETION_GRACE_DAYS,
+  PENDING_DELETION,
+  scheduleDeletion,
+  canRestoreOnLogin,
+  restoreAccount,
+  purgeAccount,
+  purgeDueAccounts,
+};
@@ -0,0 +1,100 @@
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_fixture';
+process.env.GCS_BUCKET_NAME = process.env.GCS_BUCKET_NAME || 'test-bucket';
+
+const expect = require('expect');
+const Stripe = require('stripe');
+
+const Session = require('../models/session').default;
+const {
+  DELETION_GRACE_DAYS,
+  PENDING_DELETION,
+  scheduleDeletion,
+  canRestoreOnLogin,
+  restoreAccount,
+} = require('./account-deletion');
+
+const account = (fields = {}) => {
+  const user = {_id: '64b000000000000000000001', status: 'active', saves: 0, ...fields};
+  user.save = () => {
+    user.saves += 1;
+    return Promise.resolve(user);
+  };
+  return user;
+};
+
+describe('account deletion', () => {
+  const subscriptions = Object.getPrototypeOf(new Stripe(process.env.STRIPE_SECRET_KEY).subscriptions);
+  const originalFind = Session.find;
+  const originalUpdate = subscriptions.update;
+  var sessionFilters, renewals;
+
+  beforeEach(() => {
+    sessionFilters = [];
+    renewals = [];
+    Session.find = (filter) => {
+      sessionFilters.push(filter);
+      return {select: () => Promise.resolve([])};
+    };
+    subscriptions.update = async (id, params) => renewals.push([id, params]);
+  });
+
+  afterEach(() => {
+    Session.find = originalFind;
+    subscriptions.update = originalUpdate;
+  });
+
+  it('should schedule the purge after the grace period and sign the user out', async () => {
+    const now = new Date('2024-03-01T12:00:00Z');
+    const user = account();
+
+    const purgeAt = await scheduleDeletion(user, 'admin', now);
+
+    expect(purgeAt.getTime() - now.getTime()).toBe(DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    expect(user.status).toBe(PENDING_DELETION);
+    expect(user.deletion).toInclude({requestedBy: 'admin', previousStatus: 'active'});
+    expect(user.saves).toBe(1);
+    expect(sessionFilters[0]).toInclude({subject: user._id, subjectModel: 'User', revokedAt: null});
+  });
+
+  it('should keep the original status when scheduled twice', async () => {
+    const user = account({status: 'inactive'});
+    await scheduleDeletion(user, 'admin');
+    await scheduleDeletion(user, 'admin');
+
+    expect(user.deletion.previousStatus).toBe('inactive');
+  });
+
+  it('should only let users undo their own deletion by logging in', async () => {
+    const byUser = account();
+    const byAdmin = account();
+    await scheduleDeletion(byUser, 'user');
+    await scheduleDeletion(byAdmin, 'admin');
+
+    expect(canRestoreOnLogin(byUser)).toBe(true);
+    expect(canRestoreOnLogin(byAdmin)).toBe(false);
+    expect(canRestoreOnLogin(account())).toBe(false);
+  });
+
+  it('should restore the status the account had before', async () => {
+    const user = account({status: 'pending_payment'});
+    await scheduleDeletion(user, 'admin');
+    await restoreAccount(user);
+
+    expect(user.status).toBe('pending_payment');
+    expect(user.deletion).toBe(undefined);
+  });
+
+  it('should stop the subscription renewing and resume it when restored', async () => {
+    const user = account({stripeSubscriptionId: 'sub_test_123'});
+    await scheduleDeletion(user, 'user');
+    expect(renewals).toEqual([['sub_test_123', {cancel_at_period_end: true}]]);
+
+    await restoreAccount(user);
+    expect(renewals[1]).toEqual(['sub_test_123', {cancel_at_period_end: false}]);
+  });
+
+  it('should leave members without a subscription alone', async () => {
+    await scheduleDeletion(account(), 'admin');
+    expect(renewals).toEqual([]);
+  });
+});
@@ -0,0 +1,218 @@
+import JSZip from "jszip";
+import path from "path";
+import User from "../models/user";
+import Message from "../models/Message";
+import TribeMessage from "../models/TribeMessage";
+import ChatLobby from "../models/chatlobby";
+import Mytribe from "../models/mytribes";
+import Payment from "../models/payment";
+import UserPrompt from "../models/userprompts";
+import Support from "../models/support";
+import Notification from "../models/notifications";
+import { toCsv } from "../utils/csv";
+
+// Exports are kept outside every static root: the only way to one is the
+// signed download link. The sweeper in utils/subs.js removes them once that
+// link has expired.
+export const EXPORT_TTL_MINUTES = 24 * 60;
+export const EXPORTS_DIR = process.env.EXPORTS_DIR || path.join(process.cwd(), "storage", "exports");
+
+// Download links are emailed, so they are built on the API's configured
+// public address (API_BASE_URL), never on the Host header of the request.
+const DEFAULT_API_BASE_URL = "http://localhost:4000";
+
+export const apiBaseUrl = () => {
+  try {
+    const url = new URL(String(process.env.API_BASE_URL || "").trim());
+    if (["http:", "https:"].includes(url.protocol)) return `${url.origin}${url.pathname}`.replace(/\/+$/, "");
+  } catch (err) {
+    // Unset or not a URL.
+  }
+  return DEFAULT_API_BASE_URL;
+};
+
+// Jobs run in the API process, so a restart loses the ones in flight. One
+// still pending after this long is treated as failed and may be retried.
+export const PENDING_LIMIT_MINUTES = 30;
+
+export const isLostJob = (job, now = Date.now()) =>
+  job.status === "pending" && now - Date.parse(job.requestedAt) > PENDING_LIMIT_MINUTES * 60 * 1000;
+
+// Credentials and one-time tokens are not personal data worth handing out.
+const PROFILE_OMIT = [
+  "password",
+  "verificationToken",
+  "resetPasswordToken",
+  "resetPasswordExpires",
+  "twoFactor",
+  "__v",
+];
+
+// Relationship arrays are exported separately, with usernames.
+const RELATIONSHIP_FIELDS = ["mytribers", "requests", "sentrequests", "rejectedrequests", "blockedtribers", "blockedby"];
+
+// ObjectIds and Dates become strings, the same as in an API response.
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+export const sanitizeProfile = (user) => {
+  const profile = plain(user);
+  [...PROFILE_OMIT, ...RELATIONSHIP_FIELDS].forEach((field) => delete profile[field]);
+  return profile;
+};
+
+const people = (list = []) => list.map((u) => ({ id: String(u._id), username: u.username }));
+
+/**
+ * Load everything we hold about a user. Returns null when the user is gone.
+ */
+export const collectAccountData = async (userId) => {
+  const user = await User.findById(userId)
+    .populate("mytribers requests sentrequests rejectedrequests blockedtribers", "username")
+    .lean();
+  if (!user) return null;
+
+  const [messages, lobbies, tribeMessages, tribes, payments, prompts, tickets, notifications] = await Promise.all([
+    Message.find({ sender: userId }).sort({ sentAt: 1 }).lean(),
+    ChatLobby.find({ participants: userId, "messages.sender": userId }, "chatLobbyId messages").lean(),
+    TribeMessage.find({ sender: userId }).sort({ sentAt: 1 }).lean(),
+    Mytribe.find({ $or: [{ members: userId }, { requests: userId }] }, "title members admins requests createdAt").lean(),
+    Payment.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+    UserPrompt.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+    Support.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+    Notification.findOne({ user: userId }).lean(),
+  ]);
+
+  const directMessages = [
+    ...messages.map((m) => ({
+      chatLobbyId: m.chatLobbyId,
+      type: m.type,
+      message: m.message,
+      caption: m.caption,
+      fileUrl: m.fileUrl,
+      forward: !!m.forward,
+      sentAt: m.sentAt,
+    })),
+    // Older conversations still keep their messages inside the lobby.
+    ...lobbies.flatMap((lobby) =>
+      lobby.messages
+        .filter((m) => String(m.sender) === String(userId))
+        .map((m) => ({ chatLobbyId: lobby.chatLobbyId, type: "text", message: m.message, sentAt: m.sentAt }))
+    ),
+  ];
+
+  return {
+    profile: sanitizeProfile(user),
+    friends: {
+      tribers: people(user.mytribers),
+      incomingRequests: people(user.requests),
+      sentRequests: people(user.sentrequests),
+      rejectedRequests: people(user.rejectedrequests),
+      blocked: people(user.blockedtribers),
+    },
+    directMessages: plain(directMessages),
+    tribeMessages: plain(
+      tribeMessages.map((m) => ({
+        chatLobbyId: m.chatLobbyId,
+        type: m.type,
+        message: m.message,
+        caption: m.caption,
+        fileUrl: m.fileUrl,
+        sentAt: m.sentAt,
+      }))
+    ),
+    tribes: tribes.map((tribe) => ({
+      id: String(tribe._id),
+      title: tribe.title,
+      status: (tribe.members || []).some((id) => String(id) === String(userId)) ? "member" : "requested",
+      admin: (tribe.admins || []).some((id) => String(id) === String(userId)),
+    })),
+    payments: plain(
+      payments.map((p) => ({
+        paymentId: p.paymentid,
+        item: p.data,
+        amount: p.payment,
+        period: p.period,
+        discount: p.discount,
+        tokens: p.tokens,
+        status: p.status,
+        createdAt: p.createdAt,
+      }))
+    ),
+    aiUsage: {
+      tokenBalance: user.tokens,
+      sessions: plain(
+        prompts.map((p) => ({
+          tokensUsed: p.tokens_used,
+          active: p.sessionActive,
+          startedAt: p.createdAt,
+          lastUsedAt: p.updatedAt,
+        }))
+      ),
+    },
+    supportTickets: plain(
+      tickets.map((t) => ({
+        ticket: t.tickno,
+        type: t.type,
+        status: t.status,
+        description: t.Description,
+        note: t.Note,
+        createdAt: t.createdAt,
+        updatedAt: t.updatedAt,
+      }))
+    ),
+    notifications: (notifications?.type || []).map((type, i) => ({ type, text: notifications.data[i] })),
+  };
+};
+
+const README = `This archive contains the personal data Openpreneurs holds for your account.
+
+profile.json            Your profile and account settings
+friends.json            Your tribers, triber requests and blocked users
+direct-messages.*       Direct messages you sent
+tribe-messages.*        Messages you sent in tribe chats
+tribes.json             Tribes you belong to or asked to join
+payments.*              Your payments
+ai-usage.*              Your Lift AI token balance and sessions
+support-tickets.*       Support tickets you opened
+notifications.json      Your notifications
+`;
+
+const json = (value) => JSON.stringify(value, null, 2);
+
+/**
+ * Build the ZIP for data returned by collectAccountData. Tabular data is
+ * written as both JSON and CSV.
+ */
+export const buildArchive = (data) => {
+  const zip = new JSZip();
+  zip.file("README.txt", README);
+  zip.file("profile.json", json(data.profile));
+  zip.file("friends.json", json(data.friends));
+  zip.file("tribes.json", json(data.tribes));
+  zip.file("notifications.json", json(data.notifications));
+
+  const tables = {
+    "direct-messages": [data.directMessages, ["sentAt", "chatLobbyId", "type", "message", "caption", "fileUrl", "forward"]],
+    "tribe-messages": [data.tribeMessages, ["sentAt", "chatLobbyId", "type", "message", "caption", "fileUrl"]],
+    payments: [data.payments, ["createdAt", "paymentId", "item", "amount", "period", "discount", "tokens", "status"]],
+    "ai-usage": [data.aiUsage.sessions, ["startedAt", "lastUsedAt", "tokensUsed", "active"]],
+    "support-tickets": [data.supportTickets, ["createdAt", "ticket", "type", "status", "description", "note", "updatedAt"]],
+  };
+  Object.entries(tables).forEach(([name, [rows, columns]]) => {
+    zip.file(`${name}.json`, json(name === "ai-usage" ? data.aiUsage : rows));
+    zip.file(`${name}.csv`, toCsv(rows, columns));
+  });
+
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+};
+
+export default {
+  EXPORT_TTL_MINUTES,
+  EXPORTS_DIR,
+  PENDING_LIMIT_MINUTES,
+  apiBaseUrl,
+  isLostJob,
+  sanitizeProfile,
+  collectAccountData,
+  buildArchive,
+};
@@ -0,0 +1,105 @@
+const expect = require('expect');
+const JSZip = require('jszip');
+
+const {buildArchive, sanitizeProfile, isLostJob, apiBaseUrl, PENDING_LIMIT_MINUTES, EXPORTS_DIR} = require('./account-export');
+
+const data = () => ({
+  profile: {_id: 'u1', username: 'jane', email: 'jane@example.com'},
+  friends: {tribers: [{id: 'u2', username: 'sam'}], incomingRequests: [], sentRequests: [], rejectedRequests: [], blocked: []},
+  directMessages: [
+    {sentAt: '2024-01-01T00:00:00.000Z', chatLobbyId: 'u1_u2', type: 'text', message: 'Hi, "Sam"\nhow are you?'},
+  ],
+  tribeMessages: [],
+  tribes: [{id: 't1', title: 'Founders', status: 'member', admin: false}],
+  payments: [{createdAt: '2024-01-02T00:00:00.000Z', paymentId: 'P-1001', item: 'basic', amount: 19.99, status: 'paid'}],
+  aiUsage: {tokenBalance: 500, sessions: [{startedAt: '2024-01-03T00:00:00.000Z', tokensUsed: 42, active: false}]},
+  supportTickets: [],
+  notifications: [{type: 'export', text: 'Your data export is ready to download.'}],
+});
+
+describe('sanitizeProfile', () => {
+  it('should drop credentials, one-time tokens and relationship arrays', () => {
+    const profile = sanitizeProfile({
+      _id: 'u1',
+      username: 'jane',
+      password: 'hash',
+      verificationToken: 'abc',
+      resetPasswordToken: 'def',
+      twoFactor: {enabled: true},
+      mytribers: ['u2'],
+      blockedby: ['u3'],
+    });
+
+    expect(profile).toEqual({_id: 'u1', username: 'jane'});
+  });
+});
+
+describe('buildArchive', () => {
+  it('should write JSON for everything and CSV for tabular data', async () => {
+    const zip = await JSZip.loadAsync(await buildArchive(data()));
+    const names = Object.keys(zip.files).sort();
+
+    expect(names).toEqual([
+      'README.txt',
+      'ai-usage.csv', 'ai-usage.json',
+      'direct-messages.csv', 'direct-messages.json',
+      'friends.json',
+      'notifications.json',
+      'payments.csv', 'payments.json',
+      'profile.json',
+      'support-tickets.csv', 'support-tickets.json',
+      'tribe-messages.csv', 'tribe-messages.json',
+      'tribes.json',
+    ]);
+    expect(JSON.parse(await zip.file('profile.json').async('string')).email).toBe('jane@example.com');
+    expect(JSON.parse(await zip.file('ai-usage.json').async('string')).tokenBalance).toBe(500);
+  });
+
+  it('should quote CSV cells that need it', async () => {
+    const zip = await JSZip.loadAsync(await buildArchive(data()));
+    const csv = await zip.file('direct-messages.csv').async('string');
+
+    expect(csv).toBe(
+      'sentAt,chatLobbyId,type,message,caption,fileUrl,forward\r\n' +
+      '2024-01-01T00:00:00.000Z,u1_u2,text,"Hi, ""Sam""\nhow are you?",,,'
+    );
+    expect(await zip.file('support-tickets.csv').async('string'))
+      .toBe('createdAt,ticket,type,status,description,note,updatedAt');
+  });
+});
+
+describe('export jobs', () => {
+  it('should keep archives out of the public downloads folder', () => {
+    expect(EXPORTS_DIR).toNotInclude('public');
+  });
+
+  it('should give up on jobs left pending by a restart', () => {
+    const now = Date.parse('2024-01-01T12:00:00.000Z');
+    const requestedAt = (minutes) => new Date(now - minutes * 60 * 1000).toISOString();
+
+    expect(isLostJob({status: 'pending', requestedAt: requestedAt(5)}, now)).toBe(false);
+    expect(isLostJob({status: 'pending', requestedAt: requestedAt(PENDING_LIMIT_MINUTES + 1)}, now)).toBe(true);
+    expect(isLostJob({status: 'ready', requestedAt: requestedAt(PENDING_LIMIT_MINUTES + 1)}, now)).toBe(false);
+  });
+
+  describe('download links', () => {
+    const original = process.env.API_BASE_URL;
+
+    afterEach(() => {
+      if (original === undefined) delete process.env.API_BASE_URL;
+      else process.env.API_BASE_URL = original;
+    });
+
+    it('should point at the configured API address', () => {
+      process.env.API_BASE_URL = 'https://api.example.com/v1/';
+      expect(apiBaseUrl()).toBe('https://api.example.com/v1');
+    });
+
+    it('should fall back to the local API when none is configured', () => {
+      process.env.API_BASE_URL = 'javascript:alert(1)';
+      expect(apiBaseUrl()).toBe('http://localhost:4000');
+      delete process.env.API_BASE_URL;
+      expect(apiBaseUrl()).toBe('http://localhost:4000');
+    });
+  });
+});
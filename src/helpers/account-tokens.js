@@ -0,0 +1,128 @@
+import crypto from "crypto";
+import AccountToken from "../models/accountToken";
+import User from "../models/user";
+import { queueMail } from "./mailer";
+import { frontendUrl } from "./frontend-url";
+
+// How long each kind of emailed link stays valid, in minutes.
+export const TOKEN_TTL_MINUTES = {
+  verify_email: 24 * 60,
+  password_reset: 60,
+  email_change: 60,
+  unlock_account: 60,
+  magic_login: 15,
+};
+
+export const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// For email copy: "1 hour", "24 hours", "15 minutes".
+export const describeTtl = (purpose) => {
+  const minutes = TOKEN_TTL_MINUTES[purpose];
+  if (minutes % 60) return `${minutes} minutes`;
+  return minutes === 60 ? "1 hour" : `${minutes / 60} hours`;
+};
+
+/**
+ * Issue a token for `purpose`. Any earlier unused token for the same user and
+ * purpose stops working. Resolves with the plain token for the email link.
+ */
+export const createAccountToken = async (userId, purpose, { email, subjectModel = "User" } = {}) => {
+  if (!TOKEN_TTL_MINUTES[purpose]) throw new Error(`Unknown token purpose "${purpose}"`);
+
+  await AccountToken.deleteMany({ user: userId, subjectModel, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await AccountToken.create({
+    user: userId,
+    subjectModel,
+    purpose,
+    tokenHash: hashToken(token),
+    email,
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000),
+  });
+  return token;
+};
+
+const usableToken = (token, purpose, subjectModel) => ({
+  tokenHash: hashToken(token),
+  purpose,
+  subjectModel,
+  usedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+/**
+ * Links emailed before account tokens existed carry a plain token stored on
+ * the user. They keep working, once, until they expire: reset links at
+ * `resetPasswordExpires`, verification links (which never expired) until used.
+ */
+const LEGACY_TOKENS = {
+  verify_email: {
+    filter: (token) => ({ verificationToken: token }),
+    clear: { verificationToken: 1 },
+  },
+  password_reset: {
+    filter: (token) => ({ resetPasswordToken: token, resetPasswordExpires: { $gt: new Date() } }),
+    clear: { resetPasswordToken: 1, resetPasswordExpires: 1 },
+  },
+};
+
+// Shaped like an AccountToken, so callers needn't care which kind they got.
+const legacyRecord = (user, purpose) => user && { user: user._id, email: user.email, purpose, legacy: true };
+
+const findLegacyToken = async (token, purpose, subjectModel) => {
+  const legacy = subjectModel === "User" && LEGACY_TOKENS[purpose];
+  if (!legacy) return null;
+  return legacyRecord(await User.findOne(legacy.filter(String(token))).select("_id email"), purpose);
+};
+
+const consumeLegacyToken = async (token, purpose, subjectModel) => {
+  const legacy = subjectModel === "User" && LEGACY_TOKENS[purpose];
+  if (!legacy) return null;
+  const user = await User.findOneAndUpdate(legacy.filter(String(token)), { $unset: legacy.clear }).select("_id email");
+  return legacyRecord(user, purpose);
+};
+
+// Look a token up without using it, e.g. to validate a form first.
+export const findAccountToken = async (token, purpose, subjectModel = "User") => {
+  if (!token) return null;
+  return (
+    (await AccountToken.findOne(usableToken(token, purpose, subjectModel))) ||
+    findLegacyToken(token, purpose, subjectModel)
+  );
+};
+
+/**
+ * Use up a token. Resolves with the token document, or null when it is
+ * unknown, expired, already used or for something else.
+ */
+export const consumeAccountToken = async (token, purpose, subjectModel = "User") => {
+  if (!token) return null;
+  const record = await AccountToken.findOneAndUpdate(
+    usableToken(token, purpose, subjectModel),
+    { usedAt: new Date() },
+    { new: true }
+  );
+  return record || consumeLegacyToken(token, purpose, subjectModel);
+};
+
+// Issue a fresh verification link for the user's current address and email it.
+// `requestedUrl` only picks between the allowed frontends (see frontend-url).
+export const sendVerificationEmail = async (user, requestedUrl) => {
+  const token = await createAccountToken(user._id, "verify_email", { email: user.email });
+  await queueMail("verification", user.email, {
+    username: user.username,
+    link: `${frontendUrl(requestedUrl)}/verify/${token}`,
+    expiresIn: describeTtl("verify_email"),
+  });
+};
+
+export default {
+  TOKEN_TTL_MINUTES,
+  hashToken,
+  describeTtl,
+  createAccountToken,
+  findAccountToken,
+  consumeAccountToken,
+  sendVerificationEmail,
+};
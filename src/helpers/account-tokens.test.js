@@ -0,0 +1,141 @@
+const expect = require('expect');
+
+const AccountToken = require('../models/accountToken').default;
+const User = require('../models/user').default;
+const {
+  TOKEN_TTL_MINUTES,
+  hashToken,
+  describeTtl,
+  createAccountToken,
+  findAccountToken,
+  consumeAccountToken,
+} = require('./account-tokens');
+
+describe('account tokens', () => {
+  const original = {
+    create: AccountToken.create,
+    deleteMany: AccountToken.deleteMany,
+    findOne: AccountToken.findOne,
+    findOneAndUpdate: AccountToken.findOneAndUpdate,
+  };
+  var calls;
+
+  beforeEach(() => {
+    calls = [];
+    AccountToken.create = (doc) => {
+      calls.push(['create', doc]);
+      return Promise.resolve(doc);
+    };
+    AccountToken.deleteMany = (filter) => {
+      calls.push(['deleteMany', filter]);
+      return Promise.resolve({deletedCount: 0});
+    };
+    AccountToken.findOneAndUpdate = (filter, update) => {
+      calls.push(['findOneAndUpdate', filter, update]);
+      return Promise.resolve(null);
+    };
+  });
+
+  afterEach(() => {
+    Object.assign(AccountToken, original);
+  });
+
+  it('should store only a hash of the token, with an expiry', async () => {
+    const before = Date.now();
+    const token = await createAccountToken('u1', 'password_reset', {email: 'jane@example.com'});
+    const [, doc] = calls.find(([name]) => name === 'create');
+
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(doc.tokenHash).toBe(hashToken(token));
+    expect(doc.tokenHash).toNotBe(token);
+    expect(doc).toInclude({user: 'u1', purpose: 'password_reset', email: 'jane@example.com'});
+    expect(doc.expiresAt.getTime()).toBeGreaterThanOrEqualTo(before + TOKEN_TTL_MINUTES.password_reset * 60000);
+  });
+
+  it('should drop earlier unused tokens for the same purpose first', async () => {
+    await createAccountToken('u1', 'verify_email');
+
+    expect(calls[0]).toEqual(['deleteMany', {user: 'u1', subjectModel: 'User', purpose: 'verify_email', usedAt: null}]);
+    expect(calls[1][0]).toBe('create');
+  });
+
+  it('should reject unknown purposes', async () => {
+    let error;
+    try {
+      await createAccountToken('u1', 'nope');
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).toMatch(/Unknown token purpose/);
+    expect(calls.length).toBe(0);
+  });
+
+  it('should only consume unused, unexpired tokens of the right purpose', async () => {
+    await consumeAccountToken('abc', 'email_change');
+    const [, filter, update] = calls[0];
+
+    expect(filter).toInclude({tokenHash: hashToken('abc'), purpose: 'email_change', subjectModel: 'User', usedAt: null});
+    expect(filter.expiresAt.$gt).toBeA(Date);
+    expect(update.usedAt).toBeA(Date);
+  });
+
+  it('should not look up an empty token', async () => {
+    expect(await consumeAccountToken(undefined, 'verify_email')).toBe(null);
+    expect(calls.length).toBe(0);
+  });
+
+  it('should describe expiry for email copy', () => {
+    expect(describeTtl('password_reset')).toBe('1 hour');
+    expect(describeTtl('verify_email')).toBe('24 hours');
+    expect(describeTtl('magic_login')).toBe('15 minutes');
+  });
+
+  describe('links emailed before account tokens', () => {
+    const originalUser = {findOne: User.findOne, findOneAndUpdate: User.findOneAndUpdate};
+    const selectable = (value) => ({select: () => Promise.resolve(value)});
+    var legacyUser;
+
+    beforeEach(() => {
+      legacyUser = {_id: 'u1', email: 'jane@example.com'};
+      AccountToken.findOne = () => Promise.resolve(null);
+      User.findOne = (filter) => {
+        calls.push(['userFindOne', filter]);
+        return selectable(legacyUser);
+      };
+      User.findOneAndUpdate = (filter, update) => {
+        calls.push(['userFindOneAndUpdate', filter, update]);
+        return selectable(legacyUser);
+      };
+    });
+
+    afterEach(() => {
+      Object.assign(User, originalUser);
+    });
+
+    it('should accept a legacy reset token only before it expires, and clear it once used', async () => {
+      expect(await findAccountToken('old', 'password_reset')).toInclude({user: 'u1', email: 'jane@example.com', legacy: true});
+      expect(calls[0][1]).toInclude({resetPasswordToken: 'old'});
+      expect(calls[0][1].resetPasswordExpires.$gt).toBeA(Date);
+
+      expect(await consumeAccountToken('old', 'password_reset')).toInclude({user: 'u1', purpose: 'password_reset'});
+      const [name, filter, update] = calls[2];
+      expect(name).toBe('userFindOneAndUpdate');
+      expect(filter.resetPasswordExpires.$gt).toBeA(Date);
+      expect(update).toEqual({$unset: {resetPasswordToken: 1, resetPasswordExpires: 1}});
+    });
+
+    it('should accept a legacy verification token once', async () => {
+      expect(await consumeAccountToken('old', 'verify_email')).toInclude({user: 'u1', email: 'jane@example.com'});
+      expect(calls[1]).toEqual(['userFindOneAndUpdate', {verificationToken: 'old'}, {$unset: {verificationToken: 1}}]);
+
+      legacyUser = null;
+      expect(await consumeAccountToken('old', 'verify_email')).toBe(null);
+    });
+
+    it('should not fall back for purposes or accounts that never had legacy tokens', async () => {
+      expect(await consumeAccountToken('old', 'magic_login')).toBe(null);
+      expect(await consumeAccountToken('old', 'password_reset', 'Admin')).toBe(null);
+      expect(calls.every(([name]) => name === 'findOneAndUpdate')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import JWT from "jsonwebtoken";
+import Boom from "@hapi/boom"; // Preferred
+import { v4 as uuidv4 } from "uuid";
+import redis from "../clients/redis";
+
+// Admins must pick a new password once theirs is this old.
+export const PASSWORD_MAX_AGE_DAYS = Number(process.env.ADMIN_PASSWORD_MAX_AGE_DAYS) || 90;
+
+const CHANGE_TOKEN_TTL = 10 * 60;
+
+// Like 2FA challenges, change tokens must never pass as access tokens.
+const changeSecret = () => `${process.env.JWT_SECRET}:password-change`;
+const usedKey = (payload) => `pwchange:used:${payload.jti}`;
+
+/**
+ * Why the admin has to change their password before getting tokens:
+ * "first_login" when someone else chose it (including every admin created
+ * before passwords were tracked), "expired" when it is older than
+ * PASSWORD_MAX_AGE_DAYS, otherwise null.
+ */
+export const passwordChangeReason = (admin, now = new Date()) => {
+  if (admin.mustChangePassword || !admin.passwordChangedAt) return "first_login";
+  if (now - admin.passwordChangedAt > PASSWORD_MAX_AGE_DAYS * 24 * 60 * 60 * 1000) return "expired";
+  return null;
+};
+
+const signChangeToken = (admin) =>
+  new Promise((resolve, reject) => {
+    const payload = { user_id: admin._id.toString(), jti: uuidv4() };
+    JWT.sign(payload, changeSecret(), { expiresIn: CHANGE_TOKEN_TTL, issuer: "ecommerce.app" }, (err, token) => {
+      if (err) {
+        console.error("Error signing password change token:", err);
+        return reject(Boom.internal("Could not start password change"));
+      }
+      resolve(token);
+    });
+  });
+
+/**
+ * The login response for an admin who must change their password first, or
+ * null. Only reached after the password (and 2FA, when enabled) checked out.
+ */
+export const passwordChangeChallenge = async (admin) => {
+  const reason = passwordChangeReason(admin);
+  if (!reason) return null;
+  return {
+    passwordChangeRequired: true,
+    reason,
+    changeToken: await signChangeToken(admin),
+  };
+};
+
+export const verifyChangeToken = async (token) => {
+  if (!token) throw Boom.badRequest("Change token missing.");
+
+  let payload;
+  try {
+    payload = JWT.verify(token, changeSecret(), { issuer: "ecommerce.app" });
+  } catch (err) {
+    throw Boom.unauthorized(
+      err.name === "TokenExpiredError" ? "Password change has expired. Please log in again." : "Invalid change token."
+    );
+  }
+  if (await redis.exists(usedKey(payload))) {
+    throw Boom.unauthorized("Change token has already been used.");
+  }
+  return payload;
+};
+
+// Each token works once; call right before saving the new password.
+export const completeChangeToken = async (payload) => {
+  const fresh = await redis.set(usedKey(payload), "1", "EX", CHANGE_TOKEN_TTL, "NX");
+  if (!fresh) throw Boom.unauthorized("Change token has already been used.");
+};
+
+export default {
+  PASSWORD_MAX_AGE_DAYS,
+  passwordChangeReason,
+  passwordChangeChallenge,
+  verifyChangeToken,
+  completeChangeToken,
+};
@@ -0,0 +1,65 @@
+const expect = require('expect');
+
+const redis = require('../clients/redis').default;
+const {
+  PASSWORD_MAX_AGE_DAYS,
+  passwordChangeReason,
+  passwordChangeChallenge,
+  verifyChangeToken,
+  completeChangeToken,
+} = require('./admin-password');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('admin password rotation', () => {
+  const now = new Date('2024-06-01T00:00:00Z');
+  const original = {set: redis.set, exists: redis.exists};
+  var used;
+
+  beforeEach(() => {
+    used = new Set();
+    redis.exists = (key) => Promise.resolve(used.has(key) ? 1 : 0);
+    redis.set = (key, value, ex, ttl, nx) => {
+      if (nx && used.has(key)) return Promise.resolve(null);
+      used.add(key);
+      return Promise.resolve('OK');
+    };
+  });
+
+  afterEach(() => {
+    Object.assign(redis, original);
+  });
+
+  it('should require a change when someone else chose the password', () => {
+    expect(passwordChangeReason({mustChangePassword: true, passwordChangedAt: now}, now)).toBe('first_login');
+    // Admins created before passwords were tracked.
+    expect(passwordChangeReason({createdAt: now}, now)).toBe('first_login');
+  });
+
+  it('should require a change once the password is too old', () => {
+    const fresh = new Date(now - (PASSWORD_MAX_AGE_DAYS - 1) * DAY);
+    const stale = new Date(now - (PASSWORD_MAX_AGE_DAYS + 1) * DAY);
+
+    expect(passwordChangeReason({passwordChangedAt: fresh}, now)).toBe(null);
+    expect(passwordChangeReason({passwordChangedAt: stale}, now)).toBe('expired');
+  });
+
+  it('should hand out a change token that works once', async () => {
+    const challenge = await passwordChangeChallenge({_id: 'a1', mustChangePassword: true});
+    expect(challenge).toInclude({passwordChangeRequired: true, reason: 'first_login'});
+
+    const payload = await verifyChangeToken(challenge.changeToken);
+    expect(payload.user_id).toBe('a1');
+    await completeChangeToken(payload);
+
+    let error;
+    await verifyChangeToken(challenge.changeToken).catch((err) => (error = err));
+    expect(error.output.statusCode).toBe(401);
+  });
+
+  it('should not let a change token pass for anything else', async () => {
+    let error;
+    await verifyChangeToken('not-a-token').catch((err) => (error = err));
+    expect(error.output.statusCode).toBe(401);
+  });
+});
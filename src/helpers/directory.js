@@ -0,0 +1,234 @@
+import Boom from "@hapi/boom"; // Preferred
+import mongoose from "mongoose";
+import { discoverableQuery } from "./profile-serializer";
+
+/**
+ * Directory filters: query parameter → User field. Each takes one or more
+ * comma-separated values (any of them matches); different filters combine.
+ * `visibleWhen` says which profile settings must let the viewer see the
+ * field, so filtering can't reveal what the profile hides.
+ */
+export const DIRECTORY_FILTERS = {
+  business_country: { field: "business_country", visibleWhen: ["full", "business"] },
+  business_industry: { field: "business_industry", visibleWhen: ["full", "business"] },
+  markets_covered: { field: "markets_covered", visibleWhen: ["full", "business"] },
+  value_chainstake: { field: "value_chainstake", visibleWhen: ["full", "business"] },
+  immediate_needs: { field: "immediate_needs", visibleWhen: ["full", "business"] },
+  country: { field: "country", visibleWhen: ["full"] },
+  subscription: { field: "subscription", visibleWhen: [] },
+};
+
+export const DIRECTORY_SORTS = {
+  relevance: ["relevance", "completeness", "_id"],
+  newest: ["createdAt", "_id"],
+  completeness: ["completeness", "_id"],
+};
+
+// Counted towards profile completeness, each worth the same.
+export const COMPLETENESS_FIELDS = [
+  "profile_pic",
+  "display_banner",
+  "title",
+  "aboutme",
+  "country",
+  "business_country",
+  "business_industry",
+  "markets_covered",
+  "value_chainstake",
+  "immediate_needs",
+  "primary_business",
+  "web_link",
+];
+
+const MAX_VALUES_PER_FILTER = 20;
+const FACET_SIZE = 20;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// `?business_industry=Agritech,Fintech` and repeated parameters both work.
+export const parseFilters = (query) => {
+  const filters = {};
+  Object.keys(DIRECTORY_FILTERS).forEach((name) => {
+    const raw = query[name];
+    if (raw === undefined || raw === "") return;
+    const values = [...new Set([].concat(raw).flatMap((value) => String(value).split(",")).map((value) => value.trim()).filter(Boolean))];
+    if (values.length > MAX_VALUES_PER_FILTER) {
+      throw Boom.badRequest(`Pick at most ${MAX_VALUES_PER_FILTER} values for ${name}.`);
+    }
+    if (values.length) filters[name] = values;
+  });
+  return filters;
+};
+
+// Profiles whose privacy shows the viewer the whole profile.
+const fullProfileQuery = (viewer) => ({
+  $or: [{ privacy: { $in: ["public", null] } }, { privacy: "triber_only", _id: { $in: viewer?.mytribers || [] } }],
+});
+
+// Profiles whose `visibility.<group>` setting lets the viewer in (unset means everyone).
+const audienceQuery = (viewer, group) => {
+  const path = `visibility.${group}`;
+  const tribers = viewer?.mytribers || [];
+  return {
+    $or: [
+      { [path]: { $in: ["everyone", null] } },
+      { [path]: "tribe_mates", $or: [{ _id: { $in: tribers } }, { joined_tribes: { $in: viewer?.joined_tribes || [] } }] },
+      { [path]: "tribers", _id: { $in: tribers } },
+    ],
+  };
+};
+
+const visibilityConditions = (viewer, name) =>
+  DIRECTORY_FILTERS[name].visibleWhen.map((rule) => (rule === "full" ? fullProfileQuery(viewer) : audienceQuery(viewer, rule)));
+
+const filterConditions = (viewer, name, values) => [
+  { [DIRECTORY_FILTERS[name].field]: { $in: values } },
+  ...visibilityConditions(viewer, name),
+];
+
+/**
+ * Who the viewer can find at all: active, verified members they haven't
+ * blocked (or been blocked by), matching `q` on name when given.
+ */
+export const baseQuery = (viewer, q) => {
+  const conditions = [
+    { role: "user", verified: "Yes", status: "active" },
+    ...discoverableQuery(viewer).$and,
+  ];
+  if (viewer) conditions.push({ _id: { $ne: viewer._id } });
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q.trim()), "i");
+    conditions.push({ $or: [{ username: pattern }, { firstName: pattern }, { lastName: pattern }] });
+  }
+  return conditions;
+};
+
+// The query for the results: every selected filter applies.
+export const filtersQuery = (viewer, filters) =>
+  Object.entries(filters).flatMap(([name, values]) => filterConditions(viewer, name, values));
+
+/**
+ * Facet counts per filter value. Each filter's counts apply every other
+ * selected filter but not itself, so picking a second value shows how many
+ * it would add.
+ */
+export const facetStages = (viewer, filters) => {
+  const facets = {};
+  Object.keys(DIRECTORY_FILTERS).forEach((name) => {
+    const { field } = DIRECTORY_FILTERS[name];
+    const others = Object.entries(filters).filter(([other]) => other !== name);
+    const conditions = [
+      ...others.flatMap(([other, values]) => filterConditions(viewer, other, values)),
+      ...visibilityConditions(viewer, name),
+    ];
+    facets[name] = [
+      ...(conditions.length ? [{ $match: { $and: conditions } }] : []),
+      { $unwind: `$${field}` },
+      { $match: { [field]: { $nin: [null, ""] } } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: FACET_SIZE },
+      { $project: { _id: 0, value: "$_id", count: 1 } },
+    ];
+  });
+  return facets;
+};
+
+const filled = (field) => ({
+  $cond: [
+    { $isArray: `$${field}` },
+    { $gt: [{ $size: `$${field}` }, 0] },
+    { $gt: [{ $strLenCP: { $toString: { $ifNull: [`$${field}`, ""] } } }, 0] },
+  ],
+});
+
+/**
+ * `completeness` (percentage of COMPLETENESS_FIELDS filled in) and
+ * `relevance` (how many selected filter values the member matches).
+ */
+export const scoreStage = (filters) => ({
+  $addFields: {
+    completeness: {
+      $round: [
+        {
+          $multiply: [
+            { $divide: [{ $add: COMPLETENESS_FIELDS.map((field) => ({ $cond: [filled(field), 1, 0] })) }, COMPLETENESS_FIELDS.length] },
+            100,
+          ],
+        },
+        0,
+      ],
+    },
+    relevance: {
+      $add: [
+        0,
+        ...Object.entries(filters).map(([name, values]) => {
+          const field = `$${DIRECTORY_FILTERS[name].field}`;
+          return {
+            $cond: [
+              { $isArray: field },
+              { $size: { $setIntersection: [field, values] } },
+              { $cond: [{ $in: [field, values] }, 1, 0] },
+            ],
+          };
+        }),
+      ],
+    },
+  },
+});
+
+// Cursors are the sort keys of the last member on the page.
+export const encodeCursor = (sort, member) =>
+  Buffer.from(JSON.stringify(DIRECTORY_SORTS[sort].map((key) => member[key]))).toString("base64url");
+
+export const decodeCursor = (sort, cursor) => {
+  const keys = DIRECTORY_SORTS[sort];
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch (err) {
+    values = null;
+  }
+  if (!Array.isArray(values) || values.length !== keys.length || !mongoose.Types.ObjectId.isValid(values[values.length - 1])) {
+    throw Boom.badRequest("Invalid cursor.");
+  }
+  return keys.map((key, i) => {
+    if (key === "_id") return new mongoose.Types.ObjectId(values[i]);
+    if (key === "createdAt") return new Date(values[i]);
+    return values[i];
+  });
+};
+
+// Everything after the cursor when sorting by `keys`, all descending.
+export const afterCursorQuery = (sort, values) => {
+  const keys = DIRECTORY_SORTS[sort];
+  return {
+    $or: keys.map((key, i) => {
+      const condition = {};
+      keys.slice(0, i).forEach((earlier, j) => {
+        condition[earlier] = values[j];
+      });
+      condition[key] = { $lt: values[i] };
+      return condition;
+    }),
+  };
+};
+
+export const sortStage = (sort) => ({
+  $sort: Object.fromEntries(DIRECTORY_SORTS[sort].map((key) => [key, -1])),
+});
+
+export default {
+  DIRECTORY_FILTERS,
+  DIRECTORY_SORTS,
+  COMPLETENESS_FIELDS,
+  parseFilters,
+  baseQuery,
+  filtersQuery,
+  facetStages,
+  scoreStage,
+  encodeCursor,
+  decodeCursor,
+  afterCursorQuery,
+  sortStage,
+};
@@ -0,0 +1,79 @@
+const expect = require('expect');
+const mongoose = require('mongoose');
+
+const {
+  parseFilters,
+  baseQuery,
+  filtersQuery,
+  facetStages,
+  encodeCursor,
+  decodeCursor,
+  afterCursorQuery,
+} = require('./directory');
+
+const VIEWER = new mongoose.Types.ObjectId('64b000000000000000000001');
+const FRIEND = new mongoose.Types.ObjectId('64b000000000000000000002');
+const viewer = { _id: VIEWER, mytribers: [FRIEND], joined_tribes: [], blockedtribers: [] };
+
+describe('directory filters', () => {
+  it('should read comma-separated and repeated values, ignoring unknown parameters', () => {
+    expect(parseFilters({
+      business_industry: 'Agritech, Fintech',
+      country: ['Kenya', 'Ghana,Kenya'],
+      sort: 'newest',
+      password: 'x',
+    })).toEqual({ business_industry: ['Agritech', 'Fintech'], country: ['Kenya', 'Ghana'] });
+  });
+
+  it('should refuse too many values for one filter', () => {
+    const values = Array.from({ length: 21 }, (_, i) => 'v' + i).join(',');
+    expect(() => parseFilters({ markets_covered: values })).toThrow(/at most 20/);
+  });
+
+  it('should only match business fields the profile lets the viewer see', () => {
+    const conditions = filtersQuery(viewer, { business_industry: ['Agritech'], subscription: ['premium'] });
+    const serialized = JSON.stringify(conditions);
+
+    expect(conditions[0]).toEqual({ business_industry: { $in: ['Agritech'] } });
+    expect(serialized).toInclude('visibility.business');
+    expect(serialized).toInclude('triber_only');
+    expect(conditions).toInclude({ subscription: { $in: ['premium'] } });
+  });
+
+  it('should treat the name search as text, not a pattern', () => {
+    const nameSearch = baseQuery(viewer, 'a.b(').pop().$or[0].username;
+    expect(nameSearch.test('a.b(')).toBe(true);
+    expect(nameSearch.test('axb(')).toBe(false);
+  });
+
+  it('should count each facet with the other filters but not its own', () => {
+    const facets = facetStages(viewer, { country: ['Kenya'], business_industry: ['Agritech'] });
+    const countryMatch = JSON.stringify(facets.country[0]);
+
+    expect(countryMatch).toInclude('Agritech');
+    expect(countryMatch).toNotInclude('Kenya');
+    expect(JSON.stringify(facets.business_industry[0])).toInclude('Kenya');
+    expect(facetStages(viewer, {}).subscription[0]).toEqual({ $unwind: '$subscription' });
+  });
+});
+
+describe('directory cursors', () => {
+  it('should resume after the last member of the page', () => {
+    const last = { createdAt: new Date('2026-01-02T03:04:05Z'), _id: FRIEND };
+    const values = decodeCursor('newest', encodeCursor('newest', last));
+
+    expect(values[0].getTime()).toBe(last.createdAt.getTime());
+    expect(String(values[1])).toBe(String(FRIEND));
+    expect(afterCursorQuery('newest', values)).toEqual({
+      $or: [
+        { createdAt: { $lt: values[0] } },
+        { createdAt: values[0], _id: { $lt: values[1] } },
+      ],
+    });
+  });
+
+  it('should reject cursors it did not hand out', () => {
+    expect(() => decodeCursor('newest', 'garbage')).toThrow(/Invalid cursor/);
+    expect(() => decodeCursor('relevance', encodeCursor('newest', { createdAt: new Date(), _id: FRIEND }))).toThrow(/Invalid cursor/);
+  });
+});
@@ -0,0 +1,242 @@
+import Boom from "@hapi/boom"; // Preferred
+import mongoose from "mongoose";
+import User from "../models/user";
+import Payment from "../models/payment";
+import redis from "../clients/redis";
+
+const MB = 1024 * 1024;
+
+// Everything a plan can switch on.
+export const FEATURES = ["liftAi", "joinTribes", "tribeChat", "rateTribes", "courseContent"];
+
+/**
+ * What each plan gets. "none" is the free tier: it can browse, read tribes
+ * and send a few direct messages. Daily limits reset at midnight UTC; null
+ * means unlimited. `uploadBytes` caps a single uploaded file.
+ */
+export const PLANS = {
+  none: {
+    features: [],
+    limits: { aiTokensPerDay: 0, tribes: 0, dmsPerDay: 20, uploadBytes: 2 * MB },
+  },
+  trial: {
+    features: FEATURES,
+    limits: { aiTokensPerDay: 2000, tribes: 3, dmsPerDay: 100, uploadBytes: 5 * MB },
+  },
+  basic: {
+    features: FEATURES,
+    limits: { aiTokensPerDay: 10000, tribes: 10, dmsPerDay: 500, uploadBytes: 10 * MB },
+  },
+  premium: {
+    features: FEATURES,
+    limits: { aiTokensPerDay: 50000, tribes: null, dmsPerDay: null, uploadBytes: 20 * MB },
+  },
+};
+
+// The cheapest plans first, for suggesting an upgrade.
+const UPGRADE_ORDER = ["basic", "premium"];
+
+const FEATURE_NAMES = {
+  liftAi: "Lift AI",
+  joinTribes: "Joining tribes",
+  tribeChat: "Posting in tribe chats",
+  rateTribes: "Rating tribes",
+  courseContent: "Course lessons and files",
+};
+
+const LIMIT_NAMES = {
+  aiTokensPerDay: "daily Lift AI allowance",
+  tribes: "number of tribes you can join",
+  dmsPerDay: "daily direct message allowance",
+  uploadBytes: "upload size",
+};
+
+// Limits counted per day in Redis; the others are read off the account.
+const DAILY_LIMITS = ["aiTokensPerDay", "dmsPerDay"];
+
+/**
+ * The plan that applies to an account. Trials are stored as the plan being
+ * trialled plus `trail_status: "trialing"`; anything unknown is "none".
+ */
+export const planOf = (user) => {
+  if (!user) return "none";
+  if (user.trail_status === "trialing" || user.subscription === "trial") return "trial";
+  return PLANS[user.subscription] ? user.subscription : "none";
+};
+
+// Staff accounts aren't limited by plan.
+const isStaff = (user) => user?.role === "admin";
+
+export const hasFeature = (user, feature) =>
+  isStaff(user) || PLANS[planOf(user)].features.includes(feature);
+
+// The allowance for `limit` on the account's plan; null when unlimited.
+export const limitFor = (user, limit) => (isStaff(user) ? null : PLANS[planOf(user)].limits[limit]);
+
+const upgradeFor = (user, allows) => UPGRADE_ORDER.find((plan) => allows(PLANS[plan])) || null;
+
+// A 402 telling the member which feature needs a paid plan, or null.
+export const featureError = (user, feature) => {
+  if (hasFeature(user, feature)) return null;
+  const error = Boom.paymentRequired(`${FEATURE_NAMES[feature]} needs a paid plan. Upgrade to unlock it.`);
+  Object.assign(error.output.payload, {
+    feature,
+    plan: planOf(user),
+    upgradeTo: upgradeFor(user, (plan) => plan.features.includes(feature)),
+  });
+  return error;
+};
+
+/**
+ * An error once `used` (plus `adding`) would go past the plan's `limit`, or
+ * null. Daily allowances answer 429, the others 402 (or 413 for uploads).
+ */
+export const limitError = (user, limit, used, adding = 1) => {
+  const allowed = limitFor(user, limit);
+  if (allowed === null || allowed === undefined || used + adding <= allowed) return null;
+
+  const message = `You've reached the ${LIMIT_NAMES[limit]} on your plan.`;
+  let error;
+  if (DAILY_LIMITS.includes(limit)) error = Boom.tooManyRequests(`${message} It resets at midnight UTC.`);
+  else if (limit === "uploadBytes") error = Boom.entityTooLarge(message);
+  else error = Boom.paymentRequired(message);
+
+  Object.assign(error.output.payload, {
+    limit,
+    allowed,
+    used,
+    plan: planOf(user),
+    upgradeTo: upgradeFor(user, (plan) => {
+      const more = plan.limits[limit];
+      return more === null || more > allowed;
+    }),
+  });
+  return error;
+};
+
+const usageKey = (userId, limit, now = new Date()) =>
+  `usage:${limit}:${userId}:${now.toISOString().slice(0, 10)}`;
+
+// How much of a daily allowance the account has used today.
+export const dailyUsage = async (userId, limit) => Number(await redis.get(usageKey(userId, limit))) || 0;
+
+export const addDailyUsage = async (userId, limit, amount = 1) => {
+  const key = usageKey(userId, limit);
+  const total = await redis.incrby(key, amount);
+  await redis.expire(key, 2 * 24 * 60 * 60);
+  return total;
+};
+
+/**
+ * Take one unit of a daily allowance if any is left. For callers without a
+ * request to fail, such as socket handlers. Resolves with the error to report,
+ * or null when the unit was taken.
+ */
+export const consumeDailyQuota = async (user, limit, amount = 1) => {
+  if (limitFor(user, limit) === null) return null;
+  const total = await addDailyUsage(user._id, limit, amount);
+  const error = limitError(user, limit, total - amount, amount);
+  if (error) await redis.incrby(usageKey(user._id, limit), -amount);
+  return error;
+};
+
+/**
+ * Hold back `amount` of a daily allowance before work whose final cost is
+ * only known afterwards, then settle it with settleDailyQuota. Resolves with
+ * `{ reserved, error }`; nothing is held for unlimited accounts.
+ */
+export const reserveDailyQuota = async (user, limit, amount) => {
+  if (limitFor(user, limit) === null) return { reserved: 0, error: null };
+  const error = await consumeDailyQuota(user, limit, amount);
+  return { reserved: error ? 0 : amount, error };
+};
+
+// Replace a reservation with what was actually used (0 to release it).
+export const settleDailyQuota = async (userId, limit, reserved, used) => {
+  if (used !== reserved) await addDailyUsage(userId, limit, used - reserved);
+};
+
+const ACCOUNT_FIELDS = "subscription trail_status role joined_tribes courses";
+
+// The account fields entitlements depend on, for callers that only have an id.
+export const loadAccount = (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+  return User.findById(userId).select(ACCOUNT_FIELDS).lean();
+};
+
+// consumeDailyQuota for callers that only have the account id.
+export const consumeUserQuota = async (userId, limit, amount = 1) => {
+  const user = await loadAccount(userId);
+  if (!user) return Boom.notFound("User not found.");
+  return consumeDailyQuota(user, limit, amount);
+};
+
+export const userHasFeature = async (userId, feature) => {
+  const user = await loadAccount(userId);
+  return !!user && hasFeature(user, feature);
+};
+
+/**
+ * Which of `courseIds` the member has a paid course payment for, as strings.
+ * Course access follows payments rather than `user.courses`, which a refund
+ * or an older client may have left out of step.
+ */
+export const paidCourses = async (userId, courseIds) => {
+  if (!mongoose.Types.ObjectId.isValid(userId) || !courseIds.length) return new Set();
+  const paid = await Payment.find({
+    user: userId,
+    data: "course",
+    status: "paid",
+    course: { $in: courseIds },
+  }).distinct("course");
+  return new Set(paid.map(String));
+};
+
+/**
+ * Everything the frontend needs to render plan badges and upgrade prompts:
+ * the plan, each feature on or off, limits and today's usage.
+ */
+export const entitlementsFor = async (user) => {
+  const plan = planOf(user);
+  const limits = {};
+  Object.keys(PLANS[plan].limits).forEach((limit) => {
+    limits[limit] = limitFor(user, limit);
+  });
+
+  const [aiTokensPerDay, dmsPerDay] = await Promise.all(
+    DAILY_LIMITS.map((limit) => dailyUsage(user._id, limit))
+  );
+
+  const features = {};
+  FEATURES.forEach((feature) => {
+    features[feature] = hasFeature(user, feature);
+  });
+
+  return {
+    plan,
+    features,
+    limits,
+    usage: { aiTokensPerDay, dmsPerDay, tribes: (user.joined_tribes || []).length },
+    upgradeTo: UPGRADE_ORDER.filter((candidate) => UPGRADE_ORDER.indexOf(candidate) > UPGRADE_ORDER.indexOf(plan)),
+  };
+};
+
+export default {
+  FEATURES,
+  PLANS,
+  planOf,
+  hasFeature,
+  limitFor,
+  featureError,
+  limitError,
+  dailyUsage,
+  addDailyUsage,
+  consumeDailyQuota,
+  reserveDailyQuota,
+  settleDailyQuota,
+  loadAccount,
+  consumeUserQuota,
+  userHasFeature,
+  paidCourses,
+  entitlementsFor,
+};
@@ -0,0 +1,140 @@
+import Boom from "@hapi/boom"; // Preferred
+import User from "../models/user";
+import Follow from "../models/follow";
+import Notification from "../models/notifications";
+import { notifyUser } from "./notify";
+
+// Followers notified per bulk write in notifyFollowers.
+const NOTIFY_BATCH = 500;
+
+const sameId = (a, b) => String(a) === String(b);
+const includesId = (values, id) => (values || []).some((value) => sameId(value, id));
+
+const adjustCounts = (followerId, followeeId, by) =>
+  Promise.all([
+    User.updateOne({ _id: followerId }, { $inc: { followingCount: by } }),
+    User.updateOne({ _id: followeeId }, { $inc: { followersCount: by } }),
+  ]);
+
+/**
+ * Start following a member. No approval is needed, but blocks in either
+ * direction and inactive accounts are refused. Following twice is a no-op;
+ * `created` says whether this call added the follow.
+ */
+export const follow = async (followerId, followeeId) => {
+  if (sameId(followerId, followeeId)) {
+    throw Boom.badRequest("You can't follow yourself.");
+  }
+
+  const [follower, followee] = await Promise.all([
+    User.findById(followerId).select("username blockedtribers").lean(),
+    User.findById(followeeId).select("username status blockedtribers").lean(),
+  ]);
+  if (!follower || !followee || followee.status !== "active") {
+    throw Boom.notFound("User not found.");
+  }
+  if (includesId(follower.blockedtribers, followeeId) || includesId(followee.blockedtribers, followerId)) {
+    throw Boom.forbidden("You can't follow this member.");
+  }
+
+  let created = false;
+  try {
+    const result = await Follow.updateOne(
+      { follower: followerId, followee: followeeId },
+      { $setOnInsert: { follower: followerId, followee: followeeId } },
+      { upsert: true }
+    );
+    created = result.upsertedCount > 0;
+  } catch (err) {
+    // Two requests raced to create the same follow; the other one won.
+    if (err.code !== 11000) throw err;
+  }
+
+  if (created) {
+    await adjustCounts(followerId, followeeId, 1);
+    await notifyUser(followeeId, "follow", `${follower.username} started following you`);
+  }
+  return { created, followee };
+};
+
+// Stop following. Returns whether there was a follow to remove.
+export const unfollow = async (followerId, followeeId) => {
+  const removed = await Follow.findOneAndDelete({ follower: followerId, followee: followeeId });
+  if (removed) await adjustCounts(followerId, followeeId, -1);
+  return Boolean(removed);
+};
+
+// Drop follows both ways between two members, e.g. when one blocks the other.
+export const removeFollowsBetween = (a, b) => Promise.all([unfollow(a, b), unfollow(b, a)]);
+
+// Drop every follow to or from a member whose account is going away.
+export const removeAllFollows = async (userId) => {
+  const follows = await Follow.find({ $or: [{ follower: userId }, { followee: userId }] })
+    .select("follower followee")
+    .lean();
+  if (!follows.length) return;
+
+  await User.bulkWrite(
+    follows.map(({ follower, followee }) =>
+      sameId(follower, userId)
+        ? { updateOne: { filter: { _id: followee }, update: { $inc: { followersCount: -1 } } } }
+        : { updateOne: { filter: { _id: follower }, update: { $inc: { followingCount: -1 } } } }
+    )
+  );
+  await Follow.deleteMany({ _id: { $in: follows.map(({ _id }) => _id) } });
+};
+
+/**
+ * Send a notification to everyone following `userId`. Only public profiles
+ * reach all followers; otherwise just followers who are also tribers hear
+ * about it. Activity should never fail because of this, so errors are
+ * logged rather than thrown. Resolves with the number of followers notified.
+ */
+export const notifyFollowers = async (userId, type, text) => {
+  try {
+    const owner = await User.findById(userId).select("privacy mytribers blockedtribers").lean();
+    if (!owner) return 0;
+
+    const filter = { followee: userId, follower: { $nin: owner.blockedtribers || [] } };
+    if ((owner.privacy || "public") !== "public") {
+      filter.follower.$in = owner.mytribers || [];
+    }
+
+    let notified = 0;
+    let lastId = null;
+    for (;;) {
+      const batch = await Follow.find(lastId ? { ...filter, _id: { $gt: lastId } } : filter)
+        .sort({ _id: 1 })
+        .limit(NOTIFY_BATCH)
+        .select("follower")
+        .lean();
+      if (!batch.length) break;
+
+      await Notification.bulkWrite(
+        batch.map(({ follower }) => ({
+          updateOne: { filter: { user: follower }, update: { $push: { type, data: text } }, upsert: true },
+        }))
+      );
+      notified += batch.length;
+      lastId = batch[batch.length - 1]._id;
+      if (batch.length < NOTIFY_BATCH) break;
+    }
+    return notified;
+  } catch (err) {
+    console.error("Error notifying followers:", err);
+    return 0;
+  }
+};
+
+// Whether `followerId` follows `followeeId`.
+export const isFollowing = async (followerId, followeeId) =>
+  Boolean(followerId && (await Follow.exists({ follower: followerId, followee: followeeId })));
+
+export default {
+  follow,
+  unfollow,
+  removeFollowsBetween,
+  removeAllFollows,
+  notifyFollowers,
+  isFollowing,
+};
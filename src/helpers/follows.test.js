@@ -0,0 +1,126 @@
+const expect = require('expect');
+
+const User = require('../models/user').default;
+const Follow = require('../models/follow').default;
+const Notification = require('../models/notifications');
+const { follow, unfollow, removeAllFollows, notifyFollowers } = require('./follows');
+const { stubStatics } = require('../test-helpers/stubs');
+
+const ALICE = '64b000000000000000000001';
+const BOB = '64b000000000000000000002';
+const CAROL = '64b000000000000000000003';
+
+const lean = (value) => ({ select: () => ({ lean: async () => value }) });
+
+describe('follows', () => {
+  const stub = stubStatics();
+  var users, counts, notifications;
+
+  beforeEach(() => {
+    users = {
+      [ALICE]: { _id: ALICE, username: 'alice', status: 'active', blockedtribers: [] },
+      [BOB]: { _id: BOB, username: 'bob', status: 'active', blockedtribers: [], privacy: 'public', mytribers: [CAROL] },
+    };
+    counts = [];
+    notifications = [];
+    stub(User, {
+      findById: (id) => lean(users[id] || null),
+      updateOne: async (filter, update) => counts.push([filter._id, update.$inc]),
+      bulkWrite: async (ops) => ops.forEach(({ updateOne }) => counts.push([updateOne.filter._id, updateOne.update.$inc])),
+    });
+    stub(Notification, {
+      updateOne: async (filter, update) => notifications.push([filter.user, update.$push]),
+      bulkWrite: async (ops) => ops.forEach(({ updateOne }) => notifications.push([updateOne.filter.user, updateOne.update.$push])),
+    });
+  });
+
+  it('should count and announce a new follow only once', async () => {
+    var upserted = 1;
+    stub(Follow, { updateOne: async () => ({ upsertedCount: upserted }) });
+
+    expect((await follow(ALICE, BOB)).created).toBe(true);
+    upserted = 0;
+    expect((await follow(ALICE, BOB)).created).toBe(false);
+
+    expect(counts).toEqual([[ALICE, { followingCount: 1 }], [BOB, { followersCount: 1 }]]);
+    expect(notifications).toEqual([[BOB, { type: 'follow', data: 'alice started following you' }]]);
+  });
+
+  it('should refuse self follows, blocks either way and inactive members', async () => {
+    stub(Follow, { updateOne: async () => { throw new Error('should not write'); } });
+    const failure = (followerId, followeeId) => follow(followerId, followeeId).then(() => null, (err) => err.message);
+
+    expect(await failure(ALICE, ALICE)).toMatch(/yourself/);
+    users[BOB].blockedtribers = [ALICE];
+    expect(await failure(ALICE, BOB)).toMatch(/can't follow/);
+    users[BOB].blockedtribers = [];
+    users[ALICE].blockedtribers = [BOB];
+    expect(await failure(ALICE, BOB)).toMatch(/can't follow/);
+    users[BOB].status = 'pending_deletion';
+    expect(await failure(CAROL, BOB)).toMatch(/not found/);
+  });
+
+  it('should only uncount follows that existed', async () => {
+    var existing = { _id: 'f1' };
+    stub(Follow, { findOneAndDelete: async () => existing });
+
+    expect(await unfollow(ALICE, BOB)).toBe(true);
+    existing = null;
+    expect(await unfollow(ALICE, BOB)).toBe(false);
+    expect(counts).toEqual([[ALICE, { followingCount: -1 }], [BOB, { followersCount: -1 }]]);
+  });
+
+  it('should uncount the other side of every follow when an account goes', async () => {
+    var deleted;
+    stub(Follow, {
+      find: () => lean([
+        { _id: 'f1', follower: ALICE, followee: BOB },
+        { _id: 'f2', follower: CAROL, followee: ALICE },
+      ]),
+      deleteMany: async (filter) => { deleted = filter._id.$in; },
+    });
+
+    await removeAllFollows(ALICE);
+
+    expect(counts).toEqual([[BOB, { followersCount: -1 }], [CAROL, { followingCount: -1 }]]);
+    expect(deleted).toEqual(['f1', 'f2']);
+  });
+
+  describe('notifyFollowers', () => {
+    var filters;
+
+    beforeEach(() => {
+      filters = [];
+      stub(Follow, {
+        find: (filter) => {
+          filters.push(filter);
+          const page = filter._id ? [] : [{ _id: 'f1', follower: ALICE }, { _id: 'f2', follower: CAROL }];
+          return { sort: () => ({ limit: () => lean(page) }) };
+        },
+      });
+    });
+
+    it('should reach every follower of a public profile', async () => {
+      expect(await notifyFollowers(BOB, 'followactivity', 'bob joined the tribe Growers')).toBe(2);
+      expect(filters[0].follower.$in).toBe(undefined);
+      expect(notifications.map(([user]) => user)).toEqual([ALICE, CAROL]);
+    });
+
+    it('should only reach tribers when the profile is not public', async () => {
+      users[BOB].privacy = 'triber_only';
+      await notifyFollowers(BOB, 'followactivity', 'bob joined the tribe Growers');
+      expect(filters[0].follower.$in).toEqual([CAROL]);
+    });
+
+    it('should not throw when something goes wrong', async () => {
+      stub(Follow, { find: () => { throw new Error('connection lost'); } });
+      const log = console.error;
+      console.error = () => {};
+      try {
+        expect(await notifyFollowers(BOB, 'followactivity', 'text')).toBe(0);
+      } finally {
+        console.error = log;
+      }
+    });
+  });
+});
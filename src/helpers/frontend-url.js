@@ -0,0 +1,35 @@
+/**
+ * The frontend that emailed links point at. The host never comes from the
+ * request as is: anyone could ask for a sign-in or reset link to be built on
+ * a site they control and read the token off it. Clients may still ask for
+ * one of the configured frontends (FRONTEND_URL, or any origin listed in the
+ * comma-separated FRONTEND_URL_ALLOWLIST, e.g. a staging site).
+ */
+const DEFAULT_FRONTEND_URL = "https://openpreneurs.business";
+
+const originOf = (url) => {
+  try {
+    const parsed = new URL(String(url).trim());
+    return ["http:", "https:"].includes(parsed.protocol) ? parsed.origin : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+export const configuredFrontendUrl = () => originOf(process.env.FRONTEND_URL) || DEFAULT_FRONTEND_URL;
+
+export const allowedFrontendUrls = () => [
+  configuredFrontendUrl(),
+  ...String(process.env.FRONTEND_URL_ALLOWLIST || "")
+    .split(",")
+    .map(originOf)
+    .filter(Boolean),
+];
+
+// The requested frontend when it is allowed, else the configured one.
+export const frontendUrl = (requested) => {
+  const origin = requested && originOf(requested);
+  return origin && allowedFrontendUrls().includes(origin) ? origin : configuredFrontendUrl();
+};
+
+export default { configuredFrontendUrl, allowedFrontendUrls, frontendUrl };
@@ -0,0 +1,37 @@
+const expect = require('expect');
+
+const { frontendUrl, allowedFrontendUrls } = require('./frontend-url');
+
+describe('frontendUrl', () => {
+  const original = { url: process.env.FRONTEND_URL, allowlist: process.env.FRONTEND_URL_ALLOWLIST };
+
+  afterEach(() => {
+    if (original.url === undefined) delete process.env.FRONTEND_URL;
+    else process.env.FRONTEND_URL = original.url;
+    if (original.allowlist === undefined) delete process.env.FRONTEND_URL_ALLOWLIST;
+    else process.env.FRONTEND_URL_ALLOWLIST = original.allowlist;
+  });
+
+  it('should fall back to the configured frontend for anything not allowed', () => {
+    process.env.FRONTEND_URL = 'https://app.example.com/';
+    delete process.env.FRONTEND_URL_ALLOWLIST;
+
+    expect(frontendUrl(undefined)).toBe('https://app.example.com');
+    expect(frontendUrl('https://attacker.example')).toBe('https://app.example.com');
+    expect(frontendUrl('https://app.example.com.attacker.example')).toBe('https://app.example.com');
+    expect(frontendUrl('javascript:alert(1)')).toBe('https://app.example.com');
+  });
+
+  it('should honour allowlisted frontends, by origin only', () => {
+    process.env.FRONTEND_URL = 'https://app.example.com';
+    process.env.FRONTEND_URL_ALLOWLIST = 'https://staging.example.com, not a url';
+
+    expect(allowedFrontendUrls()).toEqual(['https://app.example.com', 'https://staging.example.com']);
+    expect(frontendUrl('https://staging.example.com/some/path')).toBe('https://staging.example.com');
+  });
+
+  it('should default to the production site when nothing is configured', () => {
+    delete process.env.FRONTEND_URL;
+    expect(frontendUrl('https://attacker.example')).toBe('https://openpreneurs.business');
+  });
+});
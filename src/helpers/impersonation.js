@@ -0,0 +1,98 @@
+import Boom from "@hapi/boom"; // Preferred
+import redis from "../clients/redis";
+import { recordAudit } from "../middlewares/audit";
+
+// How long an impersonation token lasts unless the caller asks for less.
+export const DEFAULT_IMPERSONATION_MINUTES = 15;
+export const MAX_IMPERSONATION_MINUTES = 60;
+
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Account security and billing stay off limits even with the write scope:
+// staff must never change credentials, sessions or payments as the member.
+// Matched against normalizedPath(), since Express routes ignore case.
+const BLOCKED_PATHS = [
+  /^\/auth\/(update-password|2fa|sessions|oidc|account|logout)(\/|$)/,
+  /^\/verify\/change-email(\/|$)/,
+  /^\/(payment|subscription)(\/|$)/,
+];
+
+const endedKey = (id) => `impersonation:ended:${id}`;
+
+const requestPath = (req) => (req.originalUrl || req.url || "").split("?")[0];
+
+// The path as routing sees it: "/Auth//Update-Password/" reaches the same
+// handler as "/auth/update-password", and so must hit the same block.
+const normalizedPath = (req) => {
+  let path = requestPath(req);
+  try {
+    path = decodeURIComponent(path);
+  } catch (err) {
+    // Malformed escapes never match a route; check the path as it came.
+  }
+  return path.toLowerCase().replace(/\/{2,}/g, "/");
+};
+
+/**
+ * Why a request made with impersonation claims `imp` must be refused, as a
+ * Boom error, or null when it may go ahead.
+ */
+export const impersonationRefusal = (imp, req) => {
+  const path = normalizedPath(req);
+  if (BLOCKED_PATHS.some((pattern) => pattern.test(path))) {
+    return Boom.forbidden("This action isn't available while viewing as a member.");
+  }
+  if (imp.scope !== "write" && !READ_METHODS.includes(req.method)) {
+    return Boom.forbidden("Read-only impersonation: changes are not allowed.");
+  }
+  return null;
+};
+
+/**
+ * Called by verifyAccessToken for tokens carrying `imp`. Ended
+ * impersonations fall back to guest access like revoked sessions; the rest
+ * are checked against their scope and every request is logged, refused ones
+ * included.
+ */
+export const admitImpersonation = async (req, res, payload, next) => {
+  try {
+    if (await redis.exists(endedKey(payload.imp.id))) {
+      return next();
+    }
+  } catch (err) {
+    // Unlike session revocation this fails closed: these tokens are privileged.
+    console.error("Impersonation check failed:", err);
+    return next();
+  }
+
+  req.payload = payload;
+  if (!req.impersonationLogged) {
+    req.impersonationLogged = true;
+    res.on("finish", () =>
+      recordAudit(req, {
+        action: "impersonation.request",
+        targetType: "User",
+        targetId: payload.user_id,
+        after: { method: req.method, path: requestPath(req), status: res.statusCode },
+      })
+    );
+  }
+
+  next(impersonationRefusal(payload.imp, req) || undefined);
+};
+
+// Make every token of an impersonation stop working before it expires.
+export const endImpersonationTokens = async (impersonation) => {
+  const ttl = Math.ceil((impersonation.expiresAt - Date.now()) / 1000);
+  if (ttl > 0) {
+    await redis.set(endedKey(impersonation._id), "1", "EX", ttl);
+  }
+};
+
+export default {
+  DEFAULT_IMPERSONATION_MINUTES,
+  MAX_IMPERSONATION_MINUTES,
+  impersonationRefusal,
+  admitImpersonation,
+  endImpersonationTokens,
+};
@@ -0,0 +1,107 @@
+const EventEmitter = require('events');
+const expect = require('expect');
+
+const redis = require('../clients/redis').default;
+const AuditLog = require('../models/auditLog').default;
+const { impersonationRefusal, admitImpersonation } = require('./impersonation');
+
+const STAFF_ID = '64b000000000000000000001';
+const IMPERSONATION_ID = '64b0000000000000000000aa';
+
+const claims = (scope) => ({
+  user_id: '64b000000000000000000002',
+  role: 'user',
+  imp: { id: IMPERSONATION_ID, by: STAFF_ID, role: 'support', scope },
+});
+
+describe('impersonationRefusal', () => {
+  const request = (method, originalUrl) => ({ method, originalUrl });
+
+  it('should let read-only tokens look but not touch', () => {
+    const { imp } = claims('read');
+
+    expect(impersonationRefusal(imp, request('GET', '/auth/me'))).toBe(null);
+    expect(impersonationRefusal(imp, request('PUT', '/auth/update-username')).output.statusCode).toBe(403);
+  });
+
+  it('should let write tokens make changes', () => {
+    expect(impersonationRefusal(claims('write').imp, request('PUT', '/auth/tribes/join'))).toBe(null);
+  });
+
+  it('should keep account security and billing off limits for every scope', () => {
+    const { imp } = claims('write');
+
+    expect(impersonationRefusal(imp, request('PUT', '/auth/update-password'))).toExist();
+    expect(impersonationRefusal(imp, request('GET', '/auth/sessions?page=2'))).toExist();
+    expect(impersonationRefusal(imp, request('POST', '/subscription/cancel'))).toExist();
+    expect(impersonationRefusal(imp, request('GET', '/auth/security-activity'))).toBe(null);
+  });
+
+  it('should block sensitive routes however the path is spelled', () => {
+    const { imp } = claims('write');
+
+    expect(impersonationRefusal(imp, request('PUT', '/Auth/Update-Password'))).toExist();
+    expect(impersonationRefusal(imp, request('PUT', '/AUTH//update-password/'))).toExist();
+    expect(impersonationRefusal(imp, request('POST', '/auth/%32fa/disable'))).toExist();
+    expect(impersonationRefusal(imp, request('POST', '/Payment/checkout'))).toExist();
+  });
+});
+
+describe('admitImpersonation', () => {
+  const originalCreate = AuditLog.create;
+  const originalExists = redis.exists;
+  var entries, ended;
+
+  beforeEach(() => {
+    entries = [];
+    ended = false;
+    AuditLog.create = async (entry) => { entries.push(entry); };
+    redis.exists = async () => (ended ? 1 : 0);
+  });
+
+  afterEach(() => {
+    AuditLog.create = originalCreate;
+    redis.exists = originalExists;
+  });
+
+  const run = async (method, originalUrl, scope, statusCode) => {
+    const req = { method, originalUrl, headers: { 'user-agent': 'test' } };
+    const res = new EventEmitter();
+    const error = await new Promise((resolve) => admitImpersonation(req, res, claims(scope), resolve));
+    res.statusCode = error ? error.output.statusCode : statusCode;
+    res.emit('finish');
+    await new Promise((resolve) => setImmediate(resolve));
+    return { req, error };
+  };
+
+  it('should log each request against the staff member', async () => {
+    const { req, error } = await run('GET', '/auth/me', 'read', 200);
+
+    expect(error).toBe(undefined);
+    expect(req.payload.user_id).toBe('64b000000000000000000002');
+    expect(entries.length).toBe(1);
+    expect(entries[0]).toInclude({
+      action: 'impersonation.request',
+      actor: STAFF_ID,
+      actorRole: 'support',
+      impersonation: IMPERSONATION_ID,
+    });
+    expect(entries[0].after).toEqual({ method: 'GET', path: '/auth/me', status: 200 });
+  });
+
+  it('should refuse and still log changes under a read-only token', async () => {
+    const { error } = await run('DELETE', '/auth/chat-lobbies/1', 'read');
+
+    expect(error.output.statusCode).toBe(403);
+    expect(entries[0].after.status).toBe(403);
+  });
+
+  it('should treat an ended impersonation as a guest', async () => {
+    ended = true;
+    const { req, error } = await run('GET', '/auth/me', 'read', 401);
+
+    expect(error).toBe(undefined);
+    expect(req.payload).toBe(undefined);
+    expect(entries.length).toBe(0);
+  });
+});
@@ -1,12 +1,21 @@
 import JWT from "jsonwebtoken";
 import Boom from "@hapi/boom"; // Preferred
+import { v4 as uuidv4 } from "uuid";
 import redis from "../clients/redis";
+import Session from "../models/session";
+import { clientIp, describeUserAgent } from "../utils/request";
+import { admitImpersonation } from "./impersonation";
 
-const signAccessToken = (data) => {
+const ACCESS_TOKEN_TTL = 10 * 24 * 60 * 60; // matches expiresIn below
+const REFRESH_TOKEN_TTL = 180 * 24 * 60 * 60;
+
+const revokedSessionKey = (sid) => `session:revoked:${sid}`;
+
+const signAccessToken = (data, { expiresIn = "10d" } = {}) => {
   return new Promise((resolve, reject) => {
     const payload = { ...data };
     const options = {
-      expiresIn: "10d",
+      expiresIn,
       issuer: "ecommerce.app",
     };
 
@@ -30,14 +39,14 @@ const verifyAccessToken = (req, res, next) => {
   }
 
   const token = authorizationHeader.split(" ")[1]; // Expecting "Bearer <token>"
-  
+
   if (!token) {
     // Token is present but invalid format, allow access as guest
     return next();
   }
 
   // Verify the token
-  JWT.verify(token, process.env.JWT_SECRET, (err, payload) => {
+  JWT.verify(token, process.env.JWT_SECRET, async (err, payload) => {
     if (err) {
       let message = "Invalid token";
       if (err.name === "TokenExpiredError") {
@@ -48,15 +57,31 @@ const verifyAccessToken = (req, res, next) => {
       return next();
     }
 
+    // Access tokens outlive a revoked session, so check the revocation list.
+    if (payload.sid) {
+      try {
+        if (await redis.get(revokedSessionKey(payload.sid))) {
+          return next();
+        }
+      } catch (redisErr) {
+        console.error("Session revocation check failed:", redisErr);
+      }
+    }
+
+    // Staff viewing the app as a member: scope checks and per-request logging.
+    if (payload.imp) {
+      return admitImpersonation(req, res, payload, next);
+    }
+
     // Token is valid, attach decoded payload to req object
-    req.payload = payload; 
+    req.payload = payload;
     next();
   });
 };
 
-const signRefreshToken = (user_id) => {
+const signSessionToken = (user_id, session) => {
   return new Promise((resolve, reject) => {
-    const payload = { user_id };
+    const payload = { user_id, sid: session._id.toString(), jti: session.tokenId };
     const options = {
       expiresIn: "180d",
       issuer: "ecommerce.app",
@@ -67,20 +92,18 @@ const signRefreshToken = (user_id) => {
         console.error("Error signing refresh token:", err);
         return reject(Boom.internal("Could not create refresh token"));
       }
-
-      redis.set(user_id, token, "EX", 180 * 24 * 60 * 60); // Store in Redis
       resolve(token);
     });
   });
 };
 
-const verifyRefreshToken = async (refresh_token) => {
-  return new Promise(async (resolve, reject) => {
+const decodeRefreshToken = (refresh_token) => {
+  return new Promise((resolve, reject) => {
     if (!refresh_token) {
       return reject(Boom.unauthorized("Refresh token not provided"));
     }
 
-    JWT.verify(refresh_token, process.env.JWT_REFRESH_SECRET, async (err, payload) => {
+    JWT.verify(refresh_token, process.env.JWT_REFRESH_SECRET, (err, payload) => {
       if (err) {
         let message = "Invalid refresh token";
         if (err.name === "TokenExpiredError") {
@@ -89,22 +112,138 @@ const verifyRefreshToken = async (refresh_token) => {
         console.error("Refresh token verification error:", err);
         return reject(Boom.unauthorized(message));
       }
+      resolve(payload);
+    });
+  });
+};
 
-      const { user_id } = payload;
-      const user_token = await redis.get(user_id);
+/**
+ * Start a new device session and sign its first refresh token.
+ * `req` supplies the device label, IP and user agent recorded on the session.
+ */
+const startSession = async (user_id, req = {}, { subjectModel = "User" } = {}) => {
+  const headers = req.headers || {};
+  const userAgent = headers["user-agent"] || null;
+
+  const session = await Session.create({
+    subject: user_id,
+    subjectModel,
+    tokenId: uuidv4(),
+    deviceLabel: req.body?.deviceLabel || headers["x-device-label"] || describeUserAgent(userAgent),
+    ip: req.headers ? clientIp(req) : null,
+    userAgent,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000),
+  });
 
-      if (!user_token || refresh_token !== user_token) {
-        return reject(Boom.unauthorized("Invalid refresh token"));
-      }
+  const refreshToken = await signSessionToken(user_id, session);
+  return { sid: session._id.toString(), refreshToken };
+};
 
-      resolve(user_id);
-    });
-  });
+/**
+ * Log an account in on the requesting device: opens a session and returns
+ * an access token bound to it together with the session's refresh token.
+ */
+const issueTokens = async (claims, req = {}, { subjectModel = "User" } = {}) => {
+  const { sid, refreshToken } = await startSession(claims.user_id, req, { subjectModel });
+  const accessToken = await signAccessToken({ ...claims, sid });
+  return { accessToken, refreshToken, sid };
+};
+
+const revokeSession = async (sid, reason = "logout") => {
+  const session = await Session.findOneAndUpdate(
+    { _id: sid, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+  await redis.set(revokedSessionKey(sid), "1", "EX", ACCESS_TOKEN_TTL);
+  return session;
+};
+
+const revokeSessions = async (filter, reason = "logout") => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select("_id");
+  await Promise.all(sessions.map((s) => revokeSession(s._id.toString(), reason)));
+  return sessions.length;
+};
+
+/**
+ * Check a refresh token without rotating it. Resolves with the live session,
+ * which must belong to a `subjectModel` account.
+ */
+const verifyRefreshToken = async (refresh_token, { subjectModel = "User" } = {}) => {
+  const payload = await decodeRefreshToken(refresh_token);
+  if (!payload.sid) {
+    throw Boom.unauthorized("Invalid refresh token");
+  }
+
+  const session = await Session.findById(payload.sid);
+  if (!session || session.subjectModel !== subjectModel || session.revokedAt || session.tokenId !== payload.jti) {
+    throw Boom.unauthorized("Invalid refresh token");
+  }
+
+  return session;
+};
+
+/**
+ * Exchange a refresh token for a new one. Each token can be used once; if an
+ * already-rotated token is presented again the whole session (token family)
+ * is revoked, since either the client or an attacker is replaying it.
+ */
+const rotateRefreshToken = async (refresh_token, req = {}, { subjectModel = "User" } = {}) => {
+  const payload = await decodeRefreshToken(refresh_token);
+
+  // Tokens issued before sessions existed were kept in Redis under the user id.
+  if (!payload.sid) {
+    const stored = await redis.get(payload.user_id);
+    if (!stored || stored !== refresh_token) {
+      throw Boom.unauthorized("Invalid refresh token");
+    }
+    await redis.del(payload.user_id);
+    const { sid, refreshToken } = await startSession(payload.user_id, req, { subjectModel });
+    return { user_id: payload.user_id, sid, refreshToken };
+  }
+
+  const session = await Session.findById(payload.sid);
+  if (!session || session.subjectModel !== subjectModel) {
+    throw Boom.unauthorized("Invalid refresh token");
+  }
+  if (session.revokedAt) {
+    throw Boom.unauthorized("Session has been revoked");
+  }
+
+  if (session.tokenId !== payload.jti) {
+    await revokeSession(session._id.toString(), "refresh_token_reuse");
+    throw Boom.unauthorized("Refresh token reuse detected. Please log in again.");
+  }
+
+  // Swap the token id atomically so two concurrent refreshes can't both win.
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenId: payload.jti, revokedAt: null },
+    {
+      $set: {
+        tokenId: uuidv4(),
+        lastUsedAt: new Date(),
+        ip: req.headers ? clientIp(req) : session.ip,
+        userAgent: req.headers?.["user-agent"] || session.userAgent,
+      },
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    await revokeSession(session._id.toString(), "refresh_token_reuse");
+    throw Boom.unauthorized("Refresh token reuse detected. Please log in again.");
+  }
+
+  const refreshToken = await signSessionToken(payload.user_id, rotated);
+  return { user_id: payload.user_id, sid: rotated._id.toString(), refreshToken };
 };
 
 export {
   signAccessToken,
   verifyAccessToken,
-  signRefreshToken,
+  issueTokens,
   verifyRefreshToken,
+  rotateRefreshToken,
+  revokeSession,
+  revokeSessions,
 };
@@ -0,0 +1,86 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
+
+const expect = require('expect');
+const mongoose = require('mongoose');
+
+const redis = require('../clients/redis').default;
+const Session = require('../models/session').default;
+const { issueTokens, rotateRefreshToken, verifyRefreshToken } = require('./jwt');
+const { stubStatics } = require('../test-helpers/stubs');
+
+const USER_ID = '64b000000000000000000001';
+const ADMIN_ID = '64a000000000000000000001';
+
+// Resolves with the error a promise rejected with, or null.
+const failure = (promise) => promise.then(() => null, (err) => err);
+
+describe('refresh tokens', () => {
+  const stub = stubStatics();
+  var sessions, revokedKeys;
+
+  beforeEach(() => {
+    sessions = new Map();
+    revokedKeys = [];
+    stub(redis, {
+      set: async (key) => {
+        revokedKeys.push(key);
+        return 'OK';
+      },
+    });
+    stub(Session, {
+      create: async (doc) => {
+        const session = { ...doc, _id: new mongoose.Types.ObjectId(), revokedAt: null };
+        sessions.set(String(session._id), session);
+        return session;
+      },
+      findById: async (id) => sessions.get(String(id)) || null,
+      // Applies the filters jwt.js uses: the session id, an expected token id and revokedAt: null.
+      findOneAndUpdate: async (filter, update) => {
+        const session = sessions.get(String(filter._id));
+        if (!session || session.revokedAt || (filter.tokenId && session.tokenId !== filter.tokenId)) return null;
+        return Object.assign(session, update.$set);
+      },
+    });
+  });
+
+  const login = async (subjectModel = 'User') =>
+    issueTokens({ user_id: subjectModel === 'User' ? USER_ID : ADMIN_ID, role: 'user' }, {}, { subjectModel });
+
+  it('should hand out a new refresh token on every rotation', async () => {
+    const { refreshToken, sid } = await login();
+    const rotated = await rotateRefreshToken(refreshToken);
+
+    expect(rotated.sid).toBe(sid);
+    expect(rotated.refreshToken).toNotBe(refreshToken);
+    expect((await verifyRefreshToken(rotated.refreshToken))._id.toString()).toBe(sid);
+  });
+
+  it('should revoke the whole session when a rotated token is replayed', async () => {
+    const { refreshToken, sid } = await login();
+    const rotated = await rotateRefreshToken(refreshToken);
+
+    const replay = await failure(rotateRefreshToken(refreshToken));
+    expect(replay.output.statusCode).toBe(401);
+    expect(replay.message).toMatch(/reuse detected/);
+
+    const session = sessions.get(sid);
+    expect(session.revokedAt).toBeA(Date);
+    expect(session.revokedReason).toBe('refresh_token_reuse');
+    expect(revokedKeys).toInclude(`session:revoked:${sid}`);
+
+    // The token the legitimate client got from the rotation dies with it.
+    expect((await failure(rotateRefreshToken(rotated.refreshToken))).message).toMatch(/revoked/);
+    expect((await failure(verifyRefreshToken(rotated.refreshToken))).output.statusCode).toBe(401);
+  });
+
+  it('should only accept a refresh token for the kind of account it was issued to', async () => {
+    const user = await login('User');
+    const admin = await login('Admin');
+
+    expect((await failure(verifyRefreshToken(user.refreshToken, { subjectModel: 'Admin' }))).output.statusCode).toBe(401);
+    expect((await failure(verifyRefreshToken(admin.refreshToken))).output.statusCode).toBe(401);
+    expect(await failure(verifyRefreshToken(admin.refreshToken, { subjectModel: 'Admin' }))).toBe(null);
+    expect((await failure(rotateRefreshToken(admin.refreshToken))).output.statusCode).toBe(401);
+  });
+});
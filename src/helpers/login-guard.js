@@ -0,0 +1,177 @@
+import Boom from "@hapi/boom"; // Preferred
+import redis from "../clients/redis";
+import LoginAttempt from "../models/loginAttempt";
+import { clientIp } from "../utils/request";
+import { createAccountToken, describeTtl } from "./account-tokens";
+import { queueMail } from "./mailer";
+import { frontendUrl } from "./frontend-url";
+import { notifyUser } from "./notify";
+
+/**
+ * Failed password logins are counted per account and per IP. After `free`
+ * failures every further one makes the caller wait (doubling up to
+ * maxDelaySeconds); at `lockAfter` the account or IP is locked out for
+ * lockMinutes. Admin accounts get tighter limits.
+ */
+export const LOGIN_POLICIES = {
+  User: {
+    account: { free: 3, lockAfter: 10 },
+    ip: { free: 10, lockAfter: 50 },
+    baseDelaySeconds: 2,
+    maxDelaySeconds: 60,
+    lockMinutes: 30,
+  },
+  Admin: {
+    account: { free: 2, lockAfter: 5 },
+    ip: { free: 5, lockAfter: 20 },
+    baseDelaySeconds: 5,
+    maxDelaySeconds: 300,
+    lockMinutes: 60,
+  },
+};
+
+// Failures older than this are forgotten.
+const FAILURE_WINDOW = 60 * 60;
+
+const key = (subjectModel, scope, id, kind) => `login:${subjectModel}:${scope}:${id}:${kind}`;
+
+export const delayFor = (failures, policy, scope) => {
+  const over = failures - policy[scope].free;
+  if (over <= 0) return 0;
+  return Math.min(policy.baseDelaySeconds * 2 ** (over - 1), policy.maxDelaySeconds);
+};
+
+const scopesFor = (req, account) => {
+  const scopes = [];
+  const ip = clientIp(req);
+  if (ip) scopes.push(["ip", ip]);
+  if (account) scopes.push(["account", account._id.toString()]);
+  return scopes;
+};
+
+const withRetryAfter = (error, ms) => {
+  error.output.headers["Retry-After"] = String(Math.max(1, Math.ceil(ms / 1000)));
+  return error;
+};
+
+export const lockedError = (subjectModel, ms) => {
+  const minutes = Math.max(1, Math.ceil(ms / 60000));
+  const retry = `try again in ${minutes} minute(s).`;
+  const hint = subjectModel === "User" ? `Check your email for an unlock link, or ${retry}` : `Please ${retry}`;
+  return withRetryAfter(Boom.locked(`Account temporarily locked after too many failed logins. ${hint}`), ms);
+};
+
+export const logLoginAttempt = (subjectModel, req, { account, identifier, success, reason }) =>
+  LoginAttempt.create({
+    subject: account?._id,
+    subjectModel,
+    identifier,
+    success,
+    reason,
+    ip: clientIp(req),
+    userAgent: req.headers?.["user-agent"],
+  }).catch((err) => console.error("Error recording login attempt:", err.message));
+
+/**
+ * Check whether this login may go ahead. Resolves with a Boom error to pass
+ * to next() when the account or IP is locked or has to wait, else null.
+ */
+export const checkLoginAllowed = async (subjectModel, req, { account, identifier } = {}) => {
+  for (const [scope, id] of scopesFor(req, account)) {
+    const lockMs = await redis.pttl(key(subjectModel, scope, id, "lock"));
+    if (lockMs > 0) {
+      await logLoginAttempt(subjectModel, req, { account, identifier, success: false, reason: "locked" });
+      return scope === "account"
+        ? lockedError(subjectModel, lockMs)
+        : withRetryAfter(Boom.tooManyRequests("Too many failed logins from your network. Please try again later."), lockMs);
+    }
+
+    const waitMs = await redis.pttl(key(subjectModel, scope, id, "wait"));
+    if (waitMs > 0) {
+      await logLoginAttempt(subjectModel, req, { account, identifier, success: false, reason: "throttled" });
+      const seconds = Math.ceil(waitMs / 1000);
+      return withRetryAfter(Boom.tooManyRequests(`Too many attempts. Please wait ${seconds} second(s) and try again.`), waitMs);
+    }
+  }
+  return null;
+};
+
+const sendUnlockLink = async (subjectModel, account, requestedUrl) => {
+  if (subjectModel === "User") {
+    await notifyUser(
+      account._id,
+      "security",
+      "Your account was locked after several failed login attempts. We emailed you a link to unlock it."
+    );
+  }
+  if (!account.email) return;
+
+  const token = await createAccountToken(account._id, "unlock_account", { email: account.email, subjectModel });
+  const path = subjectModel === "Admin" ? "/admin/opulententrepreneurs/unlock" : "/unlock";
+  await queueMail("account-locked", account.email, {
+    username: account.username,
+    link: `${frontendUrl(requestedUrl)}${path}/${token}`,
+    expiresIn: describeTtl("unlock_account"),
+    lockMinutes: LOGIN_POLICIES[subjectModel].lockMinutes,
+  });
+};
+
+/**
+ * Count a failed login. Resolves with { locked } — true when this failure
+ * locked the account.
+ */
+export const recordLoginFailure = async (subjectModel, req, { account, identifier, reason = "bad_password" }) => {
+  const policy = LOGIN_POLICIES[subjectModel];
+  await logLoginAttempt(subjectModel, req, { account, identifier, success: false, reason });
+
+  let locked = false;
+  for (const [scope, id] of scopesFor(req, account)) {
+    const failsKey = key(subjectModel, scope, id, "fails");
+    const failures = await redis.incr(failsKey);
+    if (failures === 1) await redis.expire(failsKey, FAILURE_WINDOW);
+
+    if (failures >= policy[scope].lockAfter) {
+      await redis.set(key(subjectModel, scope, id, "lock"), "1", "EX", policy.lockMinutes * 60);
+      await redis.del(failsKey, key(subjectModel, scope, id, "wait"));
+      if (scope === "account") locked = true;
+      continue;
+    }
+
+    const delay = delayFor(failures, policy, scope);
+    if (delay) await redis.set(key(subjectModel, scope, id, "wait"), "1", "EX", delay);
+  }
+
+  if (locked) {
+    await sendUnlockLink(subjectModel, account, req.body?.frontendUrl).catch((err) =>
+      console.error("Error sending unlock link:", err.message)
+    );
+  }
+  return { locked };
+};
+
+// A correct password clears the account's failure count.
+export const recordLoginSuccess = async (subjectModel, req, { account, identifier }) => {
+  await logLoginAttempt(subjectModel, req, { account, identifier, success: true });
+  const id = account._id.toString();
+  await redis.del(key(subjectModel, "account", id, "fails"), key(subjectModel, "account", id, "wait"));
+};
+
+export const unlockAccount = (subjectModel, accountId) => {
+  const id = accountId.toString();
+  return redis.del(
+    key(subjectModel, "account", id, "lock"),
+    key(subjectModel, "account", id, "fails"),
+    key(subjectModel, "account", id, "wait")
+  );
+};
+
+export default {
+  LOGIN_POLICIES,
+  delayFor,
+  lockedError,
+  logLoginAttempt,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+};
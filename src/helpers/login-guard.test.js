@@ -0,0 +1,173 @@
+const expect = require('expect');
+
+const redis = require('../clients/redis').default;
+const LoginAttempt = require('../models/loginAttempt').default;
+const AccountToken = require('../models/accountToken').default;
+const Notification = require('../models/notifications');
+const {
+  LOGIN_POLICIES,
+  delayFor,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+} = require('./login-guard');
+
+// Just enough of Redis for counters and expiring flags.
+const fakeRedis = () => {
+  const values = new Map();
+  const expiry = new Map();
+  const mails = [];
+  return {
+    values,
+    expiry,
+    mails,
+    incr: (key) => {
+      values.set(key, (values.get(key) || 0) + 1);
+      return Promise.resolve(values.get(key));
+    },
+    expire: (key, seconds) => {
+      expiry.set(key, seconds * 1000);
+      return Promise.resolve(1);
+    },
+    set: (key, value, mode, seconds) => {
+      values.set(key, value);
+      expiry.set(key, seconds * 1000);
+      return Promise.resolve('OK');
+    },
+    pttl: (key) => Promise.resolve(values.has(key) ? expiry.get(key) : -2),
+    del: (...keys) => {
+      keys.forEach((key) => values.delete(key));
+      return Promise.resolve(keys.length);
+    },
+    lpush: (key, job) => {
+      mails.push(JSON.parse(job));
+      return Promise.resolve(1);
+    },
+  };
+};
+
+const request = (ip = '203.0.113.7') => ({ip, headers: {'user-agent': 'test'}, body: {}});
+const account = {_id: 'u1', username: 'jane', email: 'jane@example.com'};
+
+const fail = async (subjectModel, times, req = request()) => {
+  let result;
+  for (let i = 0; i < times; i++) {
+    result = await recordLoginFailure(subjectModel, req, {account, identifier: account.email});
+  }
+  return result;
+};
+
+describe('login guard', () => {
+  const names = ['incr', 'expire', 'set', 'pttl', 'del', 'lpush'];
+  const original = {
+    redis: names.reduce((acc, name) => ({...acc, [name]: redis[name]}), {}),
+    attemptCreate: LoginAttempt.create,
+    tokenCreate: AccountToken.create,
+    tokenDeleteMany: AccountToken.deleteMany,
+    notificationUpdateOne: Notification.updateOne,
+  };
+  var store, attempts, notifications;
+
+  beforeEach(() => {
+    store = fakeRedis();
+    names.forEach((name) => {
+      redis[name] = store[name];
+    });
+    attempts = [];
+    notifications = [];
+    LoginAttempt.create = (doc) => {
+      attempts.push(doc);
+      return Promise.resolve(doc);
+    };
+    AccountToken.create = (doc) => Promise.resolve(doc);
+    AccountToken.deleteMany = () => Promise.resolve({deletedCount: 0});
+    Notification.updateOne = (filter, update) => {
+      notifications.push([filter, update]);
+      return Promise.resolve({});
+    };
+  });
+
+  afterEach(() => {
+    Object.assign(redis, original.redis);
+    LoginAttempt.create = original.attemptCreate;
+    AccountToken.create = original.tokenCreate;
+    AccountToken.deleteMany = original.tokenDeleteMany;
+    Notification.updateOne = original.notificationUpdateOne;
+  });
+
+  it('should let the first failures through and then back off exponentially', () => {
+    const policy = LOGIN_POLICIES.User;
+    expect(delayFor(policy.account.free, policy, 'account')).toBe(0);
+    expect(delayFor(policy.account.free + 1, policy, 'account')).toBe(2);
+    expect(delayFor(policy.account.free + 3, policy, 'account')).toBe(8);
+    expect(delayFor(100, policy, 'account')).toBe(policy.maxDelaySeconds);
+  });
+
+  it('should hold admins to stricter limits than users', () => {
+    const {User, Admin} = LOGIN_POLICIES;
+    expect(Admin.account.lockAfter).toBeLessThan(User.account.lockAfter);
+    expect(Admin.ip.lockAfter).toBeLessThan(User.ip.lockAfter);
+    expect(Admin.lockMinutes).toBeGreaterThan(User.lockMinutes);
+  });
+
+  it('should make the caller wait once the free attempts are used', async () => {
+    await fail('User', LOGIN_POLICIES.User.account.free + 1);
+    const error = await checkLoginAllowed('User', request(), {account});
+
+    expect(error.output.statusCode).toBe(429);
+    expect(error.output.headers['Retry-After']).toBe('2');
+    expect(attempts[attempts.length - 1]).toInclude({success: false, reason: 'throttled', ip: '203.0.113.7'});
+  });
+
+  it('should lock the account at the threshold and email an unlock link', async () => {
+    const {locked} = await fail('User', LOGIN_POLICIES.User.account.lockAfter);
+    expect(locked).toBe(true);
+
+    const error = await checkLoginAllowed('User', request('198.51.100.1'), {account});
+    expect(error.output.statusCode).toBe(423);
+    expect(error.output.headers['Retry-After']).toBe(String(LOGIN_POLICIES.User.lockMinutes * 60));
+
+    expect(store.mails.length).toBe(1);
+    expect(store.mails[0]).toInclude({template: 'account-locked', to: 'jane@example.com'});
+    expect(store.mails[0].vars.link).toMatch(/\/unlock\/[0-9a-f]{64}$/);
+    expect(notifications[0][1].$push.type).toBe('security');
+  });
+
+  it('should build the unlock link on the configured frontend, whatever the request asks for', async () => {
+    const req = request();
+    req.body.frontendUrl = 'https://attacker.example';
+    await fail('User', LOGIN_POLICIES.User.account.lockAfter, req);
+
+    expect(store.mails[0].vars.link).toMatch(/^https:\/\/openpreneurs\.business\/unlock\//);
+  });
+
+  it('should lock admins sooner and send them to the admin unlock page', async () => {
+    const {locked} = await fail('Admin', LOGIN_POLICIES.Admin.account.lockAfter);
+
+    expect(locked).toBe(true);
+    expect(store.mails[0].vars.link).toInclude('/admin/opulententrepreneurs/unlock/');
+    expect(notifications.length).toBe(0);
+  });
+
+  it('should throttle an IP guessing across accounts', async () => {
+    const req = request();
+    for (let i = 0; i <= LOGIN_POLICIES.User.ip.free; i++) {
+      await recordLoginFailure('User', req, {identifier: `user${i}@example.com`, reason: 'unknown_account'});
+    }
+    const error = await checkLoginAllowed('User', req, {identifier: 'other@example.com'});
+
+    expect(error.output.statusCode).toBe(429);
+  });
+
+  it('should clear the account counters on success and on unlock', async () => {
+    await fail('User', LOGIN_POLICIES.User.account.free + 1);
+    await recordLoginSuccess('User', request('198.51.100.1'), {account, identifier: account.email});
+    expect(await checkLoginAllowed('User', request('198.51.100.1'), {account})).toBe(null);
+    expect(attempts[attempts.length - 1]).toInclude({success: true});
+
+    await fail('User', LOGIN_POLICIES.User.account.lockAfter);
+    await unlockAccount('User', account._id);
+    expect(await checkLoginAllowed('User', request('198.51.100.1'), {account})).toBe(null);
+  });
+});
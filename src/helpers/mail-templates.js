@@ -0,0 +1,254 @@
+// Named email templates. Each has a subject, an HTML body and a plain-text
+// body; `{{name}}` placeholders are filled from the variables passed to
+// renderTemplate (HTML-escaped in the HTML body).
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const fill = (template, vars, escape) =>
+  template.replace(/{{\s*(\w+)\s*}}/g, (_, key) => {
+    const value = vars[key];
+    if (value === undefined || value === null) return "";
+    return escape ? escapeHtml(value) : String(value);
+  });
+
+const layout = (body) => `
+  <div style="font-family: Arial, sans-serif; color: #222; max-width: 600px;">
+    ${body}
+    <p style="color: #888; font-size: 12px;">Openpreneurs · https://openpreneurs.business</p>
+  </div>
+`;
+
+export const templates = {
+  verification: {
+    subject: "Verify Your Email",
+    html: `
+      <p>Hi {{username}}, welcome to Openpreneurs!</p>
+      <p>Please verify your email by clicking the link below. The link expires in {{expiresIn}}.</p>
+      <p><a href="{{link}}">Verify Email</a></p>
+      <p>If you didn't create an account, please ignore this email.</p>
+    `,
+    text: `Hi {{username}}, welcome to Openpreneurs!
+
+Please verify your email by opening the following link. The link expires in {{expiresIn}}.
+{{link}}
+
+If you didn't create an account, please ignore this email.`,
+  },
+
+  "password-reset": {
+    subject: "Password Reset Request",
+    html: `
+      <p>Hi {{username}},</p>
+      <p>Please click the link below to reset your password. The link expires in {{expiresIn}}.</p>
+      <p><a href="{{link}}">Reset Password</a></p>
+      <p>If you didn't request a password reset, you can ignore this email.</p>
+    `,
+    text: `Hi {{username}},
+
+Please open the following link to reset your password. The link expires in {{expiresIn}}.
+{{link}}
+
+If you didn't request a password reset, you can ignore this email.`,
+  },
+
+  "email-change-confirm": {
+    subject: "Confirm your new email address",
+    html: `
+      <p>Hi {{username}},</p>
+      <p>You asked to use this address for your Openpreneurs account. Click the link below to confirm. The link expires in {{expiresIn}}.</p>
+      <p><a href="{{link}}">Confirm Email Address</a></p>
+      <p>If you didn't ask for this, you can ignore this email.</p>
+    `,
+    text: `Hi {{username}},
+
+You asked to use this address for your Openpreneurs account. Open the following link to confirm. The link expires in {{expiresIn}}.
+{{link}}
+
+If you didn't ask for this, you can ignore this email.`,
+  },
+
+  "email-change-notice": {
+    subject: "Your Openpreneurs email address is being changed",
+    html: `
+      <p>Hi {{username}},</p>
+      <p>Someone asked to change the email address on your account to {{newEmail}}. The change only happens once the new address is confirmed.</p>
+      <p>If this wasn't you, change your password and contact support right away.</p>
+    `,
+    text: `Hi {{username}},
+
+Someone asked to change the email address on your account to {{newEmail}}. The change only happens once the new address is confirmed.
+
+If this wasn't you, change your password and contact support right away.`,
+  },
+
+  "contact-us": {
+    subject: "Contact Us Form: {{subject}}",
+    html: `
+      <p><strong>Name:</strong> {{name}}</p>
+      <p><strong>Email:</strong> {{email}}</p>
+      <p><strong>Phone:</strong> {{phone}}</p>
+      <p><strong>Message:</strong></p>
+      <p style="white-space: pre-wrap;">{{message}}</p>
+    `,
+    text: `Name: {{name}}
+Email: {{email}}
+Phone: {{phone}}
+Message: {{message}}`,
+  },
+
+  "subscription-receipt": {
+    subject: "Your Openpreneurs receipt ({{paymentId}})",
+    html: `
+      <p>Hi {{username}},</p>
+      <p>Thanks for your payment. Here are the details:</p>
+      <table cellpadding="4">
+        <tr><td>Receipt</td><td>{{paymentId}}</td></tr>
+        <tr><td>Plan</td><td>{{plan}} ({{period}})</td></tr>
+        <tr><td>Amount</td><td>\${{amount}} USD</td></tr>
+        <tr><td>Tokens added</td><td>{{tokens}}</td></tr>
+        <tr><td>Next billing date</td><td>{{nextBillingDate}}</td></tr>
+      </table>
+    `,
+    text: `Hi {{username}},
+
+Thanks for your payment. Here are the details:
+Receipt: {{paymentId}}
+Plan: {{plan}} ({{period}})
+Amount: \${{amount}} USD
+Tokens added: {{tokens}}
+Next billing date: {{nextBillingDate}}`,
+  },
+
+  announcement: {
+    subject: "{{title}}",
+    html: `
+      <p>Hi {{username}},</p>
+      <p style="white-space: pre-wrap;">{{message}}</p>
+    `,
+    text: `Hi {{username}},
+
+{{message}}`,
+  },
+
+  "data-export": {
+    subject: "Your Openpreneurs data export is ready",
+    html: `
+      <p>Hi {{username}},</p>
+      <p>The copy of your data you asked for is ready. The link below works for {{expiresIn}}.</p>
+      <p><a href="{{link}}">Download your data</a></p>
+      <p>If you didn't ask for this export, please contact support.</p>
+    `,
+    text: `Hi {{username}},
+
+The copy of your data you asked for is ready. The link below works for {{expiresIn}}.
+{{link}}
+
+If you didn't ask for this export, please contact support.`,
+  },
+
+  "account-deletion": {
+    subject: "Your Openpreneurs account will be deleted",
+    html: `
+      <p>Hi {{username}},</p>
+      <p>Your account is scheduled for deletion on {{purgeAt}}. Until then you can keep it by simply logging in.</p>
+      <p>After that date your profile, messages and uploads are removed for good.</p>
+    `,
+    text: `Hi {{username}},
+
+Your account is scheduled for deletion on {{purgeAt}}. Until then you can keep it by simply logging in.
+After that date your profile, messages and uploads are removed for good.`,
+  },
+
+  "account-locked": {
+    subject: "Your Openpreneurs account was locked",
+    html: `
+      <p>Hi {{username}},</p>
+      <p>We locked your account for {{lockMinutes}} minutes after several failed login attempts.</p>
+      <p>If that was you, you can unlock it now with the link below (valid for {{expiresIn}}).</p>
+      <p><a href="{{link}}">Unlock my account</a></p>
+      <p>If it wasn't you, someone may know your email address. Consider changing your password once you're back in.</p>
+    `,
+    text: `Hi {{username}},
+
+We locked your account for {{lockMinutes}} minutes after several failed login attempts.
+
+If that was you, you can unlock it now with the following link (valid for {{expiresIn}}):
+{{link}}
+
+If it wasn't you, someone may know your email address. Consider changing your password once you're back in.`,
+  },
+
+  "magic-link": {
+    subject: "Your Openpreneurs sign-in link",
+    html: `
+      <p>Hi {{username}},</p>
+      <p>Use the link below to sign in. It works once and expires in {{expiresIn}}.</p>
+      <p><a href="{{link}}">Sign in to Openpreneurs</a></p>
+      <p>If you didn't ask for this, you can ignore this email.</p>
+    `,
+    text: `Hi {{username}},
+
+Use the following link to sign in. It works once and expires in {{expiresIn}}.
+{{link}}
+
+If you didn't ask for this, you can ignore this email.`,
+  },
+
+  "new-sign-in": {
+    subject: "New sign-in to your Openpreneurs account",
+    html: `
+      <p>Hi {{username}},</p>
+      <p>Your account was just signed in to from {{reason}}.</p>
+      <p><strong>Device:</strong> {{device}}<br/><strong>Location:</strong> {{location}}<br/><strong>IP address:</strong> {{ip}}<br/><strong>Time:</strong> {{time}}</p>
+      <p>If this was you, there's nothing to do. If not, change your password and sign out your other devices from your account settings.</p>
+    `,
+    text: `Hi {{username}},
+
+Your account was just signed in to from {{reason}}.
+
+Device: {{device}}
+Location: {{location}}
+IP address: {{ip}}
+Time: {{time}}
+
+If this was you, there's nothing to do. If not, change your password and sign out your other devices from your account settings.`,
+  },
+
+  "admin-invitation": {
+    subject: "You're invited to the Openpreneurs admin panel",
+    html: `
+      <p>Hi,</p>
+      <p>{{invitedBy}} invited you to join the Openpreneurs admin team as a {{level}} admin.</p>
+      <p>Open the link below to choose your username and password. The invitation expires in {{expiresIn}}.</p>
+      <p><a href="{{link}}">Accept invitation</a></p>
+      <p>If you weren't expecting this, you can ignore this email.</p>
+    `,
+    text: `Hi,
+
+{{invitedBy}} invited you to join the Openpreneurs admin team as a {{level}} admin.
+
+Open the following link to choose your username and password. The invitation expires in {{expiresIn}}.
+{{link}}
+
+If you weren't expecting this, you can ignore this email.`,
+  },
+};
+
+export const renderTemplate = (name, vars = {}) => {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown mail template "${name}"`);
+
+  return {
+    subject: fill(template.subject, vars, false),
+    html: layout(fill(template.html, vars, true)),
+    text: fill(template.text, vars, false),
+  };
+};
+
+export default { templates, renderTemplate };
@@ -0,0 +1,140 @@
+import { v4 as uuidv4 } from "uuid";
+import redis from "../clients/redis";
+import mailer from "../clients/mailer";
+import { templates, renderTemplate } from "./mail-templates";
+
+// Outgoing mail is queued in Redis and sent by a worker so a slow or failing
+// SMTP server never holds up a request. Failed sends are retried with
+// exponential backoff; jobs that run out of attempts move to mail:failed.
+export const QUEUE_KEY = "mail:queue";
+export const RETRY_KEY = "mail:retry";
+export const FAILED_KEY = "mail:failed";
+
+const MAX_ATTEMPTS = Number(process.env.MAIL_MAX_ATTEMPTS) || 5;
+const BATCH_SIZE = 20;
+const FAILED_KEEP = 1000;
+
+export const retryDelay = (attempts) => Math.min(30 * 2 ** (attempts - 1), 3600) * 1000;
+
+const mailJob = (template, to, vars, options) => {
+  if (!templates[template]) throw new Error(`Unknown mail template "${template}"`);
+  if (!to) throw new Error(`Mail "${template}" has no recipient`);
+
+  return {
+    id: uuidv4(),
+    template,
+    to,
+    vars,
+    replyTo: options.replyTo,
+    attempts: 0,
+    queuedAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Queue a templated email. `options.replyTo` is passed through to the
+ * message. Resolves with the job id.
+ */
+export const queueMail = async (template, to, vars = {}, options = {}) => {
+  const job = mailJob(template, to, vars, options);
+  await redis.lpush(QUEUE_KEY, JSON.stringify(job));
+  return job.id;
+};
+
+/**
+ * Queue one template for many recipients, given as `{ to, vars }`, a few
+ * hundred jobs per LPUSH instead of a round trip each. Recipients without an
+ * address are skipped. Resolves with the number of jobs queued.
+ */
+export const queueMailBatch = async (template, recipients, { store = redis, chunkSize = 500 } = {}) => {
+  const jobs = recipients
+    .filter((recipient) => recipient.to)
+    .map((recipient) => JSON.stringify(mailJob(template, recipient.to, recipient.vars || {}, {})));
+
+  for (let i = 0; i < jobs.length; i += chunkSize) {
+    await store.lpush(QUEUE_KEY, ...jobs.slice(i, i + chunkSize));
+  }
+  return jobs.length;
+};
+
+/**
+ * Send one job. On failure it is rescheduled, or recorded in the failed list
+ * once MAX_ATTEMPTS is reached. Resolves with "sent", "retry" or "failed".
+ */
+export const processMailJob = async (job, { transport = mailer, store = redis, now = Date.now() } = {}) => {
+  try {
+    const { subject, html, text } = renderTemplate(job.template, job.vars);
+    await transport.deliver({ to: job.to, replyTo: job.replyTo, subject, html, text });
+    return "sent";
+  } catch (err) {
+    job.attempts = (job.attempts || 0) + 1;
+    job.lastError = err.message;
+
+    if (job.attempts >= MAX_ATTEMPTS) {
+      job.failedAt = new Date(now).toISOString();
+      await store.lpush(FAILED_KEY, JSON.stringify(job));
+      await store.ltrim(FAILED_KEY, 0, FAILED_KEEP - 1);
+      console.error(`Mail ${job.id} (${job.template}) to ${job.to} failed after ${job.attempts} attempts:`, err.message);
+      return "failed";
+    }
+
+    await store.zadd(RETRY_KEY, now + retryDelay(job.attempts), JSON.stringify(job));
+    console.warn(`Mail ${job.id} (${job.template}) attempt ${job.attempts} failed, retrying:`, err.message);
+    return "retry";
+  }
+};
+
+// Move retries that are due back onto the queue. ZREM decides which worker
+// gets a job if more than one is running.
+const promoteRetries = async () => {
+  const due = await redis.zrangebyscore(RETRY_KEY, 0, Date.now(), "LIMIT", 0, BATCH_SIZE);
+  for (const raw of due) {
+    if (await redis.zrem(RETRY_KEY, raw)) await redis.lpush(QUEUE_KEY, raw);
+  }
+};
+
+export const drainMailQueue = async () => {
+  await promoteRetries();
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const raw = await redis.rpop(QUEUE_KEY);
+    if (!raw) break;
+
+    let job;
+    try {
+      job = JSON.parse(raw);
+    } catch (err) {
+      console.error("Dropping malformed mail job:", raw);
+      continue;
+    }
+    await processMailJob(job);
+  }
+};
+
+let worker = null;
+let draining = false;
+
+export const startMailWorker = (interval = Number(process.env.MAIL_POLL_INTERVAL_MS) || 2000) => {
+  if (worker) return worker;
+
+  worker = setInterval(async () => {
+    if (draining) return;
+    draining = true;
+    try {
+      await drainMailQueue();
+    } catch (err) {
+      console.error("Mail worker error:", err.message);
+    } finally {
+      draining = false;
+    }
+  }, interval);
+  return worker;
+};
+
+export default {
+  queueMail,
+  queueMailBatch,
+  processMailJob,
+  drainMailQueue,
+  startMailWorker,
+};
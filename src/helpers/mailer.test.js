@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.MAIL_TRANSPORT = 'outbox';
+process.env.MAIL_OUTBOX_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+
+const expect = require('expect');
+
+const mailer = require('../clients/mailer').default;
+const {renderTemplate} = require('./mail-templates');
+const {processMailJob, queueMailBatch, retryDelay, QUEUE_KEY, RETRY_KEY, FAILED_KEY} = require('./mailer');
+
+const fakeStore = () => {
+  const calls = [];
+  const record = (name) => (...args) => {
+    calls.push([name, ...args]);
+    return Promise.resolve(1);
+  };
+  return {calls, lpush: record('lpush'), ltrim: record('ltrim'), zadd: record('zadd')};
+};
+
+const failingTransport = {deliver: () => Promise.reject(new Error('SMTP down'))};
+
+const job = (fields = {}) => ({
+  id: 'job-1',
+  template: 'verification',
+  to: 'jane@example.com',
+  vars: {username: 'jane', link: 'https://openpreneurs.business/verify/abc'},
+  attempts: 0,
+  ...fields,
+});
+
+describe('renderTemplate', () => {
+  it('should fill variables in the subject, HTML and text bodies', () => {
+    const mail = renderTemplate('contact-us', {name: 'Jane', email: 'jane@example.com', subject: 'Hello', message: 'Hi'});
+
+    expect(mail.subject).toBe('Contact Us Form: Hello');
+    expect(mail.html).toInclude('<strong>Name:</strong> Jane');
+    expect(mail.text).toInclude('Name: Jane\nEmail: jane@example.com');
+  });
+
+  it('should escape variables in the HTML body only', () => {
+    const mail = renderTemplate('contact-us', {subject: 'a < b', message: '<script>x</script>'});
+
+    expect(mail.html).toInclude('&lt;script&gt;x&lt;/script&gt;');
+    expect(mail.html).toNotInclude('<script>');
+    expect(mail.text).toInclude('<script>x</script>');
+    expect(mail.subject).toBe('Contact Us Form: a < b');
+  });
+
+  it('should leave missing variables empty', () => {
+    expect(renderTemplate('announcement', {message: 'News'}).text).toBe('Hi ,\n\nNews');
+  });
+
+  it('should reject unknown templates', () => {
+    expect(() => renderTemplate('nope')).toThrow(/Unknown mail template/);
+  });
+});
+
+describe('outbox transport', () => {
+  it('should write each message to the outbox as JSON', async () => {
+    const result = await processMailJob(job());
+    expect(result).toBe('sent');
+
+    const files = fs.readdirSync(process.env.MAIL_OUTBOX_DIR);
+    expect(files.length).toBe(1);
+
+    const message = JSON.parse(fs.readFileSync(path.join(process.env.MAIL_OUTBOX_DIR, files[0]), 'utf8'));
+    expect(message.to[0].address).toBe('jane@example.com');
+    expect(message.from.address).toBe(mailer.MAIL_FROM);
+    expect(message.subject).toBe('Verify Your Email');
+    expect(message.text).toInclude('https://openpreneurs.business/verify/abc');
+    expect(message.html).toInclude('href="https://openpreneurs.business/verify/abc"');
+  });
+});
+
+describe('processMailJob', () => {
+  it('should reschedule a failed send with backoff', async () => {
+    const store = fakeStore();
+    const result = await processMailJob(job(), {transport: failingTransport, store, now: 1000});
+
+    expect(result).toBe('retry');
+    expect(store.calls.length).toBe(1);
+    const [command, key, score, raw] = store.calls[0];
+    expect([command, key, score]).toEqual(['zadd', RETRY_KEY, 1000 + retryDelay(1)]);
+    expect(JSON.parse(raw)).toInclude({attempts: 1, lastError: 'SMTP down'});
+  });
+
+  it('should move the job to the failed list after the last attempt', async () => {
+    const store = fakeStore();
+    const result = await processMailJob(job({attempts: 4}), {transport: failingTransport, store});
+
+    expect(result).toBe('failed');
+    expect(store.calls[0][0]).toBe('lpush');
+    expect(store.calls[0][1]).toBe(FAILED_KEY);
+    expect(JSON.parse(store.calls[0][2]).attempts).toBe(5);
+    expect(store.calls[1]).toEqual(['ltrim', FAILED_KEY, 0, 999]);
+  });
+
+  it('should back off exponentially up to an hour', () => {
+    expect(retryDelay(1)).toBe(30000);
+    expect(retryDelay(2)).toBe(60000);
+    expect(retryDelay(10)).toBe(3600000);
+  });
+});
+
+describe('queueMailBatch', () => {
+  it('should queue every addressed recipient in a few pushes', async () => {
+    const store = fakeStore();
+    const recipients = ['a', 'b', null, 'c'].map((name) => ({to: name && name + '@example.com', vars: {username: name}}));
+
+    expect(await queueMailBatch('announcement', recipients, {store, chunkSize: 2})).toBe(3);
+    expect(store.calls.length).toBe(2);
+    expect(store.calls.every(([name, key]) => name === 'lpush' && key === QUEUE_KEY)).toBe(true);
+
+    const jobs = store.calls.reduce((all, [, , ...raw]) => all.concat(raw.map((job) => JSON.parse(job))), []);
+    expect(jobs.map((job) => job.to)).toEqual(['a@example.com', 'b@example.com', 'c@example.com']);
+    expect(jobs[2]).toInclude({template: 'announcement', attempts: 0, vars: {username: 'c'}});
+  });
+
+  it('should reject unknown templates before queueing anything', async () => {
+    const store = fakeStore();
+    let error;
+    try {
+      await queueMailBatch('nope', [{to: 'a@example.com'}], {store});
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).toMatch(/Unknown mail template/);
+    expect(store.calls.length).toBe(0);
+  });
+});
@@ -0,0 +1,14 @@
+import Notification from "../models/notifications";
+
+/**
+ * Add an in-app notification for a user. Notification keeps `type` and
+ * `data` as parallel arrays, so both are pushed together.
+ */
+export const notifyUser = (userId, type, text) =>
+  Notification.updateOne(
+    { user: userId },
+    { $push: { type, data: text } },
+    { upsert: true }
+  );
+
+export default { notifyUser };
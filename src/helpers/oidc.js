@@ -0,0 +1,215 @@
+import Boom from "@hapi/boom"; // Preferred
+import JWT from "jsonwebtoken";
+import crypto from "crypto";
+import redis from "../clients/redis";
+
+// Sign-in state (PKCE verifier, nonce, who is linking) lives this long.
+export const STATE_TTL_SECONDS = 10 * 60;
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+const DEFAULT_REDIRECT_BASE = "https://openpreneurs.business/auth/callback";
+
+const DEFAULTS = {
+  google: {
+    issuer: ["https://accounts.google.com", "accounts.google.com"],
+    authorizationEndpoint: "https://accounts.google.com/o/oauth2/v2/auth",
+    tokenEndpoint: "https://oauth2.googleapis.com/token",
+    userinfoEndpoint: "https://openidconnect.googleapis.com/v1/userinfo",
+    jwksUri: "https://www.googleapis.com/oauth2/v3/certs",
+  },
+  linkedin: {
+    issuer: ["https://www.linkedin.com/oauth"],
+    authorizationEndpoint: "https://www.linkedin.com/oauth/v2/authorization",
+    tokenEndpoint: "https://www.linkedin.com/oauth/v2/accessToken",
+    userinfoEndpoint: "https://api.linkedin.com/v2/userinfo",
+    jwksUri: "https://www.linkedin.com/oauth/openid/jwks",
+  },
+};
+
+export const PROVIDERS = Object.keys(DEFAULTS);
+
+/**
+ * Provider settings from OIDC_<PROVIDER>_* env vars over the public defaults,
+ * so the flow can point at a local mock server. Read on every call.
+ */
+export const providerConfig = (name) => {
+  const defaults = DEFAULTS[name];
+  if (!defaults) throw Boom.notFound("Unknown login provider.");
+
+  const env = (key) => process.env[`OIDC_${name.toUpperCase()}_${key}`];
+  const clientId = env("CLIENT_ID");
+  if (!clientId) throw Boom.notImplemented(`Sign-in with ${name} is not configured.`);
+
+  const redirectBase = process.env.OIDC_REDIRECT_BASE || DEFAULT_REDIRECT_BASE;
+  return {
+    name,
+    clientId,
+    clientSecret: env("CLIENT_SECRET"),
+    issuer: env("ISSUER") ? [env("ISSUER")] : defaults.issuer,
+    authorizationEndpoint: env("AUTHORIZATION_ENDPOINT") || defaults.authorizationEndpoint,
+    tokenEndpoint: env("TOKEN_ENDPOINT") || defaults.tokenEndpoint,
+    userinfoEndpoint: env("USERINFO_ENDPOINT") || defaults.userinfoEndpoint,
+    jwksUri: env("JWKS_URI") || defaults.jwksUri,
+    redirectUri: env("REDIRECT_URI") || `${redirectBase}/${name}`,
+    scope: "openid email profile",
+  };
+};
+
+const base64url = (buffer) => buffer.toString("base64url");
+
+export const createPkcePair = () => {
+  const verifier = base64url(crypto.randomBytes(32));
+  const challenge = base64url(crypto.createHash("sha256").update(verifier).digest());
+  return { verifier, challenge };
+};
+
+const stateKey = (state) => `oidc:state:${state}`;
+
+/**
+ * Start an authorization-code flow. `mode` is "login" or "link"; linking
+ * remembers which user asked so the callback can't attach the identity to
+ * someone else. Resolves with the URL to send the browser to.
+ */
+export const beginAuthorization = async (name, { mode = "login", userId } = {}) => {
+  const provider = providerConfig(name);
+  const { verifier, challenge } = createPkcePair();
+  const state = base64url(crypto.randomBytes(24));
+  const nonce = base64url(crypto.randomBytes(16));
+
+  await redis.set(
+    stateKey(state),
+    JSON.stringify({ provider: name, verifier, nonce, mode, userId: userId ? userId.toString() : undefined }),
+    "EX",
+    STATE_TTL_SECONDS
+  );
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: challenge,
+    code_challenge_method: "S256",
+  });
+  return { authorizationUrl: `${provider.authorizationEndpoint}?${params}`, state };
+};
+
+// Each state works once.
+const takeState = async (state) => {
+  if (!state) return null;
+  const stored = await redis.getdel(stateKey(state));
+  return stored ? JSON.parse(stored) : null;
+};
+
+const postForm = async (url, form) => {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+    body: new URLSearchParams(form),
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw Boom.unauthorized(body.error_description || body.error || "Sign-in with the provider failed.");
+  }
+  return body;
+};
+
+const getJson = async (url, accessToken) => {
+  const response = await fetch(url, {
+    headers: { Accept: "application/json", ...(accessToken && { Authorization: `Bearer ${accessToken}` }) },
+  });
+  if (!response.ok) throw Boom.badGateway(`Provider request failed with ${response.status}.`);
+  return response.json();
+};
+
+const jwksCache = new Map();
+
+const signingKey = async (jwksUri, kid, { refresh = false } = {}) => {
+  let cached = jwksCache.get(jwksUri);
+  if (refresh || !cached || cached.fetchedAt < Date.now() - JWKS_CACHE_MS) {
+    const { keys = [] } = await getJson(jwksUri);
+    cached = { keys, fetchedAt: Date.now() };
+    jwksCache.set(jwksUri, cached);
+  }
+  const jwk = cached.keys.find((key) => key.kid === kid) || (!kid && cached.keys[0]);
+  if (jwk) return crypto.createPublicKey({ key: jwk, format: "jwk" });
+  // Providers rotate keys; look again once before giving up.
+  return refresh ? null : signingKey(jwksUri, kid, { refresh: true });
+};
+
+/**
+ * Check the ID token's signature, issuer, audience, expiry and nonce and
+ * resolve with its claims.
+ */
+export const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = idToken && JWT.decode(idToken, { complete: true });
+  if (!decoded) throw Boom.unauthorized("The provider did not return an ID token.");
+
+  const key = await signingKey(provider.jwksUri, decoded.header.kid);
+  if (!key) throw Boom.unauthorized("ID token signed with an unknown key.");
+
+  let claims;
+  try {
+    claims = JWT.verify(idToken, key, {
+      algorithms: ["RS256", "ES256"],
+      issuer: provider.issuer,
+      audience: provider.clientId,
+    });
+  } catch (err) {
+    throw Boom.unauthorized(`Invalid ID token: ${err.message}`);
+  }
+  if (claims.nonce !== nonce) throw Boom.unauthorized("Invalid ID token: nonce mismatch.");
+  return claims;
+};
+
+/**
+ * Finish a flow started by beginAuthorization: exchange the code, verify the
+ * ID token and resolve with the person's identity plus the stored state.
+ */
+export const completeAuthorization = async (name, { code, state }) => {
+  const pending = await takeState(state);
+  if (!pending || pending.provider !== name) {
+    throw Boom.badRequest("Sign-in link is invalid or expired. Please start again.");
+  }
+  if (!code) throw Boom.badRequest("Authorization code missing.");
+
+  const provider = providerConfig(name);
+  const tokens = await postForm(provider.tokenEndpoint, {
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: provider.redirectUri,
+    client_id: provider.clientId,
+    ...(provider.clientSecret && { client_secret: provider.clientSecret }),
+    code_verifier: pending.verifier,
+  });
+
+  let claims = await verifyIdToken(provider, tokens.id_token, pending.nonce);
+  if (!claims.email && tokens.access_token) {
+    claims = { ...(await getJson(provider.userinfoEndpoint, tokens.access_token)), ...claims };
+  }
+
+  return {
+    pending,
+    identity: {
+      provider: name,
+      subject: String(claims.sub),
+      email: claims.email ? String(claims.email).trim().toLowerCase() : null,
+      // Some providers send the flag as a string.
+      emailVerified: claims.email_verified === true || claims.email_verified === "true",
+      firstName: claims.given_name || null,
+      lastName: claims.family_name || null,
+      picture: claims.picture || null,
+    },
+  };
+};
+
+export default {
+  STATE_TTL_SECONDS,
+  PROVIDERS,
+  providerConfig,
+  createPkcePair,
+  beginAuthorization,
+  verifyIdToken,
+  completeAuthorization,
+};
@@ -0,0 +1,149 @@
+const expect = require('expect');
+const crypto = require('crypto');
+const http = require('http');
+const JWT = require('jsonwebtoken');
+
+const redis = require('../clients/redis').default;
+const {beginAuthorization, completeAuthorization, providerConfig} = require('./oidc');
+
+// A tiny OIDC provider: token endpoint, JWKS and userinfo.
+const mockProvider = () => {
+  const {publicKey, privateKey} = crypto.generateKeyPairSync('rsa', {modulusLength: 2048});
+  const jwk = {...publicKey.export({format: 'jwk'}), kid: 'k1', alg: 'RS256', use: 'sig'};
+  const provider = {tokenRequests: [], claims: {}, server: null, url: null};
+
+  provider.sign = (claims) => JWT.sign(claims, privateKey, {algorithm: 'RS256', keyid: 'k1', expiresIn: 300});
+
+  provider.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+      if (req.url === '/jwks') return res.end(JSON.stringify({keys: [jwk]}));
+      if (req.url === '/userinfo') return res.end(JSON.stringify({email: 'From.Userinfo@example.com', email_verified: true}));
+      if (req.url === '/token') {
+        const form = Object.fromEntries(new URLSearchParams(body));
+        provider.tokenRequests.push(form);
+        if (form.code !== 'good-code') {
+          res.statusCode = 400;
+          return res.end(JSON.stringify({error: 'invalid_grant'}));
+        }
+        return res.end(JSON.stringify({access_token: 'at', id_token: provider.sign(provider.claims)}));
+      }
+      res.statusCode = 404;
+      res.end('{}');
+    });
+  });
+  return provider;
+};
+
+describe('OIDC sign-in', () => {
+  const provider = mockProvider();
+  const originalSet = redis.set;
+  const originalGetdel = redis.getdel;
+  var states;
+
+  before((done) => {
+    provider.server.listen(0, '127.0.0.1', () => {
+      provider.url = `http://127.0.0.1:${provider.server.address().port}`;
+      Object.assign(process.env, {
+        OIDC_GOOGLE_CLIENT_ID: 'client-1',
+        OIDC_GOOGLE_CLIENT_SECRET: 'secret',
+        OIDC_GOOGLE_ISSUER: provider.url,
+        OIDC_GOOGLE_AUTHORIZATION_ENDPOINT: `${provider.url}/authorize`,
+        OIDC_GOOGLE_TOKEN_ENDPOINT: `${provider.url}/token`,
+        OIDC_GOOGLE_USERINFO_ENDPOINT: `${provider.url}/userinfo`,
+        OIDC_GOOGLE_JWKS_URI: `${provider.url}/jwks`,
+        OIDC_GOOGLE_REDIRECT_URI: 'http://localhost:3000/auth/callback/google',
+      });
+      done();
+    });
+  });
+
+  after((done) => {
+    Object.keys(process.env).filter((key) => key.startsWith('OIDC_GOOGLE_')).forEach((key) => delete process.env[key]);
+    provider.server.close(done);
+  });
+
+  beforeEach(() => {
+    states = new Map();
+    provider.tokenRequests = [];
+    redis.set = (key, value) => {
+      states.set(key, value);
+      return Promise.resolve('OK');
+    };
+    redis.getdel = (key) => {
+      const value = states.get(key);
+      states.delete(key);
+      return Promise.resolve(value === undefined ? null : value);
+    };
+  });
+
+  afterEach(() => {
+    redis.set = originalSet;
+    redis.getdel = originalGetdel;
+  });
+
+  const start = async () => {
+    const {authorizationUrl, state} = await beginAuthorization('google');
+    const params = new URL(authorizationUrl).searchParams;
+    provider.claims = {iss: provider.url, aud: 'client-1', sub: 'g-123', nonce: params.get('nonce'), email: 'Jane@Example.com', email_verified: true};
+    return {params, state};
+  };
+
+  it('should send a PKCE challenge and the configured redirect', async () => {
+    const {params, state} = await start();
+
+    expect(params.get('code_challenge_method')).toBe('S256');
+    expect(params.get('redirect_uri')).toBe('http://localhost:3000/auth/callback/google');
+    expect(params.get('state')).toBe(state);
+    expect(JSON.parse(states.get(`oidc:state:${state}`))).toInclude({provider: 'google', mode: 'login'});
+  });
+
+  it('should exchange the code with the verifier and return the identity', async () => {
+    const {params, state} = await start();
+    const {identity} = await completeAuthorization('google', {code: 'good-code', state});
+
+    const verifier = provider.tokenRequests[0].code_verifier;
+    expect(crypto.createHash('sha256').update(verifier).digest('base64url')).toBe(params.get('code_challenge'));
+    expect(identity).toInclude({provider: 'google', subject: 'g-123', email: 'jane@example.com', emailVerified: true});
+  });
+
+  it('should accept each state once', async () => {
+    const {state} = await start();
+    await completeAuthorization('google', {code: 'good-code', state});
+
+    let error;
+    await completeAuthorization('google', {code: 'good-code', state}).catch((err) => (error = err));
+    expect(error.output.statusCode).toBe(400);
+  });
+
+  it('should reject an ID token for another client or nonce', async () => {
+    for (const override of [{aud: 'someone-else'}, {nonce: 'replayed'}]) {
+      const {state} = await start();
+      Object.assign(provider.claims, override);
+
+      let error;
+      await completeAuthorization('google', {code: 'good-code', state}).catch((err) => (error = err));
+      expect(error.output.statusCode).toBe(401);
+    }
+  });
+
+  it('should fall back to userinfo when the ID token has no email', async () => {
+    const {state} = await start();
+    delete provider.claims.email;
+    const {identity} = await completeAuthorization('google', {code: 'good-code', state});
+
+    expect(identity.email).toBe('from.userinfo@example.com');
+  });
+
+  it('should refuse providers that are not configured', () => {
+    let error;
+    try {
+      providerConfig('linkedin');
+    } catch (err) {
+      error = err;
+    }
+    expect(error.output.statusCode).toBe(501);
+  });
+});
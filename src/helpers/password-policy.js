@@ -0,0 +1,70 @@
+import Boom from "@hapi/boom"; // Preferred
+
+/**
+ * Rules new passwords must meet. "Classes" are lowercase, uppercase, digits
+ * and symbols. bcrypt ignores everything past 72 bytes, so longer passwords
+ * are refused rather than silently cut.
+ */
+export const PASSWORD_POLICIES = {
+  User: { minLength: 8, minClasses: 2 },
+  Admin: { minLength: 12, minClasses: 3 },
+};
+
+const MAX_BYTES = 72;
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+const COMMON_PASSWORDS = new Set([
+  "password", "password1", "password123", "passw0rd", "12345678", "123456789",
+  "1234567890", "qwerty123", "qwertyuiop", "iloveyou", "admin123", "administrator",
+  "welcome1", "letmein1", "abc12345", "11111111", "00000000", "openpreneurs",
+]);
+
+/**
+ * Everything wrong with `password` for an account of `subjectModel`, as
+ * sentences for the user. Empty when it's acceptable.
+ */
+export const passwordProblems = (password, subjectModel = "User", { username, email } = {}) => {
+  const policy = PASSWORD_POLICIES[subjectModel];
+  const value = typeof password === "string" ? password : "";
+  const problems = [];
+
+  if (value.length < policy.minLength) {
+    problems.push(`Use at least ${policy.minLength} characters.`);
+  }
+  if (Buffer.byteLength(value) > MAX_BYTES) {
+    problems.push(`Use at most ${MAX_BYTES} characters.`);
+  }
+  if (CHARACTER_CLASSES.filter((pattern) => pattern.test(value)).length < policy.minClasses) {
+    problems.push(`Mix at least ${policy.minClasses} of: lowercase letters, uppercase letters, numbers and symbols.`);
+  }
+
+  const lower = value.toLowerCase();
+  if (COMMON_PASSWORDS.has(lower)) {
+    problems.push("This password is too common.");
+  }
+  const personal = [username, email && email.split("@")[0]]
+    .filter((part) => part && part.length >= 3)
+    .map((part) => part.toLowerCase());
+  if (personal.some((part) => lower.includes(part))) {
+    problems.push("Don't use your username or email address in your password.");
+  }
+
+  return problems;
+};
+
+// A 400 listing the problems (also as `problems` in the response body), or null.
+export const passwordPolicyError = (password, subjectModel, account) => {
+  const problems = passwordProblems(password, subjectModel, account);
+  if (!problems.length) return null;
+  const error = Boom.badRequest(`Password is too weak. ${problems.join(" ")}`);
+  error.output.payload.problems = problems;
+  return error;
+};
+
+export const assertPasswordPolicy = (password, subjectModel, account) => {
+  const error = passwordPolicyError(password, subjectModel, account);
+  if (error) throw error;
+};
+
+export default { PASSWORD_POLICIES, passwordProblems, passwordPolicyError, assertPasswordPolicy };
@@ -0,0 +1,37 @@
+const expect = require('expect');
+
+const {passwordProblems, passwordPolicyError} = require('./password-policy');
+
+describe('password policy', () => {
+  it('should accept a reasonable member password', () => {
+    expect(passwordProblems('tribe4life', 'User')).toEqual([]);
+  });
+
+  it('should hold admins to a longer, more varied password', () => {
+    expect(passwordProblems('tribe4life', 'Admin').length).toBe(2);
+    expect(passwordProblems('Tribe4life-2024', 'Admin')).toEqual([]);
+  });
+
+  it('should refuse short, single-class and common passwords', () => {
+    expect(passwordProblems('ab1', 'User')[0]).toMatch(/at least 8/);
+    expect(passwordProblems('abcdefghij', 'User')[0]).toMatch(/Mix at least 2/);
+    expect(passwordProblems('Password1', 'User')).toInclude('This password is too common.');
+  });
+
+  it('should refuse passwords built from the username or email', () => {
+    const account = {username: 'janedoe', email: 'jane.smith@example.com'};
+    expect(passwordProblems('JaneDoe2024', 'User', account).length).toBe(1);
+    expect(passwordProblems('jane.smith99', 'User', account).length).toBe(1);
+  });
+
+  it('should refuse what bcrypt would truncate', () => {
+    expect(passwordProblems(`Aa1${'x'.repeat(70)}`, 'User')).toInclude('Use at most 72 characters.');
+  });
+
+  it('should list the problems in the 400 response', () => {
+    const error = passwordPolicyError('short', 'User');
+    expect(error.output.statusCode).toBe(400);
+    expect(error.output.payload.problems.length).toBe(2);
+    expect(passwordPolicyError('tribe4life', 'User')).toBe(null);
+  });
+});
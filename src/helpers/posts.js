@@ -0,0 +1,380 @@
+import Boom from "@hapi/boom"; // Preferred
+import mongoose from "mongoose";
+import User from "../models/user";
+import Mytribe from "../models/mytribes";
+import Post from "../models/post";
+import PostComment from "../models/postComment";
+import { roles, roleFor } from "../roles";
+import { RELATIONSHIP_FIELDS, listedQuery, serializeProfile } from "./profile-serializer";
+
+export const POST_SCOPES = ["public", "tribers", "tribe"];
+export const MAX_IMAGES = 4;
+export const MAX_LINKS = 5;
+// Replies to replies are allowed down to this depth (0 is a top-level comment).
+export const MAX_COMMENT_DEPTH = 3;
+
+// What's needed of the viewer to decide which posts they may see.
+export const POST_VIEWER_FIELDS = "mytribers joined_tribes blockedtribers blockedby";
+
+const AUTHOR_CARD_FIELDS = ["username", "firstName", "lastName", "profile_pic", "title"];
+
+/**
+ * How much a post's source counts in the feed ranking, closest first. A post
+ * matches the first that applies; the caller's own posts get the lowest.
+ */
+export const FEED_WEIGHTS = { triber: 3, tribe: 2, following: 2, self: 1 };
+// Posts older than this never make it into the feed.
+export const FEED_WINDOW_DAYS = 30;
+
+const HOUR = 60 * 60 * 1000;
+
+const ids = (values) => (values || []).map((value) => String(value?._id ?? value));
+
+// Moderators (see roles.js) may see, hide and delete any post or comment.
+export const canModerate = (payload) => roles.can(roleFor(payload)).updateAny("post").granted;
+
+// A list from the request: an array, a JSON array string or comma-separated.
+export const parseList = (input) => {
+  if (input === undefined || input === null || input === "") return [];
+  if (Array.isArray(input)) return input;
+  const value = String(input).trim();
+  if (value.startsWith("[")) {
+    try {
+      return [].concat(JSON.parse(value));
+    } catch (err) {
+      throw Boom.badRequest("Lists must be JSON arrays or comma-separated.");
+    }
+  }
+  return value.split(",");
+};
+
+// Trimmed, de-duplicated http(s) URLs. Throws a 400 for anything else.
+export const parseLinks = (input) => {
+  const links = [...new Set(parseList(input).map((link) => String(link).trim()).filter(Boolean))];
+  if (links.length > MAX_LINKS) {
+    throw Boom.badRequest(`A post can have at most ${MAX_LINKS} links.`);
+  }
+  return links.map((link) => {
+    let url;
+    try {
+      url = new URL(link);
+    } catch (err) {
+      throw Boom.badRequest(`"${link}" is not a valid link.`);
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      throw Boom.badRequest(`"${link}" is not a valid link.`);
+    }
+    return url.href;
+  });
+};
+
+// The scope and tribe of a post from the request. Throws a 400 when they don't fit together.
+export const parseScope = (scope = "public", tribeId) => {
+  if (!POST_SCOPES.includes(scope)) {
+    throw Boom.badRequest(`Scope must be one of: ${POST_SCOPES.join(", ")}.`);
+  }
+  if (scope !== "tribe") return { scope, tribe: undefined };
+  if (!tribeId || !mongoose.Types.ObjectId.isValid(tribeId)) {
+    throw Boom.badRequest("A valid tribe ID is required for tribe posts.");
+  }
+  return { scope, tribe: new mongoose.Types.ObjectId(tribeId) };
+};
+
+/**
+ * Whether `viewer` (null for guests) may see `post`. Authors always see
+ * their own posts and moderators see everything; otherwise hidden posts and
+ * posts by members blocked either way are out, and the scope decides.
+ */
+export const canView = (post, viewer, { moderator = false } = {}) => {
+  if (moderator) return true;
+  const authorId = String(post.author?._id ?? post.author);
+  if (viewer && String(viewer._id) === authorId) return true;
+  if (post.moderation?.hidden) return false;
+  if (viewer && [...ids(viewer.blockedtribers), ...ids(viewer.blockedby)].includes(authorId)) return false;
+
+  if (post.scope === "public") return true;
+  if (!viewer) return false;
+  if (post.scope === "tribers") return ids(viewer.mytribers).includes(authorId);
+  if (post.scope === "tribe") return ids(viewer.joined_tribes).includes(String(post.tribe?._id ?? post.tribe));
+  return false;
+};
+
+// canView as query conditions, to combine with others under `$and`.
+export const visibleQuery = (viewer, { moderator = false } = {}) => {
+  if (moderator) return [];
+  if (!viewer) return [{ "moderation.hidden": { $ne: true } }, { scope: "public" }];
+  return [
+    { $or: [{ "moderation.hidden": { $ne: true } }, { author: viewer._id }] },
+    { author: { $nin: [...(viewer.blockedtribers || []), ...(viewer.blockedby || [])] } },
+    {
+      $or: [
+        { author: viewer._id },
+        { scope: "public" },
+        { scope: "tribers", author: { $in: viewer.mytribers || [] } },
+        { scope: "tribe", tribe: { $in: viewer.joined_tribes || [] } },
+      ],
+    },
+  ];
+};
+
+export const validId = (id) => mongoose.Types.ObjectId.isValid(id);
+export const sameId = (a, b) => String(a) === String(b);
+
+// The signed-in caller with what canView and visibleQuery need, or null for guests.
+export const loadPostViewer = (req) => {
+  const userId = req.payload?.user_id;
+  if (!userId) return null;
+  return User.findById(userId).select(`${POST_VIEWER_FIELDS} username`).lean();
+};
+
+// Whether the member's posts can be shown: not once their account is gone or pending deletion.
+export const isListedAuthor = (authorId) => User.exists({ _id: authorId, ...listedQuery() });
+
+// The post, if the caller may see it; a 404 otherwise, so hidden posts don't show they exist.
+export const findVisiblePost = async (req, postId, viewer) => {
+  if (!validId(postId)) throw Boom.badRequest("Invalid post ID.");
+  const moderator = canModerate(req.payload);
+  const post = await Post.findById(postId).lean();
+  if (!post || !canView(post, viewer, { moderator }) || (!moderator && !(await isListedAuthor(post.author)))) {
+    throw Boom.notFound("Post not found.");
+  }
+  return post;
+};
+
+// Where feed posts come from: the caller, their tribers, who they follow and their tribes.
+export const feedSourcesQuery = (viewer, following) => ({
+  $or: [
+    { author: { $in: [viewer._id, ...(viewer.mytribers || []), ...following] } },
+    { tribe: { $in: viewer.joined_tribes || [] } },
+  ],
+});
+
+/**
+ * Adds `feedScore`: the source weight (FEED_WEIGHTS) plus the log of the
+ * engagement, decaying with the post's age at `asOf`. Using a fixed `asOf`
+ * keeps scores, and so the pages of one feed, stable while it's scrolled.
+ */
+export const feedScoreStage = (viewer, following, asOf) => ({
+  $addFields: {
+    feedScore: {
+      $divide: [
+        {
+          $add: [
+            {
+              $switch: {
+                branches: [
+                  { case: { $in: ["$author", viewer.mytribers || []] }, then: FEED_WEIGHTS.triber },
+                  { case: { $in: ["$tribe", viewer.joined_tribes || []] }, then: FEED_WEIGHTS.tribe },
+                  { case: { $in: ["$author", following] }, then: FEED_WEIGHTS.following },
+                ],
+                default: FEED_WEIGHTS.self,
+              },
+            },
+            { $ln: { $add: [1, "$likesCount", { $multiply: [2, "$commentsCount"] }] } },
+          ],
+        },
+        {
+          $pow: [
+            { $add: [2, { $max: [0, { $divide: [{ $subtract: [asOf, "$createdAt"] }, HOUR] }] }] },
+            1.5,
+          ],
+        },
+      ],
+    },
+  },
+});
+
+// The feed cursor carries `asOf` so every page is scored against the same moment.
+export const encodeFeedCursor = (asOf, post) =>
+  Buffer.from(JSON.stringify([asOf.getTime(), post.feedScore, String(post._id)])).toString("base64url");
+
+export const decodeFeedCursor = (cursor) => {
+  try {
+    const [asOf, score, id] = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    if (!Number.isFinite(asOf) || !Number.isFinite(score) || !mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error("bad cursor");
+    }
+    return { asOf: new Date(asOf), score, id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    throw Boom.badRequest("Invalid cursor.");
+  }
+};
+
+export const afterFeedCursor = ({ score, id }) => ({
+  $or: [{ feedScore: { $lt: score } }, { feedScore: score, _id: { $lt: id } }],
+});
+
+// Aggregation for one page of the feed (one extra post to tell if there's more).
+export const feedPipeline = (viewer, following, { asOf, cursor, limit }) => [
+  {
+    $match: {
+      $and: [
+        ...visibleQuery(viewer),
+        feedSourcesQuery(viewer, following),
+        { createdAt: { $gte: new Date(asOf.getTime() - FEED_WINDOW_DAYS * 24 * HOUR), $lte: asOf } },
+      ],
+    },
+  },
+  feedScoreStage(viewer, following, asOf),
+  ...(cursor ? [{ $match: afterFeedCursor(cursor) }] : []),
+  { $sort: { feedScore: -1, _id: -1 } },
+  { $limit: limit + 1 },
+];
+
+/**
+ * Posts as returned to `viewer`: author cards (serializeProfile), the tribe
+ * for tribe posts and whether the viewer liked each one, without the list
+ * of likes. Moderation details only go to the author and moderators. Posts
+ * whose author is gone are dropped, and so are those whose author is pending
+ * deletion unless a moderator is looking.
+ */
+export const presentPosts = async (posts, viewer, { moderator = false } = {}) => {
+  const [authors, tribes] = await Promise.all([
+    User.find({ _id: { $in: posts.map((post) => post.author) }, ...(!moderator && listedQuery()) })
+      .select(`${AUTHOR_CARD_FIELDS.join(" ")} ${RELATIONSHIP_FIELDS}`)
+      .lean(),
+    Mytribe.find({ _id: { $in: posts.filter((post) => post.tribe).map((post) => post.tribe) } })
+      .select("title thumbnail")
+      .lean(),
+  ]);
+  const authorsById = new Map(authors.map((author) => [String(author._id), author]));
+  const tribesById = new Map(tribes.map((tribe) => [String(tribe._id), tribe]));
+  const viewerId = viewer ? String(viewer._id) : null;
+
+  return posts
+    .filter((post) => authorsById.has(String(post.author)))
+    .map(({ likes, moderation, feedScore, __v, ...post }) => {
+      const own = String(post.author) === viewerId;
+      return {
+        ...post,
+        author: serializeProfile(authorsById.get(String(post.author)), viewer, { fields: AUTHOR_CARD_FIELDS }),
+        tribe: post.tribe ? tribesById.get(String(post.tribe)) || { _id: post.tribe } : undefined,
+        liked: Boolean(viewerId && ids(likes).includes(viewerId)),
+        ...((own || moderator) && moderation?.hidden && { moderation }),
+      };
+    });
+};
+
+/**
+ * Comments as returned to `viewer`, each with an empty `replies`. Deleted,
+ * hidden and blocked comments keep their place (so their replies still make
+ * sense) but lose their text and author.
+ */
+export const presentComments = (comments, viewer, { moderator = false, authors = new Map() } = {}) => {
+  const viewerId = viewer ? String(viewer._id) : null;
+  const blocked = new Set(viewer ? [...ids(viewer.blockedtribers), ...ids(viewer.blockedby)] : []);
+
+  return comments.map((comment) => {
+    const authorId = comment.author ? String(comment.author) : null;
+    let unavailable = null;
+    if (comment.deleted || !authorId) unavailable = "deleted";
+    else if (comment.moderation?.hidden && !moderator && authorId !== viewerId) unavailable = "hidden";
+    else if (blocked.has(authorId)) unavailable = "blocked";
+
+    const author = authorId && authors.get(authorId);
+    return {
+      _id: comment._id,
+      parent: comment.parent,
+      depth: comment.depth,
+      createdAt: comment.createdAt,
+      ...(unavailable
+        ? { text: null, author: null, unavailable }
+        : {
+            text: comment.text,
+            author: author ? serializeProfile(author, viewer, { fields: AUTHOR_CARD_FIELDS }) : { _id: comment.author },
+            editedAt: comment.editedAt,
+            ...(comment.moderation?.hidden && { moderation: comment.moderation }),
+          }),
+      replies: [],
+    };
+  });
+};
+
+// presentComments as threads: top-level comments oldest first, each reply under its parent.
+export const buildThreads = (comments, viewer, options) => {
+  const nodes = presentComments(comments, viewer, options);
+  const byId = new Map(nodes.map((node) => [String(node._id), node]));
+  const threads = [];
+  nodes
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .forEach((node) => {
+      const parent = node.parent && byId.get(String(node.parent));
+      if (parent) parent.replies.push(node);
+      else if (!node.parent) threads.push(node);
+    });
+  return threads;
+};
+
+// Authors of `comments`, for presentComments.
+export const loadCommentAuthors = async (comments) => {
+  const authors = await User.find({ _id: { $in: comments.map((comment) => comment.author).filter(Boolean) } })
+    .select(`${AUTHOR_CARD_FIELDS.join(" ")} ${RELATIONSHIP_FIELDS}`)
+    .lean();
+  return new Map(authors.map((author) => [String(author._id), author]));
+};
+
+/**
+ * Remove a departing member from posts: delete their posts (with the
+ * comments on them), take back their likes and blank their comments on
+ * other posts, keeping replies in place. Returns the image URLs to delete.
+ */
+export const purgeMemberPosts = async (userId) => {
+  const memberId = new mongoose.Types.ObjectId(String(userId));
+  const posts = await Post.find({ author: memberId }).select("images").lean();
+  const postIds = posts.map((post) => post._id);
+
+  const commentCounts = await PostComment.aggregate([
+    { $match: { author: memberId, deleted: false, post: { $nin: postIds } } },
+    { $group: { _id: "$post", count: { $sum: 1 } } },
+  ]);
+
+  await Promise.all([
+    Post.deleteMany({ _id: { $in: postIds } }),
+    PostComment.deleteMany({ post: { $in: postIds } }),
+    Post.updateMany({ likes: memberId }, { $pull: { likes: memberId }, $inc: { likesCount: -1 } }),
+    PostComment.updateMany(
+      { author: memberId, post: { $nin: postIds } },
+      { $set: { deleted: true, text: "" }, $unset: { author: "" } }
+    ),
+    commentCounts.length &&
+      Post.bulkWrite(
+        commentCounts.map(({ _id, count }) => ({
+          updateOne: { filter: { _id }, update: { $inc: { commentsCount: -count } } },
+        }))
+      ),
+  ]);
+
+  return posts.flatMap((post) => post.images || []);
+};
+
+export default {
+  POST_SCOPES,
+  MAX_IMAGES,
+  MAX_LINKS,
+  MAX_COMMENT_DEPTH,
+  POST_VIEWER_FIELDS,
+  FEED_WEIGHTS,
+  FEED_WINDOW_DAYS,
+  canModerate,
+  parseLinks,
+  parseList,
+  parseScope,
+  canView,
+  visibleQuery,
+  validId,
+  sameId,
+  loadPostViewer,
+  isListedAuthor,
+  findVisiblePost,
+  feedSourcesQuery,
+  feedScoreStage,
+  encodeFeedCursor,
+  decodeFeedCursor,
+  afterFeedCursor,
+  feedPipeline,
+  presentPosts,
+  presentComments,
+  buildThreads,
+  loadCommentAuthors,
+  purgeMemberPosts,
+};
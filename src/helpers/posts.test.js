@@ -0,0 +1,169 @@
+const expect = require('expect');
+const mongoose = require('mongoose');
+
+const {
+  parseLinks,
+  parseScope,
+  canModerate,
+  canView,
+  visibleQuery,
+  encodeFeedCursor,
+  decodeFeedCursor,
+  afterFeedCursor,
+  feedPipeline,
+  presentPosts,
+  buildThreads,
+} = require('./posts');
+const User = require('../models/user').default;
+const Mytribe = require('../models/mytribes');
+const { stubStatics, query } = require('../test-helpers/stubs');
+
+const ObjectId = mongoose.Types.ObjectId;
+const VIEWER = new ObjectId('64b000000000000000000001');
+const FRIEND = new ObjectId('64b000000000000000000002');
+const STRANGER = new ObjectId('64b000000000000000000003');
+const TRIBE = new ObjectId('64c000000000000000000001');
+
+const viewer = { _id: VIEWER, mytribers: [FRIEND], joined_tribes: [TRIBE], blockedtribers: [], blockedby: [] };
+
+describe('post input', () => {
+  it('should accept http(s) links as a list or a JSON array', () => {
+    expect(parseLinks('https://example.com, https://example.com')).toEqual(['https://example.com/']);
+    expect(parseLinks('["http://a.example/x"]')).toEqual(['http://a.example/x']);
+    expect(parseLinks(undefined)).toEqual([]);
+  });
+
+  it('should refuse other schemes and too many links', () => {
+    expect(() => parseLinks('javascript:alert(1)')).toThrow(/not a valid link/);
+    expect(() => parseLinks('not a url')).toThrow(/not a valid link/);
+    expect(() => parseLinks([1, 2, 3, 4, 5, 6].map((n) => 'https://example.com/' + n))).toThrow(/at most 5/);
+  });
+
+  it('should require a tribe only for tribe posts', () => {
+    expect(parseScope(undefined)).toEqual({ scope: 'public', tribe: undefined });
+    expect(String(parseScope('tribe', String(TRIBE)).tribe)).toBe(String(TRIBE));
+    expect(() => parseScope('tribe')).toThrow(/tribe ID is required/);
+    expect(() => parseScope('friends')).toThrow(/Scope must be one of/);
+  });
+
+  it('should leave moderation to staff with post rights', () => {
+    expect(canModerate({ user_id: VIEWER, role: 'admin', level: 'moderator' })).toBe(true);
+    expect(canModerate({ user_id: VIEWER, role: 'admin', level: 'finance' })).toBe(false);
+    expect(canModerate({ user_id: VIEWER, role: 'user', level: 'moderator' })).toBe(false);
+  });
+});
+
+describe('post visibility', () => {
+  const post = (fields) => Object.assign({ author: STRANGER, scope: 'public' }, fields);
+
+  it('should follow the post scope', () => {
+    expect(canView(post(), null)).toBe(true);
+    expect(canView(post({ scope: 'tribers' }), viewer)).toBe(false);
+    expect(canView(post({ scope: 'tribers', author: FRIEND }), viewer)).toBe(true);
+    expect(canView(post({ scope: 'tribe', tribe: TRIBE }), viewer)).toBe(true);
+    expect(canView(post({ scope: 'tribe', tribe: new ObjectId() }), viewer)).toBe(false);
+    expect(canView(post({ scope: 'tribers', author: FRIEND }), null)).toBe(false);
+  });
+
+  it('should hide moderated posts and blocked authors from everyone but the author and staff', () => {
+    const hidden = post({ moderation: { hidden: true } });
+    expect(canView(hidden, viewer)).toBe(false);
+    expect(canView(hidden, { ...viewer, _id: STRANGER })).toBe(true);
+    expect(canView(hidden, viewer, { moderator: true })).toBe(true);
+    expect(canView(post(), { ...viewer, blockedby: [STRANGER] })).toBe(false);
+  });
+
+  it('should only show guests public posts that are not hidden', () => {
+    expect(visibleQuery(null)).toEqual([{ 'moderation.hidden': { $ne: true } }, { scope: 'public' }]);
+    expect(JSON.stringify(visibleQuery(viewer))).toInclude(String(TRIBE));
+    expect(visibleQuery(viewer, { moderator: true })).toEqual([]);
+  });
+});
+
+describe('feed', () => {
+  it('should resume at the same moment after the last post of the page', () => {
+    const asOf = new Date('2026-10-01T12:00:00Z');
+    const cursor = decodeFeedCursor(encodeFeedCursor(asOf, { _id: FRIEND, feedScore: 0.123456789 }));
+
+    expect(cursor.asOf.getTime()).toBe(asOf.getTime());
+    expect(cursor.score).toBe(0.123456789);
+    expect(afterFeedCursor(cursor)).toEqual({
+      $or: [{ feedScore: { $lt: 0.123456789 } }, { feedScore: 0.123456789, _id: { $lt: cursor.id } }],
+    });
+    expect(() => decodeFeedCursor('garbage')).toThrow(/Invalid cursor/);
+  });
+
+  it('should only rank posts from the caller\'s circles up to the cursor time', () => {
+    const asOf = new Date('2026-10-01T12:00:00Z');
+    const [match, score, sort, limit] = feedPipeline(viewer, [STRANGER], { asOf, limit: 20 });
+    const conditions = JSON.stringify(match.$match);
+
+    expect(conditions).toInclude(String(STRANGER));
+    expect(conditions).toInclude(String(TRIBE));
+    expect(match.$match.$and.pop().createdAt.$lte).toBe(asOf);
+    expect(score.$addFields.feedScore).toExist();
+    expect(sort).toEqual({ $sort: { feedScore: -1, _id: -1 } });
+    expect(limit).toEqual({ $limit: 21 });
+  });
+
+  describe('presentPosts', () => {
+    const stub = stubStatics();
+    const posts = [
+      { _id: new ObjectId(), author: FRIEND, scope: 'public', likes: [] },
+      { _id: new ObjectId(), author: STRANGER, scope: 'public', likes: [] },
+    ];
+    var authorFilter;
+
+    beforeEach(() => {
+      stub(User, {
+        find: (filter) => {
+          authorFilter = filter;
+          // STRANGER is pending deletion.
+          return query(filter.status ? [{ _id: FRIEND, username: 'sam' }] : [{ _id: FRIEND }, { _id: STRANGER }]);
+        },
+      });
+      stub(Mytribe, { find: () => query([]) });
+    });
+
+    it('should drop posts by members pending deletion', async () => {
+      const shown = await presentPosts(posts, viewer);
+
+      expect(authorFilter.status).toEqual({ $ne: 'pending_deletion' });
+      expect(shown.map((post) => String(post.author._id))).toEqual([String(FRIEND)]);
+    });
+
+    it('should still show them to moderators', async () => {
+      expect((await presentPosts(posts, null, { moderator: true })).length).toBe(2);
+    });
+  });
+});
+
+describe('comment threads', () => {
+  const comment = (id, fields) =>
+    Object.assign({ _id: id, author: FRIEND, parent: null, depth: 0, text: 'text ' + id, createdAt: new Date(2026, 0, id) }, fields);
+
+  it('should nest replies under their parents in order', () => {
+    const threads = buildThreads([
+      comment(3, { parent: 1, depth: 1 }),
+      comment(1),
+      comment(2),
+      comment(4, { parent: 3, depth: 2 }),
+    ], viewer);
+
+    expect(threads.map((node) => node._id)).toEqual([1, 2]);
+    expect(threads[0].replies[0]._id).toBe(3);
+    expect(threads[0].replies[0].replies[0].text).toBe('text 4');
+  });
+
+  it('should keep deleted, hidden and blocked comments as placeholders', () => {
+    const threads = buildThreads([
+      comment(1, { deleted: true, text: '' }),
+      comment(2, { parent: 1, depth: 1, moderation: { hidden: true } }),
+      comment(3, { author: STRANGER }),
+    ], { ...viewer, blockedtribers: [STRANGER] });
+
+    expect(threads[0]).toInclude({ text: null, author: null, unavailable: 'deleted' });
+    expect(threads[0].replies[0].unavailable).toBe('hidden');
+    expect(threads[1].unavailable).toBe('blocked');
+  });
+});
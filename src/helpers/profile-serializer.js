@@ -0,0 +1,213 @@
+import Boom from "@hapi/boom"; // Preferred
+import User from "../models/user";
+
+/**
+ * How a viewer relates to a profile's owner, closest first. Guests are
+ * strangers. "blocked" means either of them blocked the other.
+ */
+export const RELATIONSHIPS = ["self", "triber", "tribe_mate", "stranger", "blocked"];
+
+// Who each per-field visibility setting lets in.
+export const AUDIENCES = {
+  everyone: ["self", "triber", "tribe_mate", "stranger"],
+  tribe_mates: ["self", "triber", "tribe_mate"],
+  tribers: ["self", "triber"],
+  only_me: ["self"],
+};
+
+// Always shown (unless blocked); enough for a card or a chat header.
+const BASIC_FIELDS = ["username", "firstName", "lastName", "profile_pic", "display_banner", "title"];
+
+// The rest of the profile, shown when `privacy` allows.
+const PROFILE_FIELDS = ["country", "gender", "bio", "aboutme", "account_avaialability", "joined_tribes", "mytribers", "courses", "tools"];
+
+// Groups of fields with their own visibility setting (User.visibility).
+export const FIELD_GROUPS = {
+  email: ["email"],
+  phone: ["phone"],
+  social: ["facebook_link", "linkedin_link", "instagram_link", "x_link", "web_link"],
+  business: ["business_country", "business_industry", "value_chainstake", "markets_covered", "immediate_needs", "primary_business"],
+};
+
+// Everything the serializer reads from the owner; select these when loading profiles.
+export const PROFILE_SOURCE_FIELDS = [
+  ...BASIC_FIELDS,
+  ...PROFILE_FIELDS,
+  ...Object.values(FIELD_GROUPS).flat(),
+  "privacy",
+  "email_visibility",
+  "visibility",
+  "blockedtribers",
+].join(" ");
+
+// What's needed of either side to work out the relationship.
+export const VIEWER_FIELDS = "mytribers joined_tribes blockedtribers";
+export const RELATIONSHIP_FIELDS = `${VIEWER_FIELDS} privacy`;
+
+const ids = (values) => (values || []).map((value) => String(value?._id ?? value));
+
+export const relationshipBetween = (viewer, owner) => {
+  if (!viewer) return "stranger";
+  const viewerId = String(viewer._id);
+  const ownerId = String(owner._id);
+  if (viewerId === ownerId) return "self";
+  if (ids(owner.blockedtribers).includes(viewerId) || ids(viewer.blockedtribers).includes(ownerId)) return "blocked";
+  // Tribers are mutual; both lists are checked in case they drifted apart.
+  if (ids(owner.mytribers).includes(viewerId) && ids(viewer.mytribers).includes(ownerId)) return "triber";
+  const ownerTribes = new Set(ids(owner.joined_tribes));
+  if (ids(viewer.joined_tribes).some((tribe) => ownerTribes.has(tribe))) return "tribe_mate";
+  return "stranger";
+};
+
+// The owner's setting for a field group.
+export const audienceFor = (owner, group) => {
+  const setting = owner.visibility?.[group];
+  if (setting) return setting;
+  if (group === "email") return owner.email_visibility === false ? "only_me" : "everyone";
+  return User.schema.path(`visibility.${group}`).defaultValue;
+};
+
+/**
+ * Checked visibility settings from an account settings payload, e.g.
+ * `{ phone: "tribers", email: "only_me" }` (or the same as a JSON string
+ * from multipart forms). Throws a 400 for unknown groups or audiences.
+ */
+export const parseVisibility = (input) => {
+  let settings = input;
+  if (typeof input === "string") {
+    try {
+      settings = JSON.parse(input);
+    } catch (err) {
+      throw Boom.badRequest("Visibility settings must be a JSON object.");
+    }
+  }
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    throw Boom.badRequest("Visibility settings must be a JSON object.");
+  }
+
+  Object.entries(settings).forEach(([group, audience]) => {
+    if (!FIELD_GROUPS[group]) {
+      throw Boom.badRequest(`Unknown visibility setting "${group}". Use: ${Object.keys(FIELD_GROUPS).join(", ")}.`);
+    }
+    if (!AUDIENCES[audience]) {
+      throw Boom.badRequest(`Visibility must be one of: ${Object.keys(AUDIENCES).join(", ")}.`);
+    }
+  });
+  return settings;
+};
+
+// Whether `privacy` lets this relationship see the whole profile.
+const seesFullProfile = (privacy, relationship) => {
+  if (relationship === "self") return true;
+  if (privacy === "private") return false;
+  if (privacy === "triber_only") return relationship === "triber";
+  return true;
+};
+
+// Status of an account waiting to be purged (see helpers/account-deletion).
+export const PENDING_DELETION = "pending_deletion";
+
+/**
+ * Accounts waiting to be purged don't show up to other members: not in
+ * listings, on profiles or in tribe member lists. Spread into a User filter
+ * (discoverableQuery already has it), or populate with listedMembers.
+ */
+export const listedQuery = () => ({ status: { $ne: PENDING_DELETION } });
+
+// populate() options for a list of members, e.g. a tribe's `members`.
+export const listedMembers = (path, select) => ({ path, select, match: listedQuery() });
+
+/**
+ * Whether the owner should turn up in searches and listings for the viewer.
+ * Private profiles only show up for their tribers; blocked ones and accounts
+ * pending deletion never do.
+ */
+export const isDiscoverable = (owner, relationship) => {
+  if (relationship === "blocked" || owner.status === PENDING_DELETION) return false;
+  return owner.privacy !== "private" || ["self", "triber"].includes(relationship);
+};
+
+/**
+ * isDiscoverable as a query condition, so paging and counts agree with it.
+ * Spread into a filter that doesn't use `$and` itself.
+ */
+export const discoverableQuery = (viewer) => {
+  if (!viewer) return { $and: [listedQuery(), { privacy: { $ne: "private" } }] };
+  return {
+    $and: [
+      listedQuery(),
+      { _id: { $nin: viewer.blockedtribers || [] } },
+      { blockedtribers: { $ne: viewer._id } },
+      { $or: [{ privacy: { $ne: "private" } }, { _id: { $in: [viewer._id, ...(viewer.mytribers || [])] } }] },
+    ],
+  };
+};
+
+/**
+ * The part of `owner`'s profile `viewer` (null for guests) may see. Basic
+ * fields always show; the rest needs the owner's `privacy` to allow it,
+ * and grouped fields (email, phone, social links, business details) also
+ * need their own visibility setting to. A blocked viewer only gets the id.
+ * Pass `fields` to return no more than those (e.g. a search card).
+ */
+export const serializeProfile = (owner, viewer, { fields } = {}) => {
+  const relationship = relationshipBetween(viewer, owner);
+  const profile = { _id: owner._id, relationship };
+  if (relationship === "blocked") return profile;
+
+  const full = seesFullProfile(owner.privacy || "public", relationship);
+  const visible = [...BASIC_FIELDS];
+  if (full) {
+    visible.push(...PROFILE_FIELDS);
+    Object.keys(FIELD_GROUPS).forEach((group) => {
+      if (AUDIENCES[audienceFor(owner, group)].includes(relationship)) visible.push(...FIELD_GROUPS[group]);
+    });
+  }
+
+  visible
+    .filter((field) => !fields || fields.includes(field))
+    .forEach((field) => {
+      if (owner[field] !== undefined) profile[field] = owner[field];
+    });
+  if (!full) profile.limited = true;
+  return profile;
+};
+
+/**
+ * serializeProfile over a list. `discoverableOnly` drops owners the viewer
+ * shouldn't find (see isDiscoverable); blocked owners are always dropped.
+ */
+export const serializeProfiles = (owners, viewer, { fields, discoverableOnly = false } = {}) =>
+  owners
+    .filter((owner) => {
+      const relationship = relationshipBetween(viewer, owner);
+      return discoverableOnly ? isDiscoverable(owner, relationship) : relationship !== "blocked";
+    })
+    .map((owner) => serializeProfile(owner, viewer, { fields }));
+
+// The signed-in caller as a viewer, or null for guests.
+export const loadViewer = (req) => {
+  const userId = req.payload?.user_id;
+  if (!userId) return null;
+  return User.findById(userId).select(VIEWER_FIELDS).lean();
+};
+
+export default {
+  RELATIONSHIPS,
+  AUDIENCES,
+  FIELD_GROUPS,
+  PROFILE_SOURCE_FIELDS,
+  VIEWER_FIELDS,
+  RELATIONSHIP_FIELDS,
+  relationshipBetween,
+  audienceFor,
+  parseVisibility,
+  PENDING_DELETION,
+  listedQuery,
+  listedMembers,
+  isDiscoverable,
+  discoverableQuery,
+  serializeProfile,
+  serializeProfiles,
+  loadViewer,
+};
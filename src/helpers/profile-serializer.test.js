@@ -0,0 +1,163 @@
+const expect = require('expect');
+
+const {
+  relationshipBetween,
+  serializeProfile,
+  serializeProfiles,
+  isDiscoverable,
+  discoverableQuery,
+  listedMembers,
+  parseVisibility,
+} = require('./profile-serializer');
+
+const OWNER = '64b000000000000000000001';
+const FRIEND = '64b000000000000000000002';
+const MATE = '64b000000000000000000003';
+const STRANGER = '64b000000000000000000004';
+const ENEMY = '64b000000000000000000005';
+const TRIBE = '64c000000000000000000001';
+
+const owner = (fields = {}) =>
+  Object.assign(
+    {
+      _id: OWNER,
+      username: 'amina',
+      firstName: 'Amina',
+      email: 'amina@example.com',
+      phone: ['+254700000000'],
+      linkedin_link: 'https://linkedin.com/in/amina',
+      business_industry: ['Agritech'],
+      aboutme: 'Farming at scale',
+      mytribers: [FRIEND],
+      joined_tribes: [TRIBE],
+      blockedtribers: [ENEMY],
+      privacy: 'public',
+      email_visibility: true,
+    },
+    fields
+  );
+
+const viewers = {
+  self: { _id: OWNER },
+  triber: { _id: FRIEND, mytribers: [OWNER] },
+  tribe_mate: { _id: MATE, joined_tribes: [TRIBE] },
+  stranger: { _id: STRANGER },
+  blocked: { _id: ENEMY },
+};
+
+describe('profile relationships', () => {
+  it('should tell each relationship apart', () => {
+    Object.keys(viewers).forEach((relationship) => {
+      expect(relationshipBetween(viewers[relationship], owner())).toBe(relationship);
+    });
+    expect(relationshipBetween(null, owner())).toBe('stranger');
+  });
+
+  it('should count a block made by either side', () => {
+    expect(relationshipBetween({ _id: FRIEND, mytribers: [OWNER], blockedtribers: [OWNER] }, owner())).toBe('blocked');
+  });
+
+  it('should not count a one-sided triber link', () => {
+    expect(relationshipBetween({ _id: STRANGER, mytribers: [OWNER] }, owner())).toBe('stranger');
+  });
+});
+
+describe('serializeProfile', () => {
+  it('should show a public profile to strangers, minus the phone number', () => {
+    const profile = serializeProfile(owner(), viewers.stranger);
+
+    expect(profile).toInclude({ relationship: 'stranger', aboutme: 'Farming at scale', email: 'amina@example.com' });
+    expect(profile.linkedin_link).toExist();
+    expect(profile.phone).toNotExist();
+    expect(profile.limited).toNotExist();
+  });
+
+  it('should follow each visibility setting per relationship', () => {
+    const settings = owner({ visibility: { phone: 'tribe_mates', social: 'tribers', business: 'only_me', email: 'tribers' } });
+
+    const mate = serializeProfile(settings, viewers.tribe_mate);
+    expect(mate.phone).toExist();
+    expect(mate.linkedin_link).toNotExist();
+    expect(mate.email).toNotExist();
+
+    const friend = serializeProfile(settings, viewers.triber);
+    expect(friend.linkedin_link).toExist();
+    expect(friend.email).toExist();
+    expect(friend.business_industry).toNotExist();
+
+    expect(serializeProfile(settings, viewers.self).business_industry).toEqual(['Agritech']);
+  });
+
+  it('should fall back to email_visibility when email has no setting', () => {
+    expect(serializeProfile(owner({ email_visibility: false }), viewers.triber).email).toNotExist();
+  });
+
+  it('should limit triber-only profiles to tribers', () => {
+    const triberOnly = owner({ privacy: 'triber_only' });
+
+    expect(serializeProfile(triberOnly, viewers.triber).aboutme).toExist();
+    const mate = serializeProfile(triberOnly, viewers.tribe_mate);
+    expect(mate).toInclude({ limited: true, username: 'amina' });
+    expect(mate.aboutme).toNotExist();
+    expect(mate.phone).toNotExist();
+    expect(mate.email).toNotExist();
+  });
+
+  it('should limit private profiles for everyone but the owner', () => {
+    const hidden = owner({ privacy: 'private' });
+
+    expect(serializeProfile(hidden, viewers.triber).limited).toBe(true);
+    expect(serializeProfile(hidden, viewers.triber).email).toNotExist();
+    expect(serializeProfile(hidden, null).email).toNotExist();
+    expect(serializeProfile(hidden, viewers.self).phone).toExist();
+    expect(serializeProfile(hidden, viewers.self).email).toExist();
+  });
+
+  it('should give blocked viewers nothing but the id', () => {
+    expect(serializeProfile(owner(), viewers.blocked)).toEqual({ _id: OWNER, relationship: 'blocked' });
+  });
+
+  it('should keep to the requested fields', () => {
+    expect(serializeProfile(owner(), viewers.self, { fields: ['username'] })).toEqual({
+      _id: OWNER,
+      relationship: 'self',
+      username: 'amina',
+    });
+  });
+});
+
+describe('profile listings', () => {
+  it('should hide private profiles from everyone but their tribers', () => {
+    expect(isDiscoverable(owner({ privacy: 'private' }), 'tribe_mate')).toBe(false);
+    expect(isDiscoverable(owner({ privacy: 'private' }), 'triber')).toBe(true);
+    expect(isDiscoverable(owner({ privacy: 'triber_only' }), 'stranger')).toBe(true);
+  });
+
+  it('should drop blocked owners from lists', () => {
+    const other = owner({ _id: STRANGER, blockedtribers: [] });
+    const listed = serializeProfiles([owner(), other], viewers.blocked);
+
+    expect(listed.map((profile) => profile._id)).toEqual([STRANGER]);
+  });
+
+  it('should leave accounts pending deletion out of every listing', () => {
+    const pending = { status: { $ne: 'pending_deletion' } };
+
+    expect(isDiscoverable(owner({ status: 'pending_deletion' }), 'triber')).toBe(false);
+    expect(discoverableQuery(null).$and).toInclude(pending);
+    expect(discoverableQuery(viewers.stranger).$and).toInclude(pending);
+    expect(listedMembers('members', 'username')).toEqual({ path: 'members', select: 'username', match: pending });
+  });
+});
+
+describe('parseVisibility', () => {
+  it('should accept settings sent as JSON from a form', () => {
+    expect(parseVisibility('{"phone":"only_me"}')).toEqual({ phone: 'only_me' });
+  });
+
+  it('should refuse unknown groups and audiences', () => {
+    expect(() => parseVisibility({ password: 'everyone' })).toThrow(/Unknown visibility setting/);
+    expect(() => parseVisibility({ phone: 'friends' })).toThrow(/must be one of/);
+    expect(() => parseVisibility('not json')).toThrow(/JSON object/);
+  });
+});
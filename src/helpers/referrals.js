@@ -0,0 +1,173 @@
+import crypto from "crypto";
+import Stripe from "stripe";
+import User from "../models/user";
+import Referral from "../models/referral";
+import Discount from "../models/discount";
+import { notifyUser } from "./notify";
+import { clientIp } from "../utils/request";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+// What the referrer earns when a referral converts. The discount is optional:
+// a single-use percentage off a token pack, only redeemable by the referrer.
+export const REFERRAL_REWARD_TOKENS = Number(process.env.REFERRAL_REWARD_TOKENS) || 100;
+export const REFERRAL_DISCOUNT_PERCENT = Number(process.env.REFERRAL_DISCOUNT_PERCENT) || 0;
+
+// No 0/O or 1/I, so codes survive being read out loud.
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 8;
+
+export const generateReferralCode = (length = CODE_LENGTH) =>
+  Array.from(crypto.randomBytes(length), (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join("");
+
+/**
+ * The mailbox an address really delivers to: lowercased, without a "+tag",
+ * and for Gmail without dots. Used to spot members referring themselves.
+ */
+export const normalizeEmail = (email) => {
+  const [local = "", domain = ""] = String(email || "").trim().toLowerCase().split("@");
+  let mailbox = local.split("+")[0];
+  const gmail = domain === "gmail.com" || domain === "googlemail.com";
+  if (gmail) mailbox = mailbox.replace(/\./g, "");
+  return `${mailbox}@${gmail ? "gmail.com" : domain}`;
+};
+
+export const isSelfReferral = (referee, referrer) =>
+  String(referee._id) === String(referrer._id) ||
+  normalizeEmail(referee.email) === normalizeEmail(referrer.email);
+
+// True when any of the referee's cards was already seen on the referrer or
+// another of their referees.
+export const sharesCard = (cards, seenCards) => cards.some((card) => seenCards.includes(card));
+
+const cardFingerprints = async (customerId) => {
+  if (!customerId) return [];
+  const methods = await stripe.paymentMethods.list({ customer: customerId, type: "card" });
+  return [...new Set(methods.data.map((method) => method.card?.fingerprint).filter(Boolean))];
+};
+
+// The member's referral code, creating one on first use.
+export const ensureReferralCode = async (user) => {
+  if (user.referralCode) return user.referralCode;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      await User.updateOne(
+        { _id: user._id, referralCode: null },
+        { $set: { referralCode: generateReferralCode() } }
+      );
+      // Re-read: a concurrent request may have set a different code first.
+      const { referralCode } = await User.findById(user._id).select("referralCode");
+      user.referralCode = referralCode;
+      return referralCode;
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+  throw new Error("Could not generate a unique referral code");
+};
+
+export const findReferrer = (code) =>
+  User.findOne({ referralCode: String(code || "").trim().toUpperCase(), status: "active" }).select(
+    "_id email referralCode"
+  );
+
+/**
+ * Record that `referee` signed up with `referrer`'s code. Self-referrals are
+ * kept, as rejected, so they show up in the referrer's dashboard.
+ */
+export const attributeReferral = async (referee, referrer, req = {}) => {
+  const selfReferral = isSelfReferral(referee, referrer);
+  const referral = await Referral.create({
+    referrer: referrer._id,
+    referee: referee._id,
+    code: referrer.referralCode,
+    status: selfReferral ? "rejected" : "pending",
+    reason: selfReferral ? "self_referral" : undefined,
+    signupIp: req.headers ? clientIp(req) : null,
+  });
+  await User.updateOne({ _id: referee._id }, { $set: { referredBy: referrer._id } });
+  return referral;
+};
+
+const createRewardDiscount = (referrer) =>
+  Discount.create({
+    value: REFERRAL_DISCOUNT_PERCENT,
+    token: `REF-${generateReferralCode()}`,
+    for: "tokens",
+    numberOfUses: 1,
+    owner: referrer._id,
+  });
+
+/**
+ * Reward the referrer of `referee`, if any, now that the referee has paid
+ * for a subscription. Runs at most once per referral. Never throws: payment
+ * handling must not fail because of a referral.
+ */
+export const qualifyReferral = async (referee) => {
+  try {
+    const referral = await Referral.findOne({ referee: referee._id, status: "pending" });
+    if (!referral) return null;
+
+    const referrer = await User.findById(referral.referrer).select("_id stripeCustomerId");
+    const cards = await cardFingerprints(referee.stripeCustomerId);
+    const [referrerCards, otherReferrals] = await Promise.all([
+      referrer ? cardFingerprints(referrer.stripeCustomerId) : [],
+      Referral.find({ referrer: referral.referrer, _id: { $ne: referral._id }, cardFingerprints: { $in: cards } })
+        .select("cardFingerprints")
+        .lean(),
+    ]);
+    const seenCards = [...referrerCards, ...otherReferrals.flatMap((other) => other.cardFingerprints)];
+
+    if (!referrer || sharesCard(cards, seenCards)) {
+      return Referral.findOneAndUpdate(
+        { _id: referral._id, status: "pending" },
+        { $set: { status: "rejected", reason: referrer ? "duplicate_card" : "referrer_deleted", cardFingerprints: cards } },
+        { new: true }
+      );
+    }
+
+    // Claim the reward before paying it so a retried webhook can't pay twice.
+    const rewarded = await Referral.findOneAndUpdate(
+      { _id: referral._id, status: "pending" },
+      {
+        $set: {
+          status: "rewarded",
+          rewardTokens: REFERRAL_REWARD_TOKENS,
+          rewardedAt: new Date(),
+          cardFingerprints: cards,
+        },
+      },
+      { new: true }
+    );
+    if (!rewarded) return null;
+
+    await User.updateOne({ _id: referrer._id }, { $inc: { tokens: REFERRAL_REWARD_TOKENS } });
+    let message = `A member you referred just subscribed. You earned ${REFERRAL_REWARD_TOKENS} tokens.`;
+    if (REFERRAL_DISCOUNT_PERCENT > 0) {
+      const discount = await createRewardDiscount(referrer);
+      rewarded.rewardDiscount = discount._id;
+      await rewarded.save();
+      message += ` Use code ${discount.token} for ${REFERRAL_DISCOUNT_PERCENT}% off your next token pack.`;
+    }
+    await notifyUser(referrer._id, "referral", message);
+
+    return rewarded;
+  } catch (err) {
+    console.error("Error qualifying referral:", err.message);
+    return null;
+  }
+};
+
+export default {
+  REFERRAL_REWARD_TOKENS,
+  REFERRAL_DISCOUNT_PERCENT,
+  generateReferralCode,
+  normalizeEmail,
+  isSelfReferral,
+  sharesCard,
+  ensureReferralCode,
+  findReferrer,
+  attributeReferral,
+  qualifyReferral,
+};
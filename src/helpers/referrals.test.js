@@ -0,0 +1,106 @@
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_fixture';
+
+const expect = require('expect');
+
+const User = require('../models/user').default;
+const Referral = require('../models/referral').default;
+const Notification = require('../models/notifications');
+const {
+  REFERRAL_REWARD_TOKENS,
+  generateReferralCode,
+  normalizeEmail,
+  isSelfReferral,
+  sharesCard,
+  qualifyReferral,
+} = require('./referrals');
+
+describe('referral codes', () => {
+  it('should avoid characters that are easy to misread', () => {
+    const code = generateReferralCode();
+    expect(code.length).toBe(8);
+    expect(code).toMatch(/^[A-HJ-NP-Z2-9]+$/);
+  });
+});
+
+describe('referral abuse checks', () => {
+  it('should see through plus addressing and Gmail dots', () => {
+    expect(normalizeEmail(' Jane.Doe+ref@GoogleMail.com')).toBe('janedoe@gmail.com');
+    expect(normalizeEmail('jane.doe+ref@example.com')).toBe('jane.doe@example.com');
+  });
+
+  it('should flag members referring another address of their own', () => {
+    const referrer = { _id: 'a', email: 'jane.doe@gmail.com' };
+
+    expect(isSelfReferral({ _id: 'b', email: 'janedoe+2@gmail.com' }, referrer)).toBe(true);
+    expect(isSelfReferral({ _id: 'b', email: 'john@gmail.com' }, referrer)).toBe(false);
+  });
+
+  it('should flag a card that was already seen', () => {
+    expect(sharesCard(['fp_1', 'fp_2'], ['fp_9', 'fp_2'])).toBe(true);
+    expect(sharesCard(['fp_1'], ['fp_9'])).toBe(false);
+    expect(sharesCard([], ['fp_9'])).toBe(false);
+  });
+});
+
+describe('qualifyReferral', () => {
+  const original = {
+    findOne: Referral.findOne,
+    find: Referral.find,
+    findOneAndUpdate: Referral.findOneAndUpdate,
+    findById: User.findById,
+    updateOne: User.updateOne,
+    notify: Notification.updateOne,
+  };
+  var referral, credited, notifications;
+
+  beforeEach(() => {
+    referral = { _id: 'r1', referrer: 'u1', referee: 'u2', status: 'pending' };
+    credited = [];
+    notifications = [];
+
+    Referral.findOne = async (filter) => (referral.status === filter.status ? referral : null);
+    Referral.find = () => ({ select: () => ({ lean: async () => [] }) });
+    Referral.findOneAndUpdate = async (filter, update) => {
+      if (referral.status !== filter.status) return null;
+      Object.assign(referral, update.$set);
+      return referral;
+    };
+    User.findById = () => ({ select: async () => ({ _id: 'u1' }) });
+    User.updateOne = async (filter, update) => { credited.push([filter._id, update.$inc.tokens]); };
+    Notification.updateOne = async (filter, update) => { notifications.push(update.$push.data); };
+  });
+
+  afterEach(() => {
+    Referral.findOne = original.findOne;
+    Referral.find = original.find;
+    Referral.findOneAndUpdate = original.findOneAndUpdate;
+    User.findById = original.findById;
+    User.updateOne = original.updateOne;
+    Notification.updateOne = original.notify;
+  });
+
+  it('should reward the referrer once', async () => {
+    await qualifyReferral({ _id: 'u2' });
+    await qualifyReferral({ _id: 'u2' });
+
+    expect(referral.status).toBe('rewarded');
+    expect(referral.rewardTokens).toBe(REFERRAL_REWARD_TOKENS);
+    expect(credited).toEqual([['u1', REFERRAL_REWARD_TOKENS]]);
+    expect(notifications.length).toBe(1);
+  });
+
+  it('should not reward anyone when the referrer is gone', async () => {
+    User.findById = () => ({ select: async () => null });
+    await qualifyReferral({ _id: 'u2' });
+
+    expect(referral.status).toBe('rejected');
+    expect(referral.reason).toBe('referrer_deleted');
+    expect(credited).toEqual([]);
+  });
+
+  it('should leave members without a pending referral alone', async () => {
+    referral.status = 'rejected';
+    expect(await qualifyReferral({ _id: 'u2' })).toBe(null);
+    expect(credited).toEqual([]);
+  });
+});
@@ -0,0 +1,71 @@
+// Trigram indexing for /search. Documents keep the trigrams of their
+// searchable fields in `searchGrams`; a query matches documents sharing
+// enough of its trigrams, which also catches small typos.
+
+// Lowercase, accents removed, anything but letters and digits as spaces.
+export const normalize = (text) =>
+  String(text ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+export const words = (text) => normalize(text).split(" ").filter(Boolean);
+
+// Each word is padded so its first and last letters count for more.
+export const trigrams = (text) => {
+  const grams = new Set();
+  words(text).forEach((word) => {
+    const padded = ` ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i += 1) grams.add(padded.slice(i, i + 3));
+  });
+  return [...grams];
+};
+
+// Share of `a`'s trigrams also found in `b`, from 0 to 1.
+export const gramOverlap = (a, b) => {
+  if (!a.length) return 0;
+  const set = new Set(b);
+  return a.filter((gram) => set.has(gram)).length / a.length;
+};
+
+const fieldText = (value) => [].concat(value ?? []).join(" ");
+
+export const searchGramsFor = (doc, fields) => trigrams(fields.map((field) => fieldText(doc[field])).join(" "));
+
+const touches = (update, fields) => {
+  const paths = Object.keys(update || {}).flatMap((key) => (key.startsWith("$") ? Object.keys(update[key] || {}) : [key]));
+  return paths.some((path) => fields.includes(path.split(".")[0]));
+};
+
+/**
+ * Mongoose plugin keeping `searchGrams` up to date for `fields`: on save,
+ * and after findOneAndUpdate/findByIdAndUpdate calls that change one of
+ * them. Other writes are caught up by utils/search-index.js.
+ */
+export const searchable = (schema, { fields }) => {
+  schema.add({ searchGrams: { type: [String], select: false } });
+  schema.index({ searchGrams: 1 });
+
+  schema.pre("save", function (next) {
+    if (this.isNew || fields.some((field) => this.isModified(field))) {
+      this.searchGrams = searchGramsFor(this, fields);
+    }
+    next();
+  });
+
+  schema.post("findOneAndUpdate", async function (result) {
+    if (!result || !touches(this.getUpdate(), fields)) return;
+    try {
+      const doc = await this.model.findById(result._id).select(fields.join(" ")).lean();
+      if (doc) {
+        await this.model.updateOne({ _id: doc._id }, { $set: { searchGrams: searchGramsFor(doc, fields) } });
+      }
+    } catch (err) {
+      console.error("Error updating search index:", err);
+    }
+  });
+};
+
+export default { normalize, words, trigrams, gramOverlap, searchGramsFor, searchable };
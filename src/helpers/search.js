@@ -0,0 +1,208 @@
+import Boom from "@hapi/boom"; // Preferred
+import User from "../models/user";
+import Mytribe from "../models/mytribes";
+import Course from "../models/courses";
+import Tool from "../models/tools";
+import { words, trigrams, gramOverlap, searchGramsFor } from "./search-grams";
+import { discoverableQuery, serializeProfile } from "./profile-serializer";
+
+/**
+ * What /search looks through. `fields` are the indexed fields (see the
+ * `searchable` plugin on each model) with their weight in the ranking;
+ * `visibleTo` limits documents to what the viewer may find; `present`
+ * shapes a hit for the response.
+ */
+export const SEARCH_SOURCES = {
+  users: {
+    model: User,
+    fields: { username: 3, firstName: 3, lastName: 3, title: 1 },
+    visibleTo: (viewer) => ({ role: "user", verified: "Yes", status: "active", ...discoverableQuery(viewer) }),
+    select: "username firstName lastName title profile_pic privacy mytribers joined_tribes blockedtribers",
+    present: (user, viewer) =>
+      serializeProfile(user, viewer, { fields: ["username", "firstName", "lastName", "title", "profile_pic"] }),
+  },
+  tribes: {
+    model: Mytribe,
+    fields: { title: 3, tribeCategory: 2, shortDescription: 1 },
+    visibleTo: (viewer) => ({ status: true, ...(viewer && { blockedUsers: { $ne: viewer._id } }) }),
+    select: "title tribeCategory shortDescription thumbnail members",
+    present: ({ members, ...tribe }) => ({ ...tribe, totalMembers: (members || []).length }),
+  },
+  courses: {
+    model: Course,
+    fields: { title: 3, courseCategory: 2, Author: 2, shortdescription: 1 },
+    visibleTo: () => ({ status: true }),
+    select: "title courseCategory Author shortdescription thumbnail price",
+  },
+  tools: {
+    model: Tool,
+    fields: { title: 3, toolCategory: 2, shortdescription: 1 },
+    visibleTo: () => ({ status: true }),
+    select: "title toolCategory shortdescription thumbnail",
+  },
+};
+
+// Share of the query's trigrams a field must have to count as a match.
+const MIN_FIELD_OVERLAP = 0.5;
+// Words this similar to a query word are highlighted.
+const MIN_WORD_OVERLAP = 0.5;
+// Documents fetched per type before ranking.
+const CANDIDATES = 100;
+const SNIPPET_LENGTH = 160;
+
+export const MAX_QUERY_LENGTH = 100;
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const fieldText = (value) => [].concat(value ?? []).join(", ");
+
+const matchesWord = (word, queryWords) => {
+  const grams = trigrams(word);
+  return queryWords.some(
+    (queryWord) => word.startsWith(queryWord) || gramOverlap(trigrams(queryWord), grams) >= MIN_WORD_OVERLAP
+  );
+};
+
+/**
+ * `text` with words resembling the query wrapped in <mark>, HTML-escaped,
+ * cut to a snippet around the first match. Null when nothing matches.
+ */
+export const highlight = (text, query) => {
+  const queryWords = words(query);
+  const ranges = [];
+  for (const match of String(text).matchAll(/[\p{L}\p{N}]+/gu)) {
+    if (matchesWord(words(match[0])[0] || "", queryWords)) ranges.push([match.index, match.index + match[0].length]);
+  }
+  if (!ranges.length) return null;
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > SNIPPET_LENGTH) {
+    start = Math.max(0, ranges[0][0] - SNIPPET_LENGTH / 4);
+    end = Math.min(text.length, start + SNIPPET_LENGTH);
+  }
+
+  let html = start > 0 ? "…" : "";
+  let position = start;
+  ranges
+    .filter(([from, to]) => from >= start && to <= end)
+    .forEach(([from, to]) => {
+      html += `${escapeHtml(text.slice(position, from))}<mark>${escapeHtml(text.slice(from, to))}</mark>`;
+      position = to;
+    });
+  html += escapeHtml(text.slice(position, end)) + (end < text.length ? "…" : "");
+  return html;
+};
+
+/**
+ * Score a document against the query: each field's trigram overlap times
+ * its weight, with a bonus when the field contains the query outright or
+ * starts with it. Also returns highlights for the fields that matched.
+ */
+export const rankHit = (doc, query, fields) => {
+  const queryGrams = trigrams(query);
+  const phrase = words(query).join(" ");
+  let score = 0;
+  const highlights = {};
+
+  Object.entries(fields).forEach(([field, weight]) => {
+    const text = fieldText(doc[field]);
+    if (!text) return;
+    const overlap = gramOverlap(queryGrams, trigrams(text));
+    if (overlap < MIN_FIELD_OVERLAP) return;
+
+    const normalized = words(text).join(" ");
+    let fieldScore = overlap;
+    if (normalized.includes(phrase)) fieldScore += 0.5;
+    if (normalized.startsWith(phrase)) fieldScore += 0.5;
+    score += weight * fieldScore;
+
+    const marked = highlight(text, query);
+    if (marked) highlights[field] = marked;
+  });
+
+  return { score: Math.round(score * 100) / 100, highlights };
+};
+
+/**
+ * Ranked hits of one type. Candidates share at least a third of the query's
+ * trigrams (using the `searchGrams` index), then rankHit orders them.
+ */
+export const searchSource = async (type, query, viewer, limit) => {
+  const source = SEARCH_SOURCES[type];
+  const queryGrams = trigrams(query);
+  const indexed = Object.keys(source.fields);
+
+  const candidates = await source.model.aggregate([
+    { $match: { ...source.visibleTo(viewer), searchGrams: { $in: queryGrams } } },
+    { $addFields: { gramHits: { $size: { $setIntersection: ["$searchGrams", queryGrams] } } } },
+    { $match: { gramHits: { $gte: Math.max(1, Math.ceil(queryGrams.length / 3)) } } },
+    { $sort: { gramHits: -1, _id: -1 } },
+    { $limit: CANDIDATES },
+    { $project: Object.fromEntries([...new Set([...indexed, ...source.select.split(" ")])].map((field) => [field, 1])) },
+  ]);
+
+  return candidates
+    .map((doc) => ({ doc, ...rankHit(doc, query, source.fields) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ doc, score, highlights }) => ({
+      ...(source.present ? source.present(doc, viewer) : doc),
+      score,
+      highlights,
+    }));
+};
+
+// Picks the requested types (comma-separated), or all of them.
+export const parseTypes = (types) => {
+  if (!types) return Object.keys(SEARCH_SOURCES);
+  const requested = [...new Set(String(types).split(",").map((type) => type.trim()).filter(Boolean))];
+  const unknown = requested.filter((type) => !SEARCH_SOURCES[type]);
+  if (unknown.length || !requested.length) {
+    throw Boom.badRequest(`Types must be any of: ${Object.keys(SEARCH_SOURCES).join(", ")}.`);
+  }
+  return requested;
+};
+
+/**
+ * Fill in `searchGrams` for documents written without the plugin's hooks
+ * (created before it existed, or changed with updateMany). Returns how many
+ * documents were indexed.
+ */
+export const indexMissingSearchGrams = async ({ batchSize = 500 } = {}) => {
+  let indexed = 0;
+  for (const { model, fields } of Object.values(SEARCH_SOURCES)) {
+    const indexedFields = Object.keys(fields);
+    const docs = await model
+      .find({ searchGrams: { $exists: false } })
+      .select(indexedFields.join(" "))
+      .limit(batchSize)
+      .lean();
+    if (!docs.length) continue;
+
+    await model.bulkWrite(
+      docs.map((doc) => ({
+        updateOne: { filter: { _id: doc._id }, update: { $set: { searchGrams: searchGramsFor(doc, indexedFields) } } },
+      }))
+    );
+    indexed += docs.length;
+  }
+  return indexed;
+};
+
+export default {
+  SEARCH_SOURCES,
+  MAX_QUERY_LENGTH,
+  highlight,
+  rankHit,
+  searchSource,
+  parseTypes,
+  indexMissingSearchGrams,
+};
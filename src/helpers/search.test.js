@@ -0,0 +1,83 @@
+const expect = require('expect');
+
+const Course = require('../models/courses').default;
+const { normalize, trigrams, gramOverlap } = require('./search-grams');
+const { highlight, rankHit, parseTypes, searchSource } = require('./search');
+
+describe('search trigrams', () => {
+  it('should ignore case, accents and punctuation', () => {
+    expect(normalize('  Café-Owners, Inc.')).toBe('cafe owners inc');
+    expect(trigrams('AI')).toEqual([' ai', 'ai ']);
+  });
+
+  it('should still match a misspelt word', () => {
+    expect(gramOverlap(trigrams('entrepeneur'), trigrams('Entrepreneurship'))).toBeGreaterThan(0.5);
+    expect(gramOverlap(trigrams('entrepeneur'), trigrams('Accounting'))).toBeLessThan(0.2);
+  });
+});
+
+describe('search ranking', () => {
+  const fields = { title: 3, shortdescription: 1 };
+
+  it('should weigh title matches above description matches', () => {
+    const inTitle = rankHit({ title: 'Marketing basics', shortdescription: 'Start here' }, 'marketing', fields);
+    const inDescription = rankHit({ title: 'Start here', shortdescription: 'Marketing basics' }, 'marketing', fields);
+
+    expect(inTitle.score).toBeGreaterThan(inDescription.score);
+  });
+
+  it('should rank an exact phrase above a near miss', () => {
+    const exact = rankHit({ title: 'Export finance' }, 'export finance', fields);
+    const typo = rankHit({ title: 'Exports financing' }, 'export finance', fields);
+
+    expect(exact.score).toBeGreaterThan(typo.score);
+    expect(typo.score).toBeGreaterThan(0);
+  });
+
+  it('should mark matching words and escape the rest', () => {
+    expect(highlight('<b>Agri</b> Entrepreneurship', 'entrepeneur')).toBe('&lt;b&gt;Agri&lt;/b&gt; <mark>Entrepreneurship</mark>');
+    expect(highlight('Bookkeeping', 'marketing')).toBe(null);
+  });
+
+  it('should cut long text to a snippet around the match', () => {
+    const text = 'lorem ipsum '.repeat(30) + 'logistics ' + 'dolor sit '.repeat(30);
+    const snippet = highlight(text, 'logistics');
+
+    expect(snippet).toInclude('<mark>logistics</mark>');
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.length).toBeLessThan(200);
+  });
+
+  it('should only accept known types', () => {
+    expect(parseTypes()).toEqual(['users', 'tribes', 'courses', 'tools']);
+    expect(parseTypes('courses, tools')).toEqual(['courses', 'tools']);
+    expect(() => parseTypes('courses,payments')).toThrow(/Types must be/);
+  });
+});
+
+describe('searchSource', () => {
+  const originalAggregate = Course.aggregate;
+  var pipeline;
+
+  beforeEach(() => {
+    Course.aggregate = async (stages) => {
+      pipeline = stages;
+      return [
+        { _id: 'c1', title: 'Bookkeeping', courseCategory: 'Finance', shortdescription: 'Ledgers' },
+        { _id: 'c2', title: 'Marketing on a budget', courseCategory: 'Growth', shortdescription: 'Cheap marketing' },
+      ];
+    };
+  });
+
+  afterEach(() => {
+    Course.aggregate = originalAggregate;
+  });
+
+  it('should only look at published courses and drop weak candidates', async () => {
+    const hits = await searchSource('courses', 'marketting', null, 5);
+
+    expect(pipeline[0].$match.status).toBe(true);
+    expect(hits.map((hit) => hit._id)).toEqual(['c2']);
+    expect(hits[0].highlights.title).toInclude('<mark>Marketing</mark>');
+  });
+});
@@ -0,0 +1,92 @@
+import SecurityEvent from "../models/securityEvent";
+import { clientIp, clientCountry, describeUserAgent } from "../utils/request";
+import { queueMail } from "./mailer";
+import { notifyUser } from "./notify";
+
+// How many earlier sign-ins a new one is compared against.
+const HISTORY_SIZE = 50;
+const SIGN_IN_TYPES = ["login", "token_refresh"];
+
+/**
+ * Compare a sign-in with the account's earlier successful ones. The very
+ * first sign-in is never "new" — there is nothing to compare it with.
+ */
+export const unfamiliarSignIn = (event, history) => {
+  if (!history.length) return { newDevice: false, newCountry: false };
+  return {
+    newDevice: !history.some((past) => past.device === event.device),
+    newCountry: !!event.country && !history.some((past) => past.country === event.country),
+  };
+};
+
+const alertReason = ({ newDevice, newCountry }, event) => {
+  if (newDevice && newCountry) return `a new device in a new country (${event.country})`;
+  if (newCountry) return `a new country (${event.country})`;
+  return "a new device";
+};
+
+const alertNewSignIn = async (account, event, unfamiliar) => {
+  const reason = alertReason(unfamiliar, event);
+  await notifyUser(
+    account._id,
+    "security",
+    `New sign-in from ${reason}: ${event.device}. If this wasn't you, change your password.`
+  );
+  if (!account.email) return;
+  await queueMail("new-sign-in", account.email, {
+    username: account.username,
+    reason,
+    device: event.device,
+    location: event.country || "Unknown",
+    ip: event.ip || "Unknown",
+    time: event.createdAt.toUTCString(),
+  });
+};
+
+/**
+ * Record a security event for an account. Successful user logins are checked
+ * against earlier sign-ins and raise an email and notification when the device
+ * or country is new. Never throws: a failed write must not fail the request.
+ */
+export const recordSecurityEvent = async (account, type, req, { subjectModel = "User", outcome = "success", reason, provider } = {}) => {
+  try {
+    const userAgent = req.headers?.["user-agent"];
+    const event = {
+      subject: account._id,
+      subjectModel,
+      type,
+      outcome,
+      reason,
+      provider,
+      ip: clientIp(req),
+      userAgent,
+      device: describeUserAgent(userAgent),
+      country: clientCountry(req),
+      createdAt: new Date(),
+    };
+
+    const checkSignIn = subjectModel === "User" && type === "login" && outcome === "success";
+    const history = checkSignIn
+      ? await SecurityEvent.find(
+          { subject: account._id, subjectModel, type: { $in: SIGN_IN_TYPES }, outcome: "success" },
+          "device country"
+        )
+          .sort({ createdAt: -1 })
+          .limit(HISTORY_SIZE)
+          .lean()
+      : [];
+
+    await SecurityEvent.create(event);
+
+    if (checkSignIn) {
+      const unfamiliar = unfamiliarSignIn(event, history);
+      if (unfamiliar.newDevice || unfamiliar.newCountry) {
+        await alertNewSignIn(account, event, unfamiliar);
+      }
+    }
+  } catch (err) {
+    console.error(`Error recording ${type} security event:`, err.message);
+  }
+};
+
+export default { unfamiliarSignIn, recordSecurityEvent };
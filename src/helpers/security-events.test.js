@@ -0,0 +1,113 @@
+const expect = require('expect');
+
+const redis = require('../clients/redis').default;
+const SecurityEvent = require('../models/securityEvent').default;
+const Notification = require('../models/notifications');
+const {unfamiliarSignIn, recordSecurityEvent} = require('./security-events');
+
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+const FIREFOX_LINUX = 'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0';
+
+const request = (userAgent, country) => ({
+  ip: '203.0.113.7',
+  headers: {'user-agent': userAgent, ...(country && {'cf-ipcountry': country})},
+});
+const account = {_id: 'u1', username: 'jane', email: 'jane@example.com'};
+
+describe('unfamiliarSignIn', () => {
+  it('should not flag the first sign-in', () => {
+    expect(unfamiliarSignIn({device: 'Chrome on Windows', country: 'PK'}, [])).toEqual({newDevice: false, newCountry: false});
+  });
+
+  it('should flag a device or country not seen before', () => {
+    const history = [{device: 'Chrome on Windows', country: 'PK'}];
+
+    expect(unfamiliarSignIn({device: 'Chrome on Windows', country: 'PK'}, history)).toEqual({newDevice: false, newCountry: false});
+    expect(unfamiliarSignIn({device: 'Firefox on Linux', country: 'PK'}, history)).toEqual({newDevice: true, newCountry: false});
+    expect(unfamiliarSignIn({device: 'Chrome on Windows', country: 'GB'}, history)).toEqual({newDevice: false, newCountry: true});
+  });
+
+  it('should not call an unknown country new', () => {
+    const history = [{device: 'Chrome on Windows', country: 'PK'}];
+    expect(unfamiliarSignIn({device: 'Chrome on Windows', country: null}, history).newCountry).toBe(false);
+  });
+});
+
+describe('recordSecurityEvent', () => {
+  const original = {
+    find: SecurityEvent.find,
+    create: SecurityEvent.create,
+    updateOne: Notification.updateOne,
+    lpush: redis.lpush,
+  };
+  var history, created, notifications, mails;
+
+  beforeEach(() => {
+    history = [];
+    created = [];
+    notifications = [];
+    mails = [];
+    const chain = {sort: () => chain, limit: () => chain, lean: () => Promise.resolve(history)};
+    SecurityEvent.find = () => chain;
+    SecurityEvent.create = (doc) => {
+      created.push(doc);
+      return Promise.resolve(doc);
+    };
+    Notification.updateOne = (filter, update) => {
+      notifications.push(update);
+      return Promise.resolve({});
+    };
+    redis.lpush = (key, job) => {
+      mails.push(JSON.parse(job));
+      return Promise.resolve(1);
+    };
+  });
+
+  afterEach(() => {
+    SecurityEvent.find = original.find;
+    SecurityEvent.create = original.create;
+    Notification.updateOne = original.updateOne;
+    redis.lpush = original.lpush;
+  });
+
+  it('should record IP, device, country and outcome', async () => {
+    await recordSecurityEvent(account, 'password_change', request(CHROME_WINDOWS, 'pk'), {outcome: 'failure', reason: 'bad_password'});
+
+    expect(created[0]).toInclude({
+      subject: 'u1',
+      subjectModel: 'User',
+      type: 'password_change',
+      outcome: 'failure',
+      reason: 'bad_password',
+      ip: '203.0.113.7',
+      device: 'Chrome on Windows',
+      country: 'PK',
+    });
+  });
+
+  it('should email and notify on a login from a new device', async () => {
+    history = [{device: 'Chrome on Windows', country: 'PK'}];
+    await recordSecurityEvent(account, 'login', request(FIREFOX_LINUX, 'PK'));
+
+    expect(mails.length).toBe(1);
+    expect(mails[0]).toInclude({template: 'new-sign-in', to: 'jane@example.com'});
+    expect(mails[0].vars).toInclude({device: 'Firefox on Linux', location: 'PK', reason: 'a new device'});
+    expect(notifications[0].$push.type).toBe('security');
+  });
+
+  it('should stay quiet for a familiar login, a refresh or a failure', async () => {
+    history = [{device: 'Chrome on Windows', country: 'PK'}];
+    await recordSecurityEvent(account, 'login', request(CHROME_WINDOWS, 'PK'));
+    await recordSecurityEvent(account, 'token_refresh', request(FIREFOX_LINUX, 'GB'));
+    await recordSecurityEvent(account, 'login', request(FIREFOX_LINUX, 'GB'), {outcome: 'failure', reason: 'bad_password'});
+
+    expect(created.length).toBe(3);
+    expect(mails.length).toBe(0);
+    expect(notifications.length).toBe(0);
+  });
+
+  it('should not fail the request when the write fails', async () => {
+    SecurityEvent.create = () => Promise.reject(new Error('db down'));
+    await recordSecurityEvent(account, 'username_change', request(CHROME_WINDOWS));
+  });
+});
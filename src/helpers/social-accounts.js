@@ -0,0 +1,106 @@
+import Boom from "@hapi/boom"; // Preferred
+import crypto from "crypto";
+import User from "../models/user";
+
+const providerLabel = (provider) => ({ google: "Google", linkedin: "LinkedIn" })[provider] || provider;
+
+const hasIdentity = (user, provider) => user.identities.some((identity) => identity.provider === provider);
+
+const identityRecord = ({ provider, subject, email }) => ({ provider, subject, email, linkedAt: new Date() });
+
+// "jane.doe+news@example.com" -> "janedoe", with a numeric suffix when taken.
+export const uniqueUsername = async (email) => {
+  const base = (email.split("@")[0].replace(/\+.*$/, "").replace(/[^a-zA-Z0-9_]/g, "") || "member").slice(0, 20);
+  let candidate = base;
+  for (let i = 0; i < 5; i++) {
+    if (!(await User.exists({ username: candidate }))) return candidate;
+    candidate = `${base}${crypto.randomInt(1000, 100000)}`;
+  }
+  return `${base}${crypto.randomBytes(4).toString("hex")}`;
+};
+
+/**
+ * The User to sign in for a provider identity: the one it is linked to, else
+ * the verified account with the same verified email (which gets linked), else
+ * a new account. Resolves with { user, linked, created }.
+ */
+export const resolveSocialUser = async (identity) => {
+  const label = providerLabel(identity.provider);
+  const existing = await User.findOne({
+    identities: { $elemMatch: { provider: identity.provider, subject: identity.subject } },
+  });
+  if (existing) return { user: existing, linked: false, created: false };
+
+  if (!identity.email || !identity.emailVerified) {
+    throw Boom.unauthorized(`Your ${label} account has no verified email address.`);
+  }
+
+  const byEmail = await User.findOne({ email: identity.email });
+  if (byEmail) {
+    // Whoever registered an unverified account may not own the address, so
+    // don't hand them a linked login.
+    if (byEmail.verified !== "Yes") {
+      throw Boom.conflict(
+        `An account with this email hasn't been verified yet. Verify it or log in with your password, then link ${label} from your settings.`
+      );
+    }
+    if (hasIdentity(byEmail, identity.provider)) {
+      throw Boom.conflict(`This account is already linked to a different ${label} account.`);
+    }
+    byEmail.identities.push(identityRecord(identity));
+    await byEmail.save();
+    return { user: byEmail, linked: true, created: false };
+  }
+
+  const user = new User({
+    email: identity.email,
+    username: await uniqueUsername(identity.email),
+    // Never shown or sent anywhere; the user can set a real one via password reset.
+    password: crypto.randomBytes(32).toString("hex"),
+    hasPassword: false,
+    firstName: identity.firstName,
+    lastName: identity.lastName,
+    profile_pic: identity.picture || undefined,
+    verified: "Yes",
+    subscription: "none",
+    identities: [identityRecord(identity)],
+  });
+  await user.save();
+  return { user, linked: true, created: true };
+};
+
+// Attach a provider identity to a signed-in user.
+export const linkIdentity = async (user, identity) => {
+  const label = providerLabel(identity.provider);
+  const owner = await User.findOne(
+    { identities: { $elemMatch: { provider: identity.provider, subject: identity.subject } } },
+    "_id"
+  );
+  if (owner) {
+    throw Boom.conflict(
+      owner._id.equals(user._id)
+        ? `This ${label} account is already linked.`
+        : `This ${label} account is linked to another Openpreneurs account.`
+    );
+  }
+  if (hasIdentity(user, identity.provider)) {
+    throw Boom.conflict(`Unlink your current ${label} account first.`);
+  }
+
+  user.identities.push(identityRecord(identity));
+  await user.save();
+};
+
+export const unlinkIdentity = async (user, provider) => {
+  if (!hasIdentity(user, provider)) {
+    throw Boom.notFound(`No ${providerLabel(provider)} account is linked.`);
+  }
+  if (!user.hasPassword && user.identities.length === 1) {
+    throw Boom.badRequest("Set a password before removing your only way to sign in.");
+  }
+
+  user.identities = user.identities.filter((identity) => identity.provider !== provider);
+  await user.save();
+};
+
+export default { uniqueUsername, resolveSocialUser, linkIdentity, unlinkIdentity };
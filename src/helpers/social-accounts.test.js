@@ -0,0 +1,70 @@
+const expect = require('expect');
+
+const User = require('../models/user').default;
+const {resolveSocialUser, unlinkIdentity} = require('./social-accounts');
+
+const account = (fields = {}) => ({
+  _id: 'u1',
+  verified: 'Yes',
+  hasPassword: true,
+  identities: [],
+  saves: 0,
+  save() {
+    this.saves += 1;
+    return Promise.resolve(this);
+  },
+  ...fields,
+});
+
+const identity = {provider: 'google', subject: 'g-1', email: 'jane@example.com', emailVerified: true};
+
+const rejection = (promise) => promise.then(() => null, (err) => err);
+
+describe('social accounts', () => {
+  const originalFindOne = User.findOne;
+  var byIdentity, byEmail;
+
+  beforeEach(() => {
+    byIdentity = null;
+    byEmail = null;
+    User.findOne = (filter) => Promise.resolve(filter.identities ? byIdentity : byEmail);
+  });
+
+  afterEach(() => {
+    User.findOne = originalFindOne;
+  });
+
+  it('should sign in the account the identity is linked to', async () => {
+    byIdentity = account({identities: [identity]});
+    const result = await resolveSocialUser(identity);
+
+    expect(result).toInclude({linked: false, created: false});
+    expect(result.user).toBe(byIdentity);
+  });
+
+  it('should link a verified account with the same verified email', async () => {
+    byEmail = account();
+    const result = await resolveSocialUser(identity);
+
+    expect(result).toInclude({linked: true, created: false});
+    expect(byEmail.identities[0]).toInclude({provider: 'google', subject: 'g-1'});
+    expect(byEmail.saves).toBe(1);
+  });
+
+  it('should not link by an unverified email on either side', async () => {
+    byEmail = account({verified: 'No'});
+    expect((await rejection(resolveSocialUser(identity))).output.statusCode).toBe(409);
+    expect(byEmail.identities.length).toBe(0);
+
+    expect((await rejection(resolveSocialUser({...identity, emailVerified: false}))).output.statusCode).toBe(401);
+  });
+
+  it('should keep the last sign-in method of a passwordless account', async () => {
+    const user = account({hasPassword: false, identities: [identity]});
+    expect((await rejection(unlinkIdentity(user, 'google'))).output.statusCode).toBe(400);
+
+    user.hasPassword = true;
+    await unlinkIdentity(user, 'google');
+    expect(user.identities.length).toBe(0);
+  });
+});
@@ -0,0 +1,145 @@
+import mongoose from "mongoose";
+import User from "../models/user";
+import redis from "../clients/redis";
+
+// How much each kind of overlap adds to a suggestion's score.
+export const SUGGESTION_WEIGHTS = {
+  sharedTribes: 3,
+  complementaryNeeds: 4,
+  mutualTribers: 2,
+  sharedMarkets: 1,
+};
+
+// Ranked suggestions are kept this long; blocking or connecting clears them early.
+export const SUGGESTIONS_TTL = 6 * 60 * 60;
+
+// How many candidates are scored, and how many of the best are kept.
+const POOL_SIZE = 500;
+const MAX_SUGGESTIONS = 100;
+
+const cacheKey = (userId) => `suggestions:${userId}`;
+
+const ids = (values) => (values || []).map(String);
+const terms = (values) => (values || []).filter(Boolean).map((value) => String(value).trim().toLowerCase());
+const overlap = (a, b) => {
+  const set = new Set(a);
+  return [...new Set(b)].filter((value) => set.has(value)).length;
+};
+
+// Fields the score and the privacy/block rules are read from.
+export const SUGGESTION_FIELDS =
+  "joined_tribes mytribers markets_covered value_chainstake immediate_needs privacy blockedtribers blockedby";
+
+/**
+ * How well `candidate` fits `viewer`, with the overlap counts behind it.
+ * "Complementary needs" counts both ways: what the viewer needs that the
+ * candidate offers in their value chain, and the other way round.
+ */
+export const scoreCandidate = (viewer, candidate) => {
+  const reasons = {
+    sharedTribes: overlap(ids(viewer.joined_tribes), ids(candidate.joined_tribes)),
+    complementaryNeeds:
+      overlap(terms(viewer.immediate_needs), terms(candidate.value_chainstake)) +
+      overlap(terms(candidate.immediate_needs), terms(viewer.value_chainstake)),
+    mutualTribers: overlap(ids(viewer.mytribers), ids(candidate.mytribers)),
+    sharedMarkets: overlap(terms(viewer.markets_covered), terms(candidate.markets_covered)),
+  };
+  const score = Object.keys(SUGGESTION_WEIGHTS).reduce(
+    (total, reason) => total + reasons[reason] * SUGGESTION_WEIGHTS[reason],
+    0
+  );
+  return { score, reasons };
+};
+
+/**
+ * Whether `candidate` may be suggested to `viewer` at all. Private profiles
+ * are never suggested; "triber_only" ones only to friends of their tribers.
+ * Blocks count in either direction.
+ */
+export const canSuggest = (viewer, candidate) => {
+  const viewerId = String(viewer._id);
+  const candidateId = String(candidate._id);
+  if (viewerId === candidateId) return false;
+
+  const taken = new Set([
+    ...ids(viewer.mytribers),
+    ...ids(viewer.sentrequests),
+    ...ids(viewer.requests),
+    ...ids(viewer.rejectedrequests),
+    ...ids(viewer.blockedtribers),
+    ...ids(viewer.blockedby),
+  ]);
+  if (taken.has(candidateId)) return false;
+  if (ids(candidate.blockedtribers).includes(viewerId) || ids(candidate.blockedby).includes(viewerId)) return false;
+
+  const privacy = candidate.privacy || "public";
+  if (privacy === "private") return false;
+  if (privacy === "triber_only") return overlap(ids(viewer.mytribers), ids(candidate.mytribers)) > 0;
+  return true;
+};
+
+// Best first; ties go to the most recently created account.
+export const rankCandidates = (viewer, candidates) =>
+  candidates
+    .filter((candidate) => canSuggest(viewer, candidate))
+    .map((candidate) => ({ id: String(candidate._id), ...scoreCandidate(viewer, candidate) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || (b.id > a.id ? 1 : -1))
+    .slice(0, MAX_SUGGESTIONS);
+
+// Active members sharing at least one thing the score counts.
+const candidatePool = (viewer) => {
+  const overlaps = [
+    viewer.joined_tribes?.length && { joined_tribes: { $in: viewer.joined_tribes } },
+    viewer.mytribers?.length && { mytribers: { $in: viewer.mytribers } },
+    viewer.markets_covered?.length && { markets_covered: { $in: viewer.markets_covered } },
+    viewer.immediate_needs?.length && { value_chainstake: { $in: viewer.immediate_needs } },
+    viewer.value_chainstake?.length && { immediate_needs: { $in: viewer.value_chainstake } },
+  ].filter(Boolean);
+  if (!overlaps.length) return [];
+
+  return User.find({
+    _id: { $ne: viewer._id },
+    role: "user",
+    verified: "Yes",
+    status: "active",
+    privacy: { $ne: "private" },
+    $or: overlaps,
+  })
+    .select(SUGGESTION_FIELDS)
+    .limit(POOL_SIZE)
+    .lean();
+};
+
+/**
+ * The viewer's ranked suggestions as `{ id, score, reasons }`, from Redis
+ * when cached. Pass `refresh` to rebuild them.
+ */
+export const suggestionsFor = async (viewer, { refresh = false } = {}) => {
+  const key = cacheKey(viewer._id);
+  if (!refresh) {
+    const cached = await redis.get(key);
+    if (cached) return JSON.parse(cached);
+  }
+
+  const ranked = rankCandidates(viewer, await candidatePool(viewer));
+  await redis.set(key, JSON.stringify(ranked), "EX", SUGGESTIONS_TTL);
+  return ranked;
+};
+
+// Drop cached suggestions after connections or blocks change.
+export const clearSuggestions = (...userIds) => {
+  const keys = userIds.filter((id) => id && mongoose.Types.ObjectId.isValid(String(id))).map(cacheKey);
+  return keys.length ? redis.del(...keys) : 0;
+};
+
+export default {
+  SUGGESTION_WEIGHTS,
+  SUGGESTIONS_TTL,
+  SUGGESTION_FIELDS,
+  scoreCandidate,
+  canSuggest,
+  rankCandidates,
+  suggestionsFor,
+  clearSuggestions,
+};
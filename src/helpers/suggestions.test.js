@@ -0,0 +1,106 @@
+const expect = require('expect');
+
+const User = require('../models/user').default;
+const redis = require('../clients/redis').default;
+const { scoreCandidate, canSuggest, rankCandidates, suggestionsFor } = require('./suggestions');
+
+const VIEWER = '64b000000000000000000001';
+const TRIBE = '64c000000000000000000001';
+const FRIEND = '64b0000000000000000000ff';
+
+const viewer = {
+  _id: VIEWER,
+  joined_tribes: [TRIBE],
+  mytribers: [FRIEND],
+  immediate_needs: ['Logistics', 'Funding'],
+  value_chainstake: ['Manufacturing'],
+  markets_covered: ['Kenya', 'Nigeria'],
+};
+
+const candidate = (id, fields = {}) => Object.assign({ _id: '64b00000000000000000000' + id }, fields);
+
+describe('suggestion scoring', () => {
+  it('should count shared tribes, complementary needs, mutual tribers and markets', () => {
+    const { score, reasons } = scoreCandidate(viewer, candidate(2, {
+      joined_tribes: [TRIBE],
+      mytribers: [FRIEND],
+      value_chainstake: [' logistics '],
+      immediate_needs: ['manufacturing'],
+      markets_covered: ['Kenya'],
+    }));
+
+    expect(reasons).toEqual({ sharedTribes: 1, complementaryNeeds: 2, mutualTribers: 1, sharedMarkets: 1 });
+    expect(score).toBe(3 + 2 * 4 + 2 + 1);
+  });
+
+  it('should leave out connections, pending requests and blocks either way', () => {
+    expect(canSuggest(viewer, candidate(2))).toBe(true);
+    expect(canSuggest(viewer, { _id: FRIEND })).toBe(false);
+    expect(canSuggest(viewer, { _id: VIEWER })).toBe(false);
+    expect(canSuggest({ ...viewer, sentrequests: [candidate(2)._id] }, candidate(2))).toBe(false);
+    expect(canSuggest({ ...viewer, blockedby: [candidate(2)._id] }, candidate(2))).toBe(false);
+    expect(canSuggest(viewer, candidate(2, { blockedtribers: [VIEWER] }))).toBe(false);
+  });
+
+  it('should honour profile privacy', () => {
+    expect(canSuggest(viewer, candidate(2, { privacy: 'private', mytribers: [FRIEND] }))).toBe(false);
+    expect(canSuggest(viewer, candidate(2, { privacy: 'triber_only' }))).toBe(false);
+    expect(canSuggest(viewer, candidate(2, { privacy: 'triber_only', mytribers: [FRIEND] }))).toBe(true);
+  });
+
+  it('should rank the best matches first and drop members with nothing in common', () => {
+    const ranked = rankCandidates(viewer, [
+      candidate(2, { markets_covered: ['Kenya'] }),
+      candidate(3, { joined_tribes: [TRIBE], value_chainstake: ['Funding'] }),
+      candidate(4, { markets_covered: ['Ghana'] }),
+    ]);
+
+    expect(ranked.map(({ id }) => id)).toEqual([candidate(3)._id, candidate(2)._id]);
+  });
+});
+
+describe('suggestionsFor', () => {
+  const originalFind = User.find;
+  const originalGet = redis.get;
+  const originalSet = redis.set;
+  var cache;
+  var lookups;
+
+  beforeEach(() => {
+    cache = {};
+    lookups = 0;
+    redis.get = async (key) => cache[key] || null;
+    redis.set = async (key, value) => {
+      cache[key] = value;
+      return 'OK';
+    };
+    User.find = () => {
+      lookups += 1;
+      const query = { select: () => query, limit: () => query, lean: async () => [candidate(2, { joined_tribes: [TRIBE] })] };
+      return query;
+    };
+  });
+
+  afterEach(() => {
+    User.find = originalFind;
+    redis.get = originalGet;
+    redis.set = originalSet;
+  });
+
+  it('should cache the ranking per member until asked to refresh', async () => {
+    const first = await suggestionsFor(viewer);
+    expect(first.length).toBe(1);
+    expect(cache['suggestions:' + VIEWER]).toExist();
+
+    await suggestionsFor(viewer);
+    expect(lookups).toBe(1);
+
+    await suggestionsFor(viewer, { refresh: true });
+    expect(lookups).toBe(2);
+  });
+
+  it('should not look anyone up for a member with an empty profile', async () => {
+    expect(await suggestionsFor({ _id: VIEWER })).toEqual([]);
+    expect(lookups).toBe(0);
+  });
+});
@@ -0,0 +1,196 @@
+import JWT from "jsonwebtoken";
+import Boom from "@hapi/boom"; // Preferred
+import crypto from "crypto";
+import { v4 as uuidv4 } from "uuid";
+import redis from "../clients/redis";
+import { verifyTotp, generateSecret, otpauthUri } from "../utils/totp";
+
+// Admin levels that can move money or change pricing must use 2FA.
+export const MANDATORY_TWO_FACTOR_LEVELS = ["finance", "super"];
+
+const CHALLENGE_TTL = 5 * 60;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = process.env.TOTP_ISSUER || "Openpreneurs";
+
+// Challenge tokens must never pass as access tokens, so they get their own key.
+const challengeSecret = () => `${process.env.JWT_SECRET}:2fa`;
+
+export const SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+export const isTwoFactorMandatory = (account, subjectModel) =>
+  subjectModel === "Admin" && MANDATORY_TWO_FACTOR_LEVELS.includes(account.level);
+
+export const signChallengeToken = (account, subjectModel, { enroll = false } = {}) => {
+  return new Promise((resolve, reject) => {
+    const payload = { user_id: account._id.toString(), subjectModel, enroll, jti: uuidv4() };
+    JWT.sign(payload, challengeSecret(), { expiresIn: CHALLENGE_TTL, issuer: "ecommerce.app" }, (err, token) => {
+      if (err) {
+        console.error("Error signing 2FA challenge:", err);
+        return reject(Boom.internal("Could not create 2FA challenge"));
+      }
+      resolve(token);
+    });
+  });
+};
+
+/**
+ * Validate a login challenge and count the attempt against it. Each challenge
+ * allows a handful of guesses and can only complete a login once.
+ */
+export const verifyChallengeToken = async (token, subjectModel) => {
+  if (!token) throw Boom.badRequest("Challenge token missing.");
+
+  let payload;
+  try {
+    payload = JWT.verify(token, challengeSecret(), { issuer: "ecommerce.app" });
+  } catch (err) {
+    throw Boom.unauthorized(
+      err.name === "TokenExpiredError" ? "Login challenge has expired. Please log in again." : "Invalid login challenge."
+    );
+  }
+  if (payload.subjectModel !== subjectModel) {
+    throw Boom.unauthorized("Invalid login challenge.");
+  }
+
+  if (await redis.get(`2fa:used:${payload.jti}`)) {
+    throw Boom.unauthorized("Login challenge has already been used.");
+  }
+  const attemptsKey = `2fa:attempts:${payload.jti}`;
+  const attempts = await redis.incr(attemptsKey);
+  if (attempts === 1) await redis.expire(attemptsKey, CHALLENGE_TTL);
+  if (attempts > MAX_CHALLENGE_ATTEMPTS) {
+    throw Boom.tooManyRequests("Too many attempts. Please log in again.");
+  }
+
+  return payload;
+};
+
+// Marks the challenge used; only the first of two racing requests gets through.
+export const completeChallenge = async (payload) => {
+  const claimed = await redis.set(`2fa:used:${payload.jti}`, "1", "EX", CHALLENGE_TTL, "NX");
+  if (!claimed) throw Boom.unauthorized("Login challenge has already been used.");
+};
+
+export const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(String(code).replace(/[\s-]/g, "").toLowerCase()).digest("hex");
+
+// Plain codes go to the user once; only the hashes are stored.
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Start enrollment: store a pending secret and return what the authenticator
+ * app needs. With `reuse`, a pending secret already on the account (loaded
+ * with `+twoFactor.pendingSecret`) is kept, so the app set up on an earlier
+ * attempt still works. The account must be saved by the caller.
+ */
+export const beginEnrollment = (account, label, { reuse = false } = {}) => {
+  account.twoFactor = account.twoFactor || {};
+  const secret = (reuse && account.twoFactor.pendingSecret) || generateSecret();
+  account.twoFactor.pendingSecret = secret;
+  return { secret, otpauthUri: otpauthUri({ secret, label, issuer: ISSUER }) };
+};
+
+/**
+ * Check a TOTP code (or, when allowed, a recovery code) against an account
+ * loaded with SECRET_FIELDS, and record its use. Returns false on mismatch;
+ * the account must be saved by the caller when this returns true.
+ */
+export const checkSecondFactor = (account, { code, recoveryCode, pending = false }) => {
+  const tf = account.twoFactor || {};
+
+  if (recoveryCode && !pending) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const index = (tf.recoveryCodes || []).indexOf(hash);
+    if (index === -1) return false;
+    tf.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  const secret = pending ? tf.pendingSecret : tf.secret;
+  if (!secret) return false;
+  const step = verifyTotp(secret, code);
+  if (step === null || (tf.lastUsedStep && step <= tf.lastUsedStep)) return false;
+  tf.lastUsedStep = step;
+  return true;
+};
+
+/**
+ * checkSecondFactor for logins: the code is checked and marked used in one
+ * conditional update on `Model`, so two requests racing with the same code
+ * can't both pass. The account itself is left untouched.
+ */
+export const claimSecondFactor = async (Model, account, { code, recoveryCode, pending = false }) => {
+  const tf = account.twoFactor || {};
+
+  if (recoveryCode && !pending) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const { modifiedCount } = await Model.updateOne(
+      { _id: account._id, "twoFactor.recoveryCodes": hash },
+      { $pull: { "twoFactor.recoveryCodes": hash } }
+    );
+    return modifiedCount === 1;
+  }
+
+  const secret = pending ? tf.pendingSecret : tf.secret;
+  if (!secret) return false;
+  const step = verifyTotp(secret, code);
+  if (step === null) return false;
+  const { modifiedCount } = await Model.updateOne(
+    {
+      _id: account._id,
+      $or: [{ "twoFactor.lastUsedStep": null }, { "twoFactor.lastUsedStep": { $lt: step } }],
+    },
+    { $set: { "twoFactor.lastUsedStep": step } }
+  );
+  return modifiedCount === 1;
+};
+
+// Promote the pending secret and issue fresh recovery codes.
+export const enableTwoFactor = (account) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  account.twoFactor.secret = account.twoFactor.pendingSecret;
+  account.twoFactor.pendingSecret = undefined;
+  account.twoFactor.recoveryCodes = hashes;
+  account.twoFactor.enabled = true;
+  account.twoFactor.enabledAt = new Date();
+  return codes;
+};
+
+export const disableTwoFactor = (account) => {
+  account.twoFactor = { enabled: false };
+};
+
+/**
+ * Second step of a password login. Returns the response body to send instead
+ * of tokens, or null when the account doesn't use 2FA. Load the account with
+ * `+twoFactor.pendingSecret` so an unfinished enrollment is picked up again.
+ */
+export const twoFactorChallenge = async (account, subjectModel) => {
+  if (account.twoFactor?.enabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: await signChallengeToken(account, subjectModel),
+    };
+  }
+
+  if (isTwoFactorMandatory(account, subjectModel)) {
+    // Until enrollment completes, every login shows the same secret.
+    const enrollment = beginEnrollment(account, account.email || account.username, { reuse: true });
+    if (account.isModified("twoFactor.pendingSecret")) await account.save();
+    return {
+      twoFactorSetupRequired: true,
+      challengeToken: await signChallengeToken(account, subjectModel, { enroll: true }),
+      ...enrollment,
+    };
+  }
+
+  return null;
+};
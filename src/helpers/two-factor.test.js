@@ -0,0 +1,176 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-access-secret';
+
+const expect = require('expect');
+const JWT = require('jsonwebtoken');
+
+const {totp, base32Decode} = require('../utils/totp');
+const {
+  beginEnrollment,
+  checkSecondFactor,
+  claimSecondFactor,
+  enableTwoFactor,
+  hashRecoveryCode,
+  isTwoFactorMandatory,
+  signChallengeToken,
+  twoFactorChallenge,
+} = require('./two-factor');
+
+const codeFor = (secret, offset = 0) =>
+  totp(base32Decode(secret), {time: Date.now() / 1000 + offset * 30});
+
+const account = (fields = {}) => ({_id: '64b000000000000000000001', twoFactor: {}, ...fields});
+
+describe('two-factor enrollment', () => {
+  it('should only enable with a code from the pending secret', () => {
+    const user = account();
+    const {secret, otpauthUri} = beginEnrollment(user, 'jane@example.com');
+
+    expect(otpauthUri).toInclude(`secret=${secret}`);
+    expect(checkSecondFactor(user, {code: '000000', pending: true})).toBe(false);
+    expect(checkSecondFactor(user, {code: codeFor(secret), pending: true})).toBe(true);
+
+    const codes = enableTwoFactor(user);
+    expect(user.twoFactor.enabled).toBe(true);
+    expect(user.twoFactor.secret).toBe(secret);
+    expect(user.twoFactor.pendingSecret).toBe(undefined);
+    expect(codes.length).toBe(10);
+  });
+
+  it('should store recovery codes hashed', () => {
+    const user = account();
+    const {secret} = beginEnrollment(user, 'jane@example.com');
+    checkSecondFactor(user, {code: codeFor(secret), pending: true});
+    const codes = enableTwoFactor(user);
+
+    codes.forEach((code) => expect(user.twoFactor.recoveryCodes).toNotInclude(code));
+    expect(user.twoFactor.recoveryCodes[0]).toBe(hashRecoveryCode(codes[0]));
+  });
+});
+
+describe('checkSecondFactor', () => {
+  const enrolled = () => {
+    const user = account();
+    const {secret} = beginEnrollment(user, 'jane@example.com');
+    const codes = enableTwoFactor(user);
+    return {user, secret, codes};
+  };
+
+  it('should not accept the same code twice', () => {
+    const {user, secret} = enrolled();
+    const code = codeFor(secret);
+
+    expect(checkSecondFactor(user, {code})).toBe(true);
+    expect(checkSecondFactor(user, {code})).toBe(false);
+  });
+
+  it('should not accept a code older than the last one used', () => {
+    const {user, secret} = enrolled();
+
+    expect(checkSecondFactor(user, {code: codeFor(secret)})).toBe(true);
+    expect(checkSecondFactor(user, {code: codeFor(secret, -1)})).toBe(false);
+  });
+
+  it('should accept each recovery code once', () => {
+    const {user, codes} = enrolled();
+
+    expect(checkSecondFactor(user, {recoveryCode: codes[3].toUpperCase()})).toBe(true);
+    expect(checkSecondFactor(user, {recoveryCode: codes[3]})).toBe(false);
+    expect(user.twoFactor.recoveryCodes.length).toBe(9);
+  });
+
+  it('should not accept recovery codes while enrolling', () => {
+    const {user, codes} = enrolled();
+    user.twoFactor.pendingSecret = user.twoFactor.secret;
+    expect(checkSecondFactor(user, {recoveryCode: codes[0], pending: true})).toBe(false);
+  });
+});
+
+describe('claimSecondFactor', () => {
+  // Applies updateOne the way MongoDB would, against one stored document.
+  const fakeModel = (stored) => ({
+    updateOne: async (filter, update) => {
+      if (filter['twoFactor.recoveryCodes'] !== undefined) {
+        const index = stored.recoveryCodes.indexOf(filter['twoFactor.recoveryCodes']);
+        if (index === -1) return {modifiedCount: 0};
+        stored.recoveryCodes.splice(index, 1);
+        return {modifiedCount: 1};
+      }
+      const step = update.$set['twoFactor.lastUsedStep'];
+      if (stored.lastUsedStep != null && stored.lastUsedStep >= step) return {modifiedCount: 0};
+      stored.lastUsedStep = step;
+      return {modifiedCount: 1};
+    },
+  });
+
+  it('should let only one of two racing logins use a code', async () => {
+    const user = account();
+    const {secret} = beginEnrollment(user, 'jane@example.com');
+    enableTwoFactor(user);
+    const Model = fakeModel({recoveryCodes: []});
+    const code = codeFor(secret);
+
+    const results = await Promise.all([claimSecondFactor(Model, user, {code}), claimSecondFactor(Model, user, {code})]);
+    expect(results.sort()).toEqual([false, true]);
+    expect(user.twoFactor.lastUsedStep).toBe(undefined);
+  });
+
+  it('should let only one of two racing logins use a recovery code', async () => {
+    const user = account();
+    beginEnrollment(user, 'jane@example.com');
+    const codes = enableTwoFactor(user);
+    const Model = fakeModel({recoveryCodes: user.twoFactor.recoveryCodes.slice()});
+
+    const results = await Promise.all([
+      claimSecondFactor(Model, user, {recoveryCode: codes[0]}),
+      claimSecondFactor(Model, user, {recoveryCode: codes[0]}),
+    ]);
+    expect(results.sort()).toEqual([false, true]);
+  });
+});
+
+describe('twoFactorChallenge', () => {
+  const admin = (twoFactor) => {
+    const changed = new Set();
+    const doc = account({level: 'finance', username: 'cfo', saves: 0, twoFactor});
+    doc.isModified = (path) => changed.has(path);
+    doc.save = async () => {
+      doc.saves += 1;
+      changed.clear();
+    };
+    let pendingSecret = twoFactor.pendingSecret;
+    Object.defineProperty(doc.twoFactor, 'pendingSecret', {
+      get: () => pendingSecret,
+      set: (value) => {
+        if (value !== pendingSecret) changed.add('twoFactor.pendingSecret');
+        pendingSecret = value;
+      },
+    });
+    return doc;
+  };
+
+  it('should show the same pending secret on every login until enrollment completes', async () => {
+    const cfo = admin({});
+    const first = await twoFactorChallenge(cfo, 'Admin');
+    const second = await twoFactorChallenge(cfo, 'Admin');
+
+    expect(first.twoFactorSetupRequired).toBe(true);
+    expect(second.secret).toBe(first.secret);
+    expect(cfo.saves).toBe(1);
+  });
+});
+
+describe('isTwoFactorMandatory', () => {
+  it('should require 2FA for finance and super admins only', () => {
+    expect(isTwoFactorMandatory({level: 'finance'}, 'Admin')).toBe(true);
+    expect(isTwoFactorMandatory({level: 'super'}, 'Admin')).toBe(true);
+    expect(isTwoFactorMandatory({level: 'community'}, 'Admin')).toBe(false);
+    expect(isTwoFactorMandatory({level: 'super'}, 'User')).toBe(false);
+  });
+});
+
+describe('signChallengeToken', () => {
+  it('should not produce something that verifies as an access token', async () => {
+    const token = await signChallengeToken(account(), 'User');
+    expect(() => JWT.verify(token, process.env.JWT_SECRET)).toThrow(/invalid signature/);
+  });
+});
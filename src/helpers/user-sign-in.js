@@ -0,0 +1,51 @@
+import Boom from "@hapi/boom"; // Preferred
+import { issueTokens } from "./jwt";
+import { twoFactorChallenge } from "./two-factor";
+import { PENDING_DELETION, canRestoreOnLogin, restoreAccount } from "./account-deletion";
+import { recordSecurityEvent } from "./security-events";
+
+/**
+ * Why `user` may not sign in right now, as a Boom error, or null. Covers the
+ * checks every sign-in method shares. Password login passes `allowUnverified`
+ * and handles unverified accounts itself, since it sends a fresh link.
+ */
+export const signInBlocked = (user, { allowUnverified = false } = {}) => {
+  if (user.status === "inactive") {
+    return Boom.unauthorized("Account has been suspended. Please contact support for more info.");
+  }
+  if (user.status === PENDING_DELETION && !canRestoreOnLogin(user)) {
+    return Boom.unauthorized("This account has been deleted.");
+  }
+  if (!allowUnverified && user.verified !== "Yes") {
+    return Boom.unauthorized("Account not verified. Please verify your email address first.");
+  }
+  return null;
+};
+
+/**
+ * Finish a sign-in that didn't use a password (social login, magic link):
+ * a 2FA challenge when the account has one, else tokens as /auth/login
+ * returns them. `method` is recorded with the security event.
+ */
+export const completeSignIn = async (user, req, { method } = {}) => {
+  const challenge = await twoFactorChallenge(user, "User");
+  if (challenge) return challenge;
+
+  // Signing in during the grace period cancels a pending deletion.
+  const restored = canRestoreOnLogin(user);
+  if (restored) await restoreAccount(user);
+
+  const { accessToken, refreshToken } = await issueTokens(
+    { user_id: user._id, role: user.role, level: user.level },
+    req
+  );
+  await recordSecurityEvent(user, "login", req, { provider: method });
+
+  const userData = user.toObject();
+  delete userData.password;
+  delete userData.__v;
+
+  return { user: userData, accessToken, refreshToken, ...(restored && { accountRestored: true }) };
+};
+
+export default { signInBlocked, completeSignIn };
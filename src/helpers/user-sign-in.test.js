@@ -0,0 +1,28 @@
+const expect = require('expect');
+
+const {signInBlocked} = require('./user-sign-in');
+
+const user = (fields = {}) => ({status: 'active', verified: 'Yes', ...fields});
+
+describe('signInBlocked', () => {
+  it('should let active, verified accounts in', () => {
+    expect(signInBlocked(user())).toBe(null);
+  });
+
+  it('should stop suspended and unverified accounts', () => {
+    expect(signInBlocked(user({status: 'inactive'})).message).toMatch(/suspended/);
+    expect(signInBlocked(user({verified: 'No'})).message).toMatch(/not verified/);
+  });
+
+  it('should leave unverified accounts to the caller when asked, but not other blocks', () => {
+    expect(signInBlocked(user({verified: 'No'}), {allowUnverified: true})).toBe(null);
+    expect(signInBlocked(user({status: 'inactive', verified: 'No'}), {allowUnverified: true}).message).toMatch(/suspended/);
+  });
+
+  it('should only let self-deleted accounts back in during the grace period', () => {
+    const pending = (requestedBy) => user({status: 'pending_deletion', deletion: {requestedBy}});
+
+    expect(signInBlocked(pending('user'))).toBe(null);
+    expect(signInBlocked(pending('admin')).output.statusCode).toBe(401);
+  });
+});
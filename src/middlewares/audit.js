@@ -0,0 +1,113 @@
+import AuditLog from "../models/auditLog";
+import { roleFor } from "../roles";
+import { clientIp } from "../utils/request";
+
+// Plain JSON copy of a document: ObjectIds and Dates become strings.
+const plain = (value) =>
+  value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+
+const flatten = (value, prefix = "", out = {}) => {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    const keys = Object.keys(value);
+    if (!keys.length && prefix) out[prefix] = {};
+    keys.forEach((key) => flatten(value[key], prefix ? `${prefix}.${key}` : key, out));
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+};
+
+/**
+ * Field-level differences between two snapshots, keyed by dotted path.
+ * Arrays are compared as a whole.
+ */
+export const diffSnapshots = (before, after) => {
+  const a = flatten(plain(before) || {});
+  const b = flatten(plain(after) || {});
+  const changes = {};
+
+  new Set([...Object.keys(a), ...Object.keys(b)]).forEach((path) => {
+    if (JSON.stringify(a[path]) !== JSON.stringify(b[path])) {
+      changes[path] = {
+        from: a[path] === undefined ? null : a[path],
+        to: b[path] === undefined ? null : b[path],
+      };
+    }
+  });
+
+  return changes;
+};
+
+// Write one entry. Failures are logged, never thrown: the change itself has
+// already happened by the time it is recorded.
+export const recordAudit = async (req, { action, targetType, targetId, before = null, after = null }) => {
+  try {
+    const payload = req.payload || {};
+    // Whatever happens under an impersonation token was done by the staff member.
+    const impersonation = payload.imp;
+    await AuditLog.create({
+      actor: impersonation ? impersonation.by : payload.user_id,
+      actorRole: impersonation ? impersonation.role : roleFor(payload),
+      impersonation: impersonation ? impersonation.id : undefined,
+      action,
+      targetType,
+      targetId: targetId ? String(targetId) : null,
+      before: plain(before),
+      after: plain(after),
+      changes: diffSnapshots(before, after),
+      ip: clientIp(req),
+      userAgent: req.headers?.["user-agent"],
+    });
+  } catch (error) {
+    console.error(`Error recording audit entry for ${action}:`, error);
+  }
+};
+
+/**
+ * Record the wrapped route in the audit log once it responds successfully.
+ *
+ *   snapshot(req, body)  loads the state being changed. It runs before the
+ *                        handler (body undefined) and again after it, with the
+ *                        JSON the handler responded with.
+ *   targetId(req, body)  optional; defaults to nothing.
+ */
+const audit = ({ action, targetType, snapshot, targetId }) => {
+  return async (req, res, next) => {
+    let before = null;
+    try {
+      before = snapshot ? await snapshot(req) : null;
+    } catch (error) {
+      console.error(`Error loading audit snapshot for ${action}:`, error);
+    }
+
+    let body;
+    const json = res.json.bind(res);
+    res.json = (data) => {
+      body = data;
+      return json(data);
+    };
+
+    res.on("finish", async () => {
+      if (res.statusCode >= 400) return;
+
+      let after = null;
+      try {
+        after = snapshot ? await snapshot(req, body) : null;
+      } catch (error) {
+        console.error(`Error loading audit snapshot for ${action}:`, error);
+      }
+
+      await recordAudit(req, {
+        action,
+        targetType,
+        targetId: targetId ? targetId(req, body) : null,
+        before,
+        after,
+      });
+    });
+
+    next();
+  };
+};
+
+export default audit;
@@ -0,0 +1,112 @@
+const EventEmitter = require('events');
+const expect = require('expect');
+const mongoose = require('mongoose');
+
+const AuditLog = require('../models/auditLog').default;
+const audit = require('./audit').default;
+const { diffSnapshots } = require('./audit');
+
+describe('diffSnapshots', () => {
+  it('should report changed, added and removed fields by path', () => {
+    const changes = diffSnapshots(
+      { tokens: 10, subscription: 'basic', basic: { perMonth: { price: 5 } }, level: 'x' },
+      { tokens: 25, subscription: 'basic', basic: { perMonth: { price: 7 } }, status: 'active' }
+    );
+
+    expect(changes).toEqual({
+      tokens: { from: 10, to: 25 },
+      'basic.perMonth.price': { from: 5, to: 7 },
+      level: { from: 'x', to: null },
+      status: { from: null, to: 'active' },
+    });
+  });
+
+  it('should compare arrays and ids by value', () => {
+    const id = new mongoose.Types.ObjectId();
+    const changes = diffSnapshots(
+      { blockedUsers: [id], owner: id },
+      { blockedUsers: [id, 'abc'], owner: id.toString() }
+    );
+
+    expect(Object.keys(changes)).toEqual(['blockedUsers']);
+  });
+
+  it('should treat a missing snapshot as empty', () => {
+    expect(diffSnapshots(null, { value: 10 })).toEqual({ value: { from: null, to: 10 } });
+  });
+});
+
+describe('AuditLog', () => {
+  it('should refuse updates', async () => {
+    await AuditLog.updateOne({}, { action: 'changed' }).exec().then(
+      () => { throw new Error('expected the update to be rejected'); },
+      (err) => expect(err.message).toMatch(/cannot be modified/)
+    );
+  });
+
+  it('should refuse deletes', async () => {
+    await AuditLog.deleteMany({}).exec().then(
+      () => { throw new Error('expected the delete to be rejected'); },
+      (err) => expect(err.message).toMatch(/cannot be modified/)
+    );
+  });
+});
+
+describe('audit middleware', () => {
+  const originalCreate = AuditLog.create;
+  var entries;
+
+  beforeEach(() => {
+    entries = [];
+    AuditLog.create = async (entry) => { entries.push(entry); };
+  });
+
+  afterEach(() => {
+    AuditLog.create = originalCreate;
+  });
+
+  const fakeResponse = (statusCode) => {
+    const res = new EventEmitter();
+    res.statusCode = statusCode;
+    res.json = () => res;
+    return res;
+  };
+
+  const runRoute = async (statusCode, state) => {
+    const req = {
+      params: { userId: 'u1' },
+      ip: '203.0.113.9',
+      headers: { 'user-agent': 'test' },
+      payload: { user_id: '64b000000000000000000001', role: 'admin', level: 'super' },
+    };
+    const res = fakeResponse(statusCode);
+    const middleware = audit({
+      action: 'user.admin_update',
+      targetType: 'User',
+      targetId: (r) => r.params.userId,
+      snapshot: async () => ({ ...state }),
+    });
+
+    await new Promise((resolve) => middleware(req, res, resolve));
+    state.tokens = 99; // the handler's change
+    res.json({ success: true });
+    res.emit('finish');
+    await new Promise((resolve) => setImmediate(resolve));
+  };
+
+  it('should record actor, target, diff and IP after a successful change', async () => {
+    await runRoute(200, { tokens: 5 });
+
+    expect(entries.length).toBe(1);
+    expect(entries[0].action).toBe('user.admin_update');
+    expect(entries[0].actorRole).toBe('super');
+    expect(entries[0].targetId).toBe('u1');
+    expect(entries[0].ip).toBe('203.0.113.9');
+    expect(entries[0].changes).toEqual({ tokens: { from: 5, to: 99 } });
+  });
+
+  it('should not record failed requests', async () => {
+    await runRoute(403, { tokens: 5 });
+    expect(entries.length).toBe(0);
+  });
+});
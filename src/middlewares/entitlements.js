@@ -0,0 +1,50 @@
+import Boom from "@hapi/boom"; // Preferred
+import { actingUserId, isAdmin } from "./requireAuth";
+import { featureError, limitError, dailyUsage, loadAccount } from "../helpers/entitlements";
+
+/**
+ * Plan checks from helpers/entitlements. They go after `ownUser` /
+ * `requireAuth` and apply to the acting user; staff tokens are let through.
+ *
+ *   router.post("/chat", verifyAccessToken, ownUser("body.userId"), requireFeature("liftAi"), chat);
+ */
+const withAccount = (label, check) => async (req, res, next) => {
+  if (!req.payload?.user_id) {
+    return next(Boom.unauthorized("Authentication required."));
+  }
+  if (isAdmin(req.payload)) {
+    return next();
+  }
+
+  try {
+    const user = req.account || (await loadAccount(actingUserId(req)));
+    if (!user) {
+      return next(Boom.notFound("User not found."));
+    }
+    req.account = user;
+    next((await check(user, req)) || undefined);
+  } catch (error) {
+    console.error(`Error checking ${label} on the user's plan:`, error);
+    next(Boom.internal("Error checking your plan."));
+  }
+};
+
+// The plan must include `feature`.
+export const requireFeature = (feature) => withAccount(feature, (user) => featureError(user, feature));
+
+// One more of `limit` must fit: a daily allowance ("aiTokensPerDay",
+// "dmsPerDay") or the number of tribes joined. Callers record daily usage.
+export const requireQuota = (limit) =>
+  withAccount(limit, async (user) => {
+    const used = limit === "tribes" ? (user.joined_tribes || []).length : await dailyUsage(user._id, limit);
+    return limitError(user, limit, used);
+  });
+
+// Every uploaded file (multer's req.file / req.files) must fit the plan.
+export const limitUploadSize = withAccount("uploadBytes", (user, req) => {
+  const files = [].concat(req.file || [], ...Object.values(req.files || {}));
+  const largest = Math.max(0, ...files.map((file) => file.size || 0));
+  return largest ? limitError(user, "uploadBytes", 0, largest) : null;
+});
+
+export default requireFeature;
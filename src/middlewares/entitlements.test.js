@@ -0,0 +1,167 @@
+const expect = require('expect');
+
+const User = require('../models/user').default;
+const redis = require('../clients/redis').default;
+const { requireFeature, requireQuota, limitUploadSize } = require('./entitlements');
+const { planOf, hasFeature, limitFor, limitError, consumeDailyQuota, reserveDailyQuota, settleDailyQuota } = require('../helpers/entitlements');
+
+const ALICE = '64b000000000000000000001';
+const MB = 1024 * 1024;
+
+// Runs a middleware and resolves with whatever it passed to next().
+const run = (middleware, req) =>
+  new Promise((resolve) => middleware(req, {}, (err) => resolve(err)));
+
+describe('entitlements', () => {
+  it('should put members without a paid plan on "none"', () => {
+    expect(planOf({ subscription: 'none' })).toBe('none');
+    expect(planOf({})).toBe('none');
+    expect(planOf({ subscription: 'premium' })).toBe('premium');
+  });
+
+  it('should treat a trialing subscription as a trial', () => {
+    expect(planOf({ subscription: 'premium', trail_status: 'trialing' })).toBe('trial');
+    expect(limitFor({ subscription: 'premium', trail_status: 'trialing' }, 'tribes')).toBe(3);
+  });
+
+  it('should keep Lift AI and tribe participation for paid plans and trials', () => {
+    expect(hasFeature({ subscription: 'none' }, 'liftAi')).toBe(false);
+    expect(hasFeature({ subscription: 'none' }, 'joinTribes')).toBe(false);
+    expect(hasFeature({ subscription: 'trial' }, 'tribeChat')).toBe(true);
+    expect(hasFeature({ subscription: 'basic' }, 'liftAi')).toBe(true);
+  });
+
+  it('should not limit staff', () => {
+    expect(hasFeature({ subscription: 'none', role: 'admin' }, 'liftAi')).toBe(true);
+    expect(limitFor({ subscription: 'none', role: 'admin' }, 'dmsPerDay')).toBe(null);
+  });
+
+  it('should answer each kind of limit with its own status', () => {
+    const basic = { subscription: 'basic' };
+    expect(limitError(basic, 'dmsPerDay', 499)).toBe(null);
+    expect(limitError(basic, 'dmsPerDay', 500).output.statusCode).toBe(429);
+    expect(limitError(basic, 'uploadBytes', 0, 11 * MB).output.statusCode).toBe(413);
+
+    const err = limitError(basic, 'tribes', 10);
+    expect(err.output.statusCode).toBe(402);
+    expect(err.output.payload).toInclude({ limit: 'tribes', allowed: 10, used: 10, plan: 'basic', upgradeTo: 'premium' });
+    expect(limitError({ subscription: 'premium' }, 'tribes', 500)).toBe(null);
+  });
+
+  describe('consumeDailyQuota', () => {
+    const originalIncrby = redis.incrby;
+    const originalExpire = redis.expire;
+    var counter;
+
+    beforeEach(() => {
+      counter = 0;
+      redis.incrby = async (key, amount) => (counter += amount);
+      redis.expire = async () => 1;
+    });
+
+    afterEach(() => {
+      redis.incrby = originalIncrby;
+      redis.expire = originalExpire;
+    });
+
+    it('should count messages until the allowance runs out, then give the unit back', async () => {
+      const user = { _id: ALICE, subscription: 'none' };
+      counter = 19;
+
+      expect(await consumeDailyQuota(user, 'dmsPerDay')).toBe(null);
+      expect(counter).toBe(20);
+
+      const err = await consumeDailyQuota(user, 'dmsPerDay');
+      expect(err.output.statusCode).toBe(429);
+      expect(counter).toBe(20);
+    });
+
+    it('should reserve the expected cost up front and settle to the actual usage', async () => {
+      const user = { _id: ALICE, subscription: 'basic' };
+      counter = 8000;
+
+      expect((await reserveDailyQuota(user, 'aiTokensPerDay', 3000)).error.output.statusCode).toBe(429);
+      expect(counter).toBe(8000);
+
+      const { reserved, error } = await reserveDailyQuota(user, 'aiTokensPerDay', 1500);
+      expect(error).toBe(null);
+      expect(counter).toBe(9500);
+
+      await settleDailyQuota(ALICE, 'aiTokensPerDay', reserved, 400);
+      expect(counter).toBe(8400);
+    });
+
+    it('should hold nothing back for unlimited accounts', async () => {
+      const { reserved } = await reserveDailyQuota({ _id: ALICE, role: 'admin' }, 'aiTokensPerDay', 1500);
+      expect(reserved).toBe(0);
+      expect(counter).toBe(0);
+
+      await settleDailyQuota(ALICE, 'aiTokensPerDay', reserved, 400);
+      expect(counter).toBe(400);
+    });
+  });
+});
+
+describe('entitlement middleware', () => {
+  const originalFindById = User.findById;
+  const originalGet = redis.get;
+  var account;
+  var usedToday;
+
+  beforeEach(() => {
+    usedToday = null;
+    User.findById = () => ({ select: () => ({ lean: async () => account }) });
+    redis.get = async () => usedToday;
+  });
+
+  afterEach(() => {
+    User.findById = originalFindById;
+    redis.get = originalGet;
+  });
+
+  const asUser = (extra = {}) => Object.assign({ payload: { user_id: ALICE, role: 'user' }, actingUserId: ALICE }, extra);
+
+  it('should ask members without a plan to upgrade', async () => {
+    account = { _id: ALICE, subscription: 'none', role: 'user' };
+    const err = await run(requireFeature('liftAi'), asUser());
+
+    expect(err.output.statusCode).toBe(402);
+    expect(err.output.payload).toInclude({ feature: 'liftAi', plan: 'none', upgradeTo: 'basic' });
+  });
+
+  it('should let paying members through', async () => {
+    account = { _id: ALICE, subscription: 'basic', role: 'user' };
+    expect(await run(requireFeature('joinTribes'), asUser())).toBe(undefined);
+  });
+
+  it('should reject guests and let admin tokens through', async () => {
+    expect((await run(requireFeature('liftAi'), {})).output.statusCode).toBe(401);
+    expect(await run(requireFeature('liftAi'), { payload: { user_id: ALICE, role: 'admin' } })).toBe(undefined);
+  });
+
+  it('should stop joining tribes once the plan limit is reached', async () => {
+    account = { _id: ALICE, subscription: 'trial', role: 'user', joined_tribes: ['a', 'b'] };
+    expect(await run(requireQuota('tribes'), asUser())).toBe(undefined);
+
+    account = { _id: ALICE, subscription: 'trial', role: 'user', joined_tribes: ['a', 'b', 'c'] };
+    expect((await run(requireQuota('tribes'), asUser())).output.statusCode).toBe(402);
+  });
+
+  it('should stop the daily allowance once today\'s usage reaches it', async () => {
+    account = { _id: ALICE, subscription: 'basic', role: 'user' };
+    usedToday = '10000';
+    const err = await run(requireQuota('aiTokensPerDay'), asUser());
+
+    expect(err.output.statusCode).toBe(429);
+    expect(err.output.payload).toInclude({ used: 10000, upgradeTo: 'premium' });
+  });
+
+  it('should refuse files larger than the plan allows', async () => {
+    account = { _id: ALICE, subscription: 'none', role: 'user' };
+
+    expect(await run(limitUploadSize, asUser({ file: { size: MB } }))).toBe(undefined);
+    expect(await run(limitUploadSize, asUser())).toBe(undefined);
+    const err = await run(limitUploadSize, asUser({ files: { image: [{ size: 3 * MB }] } }));
+    expect(err.output.statusCode).toBe(413);
+  });
+});
@@ -1,19 +1,20 @@
-import { roles } from '../roles';
+import { roles, roleFor } from '../roles';
 import Boom from "@hapi/boom"; // Preferred
 
 const grantAccess = (action, resource) => {
   return async (req, res, next) => {
-    if (!req.payload || !req.payload.role) {
-      return res.status(403).json({ message: 'Access denied: no role found' });
-    }
-    const permission = roles.can(req.payload.role)[action](resource);
+    const role = roleFor(req.payload);
+    const permission = roles.can(role)[action](resource);
 
     if (!permission.granted) {
-      //return next(Boom.unauthorized("You don't have permission."));
+      if (role === 'guest') {
+        return next(Boom.unauthorized("Authentication required."));
+      }
+      return next(Boom.forbidden("You don't have permission."));
     }
 
     next();
   };
 };
 
-export default grantAccess;
\ No newline at end of file
+export default grantAccess;
@@ -0,0 +1,82 @@
+const expect = require('expect');
+
+const grantAccess = require('./grantAccess').default;
+const { roleFor, permissionsFor } = require('../roles');
+
+const ID = '64b000000000000000000001';
+const admin = (level) => ({ user_id: ID, role: 'admin', level });
+const member = { user_id: ID, role: 'user', level: 'moderator' };
+
+// Resolves with whatever grantAccess passed to next().
+const check = (payload, action, resource) =>
+  new Promise((resolve) => grantAccess(action, resource)({ payload }, {}, resolve));
+
+describe('roleFor', () => {
+  it('should treat a missing payload as a guest', () => {
+    expect(roleFor(undefined)).toBe('guest');
+  });
+
+  it('should ignore the level on member tokens', () => {
+    expect(roleFor(member)).toBe('user');
+  });
+
+  it('should use the admin level', () => {
+    expect(roleFor(admin('finance'))).toBe('finance');
+    expect(roleFor(admin('super'))).toBe('super');
+  });
+
+  it('should give admins with an unknown level plain user rights', () => {
+    expect(roleFor(admin('owner'))).toBe('user');
+    expect(roleFor(admin(undefined))).toBe('user');
+    expect(roleFor(admin('guest'))).toBe('user');
+  });
+});
+
+describe('grantAccess', () => {
+  it('should deny members admin actions', async () => {
+    const err = await check(member, 'updateAny', 'price');
+    expect(err.output.statusCode).toBe(403);
+  });
+
+  it('should ask guests to log in rather than forbid them', async () => {
+    const err = await check(undefined, 'createAny', 'mytribe');
+    expect(err.output.statusCode).toBe(401);
+  });
+
+  it('should let guests read public resources', async () => {
+    expect(await check(undefined, 'readAny', 'price')).toBe(undefined);
+  });
+
+  it('should keep each admin level to its own area', async () => {
+    expect(await check(admin('finance'), 'updateAny', 'price')).toBe(undefined);
+    expect((await check(admin('finance'), 'updateAny', 'prompt')).output.statusCode).toBe(403);
+    expect(await check(admin('ai'), 'updateAny', 'prompt')).toBe(undefined);
+    expect((await check(admin('ai'), 'createAny', 'discount')).output.statusCode).toBe(403);
+    expect(await check(admin('community'), 'deleteAny', 'mytribe')).toBe(undefined);
+    expect((await check(admin('community'), 'updateAny', 'price')).output.statusCode).toBe(403);
+  });
+
+  it('should reserve admin management for super admins', async () => {
+    expect((await check(admin('community'), 'createAny', 'admin')).output.statusCode).toBe(403);
+    expect(await check(admin('super'), 'createAny', 'admin')).toBe(undefined);
+  });
+});
+
+describe('permissionsFor', () => {
+  it('should list only granted actions', () => {
+    const permissions = permissionsFor('finance');
+
+    expect(permissions.price).toInclude('updateAny');
+    expect(permissions.discount).toInclude('createAny');
+    expect(permissions.prompt).toBe(undefined);
+    expect(permissions.admin).toBe(undefined);
+  });
+
+  it('should include inherited grants', () => {
+    const permissions = permissionsFor('super');
+
+    expect(permissions.prompt).toInclude('updateAny');
+    expect(permissions.mytribe).toInclude('deleteAny');
+    expect(permissions.notification).toInclude('readOwn');
+  });
+});
@@ -0,0 +1,95 @@
+import Boom from "@hapi/boom"; // Preferred
+import { roles, roleFor } from "../roles";
+
+// `verifyAccessToken` lets guests through so public pages keep working. Routes
+// that act on an account put these after it.
+
+export const isAdmin = (payload) => payload?.role === "admin";
+
+/**
+ * Whether the caller's RBAC role (see roles.js) may `action` ("readAny",
+ * "updateAny") other members' accounts. Being staff isn't enough on its
+ * own: a finance admin can't act as a member just because they are an admin.
+ */
+export const canActForAnyUser = (payload, action = "updateAny") =>
+  !!payload?.user_id && roles.can(roleFor(payload))[action]("user").granted;
+
+// The user a request acts on: the one validated by `ownUser`, else the caller.
+export const actingUserId = (req) => req.actingUserId || req.payload?.user_id;
+
+// "body.userId" -> ["body", "userId"]
+const field = (spec) => {
+  const [source, key] = spec.split(".");
+  return { source, key };
+};
+
+const sameId = (a, b) => String(a) === String(b);
+
+const requireAuth = (req, res, next) => {
+  if (!req.payload?.user_id) {
+    return next(Boom.unauthorized("Authentication required."));
+  }
+  next();
+};
+
+/**
+ * Every listed field must name the caller. Missing body/query fields are
+ * filled in with the caller's id so handlers can keep reading them.
+ * Staff who may update any user (canActForAnyUser) may name anyone.
+ *
+ *   router.post("/join-tribe", verifyAccessToken, ownUser("body.userId"), joinTribe);
+ */
+export const ownUser = (...specs) => (req, res, next) => {
+  if (!req.payload?.user_id) {
+    return next(Boom.unauthorized("Authentication required."));
+  }
+
+  const caller = String(req.payload.user_id);
+  let acting = null;
+
+  for (const spec of specs) {
+    const { source, key } = field(spec);
+    const container = req[source] || {};
+    const value = container[key];
+
+    if (value === undefined || value === null || value === "") {
+      if (source !== "params") container[key] = caller;
+      continue;
+    }
+    if (!sameId(value, caller) && !canActForAnyUser(req.payload)) {
+      return next(Boom.forbidden("You can only perform this action for your own account."));
+    }
+    acting = acting || String(value);
+  }
+
+  req.actingUserId = acting || caller;
+  next();
+};
+
+/**
+ * The caller must be one of the users named by the listed fields, e.g. one
+ * side of a one-to-one chat. Staff who may update any user are exempt.
+ */
+export const participant = (...specs) => (req, res, next) => {
+  if (!req.payload?.user_id) {
+    return next(Boom.unauthorized("Authentication required."));
+  }
+  if (canActForAnyUser(req.payload)) {
+    return next();
+  }
+
+  const caller = req.payload.user_id;
+  const named = specs.some((spec) => {
+    const { source, key } = field(spec);
+    const value = (req[source] || {})[key];
+    return value !== undefined && value !== null && sameId(value, caller);
+  });
+
+  if (!named) {
+    return next(Boom.forbidden("You can only perform this action for your own account."));
+  }
+  req.actingUserId = String(caller);
+  next();
+};
+
+export default requireAuth;
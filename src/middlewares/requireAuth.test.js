@@ -0,0 +1,216 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-access-secret';
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_fixture';
+process.env.GCS_BUCKET_NAME = process.env.GCS_BUCKET_NAME || 'test-bucket';
+process.env.FIREBASE_STORAGE_BUCKET = process.env.FIREBASE_STORAGE_BUCKET || 'test-bucket';
+
+const http = require('http');
+const expect = require('expect');
+const express = require('express');
+const JWT = require('jsonwebtoken');
+const Boom = require('@hapi/boom');
+
+const Mytribe = require('../models/mytribes');
+const Message = require('../models/Message');
+const requireAuth = require('./requireAuth').default;
+const { ownUser, participant, actingUserId } = require('./requireAuth');
+
+const ALICE = '64b000000000000000000001';
+const MALLORY = '64b000000000000000000002';
+const TRIBE = '64b0000000000000000000aa';
+
+// Runs a middleware and resolves with whatever it passed to next().
+const run = (middleware, req) =>
+  new Promise((resolve) => middleware(req, {}, (err) => resolve(err)));
+
+const asUser = (id, extra = {}) => ({ body: {}, query: {}, params: {}, payload: { user_id: id, role: 'user' }, ...extra });
+
+describe('requireAuth', () => {
+  it('should reject guests', async () => {
+    const err = await run(requireAuth, { body: {}, query: {} });
+    expect(err.output.statusCode).toBe(401);
+  });
+
+  it('should let a signed-in user through', async () => {
+    const err = await run(requireAuth, asUser(ALICE));
+    expect(err).toBe(undefined);
+  });
+});
+
+describe('ownUser', () => {
+  it('should reject a body user id that belongs to someone else', async () => {
+    const req = asUser(MALLORY, { body: { userId: ALICE } });
+    const err = await run(ownUser('body.userId'), req);
+
+    expect(err.output.statusCode).toBe(403);
+    expect(req.actingUserId).toBe(undefined);
+  });
+
+  it('should reject a query user id that belongs to someone else', async () => {
+    const err = await run(ownUser('query.userId'), asUser(MALLORY, { query: { userId: ALICE } }));
+    expect(err.output.statusCode).toBe(403);
+  });
+
+  it('should reject a route param that belongs to someone else', async () => {
+    const err = await run(ownUser('params.userId'), asUser(MALLORY, { params: { userId: ALICE } }));
+    expect(err.output.statusCode).toBe(403);
+  });
+
+  it('should reject guests even when a user id is supplied', async () => {
+    const err = await run(ownUser('body.userId'), { body: { userId: ALICE }, query: {} });
+    expect(err.output.statusCode).toBe(401);
+  });
+
+  it('should accept the caller\'s own id', async () => {
+    const req = asUser(ALICE, { body: { userId: ALICE } });
+    const err = await run(ownUser('body.userId'), req);
+
+    expect(err).toBe(undefined);
+    expect(actingUserId(req)).toBe(ALICE);
+  });
+
+  it('should fill in a missing id with the caller', async () => {
+    const req = asUser(ALICE);
+    await run(ownUser('body.userId', 'query.userId'), req);
+
+    expect(req.body.userId).toBe(ALICE);
+    expect(req.query.userId).toBe(ALICE);
+  });
+
+  it('should check every listed field', async () => {
+    const req = asUser(MALLORY, { body: { userId: MALLORY, currentUserId: ALICE } });
+    const err = await run(ownUser('body.userId', 'body.currentUserId'), req);
+    expect(err.output.statusCode).toBe(403);
+  });
+
+  it('should let staff who may update any user act for another user', async () => {
+    const req = { body: { userId: ALICE }, query: {}, payload: { user_id: MALLORY, role: 'admin', level: 'super' } };
+    const err = await run(ownUser('body.userId'), req);
+
+    expect(err).toBe(undefined);
+    expect(actingUserId(req)).toBe(ALICE);
+  });
+
+  it('should not let other admin levels act for another user', async () => {
+    for (const level of ['finance', 'moderator', 'support', undefined]) {
+      const req = { body: { userId: ALICE }, query: {}, payload: { user_id: MALLORY, role: 'admin', level } };
+      expect((await run(ownUser('body.userId'), req)).output.statusCode).toBe(403);
+    }
+  });
+});
+
+describe('participant', () => {
+  it('should reject a chat between two other users', async () => {
+    const req = asUser(MALLORY, { body: { userId1: ALICE, userId2: '64b000000000000000000003' } });
+    const err = await run(participant('body.userId1', 'body.userId2'), req);
+    expect(err.output.statusCode).toBe(403);
+  });
+
+  it('should accept the caller on either side', async () => {
+    const req = asUser(ALICE, { body: { userId1: MALLORY, userId2: ALICE } });
+    const err = await run(participant('body.userId1', 'body.userId2'), req);
+    expect(err).toBe(undefined);
+  });
+
+  it('should only exempt staff whose role covers other members', async () => {
+    const body = { userId1: ALICE, userId2: '64b000000000000000000003' };
+    const finance = { body, payload: { user_id: MALLORY, role: 'admin', level: 'finance' } };
+    const superAdmin = { body, payload: { user_id: MALLORY, role: 'admin', level: 'super' } };
+
+    expect((await run(participant('body.userId1', 'body.userId2'), finance)).output.statusCode).toBe(403);
+    expect(await run(participant('body.userId1', 'body.userId2'), superAdmin)).toBe(undefined);
+  });
+});
+
+describe('user-scoped routes', () => {
+  var server;
+  var port;
+
+  const request = (method, path, { token, body } = {}) =>
+    new Promise((resolve, reject) => {
+      const data = body ? JSON.stringify(body) : null;
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) headers.Authorization = `Bearer ${token}`;
+      const req = http.request({ host: '127.0.0.1', port, method, path, headers }, (res) => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      });
+      req.on('error', reject);
+      if (data) req.write(data);
+      req.end();
+    });
+
+  const mallory = JWT.sign({ user_id: MALLORY, role: 'user' }, process.env.JWT_SECRET);
+  const original = { tribeFindById: Mytribe.findById, messageFindById: Message.findById };
+
+  before((done) => {
+    // Alice's tribe and message; Mallory is in neither.
+    Mytribe.findById = () => ({ select: () => ({ lean: async () => ({ _id: TRIBE, members: [ALICE], admins: [ALICE] }) }) });
+    Message.findById = async () => ({ _id: 'm1', sender: ALICE, sentAt: new Date() });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/my-tribes', require('../routes/mytribes').default);
+    app.use('/lift-ai', require('../routes/lift-ai').default);
+    app.use('/notifications', require('../routes/notifications').default);
+    app.use('/payment', require('../routes/payment').default);
+    app.use('/auth', require('../routes/auth').default);
+    app.use('/messages', require('../routes/message').default);
+    app.use((err, req, res, next) => {
+      const boom = err.isBoom ? err : Boom.internal();
+      res.status(boom.output.statusCode).json(boom.output.payload);
+    });
+    server = app.listen(0, '127.0.0.1', () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  after((done) => {
+    Mytribe.findById = original.tribeFindById;
+    Message.findById = original.messageFindById;
+    server.close(done);
+  });
+
+  [
+    ['POST', '/my-tribes/join-tribe', { userId: ALICE, tribeId: '64b0000000000000000000aa' }],
+    ['POST', '/my-tribes/leave-tribe', { userId: ALICE, tribeId: '64b0000000000000000000aa' }],
+    ['POST', '/my-tribes/64b0000000000000000000aa/rate', { userId: ALICE, rating: 1 }],
+    ['POST', '/lift-ai/chat', { userId: ALICE, message: 'hi' }],
+    ['GET', `/lift-ai/tokens/${ALICE}`],
+    ['POST', '/lift-ai/reset-session', { userId: ALICE }],
+    ['GET', `/notifications/get-user-notifications?userId=${ALICE}`],
+    ['POST', `/notifications/remove-all?userId=${ALICE}`],
+    ['POST', '/payment/create-payment-intent', { userId: ALICE, amount: 1 }],
+    ['POST', '/payment/user-cancel', { userId: ALICE }],
+    ['GET', `/payment/user-payments?userId=${ALICE}`],
+    ['POST', '/auth/send-request', { currentUserId: ALICE, targetUserId: MALLORY }],
+    ['GET', `/auth/friend-requests?userId=${ALICE}`],
+    ['POST', '/auth/forward', { userId1: ALICE, userId2: MALLORY, messageContent: 'hi' }],
+    ['POST', '/my-tribes/remove-member', { tribeId: TRIBE, memberId: ALICE }],
+    ['GET', `/my-tribes/tribe-members/${TRIBE}`],
+    ['GET', `/my-tribes/tribe-lobby/${TRIBE}`],
+    ['DELETE', '/messages/m1/delete-for-everyone'],
+  ].forEach(([method, path, body]) => {
+    it(`should not let one user act as another on ${method} ${path.split('?')[0]}`, async () => {
+      expect(await request(method, path, { token: mallory, body })).toBe(403);
+    });
+
+    it(`should require a token on ${method} ${path.split('?')[0]}`, async () => {
+      expect(await request(method, path, { body })).toBe(401);
+    });
+  });
+
+  it('should give tribe blocks their own audited routes instead of shadowing member blocks', () => {
+    const auth = require('../controllers/auth');
+    const { auditTribeBlock } = require('../controllers/audit/trails');
+    const handlers = (path) =>
+      require('../routes/auth').default.stack
+        .filter((layer) => layer.route && layer.route.path === path && layer.route.methods.put)
+        .map((layer) => layer.route.stack.map((entry) => entry.handle));
+
+    expect(handlers('/block-user').map((stack) => stack.pop())).toEqual([auth.blockUser]);
+    expect(handlers('/unblock-user').map((stack) => stack.pop())).toEqual([auth.unblockUser]);
+    expect(handlers('/tribes/block-user')[0].slice(-2)).toEqual([auditTribeBlock, auth.blockUserFromTribe]);
+    expect(handlers('/tribes/unblock-user')[0].pop()).toBe(auth.unblockUserFromTribe);
+  });
+});
@@ -0,0 +1,49 @@
+import Boom from "@hapi/boom"; // Preferred
+import mongoose from "mongoose";
+import Mytribe from "../models/mytribes";
+import { roles, roleFor } from "../roles";
+
+const sameId = (a, b) => String(a?._id ?? a) === String(b);
+
+/**
+ * The caller must belong to the tribe named by `spec` (e.g. "params.tribeId"),
+ * or with `admin: true` be one of its admins. Staff whose role grants
+ * `staff` ([action, resource], see roles.js) are let through.
+ *
+ *   router.post("/remove-member", verifyAccessToken, tribeMember("body.tribeId", { admin: true }), removeMember);
+ */
+export const tribeMember = (spec, { admin = false, staff = ["updateAny", "mytribe"] } = {}) => async (req, res, next) => {
+  if (!req.payload?.user_id) {
+    return next(Boom.unauthorized("Authentication required."));
+  }
+  const [action, resource] = staff;
+  if (roles.can(roleFor(req.payload))[action](resource).granted) {
+    return next();
+  }
+
+  const [source, key] = spec.split(".");
+  const tribeId = (req[source] || {})[key];
+  if (!mongoose.Types.ObjectId.isValid(tribeId)) {
+    return next(Boom.badRequest("A valid tribe ID is required."));
+  }
+
+  try {
+    const tribe = await Mytribe.findById(tribeId).select("members admins").lean();
+    if (!tribe) {
+      return next(Boom.notFound("Tribe not found."));
+    }
+
+    const caller = req.payload.user_id;
+    const isTribeAdmin = (tribe.admins || []).some((id) => sameId(id, caller));
+    const isMember = isTribeAdmin || (tribe.members || []).some((id) => sameId(id, caller));
+    if (admin ? !isTribeAdmin : !isMember) {
+      return next(Boom.forbidden(admin ? "Only this tribe's admins can do that." : "Only members of this tribe can do that."));
+    }
+    next();
+  } catch (error) {
+    console.error("Error checking tribe membership:", error);
+    next(Boom.internal("Error checking tribe membership."));
+  }
+};
+
+export default tribeMember;
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Single-use tokens sent by email: address verification, password reset,
+// email change and unlocking after a lockout. Only a hash of the token is
+// stored.
+const AccountTokenSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    refPath: "subjectModel",
+    required: true,
+    index: true,
+  },
+  subjectModel: {
+    type: String,
+    enum: ["User", "Admin"],
+    default: "User",
+  },
+  purpose: {
+    type: String,
+    enum: ["verify_email", "password_reset", "email_change", "unlock_account", "magic_login"],
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // The address the token was sent to (the new one for an email change).
+  email: {
+    type: String,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+AccountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AccountToken = mongoose.model("AccountToken", AccountTokenSchema);
+export default AccountToken;
@@ -4,6 +4,7 @@ const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
 
 const Schema = mongoose.Schema;
+const TwoFactorSchema = require("./twoFactor").default;
 
 const AdminSchema = new Schema({
   password: {
@@ -32,6 +33,23 @@ const AdminSchema = new Schema({
     default: "community",
     enum: ["community", "super","finance","ai"],
   },
+  twoFactor: {
+    type: TwoFactorSchema,
+    default: () => ({}),
+  },
+  passwordChangedAt: {
+    type: Date,
+  },
+  // Set when someone else chose the password; cleared once the admin picks their own.
+  mustChangePassword: {
+    type: Boolean,
+    default: false,
+  },
+  // The invitation this admin signed up through, if any.
+  invitation: {
+    type: Schema.Types.ObjectId,
+    ref: "AdminInvitation",
+  },
 });
 
 AdminSchema.pre("save", async function (next) {
@@ -40,6 +58,7 @@ AdminSchema.pre("save", async function (next) {
     if (this.isModified("password")) {
       const salt = await bcrypt.genSalt(10);
       this.password = await bcrypt.hash(this.password, salt);
+      this.passwordChangedAt = new Date();
     }
     next();
   } catch (error) {
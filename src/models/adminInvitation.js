@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// An emailed invitation to become an admin. Only the hash of the link's
+// token is stored; the invitee picks their own username and password.
+const AdminInvitationSchema = new Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    index: true,
+  },
+  level: {
+    type: String,
+    enum: ["community", "super", "finance", "ai"],
+    required: true,
+  },
+  invitedBy: {
+    type: Schema.Types.ObjectId,
+    ref: "Admin",
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  acceptedAt: {
+    type: Date,
+    default: null,
+  },
+  // The admin account created from it.
+  admin: {
+    type: Schema.Types.ObjectId,
+    ref: "Admin",
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedBy: {
+    type: Schema.Types.ObjectId,
+    ref: "Admin",
+  },
+}, { timestamps: true });
+
+// pending, accepted, revoked or expired.
+AdminInvitationSchema.virtual("status").get(function () {
+  if (this.acceptedAt) return "accepted";
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt <= new Date()) return "expired";
+  return "pending";
+});
+
+AdminInvitationSchema.set("toJSON", {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const AdminInvitation = mongoose.model("AdminInvitation", AdminInvitationSchema);
+export default AdminInvitation;
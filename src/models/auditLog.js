@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One privileged change made through the API. Entries are append-only: the
+// hooks below refuse any update or delete issued through Mongoose.
+const AuditLogSchema = new Schema({
+  actor: {
+    type: Schema.Types.ObjectId,
+    index: true,
+  },
+  actorRole: {
+    type: String,
+  },
+  action: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  targetType: {
+    type: String,
+    index: true,
+  },
+  targetId: {
+    type: String,
+    index: true,
+  },
+  before: {
+    type: Schema.Types.Mixed,
+    default: null,
+  },
+  after: {
+    type: Schema.Types.Mixed,
+    default: null,
+  },
+  // { "path.to.field": { from, to } } for every field that differs.
+  changes: {
+    type: Schema.Types.Mixed,
+    default: {},
+  },
+  // Set when the request was made with an impersonation token; `actor` is
+  // then the staff member, not the member being viewed.
+  impersonation: {
+    type: Schema.Types.ObjectId,
+    index: { sparse: true },
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+
+const rejectChange = function (next) {
+  next(new Error("Audit log entries cannot be modified or deleted."));
+};
+
+AuditLogSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "findOneAndReplace", "replaceOne"],
+  { document: true, query: true },
+  rejectChange
+);
+AuditLogSchema.pre(
+  ["deleteOne", "deleteMany", "findOneAndDelete"],
+  { document: true, query: true },
+  rejectChange
+);
+AuditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+const AuditLog = mongoose.model("AuditLog", AuditLogSchema);
+export default AuditLog;
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
+const { searchable } = require("../helpers/search-grams");
 
 const CourseSchema = new Schema({
   // Mongoose automatically adds an _id field.
@@ -85,5 +86,8 @@ const CourseSchema = new Schema({
 
 }, { timestamps: true });
 
+// Matched by /search.
+CourseSchema.plugin(searchable, { fields: ["title", "courseCategory", "Author", "shortdescription"] });
+
 const Course = mongoose.model("Course", CourseSchema);
 export default Course;
\ No newline at end of file
@@ -33,6 +33,11 @@ const DiscountSchema = new Schema({
     type: String,
   }],
   usesCount: { type: Number, default: 0 }, // Add this field
+  // Only this member may redeem the code (e.g. referral rewards).
+  owner: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
 }, { timestamps: true });
 
 const Discount = mongoose.model("discount", DiscountSchema);
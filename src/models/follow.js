@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One member following another. Unlike tribers (User.mytribers) this needs
+// no approval and only goes one way. Counts are kept on User.
+const FollowSchema = new Schema({
+  follower: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  followee: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+}, { timestamps: true });
+
+FollowSchema.index({ follower: 1, followee: 1 }, { unique: true });
+FollowSchema.index({ followee: 1, createdAt: -1 });
+FollowSchema.index({ follower: 1, createdAt: -1 });
+
+const Follow = mongoose.model("Follow", FollowSchema);
+export default Follow;
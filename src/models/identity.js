@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A social login (OpenID Connect provider account) linked to a User.
+// `subject` is the provider's stable id for the person, never their email.
+const IdentitySchema = new Schema({
+  provider: {
+    type: String,
+    enum: ["google", "linkedin"],
+    required: true,
+  },
+  subject: {
+    type: String,
+    required: true,
+  },
+  email: {
+    type: String,
+    lowercase: true,
+  },
+  linkedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+export default IdentitySchema;
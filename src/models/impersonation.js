@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A staff member viewing the app as a member. Support-level members are Users
+// and super admins may be either, so the actor keeps its model alongside.
+const ImpersonationSchema = new Schema({
+  actor: {
+    type: Schema.Types.ObjectId,
+    refPath: "actorModel",
+    required: true,
+    index: true,
+  },
+  actorModel: {
+    type: String,
+    enum: ["User", "Admin"],
+    required: true,
+  },
+  // Policy role of the actor when the token was issued (support or super).
+  actorRole: {
+    type: String,
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  // "read" tokens may only make GET requests.
+  scope: {
+    type: String,
+    enum: ["read", "write"],
+    default: "read",
+  },
+  // Ticket number or short note; shown in the audit log, not to the member.
+  reason: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  endedAt: {
+    type: Date,
+    default: null,
+  },
+  endedBy: {
+    type: Schema.Types.ObjectId,
+  },
+}, { timestamps: true });
+
+ImpersonationSchema.virtual("active").get(function () {
+  return !this.endedAt && this.expiresAt > new Date();
+});
+
+ImpersonationSchema.set("toJSON", { virtuals: true });
+
+const Impersonation = mongoose.model("Impersonation", ImpersonationSchema);
+export default Impersonation;
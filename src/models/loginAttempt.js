@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One password login attempt, successful or not. `subject` is missing when
+// the email or username didn't match an account.
+const LoginAttemptSchema = new Schema({
+  subject: {
+    type: Schema.Types.ObjectId,
+    refPath: "subjectModel",
+    index: true,
+  },
+  subjectModel: {
+    type: String,
+    enum: ["User", "Admin"],
+    default: "User",
+  },
+  identifier: {
+    type: String,
+  },
+  success: {
+    type: Boolean,
+    required: true,
+  },
+  // bad_password, unknown_account, throttled, locked
+  reason: {
+    type: String,
+  },
+  ip: {
+    type: String,
+    index: true,
+  },
+  userAgent: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Keep 90 days of history.
+LoginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const LoginAttempt = mongoose.model("LoginAttempt", LoginAttemptSchema);
+export default LoginAttempt;
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
+const { searchable } = require("../helpers/search-grams");
 
 const MytriberSchema = new Schema({
   title: {
@@ -86,5 +87,8 @@ const MytriberSchema = new Schema({
   },
 }, { timestamps: true });
 
+// Matched by /search.
+MytriberSchema.plugin(searchable, { fields: ["title", "tribeCategory", "shortDescription"] });
+
 const Mytriber = mongoose.model("Mytribe", MytriberSchema);
 module.exports = Mytriber;
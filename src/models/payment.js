@@ -42,6 +42,9 @@ const PaymentSchema = new Schema({
   stripeSubscriptionId:{
     type: String,
   },
+  stripeInvoiceId:{
+    type: String,
+  },
   status: {
     type: String,
     required: true,
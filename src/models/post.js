@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A member's update for the activity feed. `scope` decides who can see it:
+// everyone, the author's tribers, or the members of one tribe.
+const PostSchema = new Schema({
+  author: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: 5000,
+    default: "",
+  },
+  // Public GCS URLs (middlewares/firebase-upload).
+  images: {
+    type: [String],
+    default: [],
+  },
+  links: {
+    type: [String],
+    default: [],
+  },
+  scope: {
+    type: String,
+    enum: ["public", "tribers", "tribe"],
+    default: "public",
+  },
+  // Only set for scope "tribe".
+  tribe: {
+    type: Schema.Types.ObjectId,
+    ref: "Mytribe",
+  },
+  likes: [{
+    type: Schema.Types.ObjectId,
+    ref: "User",
+  }],
+  // Kept alongside `likes` and the comments so the feed can rank without counting.
+  likesCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  commentsCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  editedAt: {
+    type: Date,
+  },
+  // Set by admins; hidden posts are only shown to their author and to staff.
+  moderation: {
+    hidden: { type: Boolean, default: false },
+    reason: { type: String },
+    by: { type: Schema.Types.ObjectId },
+    at: { type: Date },
+  },
+}, { timestamps: true });
+
+PostSchema.index({ author: 1, createdAt: -1 });
+PostSchema.index({ tribe: 1, createdAt: -1 });
+PostSchema.index({ "moderation.hidden": 1, createdAt: -1 });
+
+const Post = mongoose.model("Post", PostSchema);
+export default Post;
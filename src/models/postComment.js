@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A comment on a post. Replies point at the comment they answer (`parent`)
+// and at the top-level comment of their thread (`root`).
+const PostCommentSchema = new Schema({
+  post: {
+    type: Schema.Types.ObjectId,
+    ref: "Post",
+    required: true,
+  },
+  author: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  parent: {
+    type: Schema.Types.ObjectId,
+    ref: "PostComment",
+    default: null,
+  },
+  root: {
+    type: Schema.Types.ObjectId,
+    ref: "PostComment",
+    default: null,
+  },
+  // 0 for top-level comments.
+  depth: {
+    type: Number,
+    default: 0,
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    required: true,
+  },
+  editedAt: {
+    type: Date,
+  },
+  // Deleted comments that have replies stay as a placeholder in the thread.
+  deleted: {
+    type: Boolean,
+    default: false,
+  },
+  moderation: {
+    hidden: { type: Boolean, default: false },
+    reason: { type: String },
+    by: { type: Schema.Types.ObjectId },
+    at: { type: Date },
+  },
+}, { timestamps: true });
+
+PostCommentSchema.index({ post: 1, root: 1, createdAt: 1 });
+PostCommentSchema.index({ author: 1 });
+
+const PostComment = mongoose.model("PostComment", PostCommentSchema);
+export default PostComment;
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A member who signed up with someone else's referral code. The referrer is
+// rewarded once the referee's trial turns into a paid subscription.
+const ReferralSchema = new Schema({
+  referrer: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  // Each member can only be referred once.
+  referee: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    unique: true,
+  },
+  code: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "rewarded", "rejected"],
+    default: "pending",
+    index: true,
+  },
+  // Why a referral was rejected: self_referral, duplicate_card or referrer_deleted.
+  reason: {
+    type: String,
+  },
+  signupIp: {
+    type: String,
+  },
+  // Stripe card fingerprints of the referee, checked against the referrer's
+  // cards and those of their other referees.
+  cardFingerprints: {
+    type: [String],
+    default: [],
+    index: true,
+  },
+  rewardTokens: {
+    type: Number,
+    default: 0,
+  },
+  rewardDiscount: {
+    type: Schema.Types.ObjectId,
+    ref: "discount",
+  },
+  rewardedAt: {
+    type: Date,
+  },
+}, { timestamps: true });
+
+const Referral = mongoose.model("Referral", ReferralSchema);
+export default Referral;
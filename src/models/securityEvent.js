@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Something that happened to an account's sign-in or credentials: logins,
+// token refreshes, password, username and 2FA changes, and support staff
+// viewing the account. Users see their own at /auth/security-activity.
+const SecurityEventSchema = new Schema({
+  subject: {
+    type: Schema.Types.ObjectId,
+    refPath: "subjectModel",
+    required: true,
+  },
+  subjectModel: {
+    type: String,
+    enum: ["User", "Admin"],
+    default: "User",
+  },
+  type: {
+    type: String,
+    enum: [
+      "login",
+      "token_refresh",
+      "password_change",
+      "password_reset",
+      "username_change",
+      "two_factor_enabled",
+      "two_factor_disabled",
+      "recovery_codes_regenerated",
+      "identity_linked",
+      "identity_unlinked",
+      "impersonation_started",
+      "impersonation_ended",
+    ],
+    required: true,
+  },
+  outcome: {
+    type: String,
+    enum: ["success", "failure"],
+    default: "success",
+  },
+  // Why a failure failed, e.g. bad_password or invalid_code.
+  reason: {
+    type: String,
+  },
+  // How a login happened when not by password (google, linkedin, magic_link),
+  // or the provider that was linked or unlinked.
+  provider: {
+    type: String,
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  device: {
+    type: String,
+  },
+  // ISO country code from the proxy, when it sends one.
+  country: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+SecurityEventSchema.index({ subject: 1, subjectModel: 1, createdAt: -1 });
+// Keep a year of history.
+SecurityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+const SecurityEvent = mongoose.model("SecurityEvent", SecurityEventSchema);
+export default SecurityEvent;
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A login on one device. Every refresh token issued for the device belongs to
+// the same session (its token family); only `tokenId` is currently valid.
+const SessionSchema = new Schema({
+  subject: {
+    type: Schema.Types.ObjectId,
+    refPath: "subjectModel",
+    required: true,
+    index: true,
+  },
+  subjectModel: {
+    type: String,
+    enum: ["User", "Admin"],
+    default: "User",
+  },
+  tokenId: {
+    type: String,
+    required: true,
+  },
+  deviceLabel: {
+    type: String,
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+  },
+}, { timestamps: true });
+
+// Let MongoDB drop sessions once their refresh token can no longer be used.
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", SessionSchema);
+export default Session;
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// One document per Stripe event id. Stripe retries deliveries until it gets a
+// 2xx, so this is what keeps the webhook handlers idempotent.
+const StripeEventSchema = new Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  type: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["processing", "processed", "failed"],
+    default: "processing",
+  },
+  error: {
+    type: String,
+  },
+  processedAt: {
+    type: Date,
+  },
+}, { timestamps: true });
+
+const StripeEvent = mongoose.model("StripeEvent", StripeEventSchema);
+export default StripeEvent;
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
+const { searchable } = require("../helpers/search-grams");
 
 const ToolSchema = new Schema({
   // Mongoose provides an _id by default, so no need for a separate id field.
@@ -42,5 +43,8 @@ const ToolSchema = new Schema({
   },
 }, { timestamps: true });
 
+// Matched by /search.
+ToolSchema.plugin(searchable, { fields: ["title", "toolCategory", "shortdescription"] });
+
 const Tool = mongoose.model("Tool", ToolSchema);
 export default Tool;
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// TOTP settings embedded in User and Admin. Secrets and recovery code hashes
+// are never selected unless asked for explicitly.
+const TwoFactorSchema = new Schema({
+  enabled: {
+    type: Boolean,
+    default: false,
+  },
+  secret: {
+    type: String,
+    select: false,
+  },
+  // Generated at setup, promoted to `secret` once a code from it is verified.
+  pendingSecret: {
+    type: String,
+    select: false,
+  },
+  recoveryCodes: {
+    type: [String],
+    select: false,
+  },
+  // Last accepted time step, so a code can't be replayed within its window.
+  lastUsedStep: {
+    type: Number,
+    select: false,
+  },
+  enabledAt: Date,
+}, { _id: false });
+
+export default TwoFactorSchema;
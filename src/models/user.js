@@ -4,6 +4,9 @@ const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
 
 const Schema = mongoose.Schema;
+const TwoFactorSchema = require("./twoFactor").default;
+const IdentitySchema = require("./identity").default;
+const { searchable } = require("../helpers/search-grams");
 
 const UserSchema = new Schema({
   email: {
@@ -53,6 +56,8 @@ const UserSchema = new Schema({
     type: String,
     default: null,
   },
+  // Legacy: only read to honour links emailed before account tokens
+  // (see helpers/account-tokens), and cleared once used.
   verificationToken: {
     type: String,
   },
@@ -92,12 +97,6 @@ const UserSchema = new Schema({
     type: String,
     required: true,
   },
-  resetPasswordToken: {
-    type: String,
-  },
-  resetPasswordExpires: {
-    type: Date,
-  },
   privacy: {
     type: String,
     default: "public",
@@ -169,6 +168,14 @@ const UserSchema = new Schema({
     type: Boolean,
     default:true,
   },
+  // Who may see each group of profile fields; see helpers/profile-serializer.
+  // An unset `email` falls back to email_visibility.
+  visibility: {
+    email: { type: String, enum: ["everyone", "tribe_mates", "tribers", "only_me"] },
+    phone: { type: String, enum: ["everyone", "tribe_mates", "tribers", "only_me"], default: "tribers" },
+    social: { type: String, enum: ["everyone", "tribe_mates", "tribers", "only_me"], default: "everyone" },
+    business: { type: String, enum: ["everyone", "tribe_mates", "tribers", "only_me"], default: "everyone" },
+  },
   aboutme: {
     type: String,
   },
@@ -209,6 +216,21 @@ const UserSchema = new Schema({
     type: Schema.Types.ObjectId,
     ref: 'User', // Reference with correct capitalization
   }],
+  // When on, requests to connect become follows (see helpers/follows).
+  followersOnly: {
+    type: Boolean,
+    default: false,
+  },
+  followersCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  followingCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
   chat_lobby: [{
     type: Schema.Types.ObjectId,
     ref: 'ChatLobby', // Reference with correct capitalization
@@ -228,8 +250,51 @@ const UserSchema = new Schema({
     enum: ["super", "moderator", "support"],
     default: "moderator",
   },
+  twoFactor: {
+    type: TwoFactorSchema,
+    default: () => ({}),
+  },
+  identities: {
+    type: [IdentitySchema],
+    default: [],
+  },
+  // False for accounts created through social login until the user sets a
+  // password; they can't unlink their last provider before then.
+  hasPassword: {
+    type: Boolean,
+    default: true,
+  },
+  // Shared as /signup?ref=<code>; created the first time the member asks for it.
+  referralCode: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+  referredBy: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // Set while the account waits to be purged (status "pending_deletion").
+  deletion: {
+    requestedAt: Date,
+    purgeAt: Date,
+    requestedBy: { type: String, enum: ["user", "admin"] },
+    previousStatus: String,
+  },
 });
 
+UserSchema.index({ "deletion.purgeAt": 1 }, { sparse: true });
+// Member directory (/auth/directory): filters are multi-select over array
+// fields, which can't share a compound index, so each gets its own.
+["business_country", "business_industry", "markets_covered", "value_chainstake", "immediate_needs", "country", "subscription"].forEach(
+  (field) => UserSchema.index({ [field]: 1 })
+);
+UserSchema.index({ createdAt: -1, _id: -1 });
+UserSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  { unique: true, partialFilterExpression: { "identities.subject": { $exists: true } } }
+);
+
 UserSchema.pre("save", async function (next) {
   try {
     if (this.isNew) {
@@ -247,6 +312,9 @@ UserSchema.methods.isValidPass = async function (pass) {
   return await bcrypt.compare(pass, this.password);
 };
 
+// Matched by /search.
+UserSchema.plugin(searchable, { fields: ["username", "firstName", "lastName", "title"] });
+
 const User = mongoose.model("User", UserSchema); // Ensure correct naming
 
 export default User;
@@ -15,4 +15,18 @@ const limiter = new RateLimit({
   },
 });
 
+// Stricter per-IP limit for individual routes, e.g. ones that send email.
+export const routeLimiter = ({ prefix, max, expiry }) =>
+  new RateLimit({
+    store: new RedisStore({
+      client: redis,
+      prefix: `rl:${prefix}:`,
+      expiry,
+    }),
+    max,
+    handler: (req, res, next) => {
+      next(Boom.tooManyRequests("Too many requests. Please try again later."));
+    },
+  });
+
 export default limiter;
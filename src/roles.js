@@ -1,8 +1,97 @@
 import AccessControl from 'accesscontrol';
 const ac = new AccessControl();
 
+// Everything passed to grantAccess(). Keep in sync with the grants below; the
+// permissions endpoint reports on exactly these.
+const RESOURCES = [
+  'mytribe', 'course', 'tool', 'price', 'report', 'notification', 'image',
+  'testimonal', 'discount', 'prompt', 'payment', 'user', 'admin', 'product',
+  'audit', 'impersonation', 'post',
+];
+const ACTIONS = [
+  'createOwn', 'readOwn', 'updateOwn', 'deleteOwn',
+  'createAny', 'readAny', 'updateAny', 'deleteAny',
+];
+
 exports.roles = (function () {
-  ac.grant('user').readAny('product');
-  ac.grant('admin').extend('user').createAny('product').updateAny('product').updateAny('order').updateAny('banner');
+  // Public pages (pricing, catalogue, landing images) work without a login.
+  ac.grant('guest')
+    .readAny('price').readAny('course').readAny('tool').readAny('mytribe')
+    .readAny('testimonal').readAny('image').readAny('product')
+    .readAny('post');
+
+  ac.grant('user').extend('guest')
+    .readOwn('notification').updateOwn('notification').deleteOwn('notification')
+    .createOwn('report').readOwn('report')
+    .readOwn('payment').createOwn('payment')
+    .readOwn('discount')
+    .readOwn('user').updateOwn('user').deleteOwn('user')
+    .createOwn('post').updateOwn('post').deleteOwn('post');
+
+  // Admin.level "community": tribes, content and member support.
+  ac.grant('community').extend('user')
+    .createAny('mytribe').updateAny('mytribe').deleteAny('mytribe')
+    .createAny('course').updateAny('course').deleteAny('course')
+    .createAny('tool').updateAny('tool').deleteAny('tool')
+    .createAny('testimonal').updateAny('testimonal').deleteAny('testimonal')
+    .updateAny('image')
+    .createAny('notification')
+    .readAny('report').updateAny('report').deleteAny('report')
+    .readAny('user')
+    .createAny('product').updateAny('product')
+    .updateAny('post').deleteAny('post');
+
+  // Admin.level "finance": pricing, discounts and payments.
+  ac.grant('finance').extend('user')
+    .updateAny('price')
+    .createAny('discount').readAny('discount').deleteAny('discount')
+    .readAny('payment').updateAny('payment')
+    .readAny('audit')
+    .readAny('user');
+
+  // Admin.level "ai": the Lift AI system prompt and usage.
+  ac.grant('ai').extend('user')
+    .readAny('prompt').updateAny('prompt');
+
+  // User.level "moderator" / "support" for members with role "admin".
+  ac.grant('moderator').extend('user')
+    .updateAny('mytribe')
+    .updateAny('post').deleteAny('post')
+    .readAny('report').updateAny('report')
+    .createAny('notification')
+    .readAny('user');
+  ac.grant('support').extend('user')
+    .readAny('report').updateAny('report')
+    .readAny('user')
+    .createAny('impersonation').readAny('impersonation');
+
+  ac.grant('super').extend(['community', 'finance', 'ai'])
+    .updateAny('user').deleteAny('user')
+    .createAny('admin').readAny('admin').updateAny('admin').deleteAny('admin')
+    .createAny('impersonation').readAny('impersonation').deleteAny('impersonation');
+
   return ac;
 })();
+
+// Policy role for a verified token payload. Admin tokens carry the admin's
+// level; anything unrecognised falls back to plain user rights.
+exports.roleFor = (payload) => {
+  if (!payload || !payload.user_id) return 'guest';
+  if (payload.role !== 'admin') return 'user';
+  return ac.hasRole(payload.level) && !['guest', 'user'].includes(payload.level)
+    ? payload.level
+    : 'user';
+};
+
+// { mytribe: ["readAny", ...], ... } for one policy role.
+exports.permissionsFor = (role) => {
+  const permissions = {};
+  RESOURCES.forEach((resource) => {
+    const allowed = ACTIONS.filter((action) => ac.can(role)[action](resource).granted);
+    if (allowed.length) permissions[resource] = allowed;
+  });
+  return permissions;
+};
+
+exports.RESOURCES = RESOURCES;
+exports.ACTIONS = ACTIONS;
@@ -1,57 +1,118 @@
 import express from 'express';
 import {
   loginAdmin,
-  createAdmin,
+  rotatePassword,
+  changePassword,
   getAllAdmins,
   deleteAdmin,
   updateAdminRole,
   updateAdminCredentials,
   RefreshToken,
   logoutAdmin,
-  getCurrentAdmin
+  getCurrentAdmin,
+  getPermissions
 } from '../controllers/admin';
+import { adminSessions } from '../controllers/sessions';
+import { adminTwoFactor } from '../controllers/two-factor';
+import {
+  adminLoginAttempts,
+  listLoginAttempts,
+  adminUnlockAccount,
+} from '../controllers/login-attempts';
+import { getAuditLogs, exportAuditLogs } from '../controllers/audit';
+import invitations from '../controllers/admin-invitations';
+import impersonation from '../controllers/impersonation';
+import { routeLimiter } from '../rate-limiter';
+import requireAuth from '../middlewares/requireAuth';
+import grantAccess from '../middlewares/grantAccess';
 import { verifyAccessToken } from '../helpers/jwt';
 
 const router = express.Router();
 
+const invitationLimiter = routeLimiter({ prefix: 'admin-invite', max: 20, expiry: 15 * 60 });
+
 // Public routes
 // Admin login
 router.post('/login', loginAdmin);
 router.post('/logout', logoutAdmin);
 // Refresh admin tokens
 router.post('/refresh_token', RefreshToken);
+// Second login step for admins with 2FA
+router.post('/2fa/verify', adminTwoFactor.verifyLogin);
+// Unlock link from the lockout email
+router.post('/unlock/:token', adminLoginAttempts.unlock);
+// Required password change after login (first login or password too old)
+router.post('/password/rotate', rotatePassword);
+// Invitation link: see what it's for, then sign up with it
+router.get('/invitations/accept/:token', invitationLimiter, invitations.getInvitation);
+router.post('/invitations/accept/:token', invitationLimiter, invitations.acceptInvitation);
 
 
 // Protected admin routes (requires valid access token)
-// Create a new admin (only super-admins)
-router.post(
-  '/create',
-  verifyAccessToken,
-  createAdmin
-);
-router.get("/me", getCurrentAdmin);
+// Invite a new admin by email (only super-admins); they choose their own credentials
+router.post('/invitations', verifyAccessToken, grantAccess("createAny", "admin"), invitations.createInvitation);
+router.get('/invitations', verifyAccessToken, grantAccess("readAny", "admin"), invitations.listInvitations);
+router.delete('/invitations/:invitationId', verifyAccessToken, grantAccess("createAny", "admin"), invitations.revokeInvitation);
+router.post('/password', verifyAccessToken, requireAuth, changePassword);
+router.get("/me", verifyAccessToken, requireAuth, getCurrentAdmin);
+
+// Effective permissions of the caller, for hiding actions in the admin UI
+router.get("/permissions", verifyAccessToken, requireAuth, getPermissions);
+
+// Two-factor authentication for the current admin
+router.post('/2fa/setup', verifyAccessToken, requireAuth, adminTwoFactor.setup);
+router.post('/2fa/enable', verifyAccessToken, requireAuth, adminTwoFactor.enable);
+router.post('/2fa/disable', verifyAccessToken, requireAuth, adminTwoFactor.disable);
+router.post('/2fa/recovery-codes', verifyAccessToken, requireAuth, adminTwoFactor.regenerateRecoveryCodes);
+
+// Audit trail of privileged changes (filter: actor, action, targetType, targetId, impersonation, from, to)
+router.get("/audit", verifyAccessToken, grantAccess("readAny", "audit"), getAuditLogs);
+router.get("/audit/export", verifyAccessToken, grantAccess("readAny", "audit"), exportAuditLogs);
+
+// "View as user": short-lived member tokens for support staff (write scope: super only)
+router.post('/impersonations', verifyAccessToken, grantAccess("createAny", "impersonation"), impersonation.startImpersonation);
+router.get('/impersonations', verifyAccessToken, grantAccess("readAny", "impersonation"), impersonation.listImpersonations);
+router.delete('/impersonations/:impersonationId', verifyAccessToken, grantAccess("createAny", "impersonation"), impersonation.endImpersonation);
+
+// Signed-in devices for the current admin
+router.get('/sessions', verifyAccessToken, requireAuth, adminSessions.listSessions);
+router.delete('/sessions/:sessionId', verifyAccessToken, requireAuth, adminSessions.revokeSession);
+router.delete('/sessions', verifyAccessToken, requireAuth, adminSessions.revokeOtherSessions);
+
+// Login history: the caller's own, and everyone's (subjectModel, subject, ip, success)
+router.get('/me/login-attempts', verifyAccessToken, requireAuth, adminLoginAttempts.listOwnAttempts);
+router.get('/login-attempts', verifyAccessToken, grantAccess("readAny", "user"), listLoginAttempts);
+router.post('/login-attempts/unlock', verifyAccessToken, grantAccess("updateAny", "user"), adminUnlockAccount);
 
 // Get list of all admins
 router.get(
   '/',
+  verifyAccessToken,
+  grantAccess("readAny", "admin"),
   getAllAdmins
 );
 
 // Update an admin's role
 router.put(
   '/role',
+  verifyAccessToken,
+  grantAccess("updateAny", "admin"),
   updateAdminRole
 );
 
 // Update admin credentials (username/password)
 router.put(
   '/update',
+  verifyAccessToken,
+  grantAccess("updateAny", "admin"),
   updateAdminCredentials
 );
 
 // Delete an admin
 router.delete(
   '/:adminId',
+  verifyAccessToken,
+  grantAccess("deleteAny", "admin"),
   deleteAdmin
 );
 
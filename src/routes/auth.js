@@ -3,7 +3,23 @@ const router = express.Router();
 import multer from "multer";
 
 import auth from '../controllers/auth';
+import { userSessions } from '../controllers/sessions';
+import { userTwoFactor } from '../controllers/two-factor';
+import accountExport from '../controllers/account-export';
+import { userLoginAttempts } from '../controllers/login-attempts';
+import { getSecurityActivity } from '../controllers/security-activity';
+import oidc from '../controllers/oidc';
+import { getReferrals } from '../controllers/referrals';
+import { getEntitlements } from '../controllers/entitlements';
+import { getSuggestedTribers } from '../controllers/suggestions';
+import { getDirectory } from '../controllers/directory';
+import follows from '../controllers/follows';
+import { routeLimiter } from '../rate-limiter';
 import { verifyAccessToken } from '../helpers/jwt';
+import requireAuth, { ownUser, participant } from '../middlewares/requireAuth';
+import grantAccess from '../middlewares/grantAccess';
+import { requireFeature, requireQuota, limitUploadSize } from '../middlewares/entitlements';
+import { auditUserAdminUpdate, auditTribeBlock } from '../controllers/audit/trails';
 
 // Public routes
 router.post('/register', auth.Register);
@@ -11,6 +27,38 @@ router.post('/login', auth.Login);
 router.post('/refresh_token', auth.RefreshToken);
 router.post('/logout', auth.Logout);
 
+// Sign in with Google / LinkedIn (OpenID Connect, authorization code + PKCE)
+const oidcLimiter = routeLimiter({ prefix: 'oidc', max: 30, expiry: 15 * 60 });
+router.get('/oidc/identities', verifyAccessToken, requireAuth, oidc.listIdentities);
+router.post('/oidc/:provider/start', oidcLimiter, oidc.startLogin);
+router.post('/oidc/:provider/callback', oidcLimiter, oidc.finishLogin);
+router.post('/oidc/:provider/link/start', verifyAccessToken, requireAuth, oidc.startLink);
+router.post('/oidc/:provider/link', verifyAccessToken, requireAuth, oidc.finishLink);
+router.delete('/oidc/:provider', verifyAccessToken, requireAuth, oidc.unlink);
+
+// Two-factor authentication
+router.post('/2fa/verify', userTwoFactor.verifyLogin);
+router.post('/2fa/setup', verifyAccessToken, requireAuth, userTwoFactor.setup);
+router.post('/2fa/enable', verifyAccessToken, requireAuth, userTwoFactor.enable);
+router.post('/2fa/disable', verifyAccessToken, requireAuth, userTwoFactor.disable);
+router.post('/2fa/recovery-codes', verifyAccessToken, requireAuth, userTwoFactor.regenerateRecoveryCodes);
+
+// Signed-in devices
+router.get('/sessions', verifyAccessToken, requireAuth, userSessions.listSessions);
+router.delete('/sessions/:sessionId', verifyAccessToken, requireAuth, userSessions.revokeSession);
+router.delete('/sessions', verifyAccessToken, requireAuth, userSessions.revokeOtherSessions);
+
+// Login history and the unlock link from the lockout email
+router.get('/login-attempts', verifyAccessToken, requireAuth, userLoginAttempts.listOwnAttempts);
+router.post('/unlock/:token', userLoginAttempts.unlock);
+
+// Logins, token refreshes, password/username/2FA changes
+router.get('/security-activity', verifyAccessToken, requireAuth, getSecurityActivity);
+
+// Referral code, link and the members it brought in
+router.get('/referrals', verifyAccessToken, requireAuth, getReferrals);
+router.get('/entitlements', verifyAccessToken, requireAuth, getEntitlements);
+
 router.get('/total-login/:rangeType', auth.GetTotalNumberOfRegistrationsByDateRange);
 
 // Set up Multer storage configuration
@@ -24,102 +72,118 @@ router.put(
     { name: "profile_pic", maxCount: 1 },
     { name: "banner_image", maxCount: 1 }
   ]),
+  ownUser("body.id"),
+  limitUploadSize,
   auth.updateUserInfo
 );
 
 
 // Protected routes
-router.put('/address', verifyAccessToken, auth.updateAddress);
-router.get('/get-address',verifyAccessToken,auth.getAddress);
-router.get('/me', verifyAccessToken, auth.Me);
-router.post('/chat-lobby', verifyAccessToken, auth.getOrCreateChatLobby);
-router.get('/get-chat-lobbies', verifyAccessToken, auth.getUserChatLobbies);
-router.post("/create-chat-lobby", verifyAccessToken,auth.createChatLobby);
-router.post("/forward",auth.forwardMessage);
-router.get('/get-users',verifyAccessToken,auth.getAllUsers);
-router.get('/chat-messages/:chatLobbyId', verifyAccessToken, auth.getChatMessages);
-router.post('/delete-chat-for-user', verifyAccessToken, auth.deleteChatForUser);
-router.put('/toggle-email-visibility', verifyAccessToken, auth.toggleEmailVisibility);
+router.put('/address', verifyAccessToken, requireAuth, auth.updateAddress);
+router.get('/get-address',verifyAccessToken, requireAuth, auth.getAddress);
+router.get('/me', verifyAccessToken, requireAuth, auth.Me);
+router.post('/chat-lobby', verifyAccessToken, participant("body.userId1", "body.userId2"), auth.getOrCreateChatLobby);
+router.get('/get-chat-lobbies', verifyAccessToken, requireAuth, auth.getUserChatLobbies);
+router.post("/create-chat-lobby", verifyAccessToken, participant("body.userId1", "body.userId2"), auth.createChatLobby);
+router.post("/forward", verifyAccessToken, ownUser("body.userId1"), requireQuota("dmsPerDay"), auth.forwardMessage);
+router.get('/get-users',verifyAccessToken, requireAuth, auth.getAllUsers);
+router.get('/chat-messages/:chatLobbyId', verifyAccessToken, ownUser("query.userId"), auth.getChatMessages);
+router.post('/delete-chat-for-user', verifyAccessToken, ownUser("body.userId"), auth.deleteChatForUser);
+router.put('/toggle-email-visibility', verifyAccessToken, requireAuth, auth.toggleEmailVisibility);
 
 
-router.get('/adminusers', verifyAccessToken, auth.getAllAdminUsers);
-router.put('/userupdate/:userId', verifyAccessToken, auth.updateUserAdminDetails);
+router.get('/adminusers', verifyAccessToken, grantAccess('readAny', 'user'), auth.getAllAdminUsers);
+router.put('/userupdate/:userId', verifyAccessToken, grantAccess('updateAny', 'user'), auditUserAdminUpdate, auth.updateUserAdminDetails);
 
-router.post("/send-request", verifyAccessToken, auth.sendFriendRequest);
+router.post("/send-request", verifyAccessToken, ownUser("body.currentUserId"), auth.sendFriendRequest);
 
 // Accept a friend request
-router.put("/accept-request", verifyAccessToken, auth.acceptFriendRequest);
-router.get("/friend-requests", verifyAccessToken, auth.getAllFriendRequests);
-router.get("/friend-list", verifyAccessToken, auth.getAllFriendList);
-router.get("/friendlist", verifyAccessToken, auth.getFriendList);
-router.get("/chat-lobby", verifyAccessToken, auth.getChatLobby);
+router.put("/accept-request", verifyAccessToken, ownUser("body.currentUserId"), auth.acceptFriendRequest);
+router.get("/friend-requests", verifyAccessToken, ownUser("query.userId"), auth.getAllFriendRequests);
+router.get("/friend-list", verifyAccessToken, ownUser("query.userId"), auth.getAllFriendList);
+router.get("/friendlist", verifyAccessToken, ownUser("query.userId"), auth.getFriendList);
+router.get("/chat-lobby", verifyAccessToken, ownUser("query.userId"), auth.getChatLobby);
 // Reject a friend request
-router.put("/reject-request", verifyAccessToken, auth.rejectFriendRequest);
+router.put("/reject-request", verifyAccessToken, ownUser("body.currentUserId"), auth.rejectFriendRequest);
 
 // Block a user
-router.put("/block-user", verifyAccessToken, auth.blockUser);
+router.put("/block-user", verifyAccessToken, ownUser("body.currentUserId"), auth.blockUser);
 
 // Unblock a user
-router.put("/unblock-user", verifyAccessToken, auth.unblockUser);
-router.put("/remove-friend", verifyAccessToken, auth.removeFriend);
-router.put("/cancel-sent-request", verifyAccessToken,auth.cancelSentFriendRequest);
-router.put("/remove-rejected-request", verifyAccessToken, auth.removeRejectedFriendRequest);
-router.put("/update-password", verifyAccessToken, auth.updateUserPassword);
-router.put("/update-user-media", verifyAccessToken, auth.updateUserMedia);
-router.put("/update-username", verifyAccessToken, auth.updateUsername);
-router.put("/remove-banner", verifyAccessToken, auth.removeUserBanner);
+router.put("/unblock-user", verifyAccessToken, ownUser("body.currentUserId"), auth.unblockUser);
+router.put("/remove-friend", verifyAccessToken, ownUser("body.currentUserId"), auth.removeFriend);
+router.put("/cancel-sent-request", verifyAccessToken, requireAuth, auth.cancelSentFriendRequest);
+router.put("/remove-rejected-request", verifyAccessToken, requireAuth, auth.removeRejectedFriendRequest);
+router.put("/update-password", verifyAccessToken, requireAuth, auth.updateUserPassword);
+router.put("/update-user-media", verifyAccessToken, requireAuth, auth.updateUserMedia);
+router.put("/update-username", verifyAccessToken, requireAuth, auth.updateUsername);
+router.put("/remove-banner", verifyAccessToken, requireAuth, auth.removeUserBanner);
 
 // Route to remove profile picture
-router.put("/remove-profile-pic", verifyAccessToken, auth.removeUserProfilePic);
-router.put("/tribes/join", verifyAccessToken, auth.joinTribe);
-router.put("/tribes/leave", verifyAccessToken, auth.leaveTribe);
+router.put("/remove-profile-pic", verifyAccessToken, requireAuth, auth.removeUserProfilePic);
+router.put("/tribes/join", verifyAccessToken, requireAuth, requireFeature("joinTribes"), requireQuota("tribes"), auth.joinTribe);
+router.put("/tribes/leave", verifyAccessToken, requireAuth, auth.leaveTribe);
 
 // Course endpoints
-router.put("/courses/add", verifyAccessToken, auth.addCourse);
-router.put("/courses/remove", verifyAccessToken, auth.removeCourse);
+router.put("/courses/add", verifyAccessToken, requireAuth, auth.addCourse);
+router.put("/courses/remove", verifyAccessToken, requireAuth, auth.removeCourse);
 
 // Tool endpoints
-router.put("/tools/add", verifyAccessToken, auth.addTool);
-router.put("/tools/remove", verifyAccessToken, auth.removeTool);
+router.put("/tools/add", verifyAccessToken, requireAuth, auth.addTool);
+router.put("/tools/remove", verifyAccessToken, requireAuth, auth.removeTool);
 
 // Delete user account
-router.delete("/account", verifyAccessToken, auth.deleteAccount);
-router.put("/accept-request", verifyAccessToken, auth.acceptTribeRequest);
+router.delete("/account", verifyAccessToken, requireAuth, auth.deleteAccount);
+
+// Personal data export
+router.post("/account/export", verifyAccessToken, requireAuth, accountExport.requestExport);
+router.get("/account/export/download/:token", accountExport.downloadExport);
+router.get("/account/export/:jobId", verifyAccessToken, requireAuth, accountExport.getExportStatus);
+router.put("/accept-request", verifyAccessToken, requireAuth, auth.acceptTribeRequest);
 
 // Route for tribe admins to reject a join request.
-router.put("/reject-request", verifyAccessToken, auth.rejectTribeRequest);
-router.get("/profile/:targetUserId", verifyAccessToken, auth.getUserProfileForChecker);
-router.get("/tribes-profile", verifyAccessToken, auth.getUserProfileForUser);
-router.get("/search-tribers", verifyAccessToken, auth.searchTribers);
-router.get('/user-search', verifyAccessToken, auth.searchUsers);
+router.put("/reject-request", verifyAccessToken, requireAuth, auth.rejectTribeRequest);
+router.get("/profile/:targetUserId", verifyAccessToken, requireAuth, auth.getUserProfileForChecker);
+router.get("/tribes-profile", verifyAccessToken, requireAuth, auth.getUserProfileForUser);
+router.get("/search-tribers", verifyAccessToken, requireAuth, auth.searchTribers);
+router.get('/user-search', verifyAccessToken, requireAuth, auth.searchUsers);
+router.get('/suggested-tribers', verifyAccessToken, requireAuth, getSuggestedTribers);
+router.get('/directory', verifyAccessToken, requireAuth, getDirectory);
+
+// Follows (one-way, no approval needed)
+router.post('/follow/:userId', verifyAccessToken, requireAuth, follows.followUser);
+router.delete('/follow/:userId', verifyAccessToken, requireAuth, follows.unfollowUser);
+router.put('/follow-settings', verifyAccessToken, requireAuth, follows.updateFollowSettings);
+router.get('/users/:userId/followers', verifyAccessToken, requireAuth, follows.getFollowers);
+router.get('/users/:userId/following', verifyAccessToken, requireAuth, follows.getFollowing);
 
 // Route to get all courses for the current user
-router.get("/courses", verifyAccessToken, auth.getAllCoursesForUser);
+router.get("/courses", verifyAccessToken, requireAuth, auth.getAllCoursesForUser);
 
 // Route to get all tribers for the current user
-router.get("/tribers", verifyAccessToken, auth.getAllTribersForUser);
+router.get("/tribers", verifyAccessToken, requireAuth, auth.getAllTribersForUser);
 
 // Route to get all tribes for the current user
-router.get("/tribes", verifyAccessToken, auth.getAllTribesForUser);
-router.delete('/user/:id', verifyAccessToken, auth.deleteUser);
+router.get("/tribes", verifyAccessToken, requireAuth, auth.getAllTribesForUser);
+router.delete('/user/:id', verifyAccessToken, grantAccess('deleteAny', 'user'), auth.deleteUser);
 router.get("/check-duplicates",  auth.checkDuplicates);
 // Route to get all blocked users for the current user
-router.get("/blocked", verifyAccessToken, auth.getAllBlockedForUser);
-router.get("/details/:tribeId", verifyAccessToken, auth.getTribeDetails);
-router.delete('/chat-lobbies/:chatLobbyId', verifyAccessToken, auth.deleteChatLobbyForUser);
+router.get("/blocked", verifyAccessToken, ownUser("query.userId"), auth.getAllBlockedForUser);
+router.get("/details/:tribeId", verifyAccessToken, requireAuth, auth.getTribeDetails);
+router.delete('/chat-lobbies/:chatLobbyId', verifyAccessToken, requireAuth, auth.deleteChatLobbyForUser);
 
-// New routes for blocking/unblocking a user from a tribe (admin-only)
-router.put("/block-user", verifyAccessToken, auth.blockUserFromTribe);
-router.put("/unblock-user", verifyAccessToken, auth.unblockUserFromTribe);
-router.put("/kick-user", verifyAccessToken, auth.kickUserFromTribe);
+// Blocking/unblocking a user from a tribe (tribe admins only). Kept apart from
+// /block-user, which blocks another member for yourself.
+router.put("/tribes/block-user", verifyAccessToken, requireAuth, auditTribeBlock, auth.blockUserFromTribe);
+router.put("/tribes/unblock-user", verifyAccessToken, requireAuth, auth.unblockUserFromTribe);
+router.put("/kick-user", verifyAccessToken, requireAuth, auth.kickUserFromTribe);
 
 
 // Route to get all members of a tribe
-router.get("/members/:tribeId", verifyAccessToken, auth.getTribeMembers);
+router.get("/members/:tribeId", verifyAccessToken, requireAuth, auth.getTribeMembers);
 router.get(
   '/users/info',
-  verifyAccessToken,
-  auth.getUsersChatInfo
+  verifyAccessToken, requireAuth, auth.getUsersChatInfo
 );
 
 export default router;
\ No newline at end of file
@@ -68,9 +68,10 @@ router.delete(
   deleteCourse
 );
 router.get("/user-course", getAllUserCourses);
-router.get("/:courseId", getCourseById);
-router.get("/", getAllCourses);
-router.get("/category/:category", getCoursesByCategory);
+// Guests and members without course access get listings only.
+router.get("/:courseId", verifyAccessToken, getCourseById);
+router.get("/", verifyAccessToken, getAllCourses);
+router.get("/category/:category", verifyAccessToken, getCoursesByCategory);
 router.post("/user-courses", getCoursesByIds);
 
 
@@ -1,12 +1,17 @@
 import express from 'express';
-import { verifyAccessToken, grantAccess } from '../helpers/jwt'; // adjust if you use RBAC
+import { verifyAccessToken } from '../helpers/jwt';
+import grantAccess from '../middlewares/grantAccess';
+import { auditDiscountCreate } from '../controllers/audit/trails';
 import discountCtrl from '../controllers/discount';
+import { ownUser } from '../middlewares/requireAuth';
 const router = express.Router();
 
 // Create discount
 router.post(
   '/',
   verifyAccessToken,
+  grantAccess('createAny', 'discount'),
+  auditDiscountCreate,
   discountCtrl.createDiscount
 );
 
@@ -14,6 +19,7 @@ router.post(
 router.get(
   '/',
   verifyAccessToken,
+  grantAccess('readAny', 'discount'),
   discountCtrl.getAllDiscounts
 );
 
@@ -21,12 +27,14 @@ router.get(
 router.delete(
   '/:discountId',
   verifyAccessToken,
+  grantAccess('deleteAny', 'discount'),
   discountCtrl.deleteDiscount
 );
 
 router.post(
   '/validate',
-  verifyAccessToken, // optional: remove if public
+  verifyAccessToken,
+  ownUser('body.userId'),
   discountCtrl.validateDiscount
 );
 
@@ -0,0 +1,10 @@
+import express from "express";
+import { getFeed } from "../controllers/posts";
+import { verifyAccessToken } from "../helpers/jwt";
+import requireAuth from "../middlewares/requireAuth";
+
+const router = express.Router();
+
+router.get("/", verifyAccessToken, requireAuth, getFeed);
+
+export default router;
@@ -26,6 +26,9 @@ import admin from './admin';
 import payment from './payment';
 import discount from './discount';
 import subscription from './subcription';
+import search from './search';
+import posts from './posts';
+import feed from './feed';
 
 const router = Router();
 
@@ -52,6 +55,9 @@ router.use("/stats", stats);
 router.use('/categories', categories);
 router.use('/discount', discount);
 router.use('/images', images);
+router.use('/search', search);
+router.use('/posts', posts);
+router.use('/feed', feed);
 
 
 export default router;
@@ -1,14 +1,18 @@
 import express from "express";
 import { verifyAccessToken } from "../helpers/jwt.js";
 import liftAiController from "../controllers/lift-ai";
+import { ownUser } from "../middlewares/requireAuth";
+import grantAccess from "../middlewares/grantAccess";
+import { requireFeature } from "../middlewares/entitlements";
+import { auditPromptUpdate } from "../controllers/audit/trails";
 
 const router = express.Router();
 
-router.post("/chat", verifyAccessToken, liftAiController.chat);
-router.get("/prompt", verifyAccessToken, liftAiController.getPrompt);
-router.get("/getAllPrompts", verifyAccessToken, liftAiController.getAllPrompts);
-router.put("/prompt", verifyAccessToken, liftAiController.updatePrompt);
-router.get("/tokens/:userId",verifyAccessToken, liftAiController.getUserTokens);
-router.post('/reset-session', liftAiController.resetSession);
+router.post("/chat", verifyAccessToken, ownUser("body.userId"), requireFeature("liftAi"), liftAiController.chat);
+router.get("/prompt", verifyAccessToken, grantAccess("readAny", "prompt"), liftAiController.getPrompt);
+router.get("/getAllPrompts", verifyAccessToken, grantAccess("readAny", "prompt"), liftAiController.getAllPrompts);
+router.put("/prompt", verifyAccessToken, grantAccess("updateAny", "prompt"), auditPromptUpdate, liftAiController.updatePrompt);
+router.get("/tokens/:userId", verifyAccessToken, ownUser("params.userId"), liftAiController.getUserTokens);
+router.post('/reset-session', verifyAccessToken, ownUser("body.userId"), liftAiController.resetSession);
 
 export default router;
\ No newline at end of file
@@ -2,13 +2,14 @@
 import express from 'express';
 import { verifyAccessToken } from '../helpers/jwt'; // This middleware sets req.payload
 import messageController from '../controllers/message/index'; // Adjust path as needed
+import requireAuth, { ownUser } from '../middlewares/requireAuth';
 
 const router = express.Router();
 
 // Existing routes.
-router.post('/:messageId/delete-for-me', verifyAccessToken, messageController.deleteForMe);
-router.post('/:messageId/delete-for-tribe', verifyAccessToken, messageController.deleteForMeTribe);
-router.delete('/:messageId/delete-for-everyone', verifyAccessToken, messageController.deleteForEveryone);
+router.post('/:messageId/delete-for-me', verifyAccessToken, ownUser('body.senderId'), messageController.deleteForMe);
+router.post('/:messageId/delete-for-tribe', verifyAccessToken, ownUser('body.senderId'), messageController.deleteForMeTribe);
+router.delete('/:messageId/delete-for-everyone', verifyAccessToken, requireAuth, messageController.deleteForEveryone);
 
 // New route: mark messages as seen.
 // When a chat lobby loads, this endpoint loops through the messages (oldest first)
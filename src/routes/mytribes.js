@@ -2,6 +2,10 @@ import express from "express";
 import multer from "multer";
 import { verifyAccessToken } from "../helpers/jwt";
 import grantAccess from "../middlewares/grantAccess";
+import requireAuth, { ownUser } from "../middlewares/requireAuth";
+import { tribeMember } from "../middlewares/tribeAccess";
+import { requireFeature, requireQuota } from "../middlewares/entitlements";
+import { auditTribeBlock } from "../controllers/audit/trails";
 import {
   createMytribe,
   updateMytribe,
@@ -45,6 +49,7 @@ router.post(
   "/:tribeId/block/:userId",
   verifyAccessToken,
   grantAccess("updateAny", "mytribe"),
+  auditTribeBlock,
   blockUserFromTribe
 );
 
@@ -87,31 +92,36 @@ router.get("/get-users", getUsersMytribes);
 router.get("/get-user-id/:userId", getSpecificMytribes);
 router.post("/get-tribes-by-ids", getUserTribesByIds);
 // Route to join a tribe.
-router.post("/join-tribe", verifyAccessToken, joinTribe);
+router.post("/join-tribe", verifyAccessToken, ownUser("body.userId"), requireFeature("joinTribes"), requireQuota("tribes"), joinTribe);
 
 // Route to leave a tribe.
-router.post("/leave-tribe", verifyAccessToken, leaveTribe);
+router.post("/leave-tribe", verifyAccessToken, ownUser("body.userId"), leaveTribe);
 router.get("/search", searchUsersTribes);
 // Route to get members of a specific tribe.
-router.get("/tribe-members/:tribeId", verifyAccessToken, getTribeMembers);
+router.get(
+  "/tribe-members/:tribeId",
+  verifyAccessToken,
+  tribeMember("params.tribeId", { staff: ["readAny", "user"] }),
+  getTribeMembers
+);
 
-// Route to remove a member from a tribe.
-router.post("/remove-member", verifyAccessToken, removeMemberFromTribe);
+// Route to remove a member from a tribe; tribe admins and staff only.
+router.post("/remove-member", verifyAccessToken, tribeMember("body.tribeId", { admin: true }), removeMemberFromTribe);
 
 // Get a Mytribe by its ID.
-router.get("/user", verifyAccessToken, getTribes);
+router.get("/user", verifyAccessToken, requireAuth, getTribes);
 router.get("/:mytribeId", getMytribeById);
-router.get("/user-data", verifyAccessToken, getUserDetails);
+router.get("/user-data", verifyAccessToken, requireAuth, getUserDetails);
 
-router.post("/:tribeId/admins", addAdminToTribe);
-router.delete("/:tribeId/admins/:userId", removeAdminFromTribe);
+router.post("/:tribeId/admins", verifyAccessToken, grantAccess("updateAny", "mytribe"), addAdminToTribe);
+router.delete("/:tribeId/admins/:userId", verifyAccessToken, grantAccess("updateAny", "mytribe"), removeAdminFromTribe);
 router.get("/:tribeId/tribers", getTribeMembersSearch);
 
 
 router.put(
   "/update-status",
   verifyAccessToken,
-  grantAccess("updateAny", "tool"),
+  grantAccess("updateAny", "mytribe"),
   updateTribeStatus
 );
 
@@ -123,12 +133,12 @@ router.get(
   getTotalMembers
 );
 
-router.post("/:tribeId/rate", rateTribe);
+router.post("/:tribeId/rate", verifyAccessToken, ownUser("body.userId"), requireFeature("rateTribes"), rateTribe);
 
-router.get("/tribe-lobby/:tribeId", createOrGetTribeChatLobby);
+router.get("/tribe-lobby/:tribeId", verifyAccessToken, tribeMember("params.tribeId"), createOrGetTribeChatLobby);
 
 // Get tribe messages
-router.get("/tribe-messages/:chatLobbyId", getTribeChatMessages);
+router.get("/tribe-messages/:chatLobbyId", verifyAccessToken, ownUser("query.userId"), getTribeChatMessages);
 
 
 export default router;
@@ -1,6 +1,7 @@
 import express from "express";
 import { verifyAccessToken } from "../helpers/jwt";
 import grantAccess from "../middlewares/grantAccess";
+import { ownUser } from "../middlewares/requireAuth";
 import NotificationController from "../controllers/notifications";
 
 const router = express.Router();
@@ -17,6 +18,7 @@ router.post(
 router.get(
   "/get-user-notifications",
   verifyAccessToken,
+  ownUser("query.userId"),
   grantAccess("readOwn", "notification"),
   NotificationController.getUserNotifications
 );
@@ -25,6 +27,7 @@ router.get(
 router.post(
   "/remove-item",
   verifyAccessToken,
+  ownUser("query.userId"),
   grantAccess("updateOwn", "notification"),
   NotificationController.removeNotificationItem
 );
@@ -33,6 +36,7 @@ router.post(
 router.post(
   "/remove-all",
   verifyAccessToken,
+  ownUser("query.userId"),
   grantAccess("deleteOwn", "notification"),
   NotificationController.removeAllNotifications
 );
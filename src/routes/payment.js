@@ -1,33 +1,39 @@
 import express from "express";
 import { verifyAccessToken } from "../helpers/jwt.js"; // Optional, if you want to secure the routes
 import payment from "../controllers/payment";
+import { ownUser } from "../middlewares/requireAuth";
+import grantAccess from "../middlewares/grantAccess";
+import { auditRefund } from "../controllers/audit/trails";
+import { stripeWebhook } from "../controllers/payment/webhook";
 
 const router = express.Router();
 
-// Create Payment Intent (public or secure as needed)
-// router.post("/create-payment-intent", verifyAccessToken, payment.createPaymentIntent);
-router.post("/create-payment-intent", payment.createPaymentIntent);
+// Create Payment Intent for the signed-in user
+router.post("/create-payment-intent", verifyAccessToken, ownUser("body.userId"), payment.createPaymentIntent);
 
 // Get all payments with an optional status filter
 // e.g., GET /api/payments/all-payments?status=pending
-router.get("/all-payments", payment.getAllPaymentsWithStatus);
+router.get("/all-payments", verifyAccessToken, grantAccess("readAny", "payment"), payment.getAllPaymentsWithStatus);
 
 // Get payments for a specific user with an optional status filter
 // e.g., GET /api/payments/user-payments?userId=123&status=completed
-router.get("/user-payments", payment.getUserPaymentsWithStatus);
+router.get("/user-payments", verifyAccessToken, ownUser("query.userId"), payment.getUserPaymentsWithStatus);
 
 // Update the status of a payment record
 // e.g., PUT /api/payments/update-payment-status with JSON body { paymentId: "xxx", status: "completed" }
-router.put("/update-payment-status", payment.updatePaymentStatus);
+router.put("/update-payment-status", verifyAccessToken, grantAccess("updateAny", "payment"), payment.updatePaymentStatus);
 
 // Refund a payment
 // e.g., POST /api/payments/refund-payment with JSON body { paymentId: "xxx" }
-router.post("/refund-payment", payment.refundPayment);
-router.post('/cancel', payment.cancelSubscription);
-router.post('/change-card', payment.updatePaymentMethod);
-router.post('/user-cancel', payment.cancelAnySubscription);
-router.post('/validate-discount', payment.validateDiscountRoute);
-router.post('/downgrade', payment.downgradeToBasic);
-router.get("/revenue-stats", payment.getRevenueStats);
+router.post("/refund-payment", verifyAccessToken, grantAccess("updateAny", "payment"), auditRefund, payment.refundPayment);
+router.post('/cancel', verifyAccessToken, grantAccess("updateAny", "payment"), payment.cancelSubscription);
+router.post('/change-card', verifyAccessToken, ownUser("body.userId"), payment.updatePaymentMethod);
+router.post('/user-cancel', verifyAccessToken, ownUser("body.userId"), payment.cancelAnySubscription);
+router.post('/validate-discount', verifyAccessToken, ownUser("body.userId"), payment.validateDiscountRoute);
+router.post('/downgrade', verifyAccessToken, ownUser("body.userId"), payment.downgradeToBasic);
+router.get("/revenue-stats", verifyAccessToken, grantAccess("readAny", "payment"), payment.getRevenueStats);
+
+// Stripe webhook (signed). Needs the raw body captured in app.js.
+router.post("/webhook", stripeWebhook);
 
 export default router;
@@ -0,0 +1,45 @@
+import express from "express";
+import posts from "../controllers/posts";
+import comments from "../controllers/posts/comments";
+import moderation from "../controllers/posts/moderation";
+import { verifyAccessToken } from "../helpers/jwt";
+import { upload } from "../middlewares/firebase-upload";
+import requireAuth from "../middlewares/requireAuth";
+import grantAccess from "../middlewares/grantAccess";
+import { limitUploadSize } from "../middlewares/entitlements";
+import { routeLimiter } from "../rate-limiter";
+import { MAX_IMAGES } from "../helpers/posts";
+
+const router = express.Router();
+
+const writeLimiter = routeLimiter({ prefix: "posts", max: 30, expiry: 60 });
+const images = upload.array("images", MAX_IMAGES);
+
+// Moderation (before "/:postId" so it isn't taken for a post ID)
+router.get("/moderation", verifyAccessToken, grantAccess("updateAny", "post"), moderation.getModerationQueue);
+router.put("/:postId/moderation", verifyAccessToken, grantAccess("updateAny", "post"), moderation.moderatePost);
+router.put(
+  "/:postId/comments/:commentId/moderation",
+  verifyAccessToken,
+  grantAccess("updateAny", "post"),
+  moderation.moderateComment
+);
+
+// Posts; guests can read public ones.
+router.post("/", verifyAccessToken, requireAuth, writeLimiter, images, limitUploadSize, posts.createPost);
+router.get("/user/:userId", verifyAccessToken, posts.getUserPosts);
+router.get("/:postId", verifyAccessToken, posts.getPost);
+router.put("/:postId", verifyAccessToken, requireAuth, images, limitUploadSize, posts.updatePost);
+router.delete("/:postId", verifyAccessToken, requireAuth, posts.deletePost);
+
+// Likes
+router.post("/:postId/like", verifyAccessToken, requireAuth, posts.likePost);
+router.delete("/:postId/like", verifyAccessToken, requireAuth, posts.unlikePost);
+
+// Comments
+router.get("/:postId/comments", verifyAccessToken, comments.getComments);
+router.post("/:postId/comments", verifyAccessToken, requireAuth, writeLimiter, comments.addComment);
+router.put("/:postId/comments/:commentId", verifyAccessToken, requireAuth, comments.updateComment);
+router.delete("/:postId/comments/:commentId", verifyAccessToken, requireAuth, comments.deleteComment);
+
+export default router;
@@ -1,6 +1,7 @@
 import express from "express";
 import { verifyAccessToken } from "../helpers/jwt";
 import grantAccess from "../middlewares/grantAccess";
+import { auditPriceUpdate } from "../controllers/audit/trails";
 import { 
   getSmallLargeCustomPricing, 
   getBasicPremiumPricing, 
@@ -55,6 +56,7 @@ router.put(
   "/",
   verifyAccessToken,
   grantAccess("updateAny", "price"),
+  auditPriceUpdate,
   async (req, res, next) => {
     try {
       const updatedPricing = await updatePricing(req.body);
@@ -0,0 +1,13 @@
+import express from "express";
+import { search } from "../controllers/search";
+import { verifyAccessToken } from "../helpers/jwt";
+import { routeLimiter } from "../rate-limiter";
+
+const router = express.Router();
+
+// Each query scans four collections, so keep a tighter per-IP limit.
+const searchLimiter = routeLimiter({ prefix: "search", max: 60, expiry: 60 });
+
+router.get("/", searchLimiter, verifyAccessToken, search);
+
+export default router;
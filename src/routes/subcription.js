@@ -6,13 +6,15 @@ import {
   upgradeController,
   applyDiscountController
 } from '../controllers/subscription/index.js';
+import { verifyAccessToken } from '../helpers/jwt';
+import { ownUser } from '../middlewares/requireAuth';
 
 const router = express.Router();
 
-router.post('/create', createSubscriptionController);
-router.post('/downgrade', downgradeController);
-router.post('/cancel', cancelController);
-router.post('/upgrade', upgradeController);
-router.post('/apply-discount', applyDiscountController);
+router.post('/create', verifyAccessToken, ownUser('body.userId'), createSubscriptionController);
+router.post('/downgrade', verifyAccessToken, ownUser('body.userId'), downgradeController);
+router.post('/cancel', verifyAccessToken, ownUser('body.userId'), cancelController);
+router.post('/upgrade', verifyAccessToken, ownUser('body.userId'), upgradeController);
+router.post('/apply-discount', verifyAccessToken, ownUser('body.userId'), applyDiscountController);
 
 export default router;
\ No newline at end of file
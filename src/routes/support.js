@@ -12,6 +12,7 @@ import {
 } from "../controllers/support";
 import grantAccess from "../middlewares/grantAccess";
 import { verifyAccessToken } from "../helpers/jwt";
+import { ownUser } from "../middlewares/requireAuth";
 
 const router = express.Router();
 
@@ -19,7 +20,8 @@ const router = express.Router();
 router.post(
   "/",
   verifyAccessToken,
-  grantAccess("createAny", "report"),
+  ownUser("body.user"),
+  grantAccess("createOwn", "report"),
   createReport
 );
 
@@ -51,6 +53,7 @@ router.put(
 router.get(
   "/last4", // e.g., GET /api/report/user
   verifyAccessToken,
+  grantAccess("readAny", "report"),
   getLastFourReports
 );
 
@@ -63,19 +66,21 @@ router.delete(
 );
 
 // Get all reports
-router.get("/", verifyAccessToken, getAllReports);
+router.get("/", verifyAccessToken, grantAccess("readAny", "report"), getAllReports);
 //router.get("/status/:userId", verifyAccessToken, getStatusForUser);
 
 // Get a report by its ID
 router.get(
   "/:reportId",
   verifyAccessToken,
+  grantAccess("readAny", "report"),
   getReportById
 );
 
 router.get(
   "/user/:userId", // e.g., GET /api/report/user
   verifyAccessToken,
+  ownUser("params.userId"),
   getReportsForUser
 );
 
@@ -1,9 +1,13 @@
 import express from 'express';
 import { upload, uploadFileToFirebase } from '../socketHandlers/fileHandlers';
+import { verifyAccessToken } from '../helpers/jwt';
+import requireAuth from '../middlewares/requireAuth';
+import { limitUploadSize } from '../middlewares/entitlements';
 
 const router = express.Router();
 
-router.post('/uploadmsg', upload.single('file'), async (req, res) => {
+// Chat attachments; the plan decides how large a file may be.
+router.post('/uploadmsg', verifyAccessToken, requireAuth, upload.single('file'), limitUploadSize, async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
@@ -1,11 +1,22 @@
 import express from 'express';
 import verify from '../controllers/verification/index'; // Adjust path as needed
+import { verifyAccessToken } from '../helpers/jwt';
+import requireAuth from '../middlewares/requireAuth';
+import { routeLimiter } from '../rate-limiter';
 
 const router = express.Router();
 
+// Routes that send email get a tighter per-IP limit.
+const mailLimiter = routeLimiter({ prefix: 'verify-mail', max: 5, expiry: 15 * 60 });
+
 router.get('/verify/:token', verify.verifyEmail);
-router.post('/forgot-password', verify.forgotPassword);
+router.post('/resend', mailLimiter, verify.resendVerification);
+router.post('/forgot-password', mailLimiter, verify.forgotPassword);
 router.post('/contactus', verify.sendContactEmail);
 router.post('/reset-password/:token', verify.resetPassword);
+router.post('/change-email', verifyAccessToken, requireAuth, mailLimiter, verify.requestEmailChange);
+router.post('/confirm-email/:token', verify.confirmEmailChange);
+router.post('/magic-link', mailLimiter, verify.requestMagicLink);
+router.post('/magic-link/:token', verify.magicLinkLogin);
 
 export default router;
\ No newline at end of file
@@ -11,6 +11,7 @@ import TribeChatLobby from '../models/tribechatlobby';
 import { users } from './usersInstance';
 import { Storage } from '@google-cloud/storage';
 import redis from '../clients/redis.js';
+import { userHasFeature, consumeUserQuota } from '../helpers/entitlements';
 
 const BUFFER_BATCH_SIZE = 10;
 
@@ -154,6 +155,11 @@ export const registerChatHandlers = (socket, io) => {
     });
 
     try {
+      const quotaError = await consumeUserQuota(user.userId, 'dmsPerDay');
+      if (quotaError) {
+        return callback(quotaError.message);
+      }
+
       // Save the message to MongoDB
       await newMsg.save();
 
@@ -302,6 +308,10 @@ export const registerChatHandlers = (socket, io) => {
       if (!user || !isRealString(data.text)) {
         return callback('Invalid message');
       }
+      // Free-tier members can read tribe chats but not post in them.
+      if (!(await userHasFeature(user.userId, 'tribeChat'))) {
+        return callback('Posting in tribe chats needs a paid plan.');
+      }
 
       // Validate/convert reply ids only if provided and valid
       let replyIdObj = null;
@@ -482,7 +492,10 @@ export const registerChatHandlers = (socket, io) => {
 
     const chatLobbyId = existingLobby ? existingLobby.chatLobbyId : uuidv4();
     try {
-
+      const quotaError = await consumeUserQuota(userId1, 'dmsPerDay');
+      if (quotaError) {
+        return callback(quotaError.message);
+      }
 
       // Create the forwarded message document (as a new message)
       const newMessage = new Message({
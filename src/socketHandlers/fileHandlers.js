@@ -10,6 +10,7 @@ import { v4 as uuidv4 } from 'uuid';
 import ChatLobby from '../models/chatlobby';
 import { Storage } from '@google-cloud/storage';
 import redis from '../clients/redis.js';
+import { userHasFeature, consumeUserQuota } from '../helpers/entitlements';
 
 // ——————————————
 // 1) Google Cloud Storage Setup
@@ -97,6 +98,10 @@ export const registerFileHandlers = (socket, io) => {
       if (!mongoose.Types.ObjectId.isValid(user.userId)) {
         return callback("Invalid user ID");
       }
+      const quotaError = await consumeUserQuota(user.userId, 'dmsPerDay');
+      if (quotaError) {
+        return callback(quotaError.message);
+      }
       const senderId = new mongoose.Types.ObjectId(user.userId);
       const msgId = new mongoose.Types.ObjectId();
 
@@ -200,6 +205,9 @@ export const registerFileHandlers = (socket, io) => {
       if (!mongoose.Types.ObjectId.isValid(user.userId)) {
         return callback("Invalid user ID");
       }
+      if (!(await userHasFeature(user.userId, 'tribeChat'))) {
+        return callback("Posting in tribe chats needs a paid plan.");
+      }
       const senderId = new mongoose.Types.ObjectId(user.userId);
       const msgId = new mongoose.Types.ObjectId();
 
@@ -281,6 +289,10 @@ export const registerFileHandlers = (socket, io) => {
         console.error('Invalid input for forwarding file message');
         return callback && callback('Invalid input');
       }
+      const quotaError = await consumeUserQuota(userId1, 'dmsPerDay');
+      if (quotaError) {
+        return callback && callback(quotaError.message);
+      }
 
       const timestamp = Date.now();
       const msgId = new mongoose.Types.ObjectId();
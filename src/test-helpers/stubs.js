@@ -0,0 +1,34 @@
+/**
+ * Swap statics on models (or any object, e.g. the redis client) for the
+ * current describe block, putting the originals back after each test:
+ *
+ *   const stub = stubStatics();
+ *   beforeEach(() => stub(User, { findById: () => ... }));
+ */
+const stubStatics = () => {
+  const replaced = [];
+
+  afterEach(() => {
+    while (replaced.length) {
+      const { target, name, original, own } = replaced.pop();
+      if (own) target[name] = original;
+      else delete target[name];
+    }
+  });
+
+  return (target, stubs) => {
+    Object.keys(stubs).forEach((name) => {
+      replaced.push({ target, name, original: target[name], own: Object.prototype.hasOwnProperty.call(target, name) });
+      target[name] = stubs[name];
+    });
+    return target;
+  };
+};
+
+// A query whose chained calls (select, lean, sort...) all resolve to `value`.
+const query = (value) =>
+  new Proxy(Promise.resolve(value), {
+    get: (promise, key) => (key in promise ? promise[key].bind(promise) : () => query(value)),
+  });
+
+module.exports = { stubStatics, query };
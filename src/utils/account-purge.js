@@ -0,0 +1,13 @@
+// jobs/accountPurgeCron.js
+import cron from 'node-cron';
+import { purgeDueAccounts } from '../helpers/account-deletion.js';
+
+// Runs every hour at minute 30: remove accounts whose deletion grace period has ended
+cron.schedule('30 * * * *', async () => {
+  try {
+    const purged = await purgeDueAccounts();
+    if (purged) console.log(`🧹 Purged ${purged} deleted account(s)`);
+  } catch (err) {
+    console.error('Error running account purge cron:', err);
+  }
+});
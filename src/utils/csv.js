@@ -0,0 +1,20 @@
+// Minimal RFC 4180 CSV writer.
+
+// Spreadsheets run a cell starting with one of these as a formula, so text
+// that does gets a leading apostrophe. Numbers are written as they are.
+var FORMULA_START = /^[=+\-@\t\r]/;
+
+var csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'number') return String(value);
+  let text = typeof value === 'string' ? value : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// `columns` lists the keys to write, in order; they double as the header row.
+var toCsv = (rows, columns) =>
+  [columns.join(','), ...rows.map((row) => columns.map((key) => csvCell(row[key])).join(','))].join('\r\n');
+
+module.exports = {csvCell, toCsv};
@@ -0,0 +1,27 @@
+const expect = require('expect');
+
+const {csvCell, toCsv} = require('./csv');
+
+describe('csvCell', () => {
+  it('should quote cells with commas, quotes or line breaks', () => {
+    expect(csvCell('plain')).toBe('plain');
+    expect(csvCell('a,b')).toBe('"a,b"');
+    expect(csvCell('say "hi"\nbye')).toBe('"say ""hi""\nbye"');
+    expect(csvCell(null)).toBe('');
+  });
+
+  it('should stop text from running as a spreadsheet formula', () => {
+    expect(csvCell('=HYPERLINK("https://attacker.example")')).toBe('"\'=HYPERLINK(""https://attacker.example"")"');
+    expect(csvCell('+1+1')).toBe("'+1+1");
+    expect(csvCell('-2+3')).toBe("'-2+3");
+    expect(csvCell('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(csvCell('\tcmd')).toBe("'\tcmd");
+    expect(csvCell('\rcmd')).toBe('"\'\rcmd"');
+    expect(csvCell({note: '=1'})).toBe('"{""note"":""=1""}"');
+  });
+
+  it('should leave numbers alone', () => {
+    expect(csvCell(-19.99)).toBe('-19.99');
+    expect(toCsv([{amount: -5, item: '=cmd'}], ['amount', 'item'])).toBe("amount,item\r\n-5,'=cmd");
+  });
+});
@@ -0,0 +1,40 @@
+// Best-effort client address. Express resolves req.ip from the proxy hops the
+// app trusts (see 'trust proxy' in app.js); the left-most X-Forwarded-For
+// entry is whatever the client sent, so it is never read directly.
+var clientIp = (req) => req.ip || (req.connection && req.connection.remoteAddress) || null;
+
+// Short human-readable label such as "Chrome on Windows" for session lists.
+var describeUserAgent = (ua) => {
+  if (!ua) return 'Unknown device';
+
+  let browser = 'Browser';
+  if (/Edg\//.test(ua)) browser = 'Edge';
+  else if (/OPR\/|Opera/.test(ua)) browser = 'Opera';
+  else if (/Chrome\//.test(ua)) browser = 'Chrome';
+  else if (/Firefox\//.test(ua)) browser = 'Firefox';
+  else if (/Safari\//.test(ua)) browser = 'Safari';
+  else if (/okhttp|Dalvik/i.test(ua)) browser = 'Android app';
+  else if (/CFNetwork|Darwin/.test(ua)) browser = 'iOS app';
+
+  let os = null;
+  if (/Windows/.test(ua)) os = 'Windows';
+  else if (/Android/.test(ua)) os = 'Android';
+  else if (/iPhone|iPad|iPod/.test(ua)) os = 'iOS';
+  else if (/Mac OS X|Macintosh/.test(ua)) os = 'macOS';
+  else if (/Linux/.test(ua)) os = 'Linux';
+
+  return os ? `${browser} on ${os}` : browser;
+};
+
+// Two-letter country code set by the CDN or proxy in front of the API
+// (Cloudflare's CF-IPCountry unless GEO_COUNTRY_HEADER says otherwise).
+var clientCountry = (req) => {
+  const header = (process.env.GEO_COUNTRY_HEADER || 'cf-ipcountry').toLowerCase();
+  const country = req.headers && req.headers[header];
+  if (!country || !/^[A-Za-z]{2}$/.test(country) || /^(XX|T1)$/i.test(country)) {
+    return null;
+  }
+  return country.toUpperCase();
+};
+
+module.exports = {clientIp, clientCountry, describeUserAgent};
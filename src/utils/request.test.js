@@ -0,0 +1,22 @@
+const expect = require('expect');
+const express = require('express');
+
+const {clientIp} = require('./request');
+
+// A request as Express sees it behind `hops` trusted proxies.
+const request = (hops, forwardedFor) => {
+  const app = express();
+  app.set('trust proxy', hops);
+  const socket = {remoteAddress: '10.0.0.2'};
+  return Object.setPrototypeOf({headers: {'x-forwarded-for': forwardedFor}, connection: socket, socket}, app.request);
+};
+
+describe('clientIp', () => {
+  it('should take the address the trusted proxy appended, not one the client sent', () => {
+    expect(clientIp(request(1, '198.51.100.1, 203.0.113.7'))).toBe('203.0.113.7');
+  });
+
+  it('should fall back to the socket address', () => {
+    expect(clientIp({headers: {}, connection: {remoteAddress: '10.0.0.2'}})).toBe('10.0.0.2');
+  });
+});
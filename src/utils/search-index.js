@@ -0,0 +1,12 @@
+import cron from 'node-cron';
+import { indexMissingSearchGrams } from '../helpers/search.js';
+
+// Every 10 minutes: index documents the search hooks missed (older records, bulk updates)
+cron.schedule('*/10 * * * *', async () => {
+  try {
+    const indexed = await indexMissingSearchGrams();
+    if (indexed) console.log(`🔎 Indexed ${indexed} document(s) for search`);
+  } catch (err) {
+    console.error('Error running search index cron:', err);
+  }
+});
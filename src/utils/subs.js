@@ -5,38 +5,42 @@ import User from '../models/user.js'; // Adjust path if needed
 import Notifications from '../models/notifications.js';
 import fs from "fs";
 import path from "path";
+import { EXPORT_TTL_MINUTES, EXPORTS_DIR } from "../helpers/account-export.js";
 
 const downloadsRoot = path.join(process.cwd(), "public", "downloads");
 
+function deleteFilesOlderThan(dir, maxAgeMinutes) {
+  fs.readdir(dir, (_, files) => {
+    (files || []).forEach(file => {
+      const filePath = path.join(dir, file);
+      fs.stat(filePath, (_, stats) => {
+        if (!stats) return;
+        const ageMs = Date.now() - stats.mtimeMs;
+        if (ageMs > maxAgeMinutes * 60 * 1000) {
+          fs.unlink(filePath, () => console.log("🧹 Deleted:", filePath));
+        }
+      });
+    });
+  });
+}
+
 function deleteOldFiles(dir, maxAgeMinutes = 15) {
   fs.readdir(dir, (err, subdirs) => {
     if (err) return;
 
-    subdirs.forEach(sub => {
-      const subPath = path.join(dir, sub);
-      fs.readdir(subPath, (_, files) => {
-        files.forEach(file => {
-          const filePath = path.join(subPath, file);
-          fs.stat(filePath, (_, stats) => {
-            const ageMs = Date.now() - stats.mtimeMs;
-            if (ageMs > maxAgeMinutes * 60 * 1000) {
-              fs.unlink(filePath, () => console.log("🧹 Deleted:", filePath));
-            }
-          });
-        });
-      });
-    });
+    subdirs.forEach(sub => deleteFilesOlderThan(path.join(dir, sub), maxAgeMinutes));
   });
 }
 
 
-// Runs every day at midnight Canadian Central Time
-cron.schedule('0 0 * * *', async () => {
+// Runs every hour, so expired data exports don't linger
+cron.schedule('0 * * * *', async () => {
   const now = moment().tz('America/Toronto'); // Canada Eastern Time Zone
 
   try {
 
     deleteOldFiles(downloadsRoot);
+    deleteFilesOlderThan(EXPORTS_DIR, EXPORT_TTL_MINUTES);
   } catch (err) {
     console.error('Error running subscription cron:', err);
   }
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+// RFC 4226 (HOTP) and RFC 6238 (TOTP), compatible with authenticator apps.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+var base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+var base32Decode = (text) => {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+var hotp = (key, counter, { digits = 6, algorithm = 'sha1' } = {}) => {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac(algorithm, key).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+  return String(code).padStart(digits, '0');
+};
+
+// Time step for a unix time in seconds.
+var timeStep = (time = Date.now() / 1000, step = 30) => Math.floor(time / step);
+
+var totp = (key, { time, step = 30, digits = 6, algorithm = 'sha1' } = {}) =>
+  hotp(key, timeStep(time, step), { digits, algorithm });
+
+/**
+ * Check a code against the base32 secret, allowing `window` steps of clock
+ * drift either way. Returns the matching time step, or null.
+ */
+var verifyTotp = (secret, code, { time, step = 30, window = 1, digits = 6 } = {}) => {
+  const token = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(token)) return null;
+
+  const key = base32Decode(secret);
+  const current = timeStep(time, step);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = hotp(key, current + offset, { digits });
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(token))) {
+      return current + offset;
+    }
+  }
+  return null;
+};
+
+var generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+var otpauthUri = ({ secret, label, issuer, digits = 6, step = 30 }) => {
+  const name = encodeURIComponent(`${issuer}:${label}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(digits),
+    period: String(step),
+  });
+  return `otpauth://totp/${name}?${params.toString()}`;
+};
+
+module.exports = {base32Encode, base32Decode, hotp, totp, timeStep, verifyTotp, generateSecret, otpauthUri};
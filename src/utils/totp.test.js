@@ -0,0 +1,84 @@
+const expect = require('expect');
+
+const {base32Encode, base32Decode, hotp, totp, verifyTotp, otpauthUri} = require('./totp');
+
+// RFC 6238 appendix B. The seed is the ASCII string "1234567890" repeated to
+// the key length of each hash.
+const seeds = {
+  sha1: Buffer.from('12345678901234567890'),
+  sha256: Buffer.from('12345678901234567890123456789012'),
+  sha512: Buffer.from('1234567890123456789012345678901234567890123456789012345678901234'),
+};
+
+const vectors = [
+  [59, '94287082', '46119246', '90693936'],
+  [1111111109, '07081804', '68084774', '25091201'],
+  [1111111111, '14050471', '67062674', '99943326'],
+  [1234567890, '89005924', '91819424', '93441116'],
+  [2000000000, '69279037', '90698825', '38618901'],
+  [20000000000, '65353130', '77737706', '47863826'],
+];
+
+describe('totp', () => {
+  vectors.forEach(([time, sha1, sha256, sha512]) => {
+    it(`should match the RFC 6238 vectors at T=${time}`, () => {
+      expect(totp(seeds.sha1, {time, digits: 8, algorithm: 'sha1'})).toBe(sha1);
+      expect(totp(seeds.sha256, {time, digits: 8, algorithm: 'sha256'})).toBe(sha256);
+      expect(totp(seeds.sha512, {time, digits: 8, algorithm: 'sha512'})).toBe(sha512);
+    });
+  });
+});
+
+describe('hotp', () => {
+  it('should match the RFC 4226 vectors', () => {
+    const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+    expected.forEach((code, counter) => {
+      expect(hotp(seeds.sha1, counter)).toBe(code);
+    });
+  });
+});
+
+describe('base32', () => {
+  it('should round-trip the RFC 6238 seed', () => {
+    const encoded = base32Encode(seeds.sha1);
+    expect(encoded).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(encoded).equals(seeds.sha1)).toBe(true);
+  });
+
+  it('should ignore case, spaces and padding', () => {
+    expect(base32Decode('gezd gnbv gy3t qojq====').toString()).toBe('1234567890');
+  });
+});
+
+describe('verifyTotp', () => {
+  const secret = base32Encode(seeds.sha1);
+  const time = 1111111111;
+
+  it('should accept the current code', () => {
+    const code = totp(seeds.sha1, {time});
+    expect(verifyTotp(secret, code, {time})).toBe(Math.floor(time / 30));
+  });
+
+  it('should accept one step of clock drift', () => {
+    const code = totp(seeds.sha1, {time: time - 30});
+    expect(verifyTotp(secret, code, {time})).toBe(Math.floor(time / 30) - 1);
+  });
+
+  it('should reject codes outside the window', () => {
+    const code = totp(seeds.sha1, {time: time - 90});
+    expect(verifyTotp(secret, code, {time})).toBe(null);
+  });
+
+  it('should reject malformed codes', () => {
+    expect(verifyTotp(secret, '12345', {time})).toBe(null);
+    expect(verifyTotp(secret, 'abcdef', {time})).toBe(null);
+    expect(verifyTotp(secret, undefined, {time})).toBe(null);
+  });
+});
+
+describe('otpauthUri', () => {
+  it('should build a URI authenticator apps can scan', () => {
+    const uri = otpauthUri({secret: 'JBSWY3DPEHPK3PXP', label: 'jane@example.com', issuer: 'Openpreneurs'});
+    expect(uri).toBe('otpauth://totp/Openpreneurs%3Ajane%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=Openpreneurs&algorithm=SHA1&digits=6&period=30');
+  });
+});